@@ -4,7 +4,9 @@ import path from 'path';
 import { Client, GatewayIntentBits, Collection } from 'discord.js';
 
 import { env, validateRequiredEnvVars } from './config/env.js';
+import { verifyFeePolicy } from './utils/feePolicy.js';
 import { logger } from './utils/logger.js';
+import { verifyPriceSources } from './utils/pricing.js';
 import { startWalletServer } from './utils/walletServer.js';
 
 /**
@@ -17,6 +19,12 @@ async function initializeBot() {
   validateRequiredEnvVars();
   logger.success('Environment validation passed');
 
+  await verifyFeePolicy();
+  logger.success('Fee policy matches the escrow contract');
+
+  verifyPriceSources();
+  logger.success('Every network has a price for its native token');
+
   const client = new Client({ intents: [GatewayIntentBits.Guilds] });
   client.commands = new Collection();
 
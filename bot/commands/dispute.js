@@ -0,0 +1,242 @@
+import {
+  InteractionContextType,
+  MessageFlags,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} from 'discord.js';
+
+import { env } from '../config/env.js';
+import { resolveEscrowDispute } from '../utils/escrow.js';
+import { logger } from '../utils/logger.js';
+import { getExplorerTxUrl, getTradeNetwork } from '../utils/networks.js';
+import { promptTradeReviews } from '../utils/reviews.js';
+import { TRADE_STATUS } from '../utils/tradeStateMachine.js';
+
+const ARBITRATOR_ROLE_ID = env.ARBITRATOR_ROLE_ID || env.ADMIN_ROLE_ID;
+
+// Trades with a resolution transaction in flight, so two arbitrators don't send two
+const pendingResolutions = new Set();
+
+export const data = new SlashCommandBuilder()
+  .setName('dispute')
+  .setDescription('Manage escrow disputes')
+  .setContexts([InteractionContextType.Guild])
+
+  // /dispute resolve
+  .addSubcommand((sub) =>
+    sub
+      .setName('resolve')
+      .setDescription('Split the escrowed funds of a disputed trade')
+      .addNumberOption((opt) =>
+        opt
+          .setName('buyer_percent')
+          .setDescription('Percentage of the funds refunded to the buyer')
+          .setMinValue(0)
+          .setMaxValue(100)
+          .setRequired(true),
+      )
+      .addNumberOption((opt) =>
+        opt
+          .setName('seller_percent')
+          .setDescription('Percentage of the funds paid to the seller')
+          .setMinValue(0)
+          .setMaxValue(100)
+          .setRequired(true),
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName('trade_id')
+          .setDescription('Trade ID (defaults to the trade of this thread)'),
+      ),
+  );
+
+/**
+ * Checks whether the member may resolve disputes.
+ *
+ * @param {import('discord.js').GuildMember} member - Invoking member.
+ * @returns {boolean}
+ */
+function canResolveDisputes(member) {
+  return (
+    member?.permissions?.has(PermissionFlagsBits.Administrator) ||
+    (!!ARBITRATOR_ROLE_ID && member?.roles?.cache?.has(ARBITRATOR_ROLE_ID))
+  );
+}
+
+/**
+ * Handles /dispute subcommands.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The slash command interaction.
+ * @returns {Promise<void>} Resolves after the interaction reply is sent.
+ */
+export async function execute(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  if (!canResolveDisputes(interaction.member)) {
+    await interaction.editReply({
+      content: '❌ Only arbitrators can resolve disputes.',
+    });
+    return;
+  }
+
+  const buyerPercent = interaction.options.getNumber('buyer_percent', true);
+  const sellerPercent = interaction.options.getNumber('seller_percent', true);
+  const buyerShareBps = Math.round(buyerPercent * 100);
+  const sellerShareBps = Math.round(sellerPercent * 100);
+
+  if (buyerShareBps + sellerShareBps !== 10_000) {
+    await interaction.editReply({
+      content: '❌ The buyer and seller percentages must add up to 100.',
+    });
+    return;
+  }
+
+  let lockedTradeId = null;
+
+  try {
+    const {
+      getRegisteredTradeMessage,
+      getTradeByChannelId,
+      recordDisputeResolution,
+      refreshTradeMessage,
+    } = await import('../utils/walletServer.js');
+
+    const tradeIdOption = interaction.options.getString('trade_id');
+    const tradeData = tradeIdOption
+      ? await getRegisteredTradeMessage(tradeIdOption)
+      : await getTradeByChannelId(interaction.channelId);
+
+    if (!tradeData || tradeData.guild_id !== interaction.guildId) {
+      await interaction.editReply({
+        content: tradeIdOption
+          ? `❌ Trade \`${tradeIdOption}\` was not found.`
+          : '❌ Run this command inside a trade thread or pass a `trade_id`.',
+      });
+      return;
+    }
+
+    // Arbitrators cannot move the escrowed funds of their own trade.
+    if (
+      interaction.user.id === tradeData.buyer_id ||
+      interaction.user.id === tradeData.seller_id
+    ) {
+      await interaction.editReply({
+        content:
+          '❌ You are a participant of this trade, so another arbitrator has to resolve its dispute.',
+      });
+      return;
+    }
+
+    if (tradeData.status === TRADE_STATUS.COMPLETED) {
+      await interaction.editReply({
+        content: '✅ This trade has already been completed.',
+      });
+      return;
+    }
+
+    if (
+      tradeData.status !== TRADE_STATUS.DISPUTED ||
+      !tradeData.escrow_trade_id
+    ) {
+      await interaction.editReply({
+        content: '❌ This trade is not in dispute.',
+      });
+      return;
+    }
+
+    if (pendingResolutions.has(tradeData.trade_id)) {
+      await interaction.editReply({
+        content: '⏳ This dispute is already being resolved. Please wait.',
+      });
+      return;
+    }
+
+    pendingResolutions.add(tradeData.trade_id);
+    lockedTradeId = tradeData.trade_id;
+
+    const network = getTradeNetwork(tradeData);
+    const resolution = await resolveEscrowDispute(
+      network,
+      tradeData.escrow_trade_id,
+      buyerShareBps,
+      sellerShareBps,
+    );
+
+    // The funds are paid out from here on; a failed write is picked up by the
+    // escrow indexer, which also prompts the reviews once it completes the trade.
+    let updatedTrade = null;
+    try {
+      updatedTrade = await recordDisputeResolution(
+        tradeData.trade_id,
+        resolution,
+        {
+          resolvedBy: interaction.user.id,
+          buyerShareBps,
+          sellerShareBps,
+        },
+      );
+    } catch (recordError) {
+      logger.error(
+        'Dispute resolution went through on-chain but was not recorded:',
+        {
+          tradeId: tradeData.trade_id,
+          txHash: resolution.txHash,
+          error: recordError,
+        },
+      );
+    }
+
+    if (updatedTrade) {
+      await refreshTradeMessage(tradeData.trade_id, updatedTrade).catch((err) =>
+        logger.warn('Failed to refresh trade message after resolution:', {
+          tradeId: tradeData.trade_id,
+          error: err.message,
+        }),
+      );
+    }
+
+    logger.info('Dispute resolved', {
+      tradeId: tradeData.trade_id,
+      resolvedBy: interaction.user.id,
+      buyerShareBps,
+      sellerShareBps,
+      txHash: resolution.txHash,
+    });
+
+    const explorerUrl = getExplorerTxUrl(resolution.txHash, network);
+    const txText = explorerUrl ? ` [View transaction](${explorerUrl})` : '';
+
+    await interaction.editReply({
+      content: updatedTrade
+        ? `✅ Dispute for trade \`${tradeData.trade_id}\` resolved.${txText}`
+        : `✅ Dispute for trade \`${tradeData.trade_id}\` resolved on-chain (transaction \`${resolution.txHash}\`), but the trade is still syncing and will update shortly.${txText}`,
+    });
+
+    const thread = await interaction.client.channels
+      .fetch(tradeData.channel_id)
+      .catch(() => null);
+    await thread
+      ?.send({
+        content:
+          `⚖️ <@${interaction.user.id}> resolved the dispute: **${buyerPercent}%** to <@${tradeData.buyer_id}> ` +
+          `and **${sellerPercent}%** to <@${tradeData.seller_id}> (after escrow fees).${txText}`,
+        allowedMentions: { users: [tradeData.buyer_id, tradeData.seller_id] },
+      })
+      .catch((error) =>
+        logger.warn('Failed to announce dispute resolution:', error.message),
+      );
+
+    if (updatedTrade) {
+      await promptTradeReviews(interaction.client, updatedTrade);
+    }
+  } catch (error) {
+    logger.error('Error in /dispute resolve:', error);
+    await interaction.editReply({
+      content: '❌ Unable to resolve the dispute on-chain. Please try again.',
+    });
+  } finally {
+    if (lockedTradeId) {
+      pendingResolutions.delete(lockedTradeId);
+    }
+  }
+}
@@ -0,0 +1,173 @@
+import {
+  InteractionContextType,
+  MessageFlags,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} from 'discord.js';
+
+import { env } from '../config/env.js';
+import { MAX_FEE_BPS, getGuildFeePolicy } from '../utils/feePolicy.js';
+import { formatFeeRate } from '../utils/fees.js';
+import { updateGuildSettings } from '../utils/guildSettings.js';
+import { logger } from '../utils/logger.js';
+import { formatUsd, parseUsd } from '../utils/money.js';
+
+const DAY_MS = 86_400_000;
+
+export const data = new SlashCommandBuilder()
+  .setName('fees')
+  .setDescription('Manage the trade fees charged in this server')
+  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+  .setContexts([InteractionContextType.Guild])
+
+  // /fees view
+  .addSubcommand((sub) =>
+    sub.setName('view').setDescription('Show the fee policy for new trades'),
+  )
+
+  // /fees set
+  .addSubcommand((sub) =>
+    sub
+      .setName('set')
+      .setDescription('Override the fee rate or minimum fee for this server')
+      .addIntegerOption((opt) =>
+        opt
+          .setName('rate_bps')
+          .setDescription('Fee per side in basis points (250 = 2.5%)')
+          .setMinValue(0)
+          .setMaxValue(MAX_FEE_BPS),
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName('minimum_usd')
+          .setDescription('Minimum fee per side in USD (0 for none)'),
+      ),
+  )
+
+  // /fees promo
+  .addSubcommand((sub) =>
+    sub
+      .setName('promo')
+      .setDescription('Run a zero-fee promotion for new trades')
+      .addNumberOption((opt) =>
+        opt
+          .setName('days')
+          .setDescription('Length of the promotion in days (0 ends it)')
+          .setMinValue(0)
+          .setMaxValue(365)
+          .setRequired(true),
+      ),
+  )
+
+  // /fees reset
+  .addSubcommand((sub) =>
+    sub
+      .setName('reset')
+      .setDescription('Drop all fee overrides and use the default policy'),
+  );
+
+/**
+ * Describes a fee policy for the /fees replies.
+ *
+ * @param {import('../utils/feePolicy.js').FeePolicy} policy - Resolved policy.
+ * @returns {string}
+ */
+function describePolicy(policy) {
+  const lines = [
+    `• **Rate:** ${formatFeeRate(policy.feeBps)} per side`,
+    `• **Minimum fee:** ${
+      policy.minFeeCents > 0n
+        ? `$${formatUsd(policy.minFeeCents)} per side`
+        : 'none'
+    }`,
+  ];
+
+  if (policy.promoUntil) {
+    const promoTs = Math.floor(policy.promoUntil.getTime() / 1000);
+    lines.push(`• **Zero-fee promotion** until <t:${promoTs}:f>`);
+  }
+
+  lines.push(
+    policy.overridden
+      ? `-# Overrides the default of ${formatFeeRate(env.FEE_BPS)}. Open trades keep the fee they were created with.`
+      : '-# Default policy. Open trades keep the fee they were created with.',
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Handles /fees subcommands.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The slash command interaction.
+ * @returns {Promise<void>} Resolves after the interaction reply is sent.
+ */
+export async function execute(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const subcommand = interaction.options.getSubcommand();
+  const { guildId } = interaction;
+
+  try {
+    if (subcommand === 'set') {
+      const rateBps = interaction.options.getInteger('rate_bps');
+      const minimumInput = interaction.options.getString('minimum_usd');
+      const changes = {};
+
+      if (rateBps !== null) {
+        changes.fee_bps = rateBps;
+      }
+
+      if (minimumInput !== null) {
+        const minimumCents = parseUsd(minimumInput);
+        if (minimumCents === null) {
+          await interaction.editReply({
+            content:
+              '❌ **Invalid minimum fee:** enter a USD amount, e.g. 0.50',
+          });
+          return;
+        }
+        changes.fee_min_cents = minimumCents.toString();
+      }
+
+      if (!Object.keys(changes).length) {
+        await interaction.editReply({
+          content: '❌ Pass a `rate_bps` and/or a `minimum_usd`.',
+        });
+        return;
+      }
+
+      await updateGuildSettings(guildId, changes);
+    } else if (subcommand === 'promo') {
+      const days = interaction.options.getNumber('days', true);
+      await updateGuildSettings(guildId, {
+        fee_promo_until:
+          days > 0 ? new Date(Date.now() + days * DAY_MS).toISOString() : null,
+      });
+    } else if (subcommand === 'reset') {
+      await updateGuildSettings(guildId, {
+        fee_bps: null,
+        fee_min_cents: null,
+        fee_promo_until: null,
+      });
+    }
+
+    if (subcommand !== 'view') {
+      logger.info('Guild fee policy updated', {
+        guildId,
+        subcommand,
+        updatedBy: interaction.user.id,
+      });
+    }
+
+    const policy = await getGuildFeePolicy(guildId);
+    await interaction.editReply({
+      content: `${subcommand === 'view' ? '💸' : '✅'} **Fee policy for new trades**\n${describePolicy(policy)}`,
+    });
+  } catch (error) {
+    logger.error('Failed to handle /fees command:', error);
+    await interaction.editReply({
+      content: '❌ Failed to update the fee policy. Please try again.',
+    });
+  }
+}
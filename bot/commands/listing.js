@@ -0,0 +1,265 @@
+import {
+  ChannelType,
+  InteractionContextType,
+  MessageFlags,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} from 'discord.js';
+
+import { buildListingModal } from '../utils/components/modals.js';
+import { updateGuildSettings } from '../utils/guildSettings.js';
+import {
+  LISTING_STATUS,
+  getListing,
+  getMarketplaceChannelId,
+  getSellerListings,
+  refreshListingMessage,
+  updateListing,
+} from '../utils/listings.js';
+import { logger } from '../utils/logger.js';
+import { formatUsd } from '../utils/money.js';
+
+// Discord allows at most 25 autocomplete choices of up to 100 characters.
+const MAX_CHOICES = 25;
+const MAX_CHOICE_LENGTH = 100;
+
+// Status each listing subcommand moves the listing to, and the reply sent.
+const STATUS_CHANGES = Object.freeze({
+  pause: {
+    status: LISTING_STATUS.PAUSED,
+    reply: '⏸️ Listing paused. Buyers cannot start new trades from it.',
+  },
+  resume: {
+    status: LISTING_STATUS.ACTIVE,
+    reply: '✅ Listing is active again.',
+  },
+  'sold-out': {
+    status: LISTING_STATUS.SOLD_OUT,
+    reply: '📦 Listing marked as sold out. Use `/listing resume` to restock.',
+  },
+  delete: {
+    status: LISTING_STATUS.DELETED,
+    reply: '🗑️ Listing deleted and removed from the marketplace.',
+  },
+});
+
+/**
+ * Adds the required listing option with autocomplete to a subcommand.
+ *
+ * @param {import('discord.js').SlashCommandSubcommandBuilder} sub - Subcommand builder.
+ * @returns {import('discord.js').SlashCommandSubcommandBuilder}
+ */
+function addListingOption(sub) {
+  return sub.addStringOption((opt) =>
+    opt
+      .setName('listing')
+      .setDescription('One of your listings')
+      .setRequired(true)
+      .setAutocomplete(true),
+  );
+}
+
+export const data = new SlashCommandBuilder()
+  .setName('listing')
+  .setDescription('Post and manage your marketplace listings')
+  .setContexts([InteractionContextType.Guild])
+
+  // /listing create
+  .addSubcommand((sub) =>
+    sub
+      .setName('create')
+      .setDescription('Post a standing offer to the marketplace channel'),
+  )
+
+  // /listing edit
+  .addSubcommand((sub) =>
+    addListingOption(
+      sub.setName('edit').setDescription('Change the terms of a listing'),
+    ),
+  )
+
+  // /listing pause
+  .addSubcommand((sub) =>
+    addListingOption(
+      sub.setName('pause').setDescription('Stop accepting buyers for a while'),
+    ),
+  )
+
+  // /listing resume
+  .addSubcommand((sub) =>
+    addListingOption(
+      sub
+        .setName('resume')
+        .setDescription('Reactivate a paused or sold-out listing'),
+    ),
+  )
+
+  // /listing sold-out
+  .addSubcommand((sub) =>
+    addListingOption(
+      sub.setName('sold-out').setDescription('Mark a listing as sold out'),
+    ),
+  )
+
+  // /listing delete
+  .addSubcommand((sub) =>
+    addListingOption(
+      sub
+        .setName('delete')
+        .setDescription('Remove a listing from the marketplace'),
+    ),
+  )
+
+  // /listing channel
+  .addSubcommand((sub) =>
+    sub
+      .setName('channel')
+      .setDescription('Choose the marketplace channel (administrators only)')
+      .addChannelOption((opt) =>
+        opt
+          .setName('channel')
+          .setDescription('Channel listings are posted in')
+          .addChannelTypes(ChannelType.GuildText)
+          .setRequired(true),
+      ),
+  );
+
+/**
+ * Suggests the invoking seller's listings for the listing option.
+ *
+ * @param {import('discord.js').AutocompleteInteraction} interaction - The autocomplete interaction.
+ * @returns {Promise<void>}
+ */
+export async function autocomplete(interaction) {
+  const query = interaction.options.getFocused().toLowerCase();
+  const listings = await getSellerListings(
+    interaction.guildId,
+    interaction.user.id,
+  );
+
+  await interaction.respond(
+    listings
+      .filter((listing) => listing.item.toLowerCase().includes(query))
+      .slice(0, MAX_CHOICES)
+      .map((listing) => {
+        const suffix = ` · $${formatUsd(BigInt(listing.price_cents))} · ${listing.status}`;
+        return {
+          name: `${listing.item.slice(0, MAX_CHOICE_LENGTH - suffix.length)}${suffix}`,
+          value: listing.listing_id,
+        };
+      }),
+  );
+}
+
+/**
+ * Handles /listing subcommands.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The slash command interaction.
+ * @returns {Promise<void>} Resolves after the interaction reply is sent.
+ */
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  // Modals must be the first response, so these are not deferred.
+  if (subcommand === 'create' || subcommand === 'edit') {
+    await showListingModal(interaction, subcommand);
+    return;
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  try {
+    if (subcommand === 'channel') {
+      if (
+        !interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)
+      ) {
+        await interaction.editReply({
+          content: '❌ Only administrators can choose the marketplace channel.',
+        });
+        return;
+      }
+
+      const channel = interaction.options.getChannel('channel', true);
+      await updateGuildSettings(interaction.guildId, {
+        marketplace_channel_id: channel.id,
+      });
+
+      logger.info('Marketplace channel updated', {
+        guildId: interaction.guildId,
+        channelId: channel.id,
+        updatedBy: interaction.user.id,
+      });
+
+      await interaction.editReply({
+        content: `✅ New listings are now posted in ${channel}.`,
+      });
+      return;
+    }
+
+    const change = STATUS_CHANGES[subcommand];
+    const listingId = interaction.options.getString('listing', true);
+    const listing = await updateListing(listingId, interaction.user.id, {
+      status: change.status,
+    });
+
+    if (!listing) {
+      await interaction.editReply({
+        content: '❌ That listing could not be found among your listings.',
+      });
+      return;
+    }
+
+    await refreshListingMessage(interaction.client, listing);
+
+    logger.info('Listing status changed', {
+      listingId,
+      status: change.status,
+      sellerId: interaction.user.id,
+    });
+
+    await interaction.editReply({ content: change.reply });
+  } catch (error) {
+    logger.error('Failed to handle /listing command:', error);
+    await interaction.editReply({
+      content: '❌ Failed to update the listing. Please try again.',
+    });
+  }
+}
+
+/**
+ * Opens the listing modal for a new listing or one of the seller's listings.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The slash command interaction.
+ * @param {'create'|'edit'} subcommand - Invoked subcommand.
+ * @returns {Promise<void>}
+ */
+async function showListingModal(interaction, subcommand) {
+  const reply = (content) =>
+    interaction.reply({ content, flags: MessageFlags.Ephemeral });
+
+  if (subcommand === 'create') {
+    if (!(await getMarketplaceChannelId(interaction.guildId))) {
+      await reply(
+        '❌ No marketplace channel is set up yet. Ask an administrator to run `/listing channel`.',
+      );
+      return;
+    }
+
+    await interaction.showModal(buildListingModal());
+    return;
+  }
+
+  const listing = await getListing(
+    interaction.options.getString('listing', true),
+  );
+  if (
+    !listing ||
+    listing.seller_id !== interaction.user.id ||
+    listing.status === LISTING_STATUS.DELETED
+  ) {
+    await reply('❌ That listing could not be found among your listings.');
+    return;
+  }
+
+  await interaction.showModal(buildListingModal(listing));
+}
@@ -0,0 +1,131 @@
+import {
+  InteractionContextType,
+  MessageFlags,
+  SlashCommandBuilder,
+} from 'discord.js';
+
+import { buildMarketSearchMessage, searchListings } from '../utils/listings.js';
+import { logger } from '../utils/logger.js';
+import { parseUsd } from '../utils/money.js';
+import { MAX_TRADE_CENTS } from '../utils/validation.js';
+
+// Discord allows at most 25 autocomplete choices of up to 100 characters.
+const MAX_CHOICES = 25;
+const MAX_CHOICE_LENGTH = 100;
+// Keeps the keyword short enough to fit in the pagination custom IDs.
+const MAX_KEYWORD_LENGTH = 32;
+
+export const data = new SlashCommandBuilder()
+  .setName('market')
+  .setDescription('Browse the marketplace listings of this server')
+  .setContexts([InteractionContextType.Guild])
+
+  // /market search
+  .addSubcommand((sub) =>
+    sub
+      .setName('search')
+      .setDescription('Find active listings')
+      .addStringOption((opt) =>
+        opt
+          .setName('keyword')
+          .setDescription('Text the item or description contains')
+          .setMaxLength(MAX_KEYWORD_LENGTH)
+          .setAutocomplete(true),
+      )
+      .addStringOption((opt) =>
+        opt.setName('min_price').setDescription('Lowest price in USD'),
+      )
+      .addStringOption((opt) =>
+        opt.setName('max_price').setDescription('Highest price in USD'),
+      )
+      .addUserOption((opt) =>
+        opt.setName('seller').setDescription('Only listings by this seller'),
+      ),
+  );
+
+/**
+ * Suggests item names of active listings in this server for the keyword.
+ *
+ * @param {import('discord.js').AutocompleteInteraction} interaction - The autocomplete interaction.
+ * @returns {Promise<void>}
+ */
+export async function autocomplete(interaction) {
+  const listings = await searchListings(
+    interaction.guildId,
+    {
+      keyword: interaction.options.getFocused() || null,
+      minCents: null,
+      maxCents: null,
+      sellerId: null,
+    },
+    { limit: MAX_CHOICES },
+  );
+
+  const items = [...new Set(listings.map((listing) => listing.item))];
+  await interaction.respond(
+    items.slice(0, MAX_CHOICES).map((item) => ({
+      name: item.slice(0, MAX_CHOICE_LENGTH),
+      value: item.slice(0, MAX_KEYWORD_LENGTH),
+    })),
+  );
+}
+
+/**
+ * Handles /market subcommands.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The slash command interaction.
+ * @returns {Promise<void>} Resolves after the interaction reply is sent.
+ */
+export async function execute(interaction) {
+  const minPrice = interaction.options.getString('min_price');
+  const maxPrice = interaction.options.getString('max_price');
+  // No listing costs more than a trade may, which also keeps the bounds
+  // short enough for the pagination custom IDs.
+  const toCents = (value) => {
+    const cents = parseUsd(value);
+    return cents !== null && cents > MAX_TRADE_CENTS ? MAX_TRADE_CENTS : cents;
+  };
+  const minCents = minPrice ? toCents(minPrice) : null;
+  const maxCents = maxPrice ? toCents(maxPrice) : null;
+
+  if ((minPrice && minCents === null) || (maxPrice && maxCents === null)) {
+    await interaction.reply({
+      content:
+        '❌ **Invalid Price:** Enter prices as plain USD amounts (e.g. 50 or 49.99).',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  if (minCents !== null && maxCents !== null && minCents > maxCents) {
+    await interaction.reply({
+      content: '❌ The minimum price is higher than the maximum price.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const filters = {
+    keyword: interaction.options.getString('keyword')?.trim() || null,
+    minCents,
+    maxCents,
+    sellerId: interaction.options.getUser('seller')?.id ?? null,
+  };
+
+  let message;
+  try {
+    message = await buildMarketSearchMessage(interaction.guildId, filters);
+  } catch (error) {
+    logger.error('Failed to handle /market command:', error);
+    await interaction.reply({
+      content: '❌ Failed to search the marketplace. Please try again.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await interaction.reply({
+    ...message,
+    flags: MessageFlags.Ephemeral | MessageFlags.IsComponentsV2,
+  });
+}
@@ -0,0 +1,104 @@
+import {
+  InteractionContextType,
+  MessageFlags,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} from 'discord.js';
+
+import { getSupportedAssets } from '../utils/assets.js';
+import { updateGuildSettings } from '../utils/guildSettings.js';
+import { logger } from '../utils/logger.js';
+import { getGuildNetwork, getNetwork, getNetworks } from '../utils/networks.js';
+
+// Discord allows at most 25 choices per option.
+const MAX_CHOICES = 25;
+
+export const data = new SlashCommandBuilder()
+  .setName('network')
+  .setDescription('Manage the escrow network used by this server')
+  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+  .setContexts([InteractionContextType.Guild])
+
+  // /network list
+  .addSubcommand((sub) =>
+    sub.setName('list').setDescription('List the supported escrow networks'),
+  )
+
+  // /network set
+  .addSubcommand((sub) =>
+    sub
+      .setName('set')
+      .setDescription('Choose the default network for new trades')
+      .addIntegerOption((opt) =>
+        opt
+          .setName('network')
+          .setDescription('Network new trades run on')
+          .setRequired(true)
+          .addChoices(
+            ...getNetworks()
+              .slice(0, MAX_CHOICES)
+              .map((network) => ({
+                name: network.name,
+                value: network.chainId,
+              })),
+          ),
+      ),
+  );
+
+/**
+ * Handles /network subcommands.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The slash command interaction.
+ * @returns {Promise<void>} Resolves after the interaction reply is sent.
+ */
+export async function execute(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  try {
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'list') {
+      const current = await getGuildNetwork(interaction.guildId);
+      const lines = getNetworks().map((network) => {
+        const assets = getSupportedAssets(network)
+          .map((asset) => asset.symbol)
+          .join(', ');
+        const marker =
+          network.chainId === current.chainId ? ' · **default**' : '';
+        return `• **${network.name}** (chain ${network.chainId}) · ${assets}${marker}`;
+      });
+
+      await interaction.editReply({
+        content: `🌐 Supported escrow networks:\n${lines.join('\n')}`,
+      });
+      return;
+    }
+
+    const network = getNetwork(interaction.options.getInteger('network', true));
+    if (!network) {
+      await interaction.editReply({
+        content: '❌ That network is not configured.',
+      });
+      return;
+    }
+
+    await updateGuildSettings(interaction.guildId, {
+      chain_id: network.chainId,
+    });
+
+    logger.info('Guild network updated', {
+      guildId: interaction.guildId,
+      chainId: network.chainId,
+      updatedBy: interaction.user.id,
+    });
+
+    await interaction.editReply({
+      content: `✅ New trades in this server now run on **${network.name}**. Open trades keep their network.`,
+    });
+  } catch (error) {
+    logger.error('Failed to handle /network command:', error);
+    await interaction.editReply({
+      content: '❌ Failed to update the network settings. Please try again.',
+    });
+  }
+}
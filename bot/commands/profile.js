@@ -0,0 +1,45 @@
+import {
+  InteractionContextType,
+  MessageFlags,
+  SlashCommandBuilder,
+} from 'discord.js';
+
+import { buildProfileContainer } from '../utils/components/containers.js';
+import { logger } from '../utils/logger.js';
+import { getReputation } from '../utils/reputation.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('profile')
+  .setDescription('Show the trading reputation of a user in this server')
+  .setContexts([InteractionContextType.Guild])
+  .addUserOption((opt) =>
+    opt.setName('user').setDescription('User to look up (defaults to you)'),
+  );
+
+/**
+ * Handles /profile.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The slash command interaction.
+ * @returns {Promise<void>} Resolves after the interaction reply is sent.
+ */
+export async function execute(interaction) {
+  const user = interaction.options.getUser('user') ?? interaction.user;
+
+  let reputation;
+  try {
+    reputation = await getReputation(user.id, interaction.guildId);
+  } catch (error) {
+    logger.error('Failed to handle /profile command:', error);
+    await interaction.reply({
+      content: '❌ Failed to load the profile. Please try again.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await interaction.reply({
+    components: [buildProfileContainer(user, reputation).toJSON()],
+    flags: MessageFlags.Ephemeral | MessageFlags.IsComponentsV2,
+    allowedMentions: { parse: [] },
+  });
+}
@@ -0,0 +1,609 @@
+import {
+  InteractionContextType,
+  MessageFlags,
+  SlashCommandBuilder,
+} from 'discord.js';
+
+import { buildTradeAuditLogContainer } from '../utils/components/containers.js';
+import { hasFundingCreatedEscrow } from '../utils/escrow.js';
+import { logger } from '../utils/logger.js';
+import { formatUsd } from '../utils/money.js';
+import { getTradeNetwork } from '../utils/networks.js';
+import {
+  AUDIT_ACTION,
+  getTradeAuditLog,
+  isStaffMember,
+  recordAuditEntry,
+} from '../utils/staff.js';
+import {
+  buildTradeInfoMessage,
+  getRecentGuildTrades,
+  getUserTrades,
+} from '../utils/tradeHistory.js';
+import {
+  TRADE_STATUS,
+  TradeTransitionError,
+  isPreFundingStatus,
+  isTerminalStatus,
+  transitionTrade,
+} from '../utils/tradeStateMachine.js';
+import {
+  clearPendingFunding,
+  getFeeAuthorizationExpiry,
+  getRegisteredTradeMessage,
+  refreshTradeMessage,
+  resetTradeConfirmation,
+} from '../utils/walletServer.js';
+
+// Discord allows at most 25 autocomplete choices of up to 100 characters.
+const MAX_CHOICES = 25;
+const MAX_CHOICE_LENGTH = 100;
+// Trades staff can pick from in autocomplete, newest first.
+const STAFF_AUTOCOMPLETE_TRADES = 200;
+const MAX_REASON_LENGTH = 200;
+
+/**
+ * Adds the trade ID option with autocomplete to a subcommand.
+ *
+ * @param {import('discord.js').SlashCommandSubcommandBuilder} sub - Subcommand builder.
+ * @returns {import('discord.js').SlashCommandSubcommandBuilder}
+ */
+function addTradeIdOption(sub) {
+  return sub.addStringOption((opt) =>
+    opt
+      .setName('trade_id')
+      .setDescription('Trade ID, or search by item')
+      .setRequired(true)
+      .setAutocomplete(true),
+  );
+}
+
+/**
+ * Adds the required reason option recorded in the audit log.
+ *
+ * @param {import('discord.js').SlashCommandSubcommandBuilder} sub - Subcommand builder.
+ * @returns {import('discord.js').SlashCommandSubcommandBuilder}
+ */
+function addReasonOption(sub) {
+  return sub.addStringOption((opt) =>
+    opt
+      .setName('reason')
+      .setDescription('Why you are taking this action (kept in the audit log)')
+      .setMaxLength(MAX_REASON_LENGTH)
+      .setRequired(true),
+  );
+}
+
+export const data = new SlashCommandBuilder()
+  .setName('trade')
+  .setDescription('Look up escrow trades')
+  .setContexts([InteractionContextType.Guild])
+
+  // /trade info
+  .addSubcommand((sub) =>
+    addTradeIdOption(
+      sub
+        .setName('info')
+        .setDescription('Show the full details and timeline of a trade'),
+    ),
+  )
+
+  // /trade admin ...
+  .addSubcommandGroup((group) =>
+    group
+      .setName('admin')
+      .setDescription('Staff tools for any trade of this server')
+      .addSubcommand((sub) =>
+        addReasonOption(
+          addTradeIdOption(
+            sub
+              .setName('view')
+              .setDescription('Show a trade with its staff audit log'),
+          ),
+        ),
+      )
+      .addSubcommand((sub) =>
+        addReasonOption(
+          addTradeIdOption(
+            sub
+              .setName('force-cancel')
+              .setDescription('Cancel an unfunded trade'),
+          ),
+        ),
+      )
+      .addSubcommand((sub) =>
+        addReasonOption(
+          addTradeIdOption(
+            sub
+              .setName('add-staff')
+              .setDescription('Add a staff member to the trade thread'),
+          ).addUserOption((opt) =>
+            opt
+              .setName('moderator')
+              .setDescription('Staff member to add')
+              .setRequired(true),
+          ),
+        ),
+      )
+      .addSubcommand((sub) =>
+        addReasonOption(
+          addTradeIdOption(
+            sub
+              .setName('unlock-wallet')
+              .setDescription(
+                "Reset a participant's confirmation so they can change wallet",
+              ),
+          ).addStringOption((opt) =>
+            opt
+              .setName('party')
+              .setDescription('Participant to unlock')
+              .setRequired(true)
+              .addChoices(
+                { name: 'Buyer', value: 'buyer' },
+                { name: 'Seller', value: 'seller' },
+              ),
+          ),
+        ),
+      )
+      .addSubcommand((sub) =>
+        addReasonOption(
+          addTradeIdOption(
+            sub
+              .setName('clear-funding')
+              .setDescription(
+                'Drop a pending funding transaction that never funded the escrow',
+              ),
+          ),
+        ),
+      )
+      .addSubcommand((sub) =>
+        addReasonOption(
+          addTradeIdOption(
+            sub
+              .setName('resync')
+              .setDescription('Re-render the trade message in its thread'),
+          ),
+        ),
+      ),
+  );
+
+/**
+ * Suggests the caller's trades, or every recent trade for staff, matching
+ * the typed trade ID or item.
+ *
+ * @param {import('discord.js').AutocompleteInteraction} interaction - The autocomplete interaction.
+ * @returns {Promise<void>}
+ */
+export async function autocomplete(interaction) {
+  const query = interaction.options.getFocused().toLowerCase();
+  const trades = isStaffMember(interaction.member)
+    ? await getRecentGuildTrades(interaction.guildId, STAFF_AUTOCOMPLETE_TRADES)
+    : await getUserTrades(interaction.guildId, interaction.user.id);
+
+  await interaction.respond(
+    trades
+      .filter(
+        (trade) =>
+          trade.trade_id.toLowerCase().includes(query) ||
+          !!trade.item?.toLowerCase().includes(query),
+      )
+      .slice(0, MAX_CHOICES)
+      .map((trade) => {
+        const suffix = ` · $${formatUsd(BigInt(trade.price_cents ?? 0))} · ${trade.status} · ${trade.trade_id}`;
+        return {
+          name: `${(trade.item || 'Trade').slice(0, MAX_CHOICE_LENGTH - suffix.length)}${suffix}`,
+          value: trade.trade_id,
+        };
+      }),
+  );
+}
+
+/**
+ * Loads a trade of this server by the trade ID option.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The slash command interaction.
+ * @returns {Promise<object|null>} Trade row, or null if unknown in this server.
+ */
+async function getGuildTrade(interaction) {
+  const tradeId = interaction.options.getString('trade_id', true).trim();
+  const tradeData = await getRegisteredTradeMessage(tradeId);
+  return tradeData?.guild_id === interaction.guildId ? tradeData : null;
+}
+
+/**
+ * Handles /trade subcommands.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The slash command interaction.
+ * @returns {Promise<void>} Resolves after the interaction reply is sent.
+ */
+export async function execute(interaction) {
+  if (interaction.options.getSubcommandGroup() === 'admin') {
+    await executeAdmin(interaction);
+    return;
+  }
+
+  const reply = (content) =>
+    interaction.reply({ content, flags: MessageFlags.Ephemeral });
+
+  let message;
+  try {
+    const tradeData = await getGuildTrade(interaction);
+    const isParticipant =
+      tradeData?.buyer_id === interaction.user.id ||
+      tradeData?.seller_id === interaction.user.id;
+
+    // Trades of other servers, and of other users for non-staff, are
+    // reported as missing so IDs cannot be probed.
+    if (!tradeData || (!isParticipant && !isStaffMember(interaction.member))) {
+      await reply('❌ No trade with that ID was found among your trades.');
+      return;
+    }
+
+    message = await buildTradeInfoMessage(tradeData);
+  } catch (error) {
+    logger.error('Failed to handle /trade command:', error);
+    await reply('❌ Failed to load the trade. Please try again.');
+    return;
+  }
+
+  await interaction.reply({
+    ...message,
+    flags: MessageFlags.Ephemeral | MessageFlags.IsComponentsV2,
+    allowedMentions: { parse: [] },
+  });
+}
+
+/**
+ * Handles /trade admin subcommands. Every action requires the staff role
+ * and is recorded in the audit log with the given reason.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The slash command interaction.
+ * @returns {Promise<void>}
+ */
+async function executeAdmin(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+  const reason = interaction.options.getString('reason', true).trim();
+  const reply = (content) =>
+    interaction.reply({ content, flags: MessageFlags.Ephemeral });
+
+  if (!isStaffMember(interaction.member)) {
+    await reply('❌ Only staff can use the trade admin tools.');
+    return;
+  }
+
+  let tradeData;
+  try {
+    tradeData = await getGuildTrade(interaction);
+  } catch (error) {
+    logger.error('Failed to load trade for /trade admin:', error);
+    await reply('❌ Failed to load the trade. Please try again.');
+    return;
+  }
+
+  if (!tradeData) {
+    await reply('❌ No trade with that ID was found in this server.');
+    return;
+  }
+
+  const audit = (action, details) =>
+    recordAuditEntry({
+      trade: tradeData,
+      actorId: interaction.user.id,
+      action,
+      reason,
+      details,
+    });
+
+  // The details are only shown once the view is on record.
+  if (subcommand === 'view') {
+    let message;
+    try {
+      await audit(AUDIT_ACTION.VIEW);
+      message = await buildTradeInfoMessage(tradeData);
+      message.components.push(
+        buildTradeAuditLogContainer(
+          await getTradeAuditLog(tradeData.trade_id),
+        ).toJSON(),
+      );
+    } catch (error) {
+      logger.error('Failed to handle /trade admin view:', error);
+      await reply('❌ Failed to load the trade. Please try again.');
+      return;
+    }
+
+    await interaction.reply({
+      ...message,
+      flags: MessageFlags.Ephemeral | MessageFlags.IsComponentsV2,
+      allowedMentions: { parse: [] },
+    });
+    return;
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  let result;
+  try {
+    if (subcommand === 'force-cancel') {
+      result = await forceCancelTrade(interaction, tradeData, reason);
+    } else if (subcommand === 'add-staff') {
+      result = await addStaffToThread(interaction, tradeData, reason);
+    } else if (subcommand === 'unlock-wallet') {
+      result = await unlockParticipantWallet(interaction, tradeData, reason);
+    } else if (subcommand === 'clear-funding') {
+      result = await clearTradeFunding(interaction, tradeData, reason);
+    } else {
+      await refreshTradeMessage(tradeData.trade_id);
+      result = {
+        action: AUDIT_ACTION.RESYNC,
+        reply: '✅ The trade message was re-rendered from the current trade.',
+      };
+    }
+  } catch (error) {
+    logger.error(`Failed to handle /trade admin ${subcommand}:`, {
+      tradeId: tradeData.trade_id,
+      error,
+    });
+    await interaction.editReply({
+      content:
+        error instanceof TradeTransitionError
+          ? '❌ This trade changed in the meantime. Please check its current status.'
+          : '❌ The action failed. Please try again.',
+    });
+    return;
+  }
+
+  if (!result.action) {
+    await interaction.editReply({ content: result.reply });
+    return;
+  }
+
+  logger.info('Staff trade action', {
+    tradeId: tradeData.trade_id,
+    action: result.action,
+    actorId: interaction.user.id,
+    reason,
+  });
+
+  // The action already happened, so a failed audit write is reported
+  // rather than hidden behind a generic error.
+  try {
+    await audit(result.action, result.details);
+  } catch (error) {
+    logger.error('Failed to record staff trade action:', {
+      tradeId: tradeData.trade_id,
+      action: result.action,
+      error,
+    });
+    await interaction.editReply({
+      content: `${result.reply}\n⚠️ The action could not be recorded in the audit log.`,
+    });
+    return;
+  }
+
+  await interaction.editReply({ content: result.reply });
+}
+
+/**
+ * @typedef {object} StaffActionResult
+ * @property {string|null} action - Audit action taken, or null if refused.
+ * @property {object} [details] - Audit details of the action.
+ * @property {string} reply - Message for the staff member.
+ */
+
+/**
+ * Posts a staff notice to the trade thread.
+ *
+ * @param {import('discord.js').Client} client - Discord client.
+ * @param {object} tradeData - Trade row.
+ * @param {object} payload - Message payload.
+ * @returns {Promise<void>}
+ */
+async function sendThreadNotice(client, tradeData, payload) {
+  const thread = tradeData.channel_id
+    ? await client.channels.fetch(tradeData.channel_id).catch(() => null)
+    : null;
+  await thread?.send(payload).catch((error) =>
+    logger.warn('Failed to post staff notice to trade thread:', {
+      tradeId: tradeData.trade_id,
+      error: error.message,
+    }),
+  );
+}
+
+/**
+ * Cancels an unfunded trade on behalf of staff.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The slash command interaction.
+ * @param {object} tradeData - Trade row.
+ * @param {string} reason - Reason given by the staff member.
+ * @returns {Promise<StaffActionResult>}
+ */
+async function forceCancelTrade(interaction, tradeData, reason) {
+  if (isTerminalStatus(tradeData.status)) {
+    return {
+      action: null,
+      reply: `❌ This trade is already ${tradeData.status}.`,
+    };
+  }
+  if (!isPreFundingStatus(tradeData.status) || tradeData.funding_tx_hash) {
+    return {
+      action: null,
+      reply:
+        '❌ This trade has escrowed funds (or a pending funding transaction), so it cannot be cancelled. Use `/dispute resolve` to split the funds instead.',
+    };
+  }
+
+  // Re-checked by the update, as funding may have been submitted since.
+  const updatedTrade = await transitionTrade(
+    tradeData.trade_id,
+    TRADE_STATUS.CANCELLED,
+    {
+      cancelled_at: new Date().toISOString(),
+      cancelled_by: interaction.user.id,
+    },
+    { unfunded: true },
+  );
+  await refreshTradeMessage(tradeData.trade_id, updatedTrade);
+
+  await sendThreadNotice(interaction.client, tradeData, {
+    content: `🛑 <@${tradeData.buyer_id}> <@${tradeData.seller_id}>, staff cancelled this trade.\n**Reason:** ${reason}`,
+    allowedMentions: { users: [tradeData.buyer_id, tradeData.seller_id] },
+  });
+
+  return {
+    action: AUDIT_ACTION.FORCE_CANCEL,
+    details: { previousStatus: tradeData.status },
+    reply: '✅ Trade cancelled.',
+  };
+}
+
+/**
+ * Adds a staff member to the private thread of a trade.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The slash command interaction.
+ * @param {object} tradeData - Trade row.
+ * @param {string} reason - Reason given by the staff member.
+ * @returns {Promise<StaffActionResult>}
+ */
+async function addStaffToThread(interaction, tradeData, reason) {
+  const moderator = interaction.options.getUser('moderator', true);
+  const member = await interaction.guild.members
+    .fetch(moderator.id)
+    .catch(() => null);
+  if (!isStaffMember(member)) {
+    return {
+      action: null,
+      reply: `❌ ${moderator} does not have the staff role, so they cannot be added to trade threads.`,
+    };
+  }
+
+  const thread = tradeData.channel_id
+    ? await interaction.client.channels
+        .fetch(tradeData.channel_id)
+        .catch(() => null)
+    : null;
+  if (!thread?.isThread()) {
+    return {
+      action: null,
+      reply: '❌ The thread of this trade no longer exists.',
+    };
+  }
+
+  await thread.members.add(moderator.id);
+  await sendThreadNotice(interaction.client, tradeData, {
+    content: `🛡️ <@${moderator.id}> from staff joined this trade.\n**Reason:** ${reason}`,
+    allowedMentions: { parse: [] },
+  });
+
+  return {
+    action: AUDIT_ACTION.ADD_STAFF,
+    details: { moderatorId: moderator.id },
+    reply: `✅ ${moderator} was added to ${thread}.`,
+  };
+}
+
+/**
+ * Resets a participant's confirmation so they can connect another wallet.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The slash command interaction.
+ * @param {object} tradeData - Trade row.
+ * @param {string} reason - Reason given by the staff member.
+ * @returns {Promise<StaffActionResult>}
+ */
+async function unlockParticipantWallet(interaction, tradeData, reason) {
+  const party = interaction.options.getString('party', true);
+  const userId = party === 'buyer' ? tradeData.buyer_id : tradeData.seller_id;
+
+  if (
+    ![TRADE_STATUS.AWAITING_WALLETS, TRADE_STATUS.CONFIRMED].includes(
+      tradeData.status,
+    ) ||
+    tradeData.funding_tx_hash
+  ) {
+    return {
+      action: null,
+      reply: `❌ Wallets can only be unlocked before the escrow is funded (the trade is ${tradeData.status}).`,
+    };
+  }
+
+  const authorizedUntil = getFeeAuthorizationExpiry(tradeData);
+  if (authorizedUntil) {
+    return {
+      action: null,
+      reply: `❌ The buyer can fund the confirmed terms until <t:${Math.floor(authorizedUntil.getTime() / 1000)}:t>, so wallets can only be unlocked after that.`,
+    };
+  }
+
+  if (!tradeData[`${party}_confirmed`]) {
+    return {
+      action: null,
+      reply: `❌ The ${party} has not confirmed yet, so they can already change their wallet.`,
+    };
+  }
+
+  const updatedTrade = await resetTradeConfirmation(tradeData, party);
+  await refreshTradeMessage(tradeData.trade_id, updatedTrade);
+
+  await sendThreadNotice(interaction.client, tradeData, {
+    content: `🔓 <@${userId}>, staff unlocked your wallet so you can connect a different one. Confirm again once it is connected.\n**Reason:** ${reason}`,
+    allowedMentions: { users: [userId] },
+  });
+
+  return {
+    action: AUDIT_ACTION.UNLOCK_WALLET,
+    details: { party, userId, previousStatus: tradeData.status },
+    reply: `✅ The ${party}'s confirmation was reset.`,
+  };
+}
+
+/**
+ * Drops a pending funding transaction that never created an escrow trade,
+ * so the buyer can fund again or the trade can be cancelled.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The slash command interaction.
+ * @param {object} tradeData - Trade row.
+ * @param {string} reason - Reason given by the staff member.
+ * @returns {Promise<StaffActionResult>}
+ */
+async function clearTradeFunding(interaction, tradeData, reason) {
+  const txHash = tradeData.funding_tx_hash;
+  if (
+    tradeData.status !== TRADE_STATUS.CONFIRMED ||
+    !txHash ||
+    tradeData.escrow_trade_id
+  ) {
+    return {
+      action: null,
+      reply: '❌ This trade has no pending funding transaction to clear.',
+    };
+  }
+
+  if (await hasFundingCreatedEscrow(getTradeNetwork(tradeData), txHash)) {
+    return {
+      action: null,
+      reply:
+        '❌ This funding transaction created an escrow on-chain. It is linked to the trade once it is confirmed.',
+    };
+  }
+
+  const updatedTrade = await clearPendingFunding(tradeData.trade_id, txHash);
+  if (!updatedTrade) {
+    return {
+      action: null,
+      reply:
+        '❌ This trade changed in the meantime. Please check its current status.',
+    };
+  }
+  await refreshTradeMessage(tradeData.trade_id, updatedTrade);
+
+  await sendThreadNotice(interaction.client, tradeData, {
+    content: `🧹 <@${tradeData.buyer_id}>, staff cleared the pending funding transaction of this trade. You can fund the escrow again.\n**Reason:** ${reason}`,
+    allowedMentions: { users: [tradeData.buyer_id] },
+  });
+
+  return {
+    action: AUDIT_ACTION.CLEAR_FUNDING,
+    details: { txHash },
+    reply: '✅ The pending funding transaction was cleared.',
+  };
+}
@@ -0,0 +1,73 @@
+import {
+  InteractionContextType,
+  MessageFlags,
+  SlashCommandBuilder,
+} from 'discord.js';
+
+import { logger } from '../utils/logger.js';
+import {
+  OPEN_STATUS_FILTER,
+  buildTradeListMessage,
+} from '../utils/tradeHistory.js';
+import { TRADE_STATUS } from '../utils/tradeStateMachine.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('trades')
+  .setDescription('List the trades you took part in as buyer or seller')
+  .setContexts([InteractionContextType.Guild])
+  .addStringOption((opt) =>
+    opt
+      .setName('status')
+      .setDescription('Only show trades in this status')
+      .addChoices(
+        { name: 'Open (not finished yet)', value: OPEN_STATUS_FILTER },
+        { name: 'Awaiting wallets', value: TRADE_STATUS.AWAITING_WALLETS },
+        { name: 'Confirmed', value: TRADE_STATUS.CONFIRMED },
+        { name: 'Funded', value: TRADE_STATUS.FUNDED },
+        { name: 'Delivered', value: TRADE_STATUS.DELIVERED },
+        { name: 'Disputed', value: TRADE_STATUS.DISPUTED },
+        { name: 'Completed', value: TRADE_STATUS.COMPLETED },
+        { name: 'Cancelled', value: TRADE_STATUS.CANCELLED },
+        { name: 'Expired', value: TRADE_STATUS.EXPIRED },
+      ),
+  )
+  .addBooleanOption((opt) =>
+    opt
+      .setName('public')
+      .setDescription('Show the list to everyone in the channel'),
+  );
+
+/**
+ * Handles /trades.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The slash command interaction.
+ * @returns {Promise<void>} Resolves after the interaction reply is sent.
+ */
+export async function execute(interaction) {
+  const status = interaction.options.getString('status');
+  const isPublic = interaction.options.getBoolean('public') ?? false;
+
+  let message;
+  try {
+    message = await buildTradeListMessage(
+      interaction.guildId,
+      interaction.user.id,
+      status,
+    );
+  } catch (error) {
+    logger.error('Failed to handle /trades command:', error);
+    await interaction.reply({
+      content: '❌ Failed to load your trades. Please try again.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await interaction.reply({
+    ...message,
+    flags: isPublic
+      ? MessageFlags.IsComponentsV2
+      : MessageFlags.Ephemeral | MessageFlags.IsComponentsV2,
+    allowedMentions: { parse: [] },
+  });
+}
@@ -0,0 +1,78 @@
+import {
+  ChannelType,
+  InteractionContextType,
+  MessageFlags,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} from 'discord.js';
+
+import { updateGuildSettings } from '../utils/guildSettings.js';
+import { logger } from '../utils/logger.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('transcripts')
+  .setDescription(
+    'Manage where trade thread transcripts are archived in this server',
+  )
+  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+  .setContexts([InteractionContextType.Guild])
+
+  // /transcripts channel
+  .addSubcommand((sub) =>
+    sub
+      .setName('channel')
+      .setDescription(
+        'Archive the transcript of every ended trade to a staff channel',
+      )
+      .addChannelOption((opt) =>
+        opt
+          .setName('channel')
+          .setDescription('Staff-only channel transcripts are posted in')
+          .addChannelTypes(ChannelType.GuildText)
+          .setRequired(true),
+      ),
+  )
+
+  // /transcripts disable
+  .addSubcommand((sub) =>
+    sub.setName('disable').setDescription('Stop archiving trade transcripts'),
+  );
+
+/**
+ * Handles /transcripts subcommands.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The slash command interaction.
+ * @returns {Promise<void>} Resolves after the interaction reply is sent.
+ */
+export async function execute(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const subcommand = interaction.options.getSubcommand();
+  const channel =
+    subcommand === 'channel'
+      ? interaction.options.getChannel('channel', true)
+      : null;
+
+  try {
+    await updateGuildSettings(interaction.guildId, {
+      staff_log_channel_id: channel?.id ?? null,
+    });
+
+    logger.info('Staff log channel updated', {
+      guildId: interaction.guildId,
+      channelId: channel?.id ?? null,
+      updatedBy: interaction.user.id,
+    });
+
+    await interaction.editReply({
+      content: channel
+        ? `✅ Transcripts of ended trades are now archived in ${channel}.`
+        : '✅ Trade transcripts are no longer archived.',
+    });
+  } catch (error) {
+    logger.error('Failed to handle /transcripts command:', error);
+    await interaction.editReply({
+      content: '❌ Failed to update the staff log channel. Please try again.',
+    });
+  }
+}
@@ -0,0 +1,76 @@
+import {
+  ChannelType,
+  InteractionContextType,
+  MessageFlags,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} from 'discord.js';
+
+import { updateGuildSettings } from '../utils/guildSettings.js';
+import { logger } from '../utils/logger.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('vouches')
+  .setDescription('Manage where trade reviews are posted in this server')
+  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+  .setContexts([InteractionContextType.Guild])
+
+  // /vouches channel
+  .addSubcommand((sub) =>
+    sub
+      .setName('channel')
+      .setDescription('Post reviews of completed trades to a channel')
+      .addChannelOption((opt) =>
+        opt
+          .setName('channel')
+          .setDescription('Channel reviews are posted in')
+          .addChannelTypes(ChannelType.GuildText)
+          .setRequired(true),
+      ),
+  )
+
+  // /vouches disable
+  .addSubcommand((sub) =>
+    sub
+      .setName('disable')
+      .setDescription('Stop posting reviews (they still count for reputation)'),
+  );
+
+/**
+ * Handles /vouches subcommands.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The slash command interaction.
+ * @returns {Promise<void>} Resolves after the interaction reply is sent.
+ */
+export async function execute(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const subcommand = interaction.options.getSubcommand();
+  const channel =
+    subcommand === 'channel'
+      ? interaction.options.getChannel('channel', true)
+      : null;
+
+  try {
+    await updateGuildSettings(interaction.guildId, {
+      vouches_channel_id: channel?.id ?? null,
+    });
+
+    logger.info('Vouches channel updated', {
+      guildId: interaction.guildId,
+      channelId: channel?.id ?? null,
+      updatedBy: interaction.user.id,
+    });
+
+    await interaction.editReply({
+      content: channel
+        ? `✅ Reviews of completed trades are now posted in ${channel}.`
+        : '✅ Reviews are no longer posted to a vouches channel.',
+    });
+  } catch (error) {
+    logger.error('Failed to handle /vouches command:', error);
+    await interaction.editReply({
+      content: '❌ Failed to update the vouches channel. Please try again.',
+    });
+  }
+}
@@ -24,7 +24,8 @@ dotenv.config({ quiet: true });
  * @type {Object}
  * @property {string} TOKEN - Discord bot token for authentication
  * @property {string} GUILD_ID - Discord guild (server) ID for command registration
- * @property {string} ADMIN_ROLE_ID - Role ID for admin permissions
+ * @property {string} ADMIN_ROLE_ID - Staff role allowed to look up and administer any trade (`/trade admin`)
+ * @property {string} ARBITRATOR_ROLE_ID - Role pinged into disputed trades and allowed to resolve them (defaults to ADMIN_ROLE_ID)
  * @property {string} NETWORK_PRIVATE_KEY - Private key for blockchain transactions
  * @property {string} NETWORK_RPC_URL - RPC URL for blockchain network connection
  * @property {number} NETWORK_CHAIN_ID - Chain ID for blockchain network
@@ -32,6 +33,21 @@ dotenv.config({ quiet: true });
  * @property {string} BOT_ADDRESS - Bot's blockchain wallet address
  * @property {string} ETHERSCAN_API_KEY - API key for Etherscan/block explorer
  * @property {string} AMIS_ESCROW_ADDRESS - Smart contract address for escrow
+ * @property {number} ESCROW_START_BLOCK - Block the escrow indexer starts from on first run (defaults to the chain head)
+ * @property {string} NATIVE_USD_PRICE - USD price of one ETH, or `SYMBOL:price` entries per native token, used by the `static` price source
+ * @property {string} PRICE_SOURCE - Price source used to quote trades in the native token (`static` or `coingecko`)
+ * @property {string} COINGECKO_ASSET_ID - CoinGecko id of ETH, or `SYMBOL:id` entries per native token, for the `coingecko` price source
+ * @property {number} PRICE_QUOTE_TTL_MINUTES - Minutes a quoted exchange rate stays locked for funding
+ * @property {string} ESCROW_TOKENS - Allow-listed ERC-20 stablecoins trades can settle in, as comma-separated `SYMBOL:address:decimals` entries
+ * @property {string} ESCROW_NETWORKS - JSON array of additional escrow deployments (`chainId`, `rpcUrl`, `escrowAddress`, optional `startBlock`, `tokens`, `name`, `explorerUrl`, `nativeSymbol`)
+ * @property {number} FEE_BPS - Standard fee charged on each side of a trade in basis points; must match the contract's `FEE_BPS`
+ * @property {string} FEE_MIN_USD - Minimum fee per side in USD; small trades are charged a higher rate up to the contract maximum
+ * @property {string} FEE_PROMO_START - ISO timestamp a server-wide zero-fee promotion starts at
+ * @property {string} FEE_PROMO_END - ISO timestamp the server-wide zero-fee promotion ends at
+ * @property {number} TRADE_INVITATION_TTL_MINUTES - Minutes a counterparty has to accept a trade invitation before it expires
+ * @property {number} UNFUNDED_TRADE_TTL_HOURS - Hours a trade can go without changes or funding before it expires
+ * @property {number} CANCELLED_THREAD_GRACE_MINUTES - Minutes a cancelled trade thread stays open before it is archived and locked
+ * @property {string} AUTO_RELEASE_WARNING_HOURS - Comma-separated hours before auto-release at which the buyer is warned (e.g. "12,1")
  * @property {string} DATABASE_URL - Database connection URL
  * @property {string} CONNECTION_STRING - Alternative database connection URL
  * @property {string} DATABASE_SSL - Database SSL configuration
@@ -45,6 +61,7 @@ export const env = {
   TOKEN: process.env.TOKEN?.trim() || '',
   GUILD_ID: process.env.GUILD_ID?.trim() || '',
   ADMIN_ROLE_ID: process.env.ADMIN_ROLE_ID?.trim() || '',
+  ARBITRATOR_ROLE_ID: process.env.ARBITRATOR_ROLE_ID?.trim() || '',
   NETWORK_PRIVATE_KEY: process.env.NETWORK_PRIVATE_KEY?.trim() || '',
   NETWORK_RPC_URL: process.env.NETWORK_RPC_URL?.trim() || '',
   NETWORK_CHAIN_ID: Number(process.env.NETWORK_CHAIN_ID) || 0,
@@ -52,6 +69,24 @@ export const env = {
   BOT_ADDRESS: process.env.BOT_ADDRESS?.trim() || '',
   ETHERSCAN_API_KEY: process.env.ETHERSCAN_API_KEY?.trim() || '',
   AMIS_ESCROW_ADDRESS: process.env.AMIS_ESCROW_ADDRESS?.trim() || '',
+  ESCROW_START_BLOCK: Number(process.env.ESCROW_START_BLOCK) || 0,
+  NATIVE_USD_PRICE: process.env.NATIVE_USD_PRICE?.trim() || '',
+  PRICE_SOURCE: process.env.PRICE_SOURCE?.trim().toLowerCase() || 'static',
+  COINGECKO_ASSET_ID: process.env.COINGECKO_ASSET_ID?.trim() || 'ethereum',
+  PRICE_QUOTE_TTL_MINUTES: Number(process.env.PRICE_QUOTE_TTL_MINUTES) || 15,
+  ESCROW_TOKENS: process.env.ESCROW_TOKENS?.trim() || '',
+  ESCROW_NETWORKS: process.env.ESCROW_NETWORKS?.trim() || '',
+  FEE_BPS: Number(process.env.FEE_BPS ?? 250),
+  FEE_MIN_USD: process.env.FEE_MIN_USD?.trim() || '0',
+  FEE_PROMO_START: process.env.FEE_PROMO_START?.trim() || '',
+  FEE_PROMO_END: process.env.FEE_PROMO_END?.trim() || '',
+  TRADE_INVITATION_TTL_MINUTES:
+    Number(process.env.TRADE_INVITATION_TTL_MINUTES) || 30,
+  UNFUNDED_TRADE_TTL_HOURS: Number(process.env.UNFUNDED_TRADE_TTL_HOURS) || 24,
+  CANCELLED_THREAD_GRACE_MINUTES:
+    Number(process.env.CANCELLED_THREAD_GRACE_MINUTES) || 10,
+  AUTO_RELEASE_WARNING_HOURS:
+    process.env.AUTO_RELEASE_WARNING_HOURS?.trim() || '12,1',
   DATABASE_URL: process.env.DATABASE_URL?.trim() || '',
   CONNECTION_STRING: process.env.CONNECTION_STRING?.trim() || '',
   DATABASE_SSL: process.env.DATABASE_SSL?.trim() || '',
@@ -111,6 +146,12 @@ export function validateRequiredEnvVars() {
     'CONNECTION_STRING',
     'DATABASE_SSL',
     'VITE_SERVER_URL',
+    'ARBITRATOR_ROLE_ID',
+    'NATIVE_USD_PRICE',
+    'ESCROW_TOKENS',
+    'ESCROW_NETWORKS',
+    'FEE_PROMO_START',
+    'FEE_PROMO_END',
   ]);
 
   // Add backend-specific optional variables
@@ -1,10 +1,14 @@
+import { startEscrowIndexer } from '../utils/escrowIndexer.js';
 import { logger } from '../utils/logger.js';
+import { startReleaseScheduler } from '../utils/releaseScheduler.js';
+import { startThreadSweeper } from '../utils/threadSweeper.js';
+import { startInvitationSweeper } from '../utils/tradeInvitations.js';
 
 export const name = 'clientReady';
 export const once = true;
 
 /**
- * Logs bot login info and readiness.
+ * Logs bot login info and readiness, then starts background escrow jobs.
  *
  * @param {import('discord.js').Client} client - The Discord client instance.
  * @returns {Promise<void>}
@@ -13,4 +17,9 @@ export async function execute(client) {
   logger.success(`Logged in as ${client.user.tag}`);
   logger.info(`Serving ${client.guilds.cache.size} guild(s)`);
   logger.success('Bot is ready and operational!');
+
+  startEscrowIndexer(client);
+  startReleaseScheduler(client);
+  startThreadSweeper(client);
+  startInvitationSweeper(client);
 }
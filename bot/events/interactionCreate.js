@@ -54,6 +54,20 @@ export async function execute(client, interaction) {
       return;
     }
 
+    if (interaction.isAutocomplete()) {
+      const command = client.commands.get(interaction.commandName);
+
+      try {
+        await command?.autocomplete?.(interaction);
+      } catch (error) {
+        logger.error(
+          `Error autocompleting command ${interaction.commandName}:`,
+          error,
+        );
+      }
+      return;
+    }
+
     if (interaction.isButton()) {
       await handleButton(interaction);
       return;
@@ -9,21 +9,94 @@ import {
 } from 'discord.js';
 
 import { env } from '../config/env.js';
+import {
+  formatAssetAmount,
+  getAssetBySymbol,
+  getNativeAsset,
+  getTradeAsset,
+} from '../utils/assets.js';
+import {
+  buildApproveReleaseConfirmRow,
+  buildCancelTradeConfirmRow,
+} from '../utils/components/buttons.js';
 import {
   buildConfirmTradeDetailsContainer,
   buildConnectWalletContainer,
+  buildTradeInvitationContainer,
 } from '../utils/components/containers.js';
-import { buildTradeDetailsModal } from '../utils/components/modals.js';
+import {
+  buildCounterOfferModal,
+  buildReviewModal,
+  buildTradeDetailsModal,
+} from '../utils/components/modals.js';
+import {
+  approveEscrowDelivery,
+  markEscrowDelivered,
+  openEscrowDispute,
+} from '../utils/escrow.js';
+import {
+  getGuildFeePolicy,
+  getTradeFeeBps,
+  resolveFeeBps,
+} from '../utils/feePolicy.js';
+import { formatFeeRate } from '../utils/fees.js';
+import {
+  LISTING_STATUS,
+  buildMarketSearchMessage,
+  decodeSearchFilters,
+  getListing,
+} from '../utils/listings.js';
 import { logger } from '../utils/logger.js';
-import { consumeTradeDraft } from '../utils/tradeDrafts.js';
+import {
+  getExplorerTxUrl,
+  getGuildNetwork,
+  getNetwork,
+  getTradeNetwork,
+} from '../utils/networks.js';
+import { hasActiveQuote, lockTradeQuote } from '../utils/pricing.js';
+import { getParticipantReputations } from '../utils/reputation.js';
+import {
+  getReviewBlocker,
+  getTradeReviews,
+  promptTradeReviews,
+} from '../utils/reviews.js';
+import {
+  consumeTradeDraft,
+  createTradeConfirmation,
+} from '../utils/tradeDrafts.js';
+import { buildTradeListMessage } from '../utils/tradeHistory.js';
+import {
+  INVITATION_STATUS,
+  buildInvitationMessage,
+  createTradeInvitation,
+  getOtherParty,
+  getTradeInvitation,
+  notifyInvitationParticipant,
+  reopenTradeInvitation,
+  resolveTradeInvitation,
+  updateTradeInvitation,
+} from '../utils/tradeInvitations.js';
+import {
+  TRADE_STATUS,
+  TradeTransitionError,
+  isEscrowStatus,
+  isPreFundingStatus,
+  transitionTrade,
+} from '../utils/tradeStateMachine.js';
 
 const { VERIFIED_ROLE_ID } = env;
+const ARBITRATOR_ROLE_ID = env.ARBITRATOR_ROLE_ID || env.ADMIN_ROLE_ID;
 
 const THREAD_ARCHIVE_DURATION = ThreadAutoArchiveDuration.OneWeek;
 const MAX_THREAD_NAME_LENGTH = 100;
 const THREAD_PREFIX = '🛒 Trade ';
 const CONNECT_EPHEMERAL_CLEANUP_MS = 20_000; // Allow time for users to click the wallet link before cleanup
 
+// Trades with a delivery, release or dispute transaction in flight, so double clicks don't send two
+const pendingDeliveries = new Set();
+const pendingReleases = new Set();
+const pendingDisputes = new Set();
+
 /**
  * Routes button interactions to appropriate handlers.
  *
@@ -39,9 +112,19 @@ export async function handleButton(interaction) {
   if (
     !interaction.deferred &&
     !interaction.replied &&
-    ['connect_wallet', 'proceed_trade', 'verify_assign_role_btn'].includes(
-      action,
-    )
+    [
+      'accept_invitation',
+      'decline_invitation',
+      'connect_wallet',
+      'proceed_trade',
+      'fund_escrow',
+      'refresh_quote',
+      'mark_delivered',
+      'approve_release',
+      'open_dispute',
+      'cancel_trade_request',
+      'verify_assign_role_btn',
+    ].includes(action)
   ) {
     await interaction.deferReply({ flags: MessageFlags.Ephemeral });
   }
@@ -53,9 +136,9 @@ export async function handleButton(interaction) {
     case 'create_trade_flow_btn':
       return await handleCreateTradeButton(interaction);
 
-    case 'create_thread': {
+    case 'send_trade_invitation': {
       const [buyerId, sellerId, tradeDraftId] = rest;
-      return await handleCreateThreadButton(
+      return await handleSendInvitationButton(
         interaction,
         buyerId,
         sellerId,
@@ -63,6 +146,55 @@ export async function handleButton(interaction) {
       );
     }
 
+    case 'accept_invitation':
+      return await handleAcceptInvitationButton(interaction, rest[0]);
+
+    case 'decline_invitation':
+      return await handleDeclineInvitationButton(interaction, rest[0]);
+
+    case 'counter_offer':
+      return await handleCounterOfferButton(interaction, rest[0]);
+
+    case 'buy_listing':
+      return await handleBuyListingButton(interaction, rest[0]);
+
+    case 'leave_review':
+      return await handleLeaveReviewButton(interaction, rest[0]);
+
+    case 'market_prev':
+    case 'market_next': {
+      const [page, ...filters] = rest;
+      const step = action === 'market_next' ? 1 : -1;
+      return await interaction.update(
+        await buildMarketSearchMessage(
+          interaction.guildId,
+          decodeSearchFilters(filters),
+          Number(page) + step,
+        ),
+      );
+    }
+
+    case 'trades_prev':
+    case 'trades_next': {
+      const [page, userId, status] = rest;
+      if (interaction.user.id !== userId) {
+        return await interaction.reply({
+          content: '❌ Use `/trades` to see your own trades.',
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      const step = action === 'trades_next' ? 1 : -1;
+      return await interaction.update(
+        await buildTradeListMessage(
+          interaction.guildId,
+          userId,
+          status || null,
+          Number(page) + step,
+        ),
+      );
+    }
+
     case 'connect_wallet': {
       const [tradeId, buyerId, sellerId] = rest;
       return await handleConnectWalletButton(
@@ -77,6 +209,99 @@ export async function handleButton(interaction) {
       const [tradeId, buyerId, sellerId] = rest;
       return await handleProceedButton(interaction, tradeId, buyerId, sellerId);
     }
+
+    case 'fund_escrow': {
+      const [tradeId, buyerId] = rest;
+      return await handleFundEscrowButton(interaction, tradeId, buyerId);
+    }
+
+    case 'refresh_quote': {
+      const [tradeId, buyerId, sellerId] = rest;
+      return await handleRefreshQuoteButton(
+        interaction,
+        tradeId,
+        buyerId,
+        sellerId,
+      );
+    }
+
+    case 'mark_delivered': {
+      const [tradeId, , sellerId] = rest;
+      return await handleMarkDeliveredButton(interaction, tradeId, sellerId);
+    }
+
+    case 'approve_release': {
+      const [tradeId, buyerId, sellerId] = rest;
+      return await handleApproveReleaseButton(
+        interaction,
+        tradeId,
+        buyerId,
+        sellerId,
+      );
+    }
+
+    case 'approve_release_confirm': {
+      const [tradeId, buyerId] = rest;
+      return await handleApproveReleaseConfirmButton(
+        interaction,
+        tradeId,
+        buyerId,
+      );
+    }
+
+    case 'open_dispute': {
+      const [tradeId, buyerId, sellerId] = rest;
+      return await handleOpenDisputeButton(
+        interaction,
+        tradeId,
+        buyerId,
+        sellerId,
+      );
+    }
+
+    case 'cancel_trade_request': {
+      const [tradeId, buyerId, sellerId] = rest;
+      return await handleCancelTradeRequestButton(
+        interaction,
+        tradeId,
+        buyerId,
+        sellerId,
+      );
+    }
+
+    case 'cancel_trade_confirm': {
+      const [tradeId, buyerId, sellerId] = rest;
+      return await handleCancelTradeConfirmButton(
+        interaction,
+        tradeId,
+        buyerId,
+        sellerId,
+      );
+    }
+
+    case 'edit_terms': {
+      const [tradeId, buyerId, sellerId] = rest;
+      return await handleEditTermsButton(
+        interaction,
+        tradeId,
+        buyerId,
+        sellerId,
+      );
+    }
+
+    case 'cancel_trade_dismiss':
+      await interaction.update({
+        content: 'The trade remains open.',
+        components: [],
+      });
+      return;
+
+    case 'approve_release_cancel':
+      await interaction.update({
+        content: 'Release cancelled. The funds remain in escrow.',
+        components: [],
+      });
+      return;
     case 'cancel_trade':
       logger.info('Cancel trade button clicked', {
         userId: interaction.user.id,
@@ -161,15 +386,16 @@ async function handleCreateTradeButton(interaction) {
 }
 
 /**
- * Creates a private thread, invites buyer and seller, and posts the wallet-connect container.
+ * Posts a trade invitation for the counterparty once the initiator confirms
+ * the trade details. The thread is only created when the counterparty accepts.
  *
- * @param {import('discord.js').ButtonInteraction} interaction - The create thread button interaction.
+ * @param {import('discord.js').ButtonInteraction} interaction - The send invitation button interaction.
  * @param {string} buyerId - Discord user ID of the buyer.
  * @param {string} sellerId - Discord user ID of the seller.
  * @param {string|null} [tradeDraftId=null] - Temporary draft ID holding trade details.
  * @returns {Promise<void>}
  */
-async function handleCreateThreadButton(
+async function handleSendInvitationButton(
   interaction,
   buyerId,
   sellerId,
@@ -178,292 +404,1466 @@ async function handleCreateThreadButton(
   // Acknowledge the button click immediately before processing
   await interaction.deferUpdate();
 
+  const replyWithText = async (text) => {
+    const container = buildConfirmTradeDetailsContainer(buyerId, sellerId);
+    const payload = container
+      .spliceComponents(
+        0,
+        container.components.length,
+        new TextDisplayBuilder().setContent(text),
+      )
+      .toJSON();
+    await interaction.editReply({ components: [payload] });
+  };
+
   if (!buyerId || !sellerId) {
-    logger.error('Missing buyerId or sellerId for thread creation', {
+    logger.error('Missing buyerId or sellerId for trade invitation', {
       buyerId,
       sellerId,
       userId: interaction.user.id,
     });
     await interaction.editReply({
       content:
-        '❌ Unable to create thread: missing buyer or seller information. Please restart the trade creation flow.',
+        '❌ Unable to send the invitation: missing buyer or seller information. Please restart the trade creation flow.',
       components: [],
     });
     return;
   }
 
-  // Retrieve trade details from draft store
-  let item = '';
-  let price = '';
-  let additionalDetails = '';
-
-  if (tradeDraftId) {
-    const draft = consumeTradeDraft(tradeDraftId);
-    if (draft) {
-      item = draft.item || '';
-      price = draft.price || '';
-      additionalDetails = draft.additionalDetails || '';
-    } else {
-      logger.warn('Trade draft not found or expired:', tradeDraftId);
-    }
+  const draft = await consumeTradeDraft(tradeDraftId, interaction.user.id);
+  if (!draft) {
+    logger.warn('Trade draft not found or expired:', tradeDraftId);
+    await replyWithText(
+      '⌛ These trade details have expired. Please start a new trade.',
+    );
+    return;
   }
 
-  const loadingText = new TextDisplayBuilder().setContent(
-    '⏳ *Creating private thread...*',
-  );
-  const loadingContainer = buildConfirmTradeDetailsContainer(buyerId, sellerId);
-  const loadingPayload = loadingContainer
-    .spliceComponents(0, loadingContainer.components.length, loadingText)
-    .toJSON();
-  await interaction.editReply({ components: [loadingPayload] });
+  const network =
+    getNetwork(draft.chainId) || (await getGuildNetwork(interaction.guildId));
+  const asset =
+    getAssetBySymbol(draft.asset, network) || getNativeAsset(network);
+  const feeBps =
+    draft.feeBps ??
+    resolveFeeBps(
+      await getGuildFeePolicy(interaction.guildId),
+      draft.priceCents,
+    );
 
-  try {
-    const { guild } = interaction;
-    if (!guild) throw new Error('No guild context');
+  await replyWithText('⏳ *Sending invitation...*');
 
-    const botMember = guild.members.me;
+  const initiatorId = interaction.user.id;
+  const counterpartyId = initiatorId === buyerId ? sellerId : buyerId;
+
+  try {
+    const botMember = interaction.guild.members.me;
     const channelPerms = interaction.channel.permissionsFor(botMember);
-    if (!channelPerms.has(['ManageThreads', 'SendMessagesInThreads'])) {
+    if (
+      !channelPerms.has([
+        'SendMessages',
+        'ManageThreads',
+        'SendMessagesInThreads',
+      ])
+    ) {
       throw new Error(
-        'Bot lacks thread permissions (ManageThreads, SendMessagesInThreads)',
+        'Bot lacks channel permissions (SendMessages, ManageThreads, SendMessagesInThreads)',
       );
     }
 
-    logger.info('Fetching members', { buyerId, sellerId });
-    const buyerMember = await guild.members.fetch(buyerId).catch(() => null);
-    const sellerMember = await guild.members.fetch(sellerId).catch(() => null);
-
-    // Extract display names with multiple fallbacks
-    const buyerDisplay =
-      buyerMember?.displayName ||
-      buyerMember?.user?.username ||
-      buyerMember?.user?.displayName ||
-      `User ${buyerId.slice(-4)}`;
-    const sellerDisplay =
-      sellerMember?.displayName ||
-      sellerMember?.user?.username ||
-      sellerMember?.user?.displayName ||
-      `User ${sellerId.slice(-4)}`;
-
-    logger.debug('Member fetch results', {
+    const invitation = await createTradeInvitation({
+      guildId: interaction.guildId,
+      channelId: interaction.channelId,
+      initiatorId,
+      counterpartyId,
       buyerId,
-      buyerFetched: !!buyerMember,
-      buyerDisplayName: buyerMember?.displayName,
-      buyerUserUsername: buyerMember?.user?.username,
-      buyerUserDisplayName: buyerMember?.user?.displayName,
-      buyerFinalDisplay: buyerDisplay,
       sellerId,
-      sellerFetched: !!sellerMember,
-      sellerDisplayName: sellerMember?.displayName,
-      sellerUserUsername: sellerMember?.user?.username,
-      sellerUserDisplayName: sellerMember?.user?.displayName,
-      sellerFinalDisplay: sellerDisplay,
-    });
-
-    if (!buyerMember || !sellerMember) {
-      throw new Error(
-        `Could not fetch buyer (${buyerId}) or seller (${sellerId})`,
-      );
-    }
-
-    const buyerLast4 = buyerId.slice(-4);
-    const sellerLast4 = sellerId.slice(-4);
-    const timestamp = Math.floor(Date.now() / 1000);
-    const rawTitle = `${THREAD_PREFIX}[${buyerLast4}-${sellerLast4}-${timestamp}]`;
-    const threadTitle =
-      rawTitle.length > MAX_THREAD_NAME_LENGTH
-        ? rawTitle.substring(0, MAX_THREAD_NAME_LENGTH - 1)
-        : rawTitle;
-    const tradeId = `${buyerLast4}-${sellerLast4}-${timestamp}`;
-
-    const thread = await interaction.channel.threads.create({
-      name: threadTitle,
-      type: ChannelType.PrivateThread,
-      autoArchiveDuration: THREAD_ARCHIVE_DURATION,
-      invitable: false,
-    });
-
-    await thread.members.add(buyerId);
-    await thread.members.add(sellerId);
-
-    logger.debug('Building initial wallet container', {
-      tradeId,
-      buyerDisplay,
-      sellerDisplay,
+      item: draft.item,
+      priceCents: draft.priceCents,
+      additionalDetails: draft.additionalDetails,
+      chainId: network.chainId,
+      assetSymbol: asset.symbol,
+      feeBps,
     });
 
-    const tradeDetails = { item, price, details: additionalDetails };
-
-    const walletContainer = await buildConnectWalletContainer(
-      tradeId,
-      buyerId,
-      sellerId,
-      {},
-      buyerDisplay,
-      sellerDisplay,
-      { buyerConfirmed: false, sellerConfirmed: false },
-      tradeDetails,
-    );
-    const welcomeMessage = await thread.send({
+    const message = await interaction.channel.send({
       flags: MessageFlags.IsComponentsV2,
-      components: [walletContainer.toJSON()],
+      components: [buildTradeInvitationContainer(invitation).toJSON()],
+      allowedMentions: { users: [counterpartyId] },
     });
-
-    logger.debug('Welcome message sent, registering trade', {
-      tradeId,
-      messageId: welcomeMessage.id,
-      buyerDisplay,
-      sellerDisplay,
+    await updateTradeInvitation(invitation.invitation_id, {
+      message_id: message.id,
     });
 
-    try {
-      const { registerTradeMessage } = await import('../utils/walletServer.js');
-
-      await registerTradeMessage(
-        tradeId,
-        guild.id,
-        thread.id,
-        welcomeMessage.id,
-        buyerId,
-        sellerId,
-        buyerDisplay,
-        sellerDisplay,
-        false,
-        false,
-        item,
-        price,
-        additionalDetails,
-      );
-
-      logger.debug('Trade message registered successfully');
-    } catch (regErr) {
-      logger.warn('Could not register trade message for updates', regErr);
-    }
+    logger.info('Trade invitation sent', {
+      invitationId: invitation.invitation_id,
+      initiatorId,
+      counterpartyId,
+    });
 
-    const successText = new TextDisplayBuilder().setContent(
-      `**✅ Success!** Your private trade channel has been created: ${thread.toString()}`,
+    const expiresTs = Math.floor(
+      new Date(invitation.expires_at).getTime() / 1000,
     );
-    const successContainer = buildConfirmTradeDetailsContainer(
-      buyerId,
-      sellerId,
+    await replyWithText(
+      `**📨 Invitation sent!** <@${counterpartyId}> has until <t:${expiresTs}:t> to accept. The private trade thread opens once they do.`,
     );
-    const successPayload = successContainer
-      .spliceComponents(0, successContainer.components.length, successText)
-      .toJSON();
-    await interaction.editReply({ components: [successPayload] });
   } catch (error) {
-    logger.error('Thread creation failed', {
+    logger.error('Trade invitation failed', {
       error: error.message,
       buyerId,
       sellerId,
     });
-
-    const errorText = new TextDisplayBuilder().setContent(
-      `**Thread Creation Failed:** ${error.message}. Please check bot permissions/logs.`,
+    await replyWithText(
+      `**Invitation Failed:** ${error.message}. Please check bot permissions/logs.`,
     );
-    const errorContainer = buildConfirmTradeDetailsContainer(buyerId, sellerId);
-    const errorPayload = errorContainer
-      .spliceComponents(0, errorContainer.components.length, errorText)
-      .toJSON();
-    await interaction.editReply({ components: [errorPayload] });
   }
 }
 
 /**
- * Sends the wallet-connect URL to the buyer or seller when they click the button.
+ * Starts a trade from a marketplace listing: the clicking user becomes the
+ * buyer and gets the confirmation prefilled with the listed terms.
  *
- * @param {import('discord.js').ButtonInteraction} interaction - The wallet button interaction.
- * @param {string} tradeId - The trade identifier.
- * @param {string} buyerId - Discord user ID of the buyer.
- * @param {string} sellerId - Discord user ID of the seller.
+ * @param {import('discord.js').ButtonInteraction} interaction - The buy button interaction.
+ * @param {string} listingId - Listing ID.
  * @returns {Promise<void>}
  */
-async function handleConnectWalletButton(
-  interaction,
-  tradeId,
-  buyerId,
-  sellerId,
-) {
-  // Interaction is deferred ephemerally in the main handler
-  logger.debug('Wallet button clicked', {
-    tradeId,
-    buyerId,
-    sellerId,
-    userId: interaction.user.id,
-    channelId: interaction.channelId,
+async function handleBuyListingButton(interaction, listingId) {
+  const userId = interaction.user.id;
+  const reply = (content) =>
+    interaction.reply({ content, flags: MessageFlags.Ephemeral });
+
+  const listing = await getListing(listingId);
+  if (!listing || listing.status === LISTING_STATUS.DELETED) {
+    return reply('❌ This listing is no longer available.');
+  }
+
+  if (listing.status !== LISTING_STATUS.ACTIVE) {
+    return reply(
+      listing.status === LISTING_STATUS.SOLD_OUT
+        ? '📦 This listing is sold out.'
+        : '⏸️ The seller paused this listing. Please try again later.',
+    );
+  }
+
+  if (listing.seller_id === userId) {
+    return reply('❌ You cannot buy from your own listing.');
+  }
+
+  await interaction.reply({
+    flags: MessageFlags.Ephemeral | MessageFlags.IsComponentsV2,
+    components: [
+      await createTradeConfirmation(interaction.guildId, userId, {
+        item: listing.item,
+        priceCents: BigInt(listing.price_cents),
+        additionalDetails: listing.description,
+        buyerId: userId,
+        sellerId: listing.seller_id,
+      }),
+    ],
   });
+}
 
-  let userType = null;
-  if (interaction.user.id === buyerId) {
-    userType = 'buyer';
-  } else if (interaction.user.id === sellerId) {
-    userType = 'seller';
-  } else {
+/**
+ * Loads an invitation for a response button and checks it is the clicking
+ * user's turn to answer the current offer.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction - The response button interaction.
+ * @param {string} invitationId - Invitation ID from the custom ID.
+ * @returns {Promise<object|null>} The invitation, or null after replying with the reason.
+ */
+async function loadInvitationForResponse(interaction, invitationId) {
+  const invitation = await getTradeInvitation(invitationId);
+
+  if (!invitation) {
     await interaction.editReply({
-      content:
-        '❌ You are not a participant in this trade and cannot connect a wallet.',
+      content: '❌ This invitation could not be found.',
     });
-    return;
+    return null;
   }
 
-  const roleLabel = userType === 'buyer' ? 'Buyer' : 'Seller';
+  if (invitation.status !== INVITATION_STATUS.PENDING) {
+    await interaction.editReply({
+      content: `ℹ️ This invitation was already ${invitation.status}.`,
+    });
+    return null;
+  }
 
-  try {
-    const { generateWalletConnectUrl, getRegisteredTradeMessage } =
-      await import('../utils/walletServer.js');
+  const responderId = invitation.awaiting_id || invitation.counterparty_id;
+  if (interaction.user.id !== responderId) {
+    await interaction.editReply({
+      content: `❌ Only <@${responderId}> can respond to the current offer.`,
+    });
+    return null;
+  }
 
-    const tradeData = await getRegisteredTradeMessage(tradeId);
+  return invitation;
+}
 
-    if (!tradeData) {
+/**
+ * Opens the counter-offer modal, prefilled with the current offer.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction - The counter-offer button interaction.
+ * @param {string} invitationId - Invitation ID.
+ * @returns {Promise<void>}
+ */
+async function handleCounterOfferButton(interaction, invitationId) {
+  // Not deferred: showing a modal must be the first response.
+  const reply = (content) =>
+    interaction.reply({ content, flags: MessageFlags.Ephemeral });
+
+  const invitation = await getTradeInvitation(invitationId);
+  if (!invitation) {
+    return reply('❌ This invitation could not be found.');
+  }
+
+  if (invitation.status !== INVITATION_STATUS.PENDING) {
+    return reply(`ℹ️ This invitation was already ${invitation.status}.`);
+  }
+
+  const responderId = invitation.awaiting_id || invitation.counterparty_id;
+  if (interaction.user.id !== responderId) {
+    return reply(`❌ Only <@${responderId}> can respond to the current offer.`);
+  }
+
+  await interaction.showModal(buildCounterOfferModal(invitation));
+}
+
+/**
+ * Accepts a trade invitation and opens the private trade thread.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction - The accept button interaction.
+ * @param {string} invitationId - Invitation ID.
+ * @returns {Promise<void>}
+ */
+async function handleAcceptInvitationButton(interaction, invitationId) {
+  // Interaction is deferred ephemerally in the main handler
+  try {
+    const pending = await loadInvitationForResponse(interaction, invitationId);
+    if (!pending) return;
+
+    const invitation = await resolveTradeInvitation(
+      invitationId,
+      INVITATION_STATUS.ACCEPTED,
+      pending.round,
+    );
+    if (!invitation) {
       await interaction.editReply({
-        content:
-          '❌ Unable to locate this trade. Please restart the flow or contact support.',
-        components: [],
+        content: '⌛ This invitation has expired or was already answered.',
       });
       return;
     }
 
-    const userAlreadyConfirmed =
-      userType === 'buyer'
-        ? !!tradeData.buyer_confirmed
-        : !!tradeData.seller_confirmed;
+    const network =
+      getNetwork(invitation.chain_id) ||
+      (await getGuildNetwork(invitation.guild_id));
 
-    if (userAlreadyConfirmed) {
-      await interaction.editReply({
-        content:
-          '✅ You have already confirmed this trade. Wallet changes are locked to keep the transaction secure.',
-        components: [],
-      });
-      return;
+    let thread;
+    let tradeId;
+    try {
+      ({ thread, tradeId } = await createTradeThread(interaction, {
+        buyerId: invitation.buyer_id,
+        sellerId: invitation.seller_id,
+        item: invitation.item,
+        priceCents: BigInt(invitation.price_cents),
+        additionalDetails: invitation.additional_details,
+        network,
+        asset:
+          getAssetBySymbol(invitation.asset_symbol, network) ||
+          getNativeAsset(network),
+        feeBps: invitation.fee_bps,
+      }));
+    } catch (threadError) {
+      // Reopen the invitation so the responder can try again.
+      await reopenTradeInvitation(invitation);
+      throw threadError;
     }
 
-    const walletConnectUrl = generateWalletConnectUrl(tradeId, userType);
+    await updateTradeInvitation(invitationId, { trade_id: tradeId });
+    await interaction.message.edit(
+      await buildInvitationMessage(invitation, { threadId: thread.id }),
+    );
 
     await interaction.editReply({
-      content: `🔗 **${roleLabel} Wallet Connection**\n\nClick the button below to connect your wallet for trade \`${tradeId}\`.`,
-      components: [
-        new ActionRowBuilder().addComponents(
-          new ButtonBuilder()
-            .setLabel(`Connect ${roleLabel} Wallet`)
-            .setStyle(ButtonStyle.Link)
-            .setURL(walletConnectUrl),
-        ),
-      ],
+      content: `✅ Trade accepted! Your private trade channel has been created: ${thread.toString()}`,
     });
-
-    scheduleWalletLinkCleanup(interaction, roleLabel);
   } catch (error) {
-    logger.error('Error handling wallet connection:', error);
+    logger.error('Accepting trade invitation failed', {
+      invitationId,
+      error: error.message,
+    });
     await interaction.editReply({
-      content: '❌ Error initiating wallet connection. Please try again.',
-      components: [],
+      content: `❌ **Thread Creation Failed:** ${error.message}. Please try again.`,
     });
   }
 }
 
-function scheduleWalletLinkCleanup(interaction, roleLabel) {
-  setTimeout(async () => {
-    try {
+/**
+ * Declines a trade invitation and lets the side that made the offer know.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction - The decline button interaction.
+ * @param {string} invitationId - Invitation ID.
+ * @returns {Promise<void>}
+ */
+async function handleDeclineInvitationButton(interaction, invitationId) {
+  // Interaction is deferred ephemerally in the main handler
+  try {
+    const pending = await loadInvitationForResponse(interaction, invitationId);
+    if (!pending) return;
+
+    const invitation = await resolveTradeInvitation(
+      invitationId,
+      INVITATION_STATUS.DECLINED,
+      pending.round,
+    );
+    if (!invitation) {
+      await interaction.editReply({
+        content: '⌛ This invitation has expired or was already answered.',
+      });
+      return;
+    }
+
+    await interaction.message.edit(await buildInvitationMessage(invitation));
+
+    await notifyInvitationParticipant(
+      interaction.client,
+      invitation,
+      getOtherParty(invitation, invitation.awaiting_id),
+      `❌ <@${invitation.awaiting_id}> declined your trade offer for **${invitation.item}**.`,
+    );
+
+    await interaction.editReply({
+      content: '✅ Invitation declined. No trade was created.',
+    });
+  } catch (error) {
+    logger.error('Declining trade invitation failed', {
+      invitationId,
+      error: error.message,
+    });
+    await interaction.editReply({
+      content: '❌ Failed to decline the invitation. Please try again.',
+    });
+  }
+}
+
+/**
+ * Creates a private thread, invites buyer and seller, and posts the wallet-connect container.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction - Interaction in the channel the thread is created under.
+ * @param {object} terms - Accepted trade terms.
+ * @param {string} terms.buyerId - Discord user ID of the buyer.
+ * @param {string} terms.sellerId - Discord user ID of the seller.
+ * @param {string} terms.item - Item name.
+ * @param {bigint} terms.priceCents - Price in cents.
+ * @param {string|null} terms.additionalDetails - Optional description.
+ * @param {import('../utils/networks.js').EscrowNetwork} terms.network - Network the trade runs on.
+ * @param {import('../utils/assets.js').TradeAsset} terms.asset - Settlement asset.
+ * @param {number} terms.feeBps - Fee rate locked on the trade.
+ * @returns {Promise<{thread: import('discord.js').ThreadChannel, tradeId: string}>}
+ * @throws {Error} If the bot lacks permissions or a participant left the guild.
+ */
+async function createTradeThread(interaction, terms) {
+  const {
+    buyerId,
+    sellerId,
+    item,
+    priceCents,
+    additionalDetails,
+    network,
+    asset,
+    feeBps,
+  } = terms;
+  const { guild } = interaction;
+  if (!guild) throw new Error('No guild context');
+
+  const botMember = guild.members.me;
+  const channelPerms = interaction.channel.permissionsFor(botMember);
+  if (!channelPerms.has(['ManageThreads', 'SendMessagesInThreads'])) {
+    throw new Error(
+      'Bot lacks thread permissions (ManageThreads, SendMessagesInThreads)',
+    );
+  }
+
+  logger.info('Fetching members', { buyerId, sellerId });
+  const buyerMember = await guild.members.fetch(buyerId).catch(() => null);
+  const sellerMember = await guild.members.fetch(sellerId).catch(() => null);
+
+  // Extract display names with multiple fallbacks
+  const buyerDisplay =
+    buyerMember?.displayName ||
+    buyerMember?.user?.username ||
+    buyerMember?.user?.displayName ||
+    `User ${buyerId.slice(-4)}`;
+  const sellerDisplay =
+    sellerMember?.displayName ||
+    sellerMember?.user?.username ||
+    sellerMember?.user?.displayName ||
+    `User ${sellerId.slice(-4)}`;
+
+  logger.debug('Member fetch results', {
+    buyerId,
+    buyerFetched: !!buyerMember,
+    buyerDisplayName: buyerMember?.displayName,
+    buyerUserUsername: buyerMember?.user?.username,
+    buyerUserDisplayName: buyerMember?.user?.displayName,
+    buyerFinalDisplay: buyerDisplay,
+    sellerId,
+    sellerFetched: !!sellerMember,
+    sellerDisplayName: sellerMember?.displayName,
+    sellerUserUsername: sellerMember?.user?.username,
+    sellerUserDisplayName: sellerMember?.user?.displayName,
+    sellerFinalDisplay: sellerDisplay,
+  });
+
+  if (!buyerMember || !sellerMember) {
+    throw new Error(
+      `Could not fetch buyer (${buyerId}) or seller (${sellerId})`,
+    );
+  }
+
+  const buyerLast4 = buyerId.slice(-4);
+  const sellerLast4 = sellerId.slice(-4);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const rawTitle = `${THREAD_PREFIX}[${buyerLast4}-${sellerLast4}-${timestamp}]`;
+  const threadTitle =
+    rawTitle.length > MAX_THREAD_NAME_LENGTH
+      ? rawTitle.substring(0, MAX_THREAD_NAME_LENGTH - 1)
+      : rawTitle;
+  const tradeId = `${buyerLast4}-${sellerLast4}-${timestamp}`;
+
+  const thread = await interaction.channel.threads.create({
+    name: threadTitle,
+    type: ChannelType.PrivateThread,
+    autoArchiveDuration: THREAD_ARCHIVE_DURATION,
+    invitable: false,
+  });
+
+  await thread.members.add(buyerId);
+  await thread.members.add(sellerId);
+
+  logger.debug('Building initial wallet container', {
+    tradeId,
+    buyerDisplay,
+    sellerDisplay,
+  });
+
+  const tradeDetails = {
+    item,
+    priceCents,
+    details: additionalDetails,
+    asset,
+    network,
+    feeBps,
+    reputations: await getParticipantReputations(
+      guild.id,
+      buyerId,
+      sellerId,
+    ).catch((error) => {
+      logger.warn('Failed to load participant reputations', {
+        tradeId,
+        error: error.message,
+      });
+      return undefined;
+    }),
+  };
+
+  const walletContainer = await buildConnectWalletContainer(
+    tradeId,
+    buyerId,
+    sellerId,
+    {},
+    buyerDisplay,
+    sellerDisplay,
+    { buyerConfirmed: false, sellerConfirmed: false },
+    tradeDetails,
+  );
+  const welcomeMessage = await thread.send({
+    flags: MessageFlags.IsComponentsV2,
+    components: [walletContainer.toJSON()],
+  });
+
+  logger.debug('Welcome message sent, registering trade', {
+    tradeId,
+    messageId: welcomeMessage.id,
+    buyerDisplay,
+    sellerDisplay,
+  });
+
+  try {
+    const { registerTradeMessage } = await import('../utils/walletServer.js');
+
+    await registerTradeMessage(
+      tradeId,
+      guild.id,
+      thread.id,
+      welcomeMessage.id,
+      buyerId,
+      sellerId,
+      buyerDisplay,
+      sellerDisplay,
+      false,
+      false,
+      item,
+      priceCents,
+      additionalDetails,
+      asset,
+      network,
+      feeBps,
+    );
+
+    logger.debug('Trade message registered successfully');
+  } catch (regErr) {
+    logger.warn('Could not register trade message for updates', regErr);
+  }
+
+  return { thread, tradeId };
+}
+
+/**
+ * Sends the wallet-connect URL to the buyer or seller when they click the button.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction - The wallet button interaction.
+ * @param {string} tradeId - The trade identifier.
+ * @param {string} buyerId - Discord user ID of the buyer.
+ * @param {string} sellerId - Discord user ID of the seller.
+ * @returns {Promise<void>}
+ */
+async function handleConnectWalletButton(
+  interaction,
+  tradeId,
+  buyerId,
+  sellerId,
+) {
+  // Interaction is deferred ephemerally in the main handler
+  logger.debug('Wallet button clicked', {
+    tradeId,
+    buyerId,
+    sellerId,
+    userId: interaction.user.id,
+    channelId: interaction.channelId,
+  });
+
+  let userType = null;
+  if (interaction.user.id === buyerId) {
+    userType = 'buyer';
+  } else if (interaction.user.id === sellerId) {
+    userType = 'seller';
+  } else {
+    await interaction.editReply({
+      content:
+        '❌ You are not a participant in this trade and cannot connect a wallet.',
+    });
+    return;
+  }
+
+  const roleLabel = userType === 'buyer' ? 'Buyer' : 'Seller';
+
+  try {
+    const { generateWalletConnectUrl, getRegisteredTradeMessage } =
+      await import('../utils/walletServer.js');
+
+    const tradeData = await getRegisteredTradeMessage(tradeId);
+
+    if (!tradeData) {
+      await interaction.editReply({
+        content:
+          '❌ Unable to locate this trade. Please restart the flow or contact support.',
+        components: [],
+      });
+      return;
+    }
+
+    const userAlreadyConfirmed =
+      userType === 'buyer'
+        ? !!tradeData.buyer_confirmed
+        : !!tradeData.seller_confirmed;
+
+    if (
+      userAlreadyConfirmed ||
+      tradeData.status !== TRADE_STATUS.AWAITING_WALLETS
+    ) {
+      await interaction.editReply({
+        content:
+          '✅ You have already confirmed this trade. Wallet changes are locked to keep the transaction secure.',
+        components: [],
+      });
+      return;
+    }
+
+    const walletConnectUrl = generateWalletConnectUrl(tradeId, userType);
+
+    await interaction.editReply({
+      content: `🔗 **${roleLabel} Wallet Connection**\n\nClick the button below to connect your wallet for trade \`${tradeId}\`.`,
+      components: [
+        new ActionRowBuilder().addComponents(
+          new ButtonBuilder()
+            .setLabel(`Connect ${roleLabel} Wallet`)
+            .setStyle(ButtonStyle.Link)
+            .setURL(walletConnectUrl),
+        ),
+      ],
+    });
+
+    scheduleWalletLinkCleanup(interaction, roleLabel);
+  } catch (error) {
+    logger.error('Error handling wallet connection:', error);
+    await interaction.editReply({
+      content: '❌ Error initiating wallet connection. Please try again.',
+      components: [],
+    });
+  }
+}
+
+/**
+ * Marks a funded escrow as delivered on-chain on behalf of the seller.
+ *
+ * The bot wallet signs `markDelivered`, which starts the buyer's review
+ * window on the contract.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction - The delivery button interaction.
+ * @param {string} tradeId - The trade identifier.
+ * @param {string} sellerId - Discord user ID of the seller.
+ * @returns {Promise<void>}
+ */
+async function handleMarkDeliveredButton(interaction, tradeId, sellerId) {
+  // Interaction is deferred ephemerally in the main handler
+  if (interaction.user.id !== sellerId) {
+    await interaction.editReply({
+      content: '❌ Only the seller can mark this trade as delivered.',
+    });
+    return;
+  }
+
+  if (pendingDeliveries.has(tradeId)) {
+    await interaction.editReply({
+      content: '⏳ Delivery is already being recorded on-chain. Please wait.',
+    });
+    return;
+  }
+
+  pendingDeliveries.add(tradeId);
+
+  try {
+    const {
+      getRegisteredTradeMessage,
+      recordEscrowDelivery,
+      refreshTradeMessage,
+    } = await import('../utils/walletServer.js');
+
+    const tradeData = await getRegisteredTradeMessage(tradeId);
+    if (!tradeData || tradeData.seller_id !== interaction.user.id) {
+      await interaction.editReply({
+        content:
+          '❌ Unable to find this trade. Please restart the flow or contact support.',
+      });
+      return;
+    }
+
+    if (
+      tradeData.status === TRADE_STATUS.DELIVERED ||
+      tradeData.status === TRADE_STATUS.DISPUTED ||
+      tradeData.status === TRADE_STATUS.COMPLETED
+    ) {
+      await interaction.editReply({
+        content: '✅ This trade has already been marked as delivered.',
+      });
+      return;
+    }
+
+    if (
+      tradeData.status !== TRADE_STATUS.FUNDED ||
+      !tradeData.escrow_trade_id
+    ) {
+      await interaction.editReply({
+        content: '⏳ The escrow must be funded before you can mark delivery.',
+      });
+      return;
+    }
+
+    await interaction.editReply({
+      content: '⏳ Recording delivery on-chain...',
+    });
+
+    const network = getTradeNetwork(tradeData);
+    const delivery = await markEscrowDelivered(
+      network,
+      tradeData.escrow_trade_id,
+    );
+    const explorerUrl = getExplorerTxUrl(delivery.txHash, network);
+    const txText = explorerUrl ? ` [View transaction](${explorerUrl})` : '';
+
+    // The delivery is final on-chain from here on; a failed write is picked
+    // up by the escrow indexer instead of asking the seller to retry.
+    let updatedTrade = null;
+    try {
+      updatedTrade = await recordEscrowDelivery(tradeId, delivery);
+    } catch (recordError) {
+      logger.error('Delivery went through on-chain but was not recorded:', {
+        tradeId,
+        txHash: delivery.txHash,
+        error: recordError,
+      });
+    }
+
+    if (updatedTrade) {
+      await refreshTradeMessage(tradeId, updatedTrade).catch((err) =>
+        logger.warn('Failed to refresh trade message after delivery:', {
+          tradeId,
+          error: err.message,
+        }),
+      );
+    }
+
+    await interaction.editReply({
+      content: updatedTrade
+        ? `✅ Delivery recorded on-chain.${txText}`
+        : `✅ Delivery went through on-chain (transaction \`${delivery.txHash}\`), but the trade is still syncing and will update shortly.${txText}`,
+    });
+
+    await interaction.channel?.send({
+      content: `📦 <@${tradeData.buyer_id}>, the seller has marked this trade as delivered. Please review the delivery and approve the release of funds.`,
+      allowedMentions: { users: [tradeData.buyer_id] },
+    });
+  } catch (error) {
+    logger.error('Error marking escrow delivered:', { tradeId, error });
+    await interaction.editReply({
+      content: '❌ Unable to record delivery on-chain. Please try again.',
+    });
+  } finally {
+    pendingDeliveries.delete(tradeId);
+  }
+}
+
+/**
+ * Asks the buyer to confirm the release of escrowed funds to the seller.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction - The release button interaction.
+ * @param {string} tradeId - The trade identifier.
+ * @param {string} buyerId - Discord user ID of the buyer.
+ * @param {string} sellerId - Discord user ID of the seller.
+ * @returns {Promise<void>}
+ */
+async function handleApproveReleaseButton(
+  interaction,
+  tradeId,
+  buyerId,
+  sellerId,
+) {
+  // Interaction is deferred ephemerally in the main handler
+  if (interaction.user.id !== buyerId) {
+    await interaction.editReply({
+      content: '❌ Only the buyer can approve the release of funds.',
+    });
+    return;
+  }
+
+  try {
+    const { getRegisteredTradeMessage } = await import(
+      '../utils/walletServer.js'
+    );
+
+    const tradeData = await getRegisteredTradeMessage(tradeId);
+    const readyMessage = getReleaseBlocker(tradeData, interaction.user.id);
+    if (readyMessage) {
+      await interaction.editReply({ content: readyMessage });
+      return;
+    }
+
+    const amountText = tradeData.funding_amount_wei
+      ? `**${formatAssetAmount(tradeData.funding_amount_wei, getTradeAsset(tradeData))}** (minus the ${formatFeeRate(getTradeFeeBps(tradeData))} seller fee)`
+      : 'the escrowed funds';
+
+    await interaction.editReply({
+      content:
+        `⚠️ **Confirm Release**\n\nThis releases ${amountText} to <@${sellerId}>. ` +
+        'Only continue if you have received the item. This cannot be undone.',
+      components: [buildApproveReleaseConfirmRow(tradeId, buyerId, sellerId)],
+    });
+  } catch (error) {
+    logger.error('Error preparing escrow release:', error);
+    await interaction.editReply({
+      content: '❌ Unable to load this trade. Please try again.',
+    });
+  }
+}
+
+/**
+ * Releases escrowed funds after the buyer's second confirmation.
+ *
+ * The bot wallet signs `approveDelivery`; the payout and seller fee split are
+ * read from the emitted events and stored on the trade.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction - The confirmation button interaction.
+ * @param {string} tradeId - The trade identifier.
+ * @param {string} buyerId - Discord user ID of the buyer.
+ * @returns {Promise<void>}
+ */
+async function handleApproveReleaseConfirmButton(
+  interaction,
+  tradeId,
+  buyerId,
+) {
+  if (interaction.user.id !== buyerId) {
+    await interaction.reply({
+      content: '❌ Only the buyer can approve the release of funds.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  if (pendingReleases.has(tradeId)) {
+    await interaction.update({
+      content: '⏳ The release is already being processed. Please wait.',
+      components: [],
+    });
+    return;
+  }
+
+  pendingReleases.add(tradeId);
+
+  try {
+    await interaction.update({
+      content: '⏳ Releasing funds on-chain...',
+      components: [],
+    });
+
+    const {
+      getRegisteredTradeMessage,
+      recordEscrowRelease,
+      refreshTradeMessage,
+    } = await import('../utils/walletServer.js');
+
+    const tradeData = await getRegisteredTradeMessage(tradeId);
+    const readyMessage = getReleaseBlocker(tradeData, interaction.user.id);
+    if (readyMessage) {
+      await interaction.editReply({ content: readyMessage });
+      return;
+    }
+
+    const network = getTradeNetwork(tradeData);
+    const release = await approveEscrowDelivery(
+      network,
+      tradeData.escrow_trade_id,
+    );
+    const explorerUrl = getExplorerTxUrl(release.txHash, network);
+    const txText = explorerUrl ? ` [View transaction](${explorerUrl})` : '';
+
+    // The funds are paid out from here on; a failed write is picked up by the
+    // escrow indexer, which also prompts the reviews once it completes the trade.
+    let updatedTrade = null;
+    try {
+      updatedTrade = await recordEscrowRelease(tradeId, release, {
+        approved: true,
+      });
+    } catch (recordError) {
+      logger.error('Release went through on-chain but was not recorded:', {
+        tradeId,
+        txHash: release.txHash,
+        error: recordError,
+      });
+    }
+
+    if (updatedTrade) {
+      await refreshTradeMessage(tradeId, updatedTrade).catch((err) =>
+        logger.warn('Failed to refresh trade message after release:', {
+          tradeId,
+          error: err.message,
+        }),
+      );
+    }
+
+    await interaction.editReply({
+      content: updatedTrade
+        ? `✅ Funds released to the seller.${txText}`
+        : `✅ Funds released to the seller on-chain (transaction \`${release.txHash}\`), but the trade is still syncing and will update shortly.${txText}`,
+    });
+
+    await interaction.channel?.send({
+      content: `💸 <@${tradeData.seller_id}>, the buyer approved the delivery. **${formatAssetAmount(release.payoutWei, getTradeAsset(tradeData))}** has been released to your wallet.`,
+      allowedMentions: { users: [tradeData.seller_id] },
+    });
+
+    if (updatedTrade) {
+      await promptTradeReviews(interaction.client, updatedTrade);
+    }
+  } catch (error) {
+    logger.error('Error releasing escrow funds:', { tradeId, error });
+    await interaction.editReply({
+      content: '❌ Unable to release the funds on-chain. Please try again.',
+    });
+  } finally {
+    pendingReleases.delete(tradeId);
+  }
+}
+
+/**
+ * Opens an on-chain dispute for a delivered trade on behalf of either party.
+ *
+ * The raiser's connected wallet is passed to `openDispute`, which freezes the
+ * escrow until a moderator resolves it with `/dispute resolve`.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction - The dispute button interaction.
+ * @param {string} tradeId - The trade identifier.
+ * @param {string} buyerId - Discord user ID of the buyer.
+ * @param {string} sellerId - Discord user ID of the seller.
+ * @returns {Promise<void>}
+ */
+async function handleOpenDisputeButton(
+  interaction,
+  tradeId,
+  buyerId,
+  sellerId,
+) {
+  // Interaction is deferred ephemerally in the main handler
+  const userId = interaction.user.id;
+  if (userId !== buyerId && userId !== sellerId) {
+    await interaction.editReply({
+      content: '❌ Only the buyer or seller can open a dispute.',
+    });
+    return;
+  }
+
+  if (pendingDisputes.has(tradeId)) {
+    await interaction.editReply({
+      content: '⏳ A dispute is already being opened. Please wait.',
+    });
+    return;
+  }
+
+  pendingDisputes.add(tradeId);
+
+  try {
+    const {
+      getRegisteredTradeMessage,
+      getWalletConnection,
+      recordEscrowDispute,
+      refreshTradeMessage,
+    } = await import('../utils/walletServer.js');
+
+    const tradeData = await getRegisteredTradeMessage(tradeId);
+    if (
+      !tradeData ||
+      (tradeData.buyer_id !== userId && tradeData.seller_id !== userId)
+    ) {
+      await interaction.editReply({
+        content:
+          '❌ Unable to find this trade. Please restart the flow or contact support.',
+      });
+      return;
+    }
+
+    if (tradeData.status === TRADE_STATUS.DISPUTED) {
+      await interaction.editReply({
+        content: '⚠️ A dispute is already open for this trade.',
+      });
+      return;
+    }
+
+    if (tradeData.status === TRADE_STATUS.COMPLETED) {
+      await interaction.editReply({
+        content: '✅ This trade has already been completed.',
+      });
+      return;
+    }
+
+    if (
+      tradeData.status !== TRADE_STATUS.DELIVERED ||
+      !tradeData.escrow_trade_id
+    ) {
+      await interaction.editReply({
+        content: '⏳ Disputes can only be opened after delivery is marked.',
+      });
+      return;
+    }
+
+    const walletConnection = await getWalletConnection(tradeId, userId);
+    if (!walletConnection?.wallet_address) {
+      await interaction.editReply({
+        content:
+          '❌ No connected wallet was found for you on this trade. Please contact support.',
+      });
+      return;
+    }
+
+    await interaction.editReply({
+      content: '⏳ Opening dispute on-chain...',
+    });
+
+    const dispute = await openEscrowDispute(
+      getTradeNetwork(tradeData),
+      tradeData.escrow_trade_id,
+      walletConnection.wallet_address,
+    );
+    // The funds are frozen from here on; a failed write is picked up by the
+    // escrow indexer instead of asking for a second dispute.
+    let updatedTrade = null;
+    try {
+      updatedTrade = await recordEscrowDispute(tradeId, dispute, userId);
+    } catch (recordError) {
+      logger.error('Dispute went through on-chain but was not recorded:', {
+        tradeId,
+        txHash: dispute.txHash,
+        error: recordError,
+      });
+    }
+
+    if (updatedTrade) {
+      await refreshTradeMessage(tradeId, updatedTrade).catch((err) =>
+        logger.warn('Failed to refresh trade message after dispute:', {
+          tradeId,
+          error: err.message,
+        }),
+      );
+    }
+
+    await interaction.editReply({
+      content: updatedTrade
+        ? '✅ Dispute opened. The funds are frozen until a moderator resolves it.'
+        : `✅ Dispute opened on-chain (transaction \`${dispute.txHash}\`), but the trade is still syncing and will update shortly. The funds are frozen until a moderator resolves it.`,
+    });
+
+    const otherPartyId =
+      userId === tradeData.buyer_id ? tradeData.seller_id : tradeData.buyer_id;
+    const arbitratorMention = ARBITRATOR_ROLE_ID
+      ? `<@&${ARBITRATOR_ROLE_ID}> `
+      : '';
+
+    await interaction.channel?.send({
+      content:
+        `⚠️ ${arbitratorMention}<@${userId}> opened a dispute on this trade. ` +
+        `<@${otherPartyId}>, please share your side here. A moderator will review and resolve it.`,
+      allowedMentions: {
+        users: [userId, otherPartyId],
+        roles: ARBITRATOR_ROLE_ID ? [ARBITRATOR_ROLE_ID] : [],
+      },
+    });
+  } catch (error) {
+    logger.error('Error opening escrow dispute:', { tradeId, error });
+    await interaction.editReply({
+      content: '❌ Unable to open the dispute on-chain. Please try again.',
+    });
+  } finally {
+    pendingDisputes.delete(tradeId);
+  }
+}
+
+/**
+ * Returns why a trade cannot be cancelled by the given participant, if anything.
+ *
+ * @param {object|null} tradeData - Registered trade row.
+ * @param {string} userId - Discord user ID of the requesting participant.
+ * @returns {string|null} User-facing message, or null when cancellation can proceed.
+ */
+function getCancelBlocker(tradeData, userId) {
+  if (
+    !tradeData ||
+    (tradeData.buyer_id !== userId && tradeData.seller_id !== userId)
+  ) {
+    return '❌ Unable to find this trade. Please restart the flow or contact support.';
+  }
+
+  if (tradeData.status === TRADE_STATUS.CANCELLED) {
+    return '✅ This trade has already been cancelled.';
+  }
+
+  if (!isPreFundingStatus(tradeData.status)) {
+    return '❌ This trade can no longer be cancelled because the escrow has been funded.';
+  }
+
+  // A funding transaction was submitted; it may still land on-chain.
+  if (tradeData.funding_tx_hash) {
+    return '⏳ A funding transaction is being confirmed, so this trade cannot be cancelled right now.';
+  }
+
+  return null;
+}
+
+/**
+ * Asks a participant to confirm cancelling an unfunded trade.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction - The cancel button interaction.
+ * @param {string} tradeId - The trade identifier.
+ * @param {string} buyerId - Discord user ID of the buyer.
+ * @param {string} sellerId - Discord user ID of the seller.
+ * @returns {Promise<void>}
+ */
+async function handleCancelTradeRequestButton(
+  interaction,
+  tradeId,
+  buyerId,
+  sellerId,
+) {
+  // Interaction is deferred ephemerally in the main handler
+  const userId = interaction.user.id;
+  if (userId !== buyerId && userId !== sellerId) {
+    await interaction.editReply({
+      content: '❌ Only the buyer or seller can cancel this trade.',
+    });
+    return;
+  }
+
+  try {
+    const { getRegisteredTradeMessage } = await import(
+      '../utils/walletServer.js'
+    );
+
+    const tradeData = await getRegisteredTradeMessage(tradeId);
+    const blocker = getCancelBlocker(tradeData, userId);
+    if (blocker) {
+      await interaction.editReply({ content: blocker });
+      return;
+    }
+
+    await interaction.editReply({
+      content:
+        '⚠️ **Cancel Trade**\n\nThis ends the trade for both participants and closes this thread. This cannot be undone.',
+      components: [buildCancelTradeConfirmRow(tradeId, buyerId, sellerId)],
+    });
+  } catch (error) {
+    logger.error('Error preparing trade cancellation:', error);
+    await interaction.editReply({
+      content: '❌ Unable to load this trade. Please try again.',
+    });
+  }
+}
+
+/**
+ * Opens the trade details modal prefilled with the current terms of an
+ * unfunded trade.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction - The edit terms button interaction.
+ * @param {string} tradeId - The trade identifier.
+ * @param {string} buyerId - Discord user ID of the buyer.
+ * @param {string} sellerId - Discord user ID of the seller.
+ * @returns {Promise<void>}
+ */
+async function handleEditTermsButton(interaction, tradeId, buyerId, sellerId) {
+  // Not deferred: showing a modal must be the first response.
+  const userId = interaction.user.id;
+  if (userId !== buyerId && userId !== sellerId) {
+    await interaction.reply({
+      content: '❌ Only the buyer or seller can edit the terms of this trade.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const { getRegisteredTradeMessage, getTradeTermsBlocker } = await import(
+    '../utils/walletServer.js'
+  );
+
+  const tradeData = await getRegisteredTradeMessage(tradeId);
+  const blocker = getTradeTermsBlocker(tradeData, userId);
+  if (blocker) {
+    await interaction.reply({
+      content: blocker,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await interaction.showModal(buildTradeDetailsModal(tradeData));
+}
+
+/**
+ * Opens the review modal for a participant of a completed trade.
+ *
+ * Works from the trade thread and from the DM prompt alike.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction - The button interaction.
+ * @param {string} tradeId - The trade identifier.
+ * @returns {Promise<void>}
+ */
+async function handleLeaveReviewButton(interaction, tradeId) {
+  // Not deferred: showing a modal must be the first response.
+  const { getRegisteredTradeMessage } = await import(
+    '../utils/walletServer.js'
+  );
+
+  const tradeData = await getRegisteredTradeMessage(tradeId);
+  const blocker = getReviewBlocker(
+    tradeData,
+    interaction.user.id,
+    tradeData ? await getTradeReviews(tradeId) : [],
+  );
+  if (blocker) {
+    await interaction.reply({
+      content: blocker,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await interaction.showModal(buildReviewModal(tradeId));
+}
+
+/**
+ * Cancels an unfunded trade after the participant confirmed.
+ *
+ * The trade moves to the cancelled status, the container is re-rendered and
+ * the other participant is notified. The thread is closed later by the
+ * thread sweeper once the grace period has passed.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction - The confirmation button interaction.
+ * @param {string} tradeId - The trade identifier.
+ * @param {string} buyerId - Discord user ID of the buyer.
+ * @param {string} sellerId - Discord user ID of the seller.
+ * @returns {Promise<void>}
+ */
+async function handleCancelTradeConfirmButton(
+  interaction,
+  tradeId,
+  buyerId,
+  sellerId,
+) {
+  const userId = interaction.user.id;
+  if (userId !== buyerId && userId !== sellerId) {
+    await interaction.reply({
+      content: '❌ Only the buyer or seller can cancel this trade.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await interaction.update({
+    content: '⏳ Cancelling trade...',
+    components: [],
+  });
+
+  try {
+    const { getRegisteredTradeMessage, refreshTradeMessage } = await import(
+      '../utils/walletServer.js'
+    );
+
+    const tradeData = await getRegisteredTradeMessage(tradeId);
+    const blocker = getCancelBlocker(tradeData, userId);
+    if (blocker) {
+      await interaction.editReply({ content: blocker });
+      return;
+    }
+
+    // Re-checked by the update, as funding may have been submitted since.
+    const updatedTrade = await transitionTrade(
+      tradeId,
+      TRADE_STATUS.CANCELLED,
+      {
+        cancelled_at: new Date().toISOString(),
+        cancelled_by: userId,
+      },
+      { unfunded: true },
+    );
+    await refreshTradeMessage(tradeId, updatedTrade);
+
+    await interaction.editReply({ content: '✅ Trade cancelled.' });
+
+    const otherPartyId = userId === buyerId ? sellerId : buyerId;
+    await interaction.channel?.send({
+      content:
+        `🚫 <@${otherPartyId}>, <@${userId}> cancelled this trade. ` +
+        `This thread will be archived and locked in ${env.CANCELLED_THREAD_GRACE_MINUTES} minutes.`,
+      allowedMentions: { users: [otherPartyId] },
+    });
+  } catch (error) {
+    logger.error('Error cancelling trade:', { tradeId, error });
+    await interaction.editReply({
+      content:
+        error instanceof TradeTransitionError
+          ? '❌ This trade changed while cancelling. Please check its current status.'
+          : '❌ Unable to cancel the trade. Please try again.',
+    });
+  }
+}
+
+/**
+ * Returns why a trade cannot be released by the given buyer, if anything.
+ *
+ * @param {object|null} tradeData - Registered trade row.
+ * @param {string} userId - Discord user ID of the requesting buyer.
+ * @returns {string|null} User-facing message, or null when the release can proceed.
+ */
+function getReleaseBlocker(tradeData, userId) {
+  if (!tradeData || tradeData.buyer_id !== userId) {
+    return '❌ Unable to find this trade. Please restart the flow or contact support.';
+  }
+
+  if (tradeData.status === TRADE_STATUS.COMPLETED) {
+    return '✅ The funds for this trade have already been released.';
+  }
+
+  if (tradeData.status === TRADE_STATUS.DISPUTED) {
+    return '⚠️ This trade is under dispute. A moderator will resolve it.';
+  }
+
+  if (
+    tradeData.status !== TRADE_STATUS.DELIVERED ||
+    !tradeData.escrow_trade_id
+  ) {
+    return '⏳ The seller must mark the trade as delivered before funds can be released.';
+  }
+
+  return null;
+}
+
+/**
+ * Sends the buyer a secure link to the escrow funding page.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction - The fund escrow button interaction.
+ * @param {string} tradeId - The trade identifier.
+ * @param {string} buyerId - Discord user ID of the buyer.
+ * @returns {Promise<void>}
+ */
+async function handleFundEscrowButton(interaction, tradeId, buyerId) {
+  // Interaction is deferred ephemerally in the main handler
+  if (interaction.user.id !== buyerId) {
+    await interaction.editReply({
+      content: '❌ Only the buyer can fund the escrow for this trade.',
+    });
+    return;
+  }
+
+  try {
+    const {
+      generateFundingUrl,
+      getRegisteredTradeMessage,
+      refreshTradeMessage,
+    } = await import('../utils/walletServer.js');
+
+    const tradeData = await getRegisteredTradeMessage(tradeId);
+    if (!tradeData || tradeData.buyer_id !== interaction.user.id) {
+      await interaction.editReply({
+        content:
+          '❌ Unable to find this trade. Please restart the flow or contact support.',
+      });
+      return;
+    }
+
+    if (isEscrowStatus(tradeData.status)) {
+      await interaction.editReply({
+        content: '✅ This trade has already been funded.',
+      });
+      return;
+    }
+
+    if (tradeData.status !== TRADE_STATUS.CONFIRMED) {
+      await interaction.editReply({
+        content:
+          '⏳ Both participants must confirm before the escrow can be funded.',
+      });
+      return;
+    }
+
+    if (!hasActiveQuote(tradeData)) {
+      // Re-render so the trade message offers the Refresh Quote button.
+      await refreshTradeMessage(tradeId, tradeData);
+      await interaction.editReply({
+        content:
+          '⏳ The locked price quote has expired. Click **Refresh Quote** on the trade message to lock a new rate.',
+      });
+      return;
+    }
+
+    await interaction.editReply({
+      content: `🔒 **Fund Escrow**\n\nClick the button below to deposit the funds for trade \`${tradeId}\` from your connected wallet.`,
+      components: [
+        new ActionRowBuilder().addComponents(
+          new ButtonBuilder()
+            .setLabel('Open Funding Page')
+            .setStyle(ButtonStyle.Link)
+            .setURL(generateFundingUrl(tradeId)),
+        ),
+      ],
+    });
+
+    scheduleWalletLinkCleanup(
+      interaction,
+      'Funding',
+      '✅ Funding link sent. Click **Fund Escrow** again if you need a fresh link.',
+    );
+  } catch (error) {
+    logger.error('Error handling escrow funding:', error);
+    await interaction.editReply({
+      content: '❌ Error initiating escrow funding. Please try again.',
+      components: [],
+    });
+  }
+}
+
+/**
+ * Locks a new price quote for a confirmed trade whose previous quote expired.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction - The refresh quote button interaction.
+ * @param {string} tradeId - The trade identifier.
+ * @param {string} buyerId - Discord user ID of the buyer.
+ * @param {string} sellerId - Discord user ID of the seller.
+ * @returns {Promise<void>}
+ */
+async function handleRefreshQuoteButton(
+  interaction,
+  tradeId,
+  buyerId,
+  sellerId,
+) {
+  // Interaction is deferred ephemerally in the main handler
+  if (![buyerId, sellerId].includes(interaction.user.id)) {
+    await interaction.editReply({
+      content: '❌ Only the buyer or seller can refresh the price quote.',
+    });
+    return;
+  }
+
+  try {
+    const { getRegisteredTradeMessage, refreshTradeMessage } = await import(
+      '../utils/walletServer.js'
+    );
+
+    const tradeData = await getRegisteredTradeMessage(tradeId);
+    if (!tradeData) {
+      await interaction.editReply({
+        content:
+          '❌ Unable to find this trade. Please restart the flow or contact support.',
+      });
+      return;
+    }
+
+    if (tradeData.status !== TRADE_STATUS.CONFIRMED) {
+      await interaction.editReply({
+        content: isEscrowStatus(tradeData.status)
+          ? '✅ This trade has already been funded.'
+          : '❌ The price can only be quoted once both participants have confirmed.',
+      });
+      return;
+    }
+
+    if (hasActiveQuote(tradeData)) {
+      await refreshTradeMessage(tradeId, tradeData);
+      await interaction.editReply({
+        content: '✅ The current price quote is still valid.',
+      });
+      return;
+    }
+
+    const updatedTrade = await lockTradeQuote(tradeData);
+    await refreshTradeMessage(tradeId, updatedTrade);
+
+    const deadlineText = updatedTrade.quote_expires_at
+      ? ` until <t:${Math.floor(new Date(updatedTrade.quote_expires_at).getTime() / 1000)}:t>`
+      : '';
+    await interaction.editReply({
+      content: `✅ New rate locked: 1 ${getTradeAsset(updatedTrade).symbol} = $${updatedTrade.quote_usd_price}. The buyer can fund${deadlineText}.`,
+    });
+  } catch (error) {
+    logger.error('Error refreshing price quote:', error);
+    await interaction.editReply({
+      content: '❌ Unable to fetch a new price quote. Please try again.',
+    });
+  }
+}
+
+function scheduleWalletLinkCleanup(
+  interaction,
+  roleLabel,
+  fallbackContent = `✅ ${roleLabel} wallet link sent. Click **Connect Wallet** again if you need a fresh link.`,
+) {
+  setTimeout(async () => {
+    try {
       await interaction.deleteReply();
     } catch (deleteError) {
       logger.debug('Unable to delete wallet link reply; falling back to edit', {
@@ -473,7 +1873,7 @@ function scheduleWalletLinkCleanup(interaction, roleLabel) {
 
       try {
         await interaction.editReply({
-          content: `✅ ${roleLabel} wallet link sent. Click **Connect Wallet** again if you need a fresh link.`,
+          content: fallbackContent,
           components: [],
         });
       } catch (editError) {
@@ -537,6 +1937,13 @@ async function handleProceedButton(interaction, tradeId, buyerId, sellerId) {
       return;
     }
 
+    if (tradeData.status !== TRADE_STATUS.AWAITING_WALLETS) {
+      await interaction.editReply({
+        content: '✅ This trade has already been confirmed by both parties.',
+      });
+      return;
+    }
+
     const alreadyConfirmed =
       userType === 'buyer'
         ? !!tradeData.buyer_confirmed
@@ -548,13 +1955,12 @@ async function handleProceedButton(interaction, tradeId, buyerId, sellerId) {
 
     if (!alreadyConfirmed) {
       updatedTrade = await confirmTradeProceedStep(tradeId, userType);
-      const bothConfirmed =
-        updatedTrade?.buyer_confirmed && updatedTrade?.seller_confirmed;
+      const bothConfirmed = updatedTrade?.status === TRADE_STATUS.CONFIRMED;
 
       await refreshTradeMessage(tradeId, updatedTrade);
 
       responseMessage = bothConfirmed
-        ? '✅ Both confirmations recorded. Development in progress — we will update this thread once the next action is ready.'
+        ? '✅ Both confirmations recorded. The buyer can now fund the escrow using the **Fund Escrow** button.'
         : '⚡ Confirmation received. Waiting for the other participant to confirm.';
     }
 
@@ -1,9 +1,31 @@
 import { MessageFlags } from 'discord.js';
 
-import { buildConfirmTradeDetailsContainer } from '../utils/components/containers.js';
-import { calculateTradeFees } from '../utils/fees.js';
+import { getGuildFeePolicy, resolveFeeBps } from '../utils/feePolicy.js';
+import {
+  LISTING_STATUS,
+  createListing,
+  getMarketplaceChannelId,
+  postListingMessage,
+  refreshListingMessage,
+  updateListing,
+} from '../utils/listings.js';
 import { logger } from '../utils/logger.js';
-import { createTradeDraft } from '../utils/tradeDrafts.js';
+import { formatUsd } from '../utils/money.js';
+import {
+  createTradeReview,
+  getReviewBlocker,
+  getTradeReviews,
+  postVouch,
+} from '../utils/reviews.js';
+import { createTradeConfirmation } from '../utils/tradeDrafts.js';
+import {
+  INVITATION_STATUS,
+  counterTradeInvitation,
+  getOtherParty,
+  getTradeInvitation,
+  refreshInvitationMessage,
+} from '../utils/tradeInvitations.js';
+import { TradeTransitionError } from '../utils/tradeStateMachine.js';
 import { normalizeUsdAmount } from '../utils/validation.js';
 
 /**
@@ -24,6 +46,30 @@ export async function handleModal(interaction) {
         await handleTradeDetailsModal(interaction);
         break;
 
+      case 'listing_mdl': {
+        const [, listingId] = customId.split(':');
+        await handleListingModal(interaction, listingId);
+        break;
+      }
+
+      case 'edit_terms_mdl': {
+        const [, tradeId] = customId.split(':');
+        await handleEditTermsModal(interaction, tradeId);
+        break;
+      }
+
+      case 'counter_offer_mdl': {
+        const [, invitationId, round] = customId.split(':');
+        await handleCounterOfferModal(interaction, invitationId, Number(round));
+        break;
+      }
+
+      case 'review_mdl': {
+        const [, tradeId] = customId.split(':');
+        await handleReviewModal(interaction, tradeId);
+        break;
+      }
+
       default:
         logger.warn(`Unknown modal customId: ${customId}`, {
           userId,
@@ -38,11 +84,12 @@ export async function handleModal(interaction) {
   } catch (error) {
     logger.error(`Error handling modal ${customId}:`, error);
 
+    // Handlers defer before their slow work, so a late error needs an edit.
+    const content = `❌ An error occurred processing your submission. Please try again.`;
     try {
-      await interaction.reply({
-        content: `❌ An error occurred processing your submission. Please try again.`,
-        flags: MessageFlags.Ephemeral,
-      });
+      await (interaction.deferred || interaction.replied
+        ? interaction.editReply({ content })
+        : interaction.reply({ content, flags: MessageFlags.Ephemeral }));
     } catch (replyError) {
       logger.error('Failed to send error reply:', replyError);
     }
@@ -121,32 +168,379 @@ async function handleTradeDetailsModal(interaction) {
       `Invalid role selection: ${role}. Must be 'buyer' or 'seller'.`,
     );
   }
-  const feesData = calculateTradeFees(priceValue);
+  await interaction.reply({
+    flags: MessageFlags.Ephemeral | MessageFlags.IsComponentsV2,
+    components: [
+      await createTradeConfirmation(interaction.guildId, userId, {
+        item,
+        priceCents: priceValidation.cents,
+        additionalDetails: description,
+        buyerId,
+        sellerId,
+      }),
+    ],
+  });
+}
 
-  const feesText = `
-  • **Buyer pays:** $${feesData.buyerTotal} ($${feesData.price} + 2.5%)
-  • **Seller receives:** $${feesData.sellerTotal} ($${feesData.price} - 2.5%)`;
+/**
+ * Applies a counter-offer to a pending invitation and hands the turn to the
+ * other side.
+ *
+ * @param {import('discord.js').ModalSubmitInteraction} interaction - The modal interaction.
+ * @param {string} invitationId - Invitation the counter-offer answers.
+ * @param {number} round - Round the modal was opened for.
+ * @returns {Promise<void>}
+ */
+async function handleCounterOfferModal(interaction, invitationId, round) {
+  const userId = interaction.user.id;
+
+  const item = interaction.fields.getTextInputValue('item_input').trim();
+  const priceValue = interaction.fields.getTextInputValue('price_input');
+  const description =
+    interaction.fields.getTextInputValue('description_input').trim() || null;
+
+  const priceValidation = normalizeUsdAmount(priceValue);
+  if (!priceValidation.ok) {
+    return interaction.reply({
+      content: `❌ **Invalid Price:** ${priceValidation.error}`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const invitation = await getTradeInvitation(invitationId);
+  if (
+    !invitation ||
+    invitation.status !== INVITATION_STATUS.PENDING ||
+    invitation.round !== round ||
+    invitation.awaiting_id !== userId
+  ) {
+    return interaction.editReply({
+      content:
+        '⌛ This offer changed or expired before your counter-offer was sent.',
+    });
+  }
 
-  const tradeDraftId = createTradeDraft({
+  if (
+    item === invitation.item &&
+    priceValidation.cents === BigInt(invitation.price_cents) &&
+    description === (invitation.additional_details || null)
+  ) {
+    return interaction.editReply({
+      content:
+        'ℹ️ Your counter-offer has the same terms. Accept the offer instead.',
+    });
+  }
+
+  // The fee rate follows the guild policy for the countered price.
+  const feePolicy = await getGuildFeePolicy(invitation.guild_id);
+  const updated = await counterTradeInvitation(invitation, userId, {
     item,
-    price: priceValue,
+    priceCents: priceValidation.cents,
     additionalDetails: description,
+    feeBps: resolveFeeBps(feePolicy, priceValidation.cents),
   });
 
-  await interaction.reply({
-    flags: MessageFlags.Ephemeral | MessageFlags.IsComponentsV2,
-    components: [
-      buildConfirmTradeDetailsContainer(
-        buyerId,
-        sellerId,
-        item,
-        priceValue,
-        description,
-        feesText,
-        tradeDraftId,
-      ).toJSON(),
+  if (!updated) {
+    return interaction.editReply({
+      content:
+        '⌛ This offer changed or expired before your counter-offer was sent.',
+    });
+  }
+
+  await refreshInvitationMessage(interaction.client, updated);
+
+  const otherId = getOtherParty(updated, userId);
+  await interaction.channel
+    ?.send({
+      content: `🔁 <@${otherId}>, <@${userId}> sent a counter-offer: **$${formatUsd(priceValidation.cents)}** for **${item}**.`,
+      allowedMentions: { users: [otherId] },
+    })
+    .catch((error) => {
+      logger.warn('Could not announce counter-offer', {
+        invitationId,
+        error: error.message,
+      });
+    });
+
+  await interaction.editReply({
+    content: `✅ Counter-offer sent. <@${otherId}> can now accept, decline or counter it.`,
+  });
+}
+
+/**
+ * Posts a new marketplace listing or saves the edited terms of an existing one.
+ *
+ * @param {import('discord.js').ModalSubmitInteraction} interaction - The modal interaction.
+ * @param {string|undefined} listingId - Listing being edited, if any.
+ * @returns {Promise<void>}
+ */
+async function handleListingModal(interaction, listingId) {
+  const userId = interaction.user.id;
+
+  const item = interaction.fields.getTextInputValue('item_input').trim();
+  const priceValue = interaction.fields.getTextInputValue('price_input');
+  const description =
+    interaction.fields.getTextInputValue('description_input').trim() || null;
+
+  const priceValidation = normalizeUsdAmount(priceValue);
+  if (!priceValidation.ok) {
+    return interaction.reply({
+      content: `❌ **Invalid Price:** ${priceValidation.error}`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  if (listingId) {
+    const listing = await updateListing(listingId, userId, {
+      item,
+      price_cents: priceValidation.cents.toString(),
+      description,
+    });
+    if (!listing) {
+      return interaction.editReply({
+        content: '❌ That listing could not be found among your listings.',
+      });
+    }
+
+    await refreshListingMessage(interaction.client, listing);
+    return interaction.editReply({ content: '✅ Listing updated.' });
+  }
+
+  const channelId = await getMarketplaceChannelId(interaction.guildId);
+  if (!channelId) {
+    return interaction.editReply({
+      content:
+        '❌ No marketplace channel is set up yet. Ask an administrator to run `/listing channel`.',
+    });
+  }
+
+  const listing = await createListing({
+    guildId: interaction.guildId,
+    sellerId: userId,
+    item,
+    priceCents: priceValidation.cents,
+    description,
+  });
+
+  try {
+    await postListingMessage(interaction.client, listing, channelId);
+  } catch (error) {
+    logger.error('Failed to post listing', {
+      listingId: listing.listing_id,
+      error: error.message,
+    });
+    await updateListing(listing.listing_id, userId, {
+      status: LISTING_STATUS.DELETED,
+    });
+    return interaction.editReply({
+      content:
+        '❌ The listing could not be posted to the marketplace channel. Please check bot permissions.',
+    });
+  }
+
+  logger.info('Listing created', {
+    listingId: listing.listing_id,
+    sellerId: userId,
+  });
+
+  await interaction.editReply({
+    content: `✅ Listing posted in <#${channelId}>.`,
+  });
+}
+
+/**
+ * Formats the changed terms of a trade as a diff code block.
+ *
+ * @param {object} previous - Trade row before the edit.
+ * @param {object} updated - Trade row after the edit.
+ * @returns {string|null} Markdown diff, or null when nothing changed.
+ */
+function formatTermsDiff(previous, updated) {
+  // Keep each term on one diff line and the code block closed.
+  const clean = (value) =>
+    String(value || 'none')
+      .replace(/\s*\n\s*/g, ' ')
+      .replaceAll('```', "'''");
+  const price = (row) => `$${formatUsd(BigInt(row.price_cents ?? 0))}`;
+
+  const fields = [
+    ['Item', clean(previous.item), clean(updated.item)],
+    ['Price', price(previous), price(updated)],
+    [
+      'Details',
+      clean(previous.additional_details),
+      clean(updated.additional_details),
     ],
+  ];
+
+  const lines = fields
+    .filter(([, before, after]) => before !== after)
+    .flatMap(([label, before, after]) => [
+      `- ${label}: ${before}`,
+      `+ ${label}: ${after}`,
+    ]);
+
+  return lines.length ? `\`\`\`diff\n${lines.join('\n')}\n\`\`\`` : null;
+}
+
+/**
+ * Saves new terms for an unfunded trade, resets both confirmations and posts
+ * the changes in the trade thread.
+ *
+ * @param {import('discord.js').ModalSubmitInteraction} interaction - The modal interaction.
+ * @param {string} tradeId - Trade being edited.
+ * @returns {Promise<void>}
+ */
+async function handleEditTermsModal(interaction, tradeId) {
+  const userId = interaction.user.id;
+
+  const item = interaction.fields.getTextInputValue('item_input').trim();
+  const priceValue = interaction.fields.getTextInputValue('price_input');
+  const description =
+    interaction.fields.getTextInputValue('description_input').trim() || null;
+
+  const priceValidation = normalizeUsdAmount(priceValue);
+  if (!priceValidation.ok) {
+    return interaction.reply({
+      content: `❌ **Invalid Price:** ${priceValidation.error}`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const {
+    getRegisteredTradeMessage,
+    getTradeTermsBlocker,
+    refreshTradeMessage,
+    updateTradeTerms,
+  } = await import('../utils/walletServer.js');
+
+  const tradeData = await getRegisteredTradeMessage(tradeId);
+  const blocker = getTradeTermsBlocker(tradeData, userId);
+  if (blocker) {
+    return interaction.editReply({ content: blocker });
+  }
+
+  const diff = formatTermsDiff(tradeData, {
+    item,
+    price_cents: priceValidation.cents,
+    additional_details: description,
+  });
+  if (!diff) {
+    return interaction.editReply({
+      content: 'ℹ️ The terms are unchanged.',
+    });
+  }
+
+  // The fee rate follows the guild policy for the new price.
+  const feePolicy = await getGuildFeePolicy(tradeData.guild_id);
+
+  let updatedTrade;
+  try {
+    updatedTrade = await updateTradeTerms(tradeData, {
+      item,
+      priceCents: priceValidation.cents,
+      additionalDetails: description,
+      feeBps: resolveFeeBps(feePolicy, priceValidation.cents),
+    });
+  } catch (error) {
+    if (!(error instanceof TradeTransitionError)) throw error;
+    return interaction.editReply({
+      content:
+        '❌ This trade changed while saving the new terms. Please check its current status.',
+    });
+  }
+
+  await refreshTradeMessage(tradeId, updatedTrade);
+
+  const otherPartyId =
+    userId === tradeData.buyer_id ? tradeData.seller_id : tradeData.buyer_id;
+  await interaction.channel?.send({
+    content:
+      `✏️ <@${otherPartyId}>, <@${userId}> edited the trade terms. ` +
+      `Both of you need to confirm again before the escrow can be funded.\n${diff}`,
+    allowedMentions: { users: [otherPartyId] },
   });
+
+  await interaction.editReply({
+    content: '✅ Terms updated. Both confirmations were reset.',
+  });
+}
+
+/**
+ * Stores a review left from the review modal and posts it as a vouch.
+ *
+ * The trade is re-checked since the modal may have been open while the
+ * other button or a DM was used to review it already.
+ *
+ * @param {import('discord.js').ModalSubmitInteraction} interaction - The modal interaction.
+ * @param {string} tradeId - Reviewed trade.
+ * @returns {Promise<void>}
+ */
+async function handleReviewModal(interaction, tradeId) {
+  const userId = interaction.user.id;
+  const rating = Number(interaction.fields.getField('rating_opt').values[0]);
+  const comment =
+    interaction.fields.getTextInputValue('comment_input').trim() || null;
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  try {
+    const { getRegisteredTradeMessage } = await import(
+      '../utils/walletServer.js'
+    );
+    const tradeData = await getRegisteredTradeMessage(tradeId);
+    const blocker = getReviewBlocker(
+      tradeData,
+      userId,
+      tradeData ? await getTradeReviews(tradeId) : [],
+    );
+    if (blocker) {
+      return interaction.editReply({ content: blocker });
+    }
+
+    const review = await createTradeReview(tradeData, userId, {
+      rating,
+      comment,
+    });
+    if (!review) {
+      return interaction.editReply({
+        content: '✅ You already reviewed this trade.',
+      });
+    }
+
+    logger.info('Trade review left', {
+      tradeId,
+      reviewerId: userId,
+      revieweeId: review.reviewee_id,
+      rating,
+    });
+
+    const channelId = await postVouch(
+      interaction.client,
+      tradeData,
+      review,
+    ).catch((error) => {
+      logger.warn('Failed to post vouch:', { tradeId, error: error.message });
+      return null;
+    });
+
+    return interaction.editReply({
+      content: channelId
+        ? `✅ Thanks for your review! It was posted in <#${channelId}>.`
+        : '✅ Thanks for your review!',
+    });
+  } catch (error) {
+    logger.error('Failed to save trade review:', { tradeId, error });
+    await interaction.editReply({
+      content: '❌ Failed to save your review. Please try again.',
+    });
+  }
 }
 
 export default {
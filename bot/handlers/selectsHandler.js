@@ -1,6 +1,10 @@
 import { MessageFlags } from 'discord.js';
 
+import { getAssetBySymbol, getNativeAsset } from '../utils/assets.js';
+import { buildConfirmTradeDetailsContainer } from '../utils/components/containers.js';
 import { logger } from '../utils/logger.js';
+import { getNetwork } from '../utils/networks.js';
+import { getTradeDraft, updateTradeDraft } from '../utils/tradeDrafts.js';
 
 /**
  * Routes select menu interactions to their handler based on custom ID.
@@ -9,10 +13,20 @@ import { logger } from '../utils/logger.js';
  * @returns {Promise<void>}
  */
 export async function handleSelect(interaction) {
-  const [action] = interaction.customId.split(':');
+  const [action, ...rest] = interaction.customId.split(':');
 
   try {
     switch (action) {
+      case 'trade_asset_select': {
+        const [tradeDraftId] = rest;
+        return await handleTradeAssetSelect(interaction, tradeDraftId);
+      }
+
+      case 'trade_network_select': {
+        const [tradeDraftId] = rest;
+        return await handleTradeNetworkSelect(interaction, tradeDraftId);
+      }
+
       default:
         logger.warn(`Unknown select action: ${action}`);
         await interaction.deferUpdate();
@@ -30,3 +44,99 @@ export async function handleSelect(interaction) {
     }
   }
 }
+
+/**
+ * Stores the settlement asset picked on the trade confirmation and re-renders it.
+ *
+ * @param {import('discord.js').StringSelectMenuInteraction} interaction - The asset select interaction.
+ * @param {string} tradeDraftId - Draft holding the pending trade details.
+ * @returns {Promise<void>}
+ */
+async function handleTradeAssetSelect(interaction, tradeDraftId) {
+  const userId = interaction.user.id;
+  const current = await getTradeDraft(tradeDraftId, userId);
+  const network = getNetwork(current?.chainId);
+  const asset = network
+    ? getAssetBySymbol(interaction.values[0], network)
+    : null;
+  const draft = asset
+    ? await updateTradeDraft(tradeDraftId, userId, { asset: asset.symbol })
+    : null;
+
+  if (!draft) {
+    await interaction.reply({
+      content:
+        '❌ This trade draft has expired or the asset is no longer supported. Please start a new trade.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await updateConfirmation(interaction, tradeDraftId, draft, asset, network);
+}
+
+/**
+ * Stores the network picked on the trade confirmation and re-renders it.
+ *
+ * Assets differ per network, so the selection falls back to the new
+ * network's native token.
+ *
+ * @param {import('discord.js').StringSelectMenuInteraction} interaction - The network select interaction.
+ * @param {string} tradeDraftId - Draft holding the pending trade details.
+ * @returns {Promise<void>}
+ */
+async function handleTradeNetworkSelect(interaction, tradeDraftId) {
+  const network = getNetwork(interaction.values[0]);
+  const asset = network ? getNativeAsset(network) : null;
+  const draft = network
+    ? await updateTradeDraft(tradeDraftId, interaction.user.id, {
+        chainId: network.chainId,
+        asset: asset.symbol,
+      })
+    : null;
+
+  if (!draft) {
+    await interaction.reply({
+      content:
+        '❌ This trade draft has expired or the network is no longer supported. Please start a new trade.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await updateConfirmation(interaction, tradeDraftId, draft, asset, network);
+}
+
+/**
+ * Re-renders the trade confirmation with the draft's current selections.
+ *
+ * @param {import('discord.js').StringSelectMenuInteraction} interaction - The select interaction.
+ * @param {string} tradeDraftId - Draft holding the pending trade details.
+ * @param {object} draft - Draft payload.
+ * @param {import('../utils/assets.js').TradeAsset} asset - Selected settlement asset.
+ * @param {import('../utils/networks.js').EscrowNetwork} network - Selected network.
+ * @returns {Promise<void>}
+ */
+async function updateConfirmation(
+  interaction,
+  tradeDraftId,
+  draft,
+  asset,
+  network,
+) {
+  await interaction.update({
+    components: [
+      buildConfirmTradeDetailsContainer(
+        draft.buyerId,
+        draft.sellerId,
+        draft.item,
+        draft.priceCents,
+        draft.additionalDetails,
+        draft.feesText,
+        tradeDraftId,
+        asset,
+        network,
+      ).toJSON(),
+    ],
+  });
+}
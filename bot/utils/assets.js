@@ -0,0 +1,122 @@
+/**
+ * Settlement assets
+ *
+ * A trade settles either in its network's native token or in one of the
+ * ERC-20 stablecoins configured for that network (`ESCROW_TOKENS` for the
+ * default network, `tokens` in `ESCROW_NETWORKS` for the others). Every
+ * listed token must also be allow-listed on the escrow contract with
+ * `setTokenAllowed`.
+ *
+ * Listed tokens are treated as USD stablecoins: one token is quoted at $1.
+ * Amounts are always BigInt values in the asset's smallest unit, so the
+ * `*_wei` columns hold token units for ERC-20 trades.
+ *
+ * @module utils/assets
+ */
+
+import { formatUnits } from 'ethers';
+
+import { getDefaultNetwork } from './networks.js';
+
+/**
+ * @typedef {object} TradeAsset
+ * @property {string} symbol - Ticker shown to users (e.g. "ETH", "USDC").
+ * @property {string|null} address - ERC-20 contract address, null for the native token.
+ * @property {number} decimals - Decimals of the smallest unit.
+ */
+
+/** @type {TradeAsset} */
+export const NATIVE_ASSET = Object.freeze({
+  symbol: 'ETH',
+  address: null,
+  decimals: 18,
+});
+
+/**
+ * Returns the native token of a network.
+ *
+ * @param {import('./networks.js').EscrowNetwork} [network] - Network (defaults to the default network).
+ * @returns {TradeAsset}
+ */
+export function getNativeAsset(network = getDefaultNetwork()) {
+  if (network.nativeSymbol === NATIVE_ASSET.symbol) {
+    return NATIVE_ASSET;
+  }
+  return { ...NATIVE_ASSET, symbol: network.nativeSymbol };
+}
+
+/**
+ * Lists every asset a trade on a network can settle in, native token first.
+ *
+ * @param {import('./networks.js').EscrowNetwork} [network] - Network (defaults to the default network).
+ * @returns {Array<TradeAsset>}
+ */
+export function getSupportedAssets(network = getDefaultNetwork()) {
+  return [getNativeAsset(network), ...network.tokens];
+}
+
+/**
+ * Looks up an asset supported on a network by symbol.
+ *
+ * @param {string|null|undefined} symbol - Asset symbol; empty means native.
+ * @param {import('./networks.js').EscrowNetwork} [network] - Network (defaults to the default network).
+ * @returns {TradeAsset|null} The asset or null if it is not supported.
+ */
+export function getAssetBySymbol(symbol, network = getDefaultNetwork()) {
+  if (!symbol) return getNativeAsset(network);
+  const wanted = symbol.toUpperCase();
+  return (
+    getSupportedAssets(network).find((asset) => asset.symbol === wanted) || null
+  );
+}
+
+/**
+ * Returns the asset a stored trade settles in.
+ *
+ * The asset is stored on the trade so later configuration changes cannot
+ * alter an open trade.
+ *
+ * @param {object|null} tradeData - Trade row.
+ * @returns {TradeAsset}
+ */
+export function getTradeAsset(tradeData) {
+  if (!tradeData?.asset_address) {
+    return tradeData?.asset_symbol
+      ? { ...NATIVE_ASSET, symbol: tradeData.asset_symbol }
+      : NATIVE_ASSET;
+  }
+
+  return {
+    symbol: tradeData.asset_symbol,
+    address: tradeData.asset_address,
+    decimals: Number(tradeData.asset_decimals),
+  };
+}
+
+/**
+ * Maps an asset to the `trades` columns that store it.
+ *
+ * @param {TradeAsset} asset - Settlement asset.
+ * @returns {object}
+ */
+export function getAssetColumns(asset) {
+  return {
+    asset_symbol: asset.symbol,
+    asset_address: asset.address,
+    asset_decimals: asset.decimals,
+  };
+}
+
+/**
+ * Formats an amount in the asset's smallest unit with its symbol
+ * (e.g. "0.0125 ETH", "50.5 USDC").
+ *
+ * @param {bigint|string|number} amount - Amount in the smallest unit.
+ * @param {TradeAsset} [asset=NATIVE_ASSET] - Asset the amount is in.
+ * @returns {string}
+ */
+export function formatAssetAmount(amount, asset = NATIVE_ASSET) {
+  const formatted = formatUnits(BigInt(amount), asset.decimals);
+  const trimmed = formatted.endsWith('.0') ? formatted.slice(0, -2) : formatted;
+  return `${trimmed} ${asset.symbol}`;
+}
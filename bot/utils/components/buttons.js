@@ -1,5 +1,6 @@
 import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
 
+import { LISTING_STATUS } from '../listings.js';
 import { logger } from '../logger.js';
 
 /**
@@ -34,19 +35,19 @@ export function buildTradeButton() {
 }
 
 /**
- * Builds the confirmation/cancel buttons shown before creating a thread.
+ * Builds the confirmation/cancel buttons shown before inviting the counterparty.
  *
  * @param {string} buyerId - Discord ID of the buyer.
  * @param {string} sellerId - Discord ID of the seller.
  * @param {string|null} [tradeDraftId=null] - Optional draft reference.
  * @returns {import('discord.js').ActionRowBuilder} Action row with confirm and cancel buttons.
  */
-export function buildCreateThreadButtonsRow(
+export function buildSendInvitationButtonsRow(
   buyerId,
   sellerId,
   tradeDraftId = null,
 ) {
-  const customIdParts = ['create_thread', buyerId, sellerId];
+  const customIdParts = ['send_trade_invitation', buyerId, sellerId];
   if (tradeDraftId) {
     customIdParts.push(tradeDraftId);
   }
@@ -54,8 +55,8 @@ export function buildCreateThreadButtonsRow(
   return new ActionRowBuilder().addComponents(
     new ButtonBuilder()
       .setCustomId(customIdParts.join(':'))
-      .setLabel('Confirm Trade')
-      .setEmoji('✅')
+      .setLabel('Send Invitation')
+      .setEmoji('📨')
       .setStyle(ButtonStyle.Success),
     new ButtonBuilder()
       .setCustomId('cancel_trade')
@@ -64,6 +65,142 @@ export function buildCreateThreadButtonsRow(
   );
 }
 
+/**
+ * Builds the Accept / Counter-offer / Decline buttons of a trade invitation.
+ *
+ * @param {string} invitationId - Invitation ID encoded in the custom IDs.
+ * @returns {import('discord.js').ActionRowBuilder} Action row with the response buttons.
+ */
+export function buildInvitationResponseRow(invitationId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`accept_invitation:${invitationId}`)
+      .setLabel('Accept')
+      .setEmoji('✅')
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`counter_offer:${invitationId}`)
+      .setLabel('Counter-offer')
+      .setEmoji('🔁')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`decline_invitation:${invitationId}`)
+      .setLabel('Decline')
+      .setStyle(ButtonStyle.Danger),
+  );
+}
+
+/**
+ * Builds the button participants use to change the terms of an unfunded trade.
+ *
+ * @param {string} tradeId - Trade identifier encoded in the custom ID.
+ * @param {string} buyerId - Discord ID of the buyer.
+ * @param {string} sellerId - Discord ID of the seller.
+ * @returns {import('discord.js').ActionRowBuilder} Action row containing the edit button.
+ */
+export function buildEditTermsButton(tradeId, buyerId, sellerId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`edit_terms:${tradeId}:${buyerId}:${sellerId}`)
+      .setLabel('Edit Terms')
+      .setEmoji('✏️')
+      .setStyle(ButtonStyle.Secondary),
+  );
+}
+
+/**
+ * Builds the Buy button of a marketplace listing, disabled unless the
+ * listing is active.
+ *
+ * @param {string} listingId - Listing ID encoded in the custom ID.
+ * @param {string} status - Listing status.
+ * @returns {import('discord.js').ActionRowBuilder} Action row containing the buy button.
+ */
+export function buildListingBuyButton(listingId, status) {
+  const labels = {
+    [LISTING_STATUS.PAUSED]: 'Paused',
+    [LISTING_STATUS.SOLD_OUT]: 'Sold Out',
+  };
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`buy_listing:${listingId}`)
+      .setLabel(labels[status] || 'Buy')
+      .setEmoji('🛒')
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(status !== LISTING_STATUS.ACTIVE),
+  );
+}
+
+/**
+ * Builds the Previous / Next buttons of a marketplace search.
+ *
+ * @param {string} filters - Search filters encoded with `encodeSearchFilters`.
+ * @param {number} page - Zero-based page currently shown.
+ * @param {number} pageCount - Number of result pages.
+ * @returns {import('discord.js').ActionRowBuilder} Action row with the pagination buttons.
+ */
+export function buildMarketPageRow(filters, page, pageCount) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`market_prev:${page}:${filters}`)
+      .setLabel('Previous')
+      .setEmoji('◀️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page <= 0),
+    new ButtonBuilder()
+      .setCustomId(`market_next:${page}:${filters}`)
+      .setLabel('Next')
+      .setEmoji('▶️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= pageCount - 1),
+  );
+}
+
+/**
+ * Builds the Previous / Next buttons of a `/trades` list.
+ *
+ * The listed user is encoded so only they can page through their trades.
+ *
+ * @param {string} userId - User whose trades are listed.
+ * @param {string|null} status - Status filter, or null for all trades.
+ * @param {number} page - Zero-based page currently shown.
+ * @param {number} pageCount - Number of result pages.
+ * @returns {import('discord.js').ActionRowBuilder} Action row with the pagination buttons.
+ */
+export function buildTradeListPageRow(userId, status, page, pageCount) {
+  const args = `${page}:${userId}:${status ?? ''}`;
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`trades_prev:${args}`)
+      .setLabel('Previous')
+      .setEmoji('◀️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page <= 0),
+    new ButtonBuilder()
+      .setCustomId(`trades_next:${args}`)
+      .setLabel('Next')
+      .setEmoji('▶️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= pageCount - 1),
+  );
+}
+
+/**
+ * Builds the button participants of a completed trade leave a review with.
+ *
+ * @param {string} tradeId - Trade identifier encoded in the custom ID.
+ * @returns {import('discord.js').ActionRowBuilder} Action row containing the review button.
+ */
+export function buildLeaveReviewButton(tradeId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`leave_review:${tradeId}`)
+      .setLabel('Leave a Review')
+      .setEmoji('⭐')
+      .setStyle(ButtonStyle.Primary),
+  );
+}
+
 /**
  * Builds the wallet connection button for a specific trade thread.
  *
@@ -99,3 +236,149 @@ export function buildConfirmWalletButton(tradeId, buyerId, sellerId) {
       .setStyle(ButtonStyle.Success),
   );
 }
+
+/**
+ * Builds the button the buyer uses to open the escrow funding page.
+ *
+ * @param {string} tradeId - Trade identifier encoded in the custom ID.
+ * @param {string} buyerId - Discord ID of the buyer.
+ * @param {string} sellerId - Discord ID of the seller.
+ * @param {boolean} [disabled=false] - Whether funding is currently unavailable.
+ * @returns {import('discord.js').ActionRowBuilder} Action row containing the fund button.
+ */
+export function buildFundEscrowButton(
+  tradeId,
+  buyerId,
+  sellerId,
+  disabled = false,
+) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`fund_escrow:${tradeId}:${buyerId}:${sellerId}`)
+      .setLabel('Fund Escrow')
+      .setEmoji('🔒')
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(disabled),
+  );
+}
+
+/**
+ * Builds the button that takes a new price quote once the locked rate expired.
+ *
+ * @param {string} tradeId - Trade identifier encoded in the custom ID.
+ * @param {string} buyerId - Discord ID of the buyer.
+ * @param {string} sellerId - Discord ID of the seller.
+ * @returns {import('discord.js').ActionRowBuilder} Action row containing the refresh button.
+ */
+export function buildRefreshQuoteButton(tradeId, buyerId, sellerId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`refresh_quote:${tradeId}:${buyerId}:${sellerId}`)
+      .setLabel('Refresh Quote')
+      .setEmoji('🔄')
+      .setStyle(ButtonStyle.Primary),
+  );
+}
+
+/**
+ * Builds the button the seller uses to mark a funded trade as delivered.
+ *
+ * @param {string} tradeId - Trade identifier encoded in the custom ID.
+ * @param {string} buyerId - Discord ID of the buyer.
+ * @param {string} sellerId - Discord ID of the seller.
+ * @returns {import('discord.js').ActionRowBuilder} Action row containing the delivery button.
+ */
+export function buildMarkDeliveredButton(tradeId, buyerId, sellerId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`mark_delivered:${tradeId}:${buyerId}:${sellerId}`)
+      .setLabel('Mark Delivered')
+      .setEmoji('📦')
+      .setStyle(ButtonStyle.Primary),
+  );
+}
+
+/**
+ * Builds the buttons shown while the buyer reviews a delivery.
+ *
+ * The buyer can approve the release; either participant can open a dispute.
+ *
+ * @param {string} tradeId - Trade identifier encoded in the custom ID.
+ * @param {string} buyerId - Discord ID of the buyer.
+ * @param {string} sellerId - Discord ID of the seller.
+ * @returns {import('discord.js').ActionRowBuilder} Action row with release and dispute buttons.
+ */
+export function buildDeliveryReviewButtonsRow(tradeId, buyerId, sellerId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`approve_release:${tradeId}:${buyerId}:${sellerId}`)
+      .setLabel('Approve & Release Funds')
+      .setEmoji('✅')
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`open_dispute:${tradeId}:${buyerId}:${sellerId}`)
+      .setLabel('Open Dispute')
+      .setEmoji('⚠️')
+      .setStyle(ButtonStyle.Danger),
+  );
+}
+
+/**
+ * Builds the second confirmation shown before funds are released.
+ *
+ * @param {string} tradeId - Trade identifier encoded in the custom ID.
+ * @param {string} buyerId - Discord ID of the buyer.
+ * @param {string} sellerId - Discord ID of the seller.
+ * @returns {import('discord.js').ActionRowBuilder} Action row with confirm and cancel buttons.
+ */
+export function buildApproveReleaseConfirmRow(tradeId, buyerId, sellerId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`approve_release_confirm:${tradeId}:${buyerId}:${sellerId}`)
+      .setLabel('Yes, Release Funds')
+      .setEmoji('💸')
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`approve_release_cancel:${tradeId}`)
+      .setLabel('Cancel')
+      .setStyle(ButtonStyle.Secondary),
+  );
+}
+
+/**
+ * Builds the button either participant uses to cancel an unfunded trade.
+ *
+ * @param {string} tradeId - Trade identifier encoded in the custom ID.
+ * @param {string} buyerId - Discord ID of the buyer.
+ * @param {string} sellerId - Discord ID of the seller.
+ * @returns {import('discord.js').ActionRowBuilder} Action row containing the cancel button.
+ */
+export function buildCancelTradeButton(tradeId, buyerId, sellerId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`cancel_trade_request:${tradeId}:${buyerId}:${sellerId}`)
+      .setLabel('Cancel Trade')
+      .setStyle(ButtonStyle.Danger),
+  );
+}
+
+/**
+ * Builds the confirmation shown before a trade is cancelled.
+ *
+ * @param {string} tradeId - Trade identifier encoded in the custom ID.
+ * @param {string} buyerId - Discord ID of the buyer.
+ * @param {string} sellerId - Discord ID of the seller.
+ * @returns {import('discord.js').ActionRowBuilder} Action row with confirm and keep buttons.
+ */
+export function buildCancelTradeConfirmRow(tradeId, buyerId, sellerId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`cancel_trade_confirm:${tradeId}:${buyerId}:${sellerId}`)
+      .setLabel('Yes, Cancel Trade')
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId(`cancel_trade_dismiss:${tradeId}`)
+      .setLabel('Keep Trade')
+      .setStyle(ButtonStyle.Secondary),
+  );
+}
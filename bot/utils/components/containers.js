@@ -11,16 +11,55 @@ import {
   ButtonStyle,
 } from 'discord.js';
 
+import { env } from '../../config/env.js';
 import { COLORS, ASSETS } from '../../config/theme.js';
+import {
+  NATIVE_ASSET,
+  formatAssetAmount,
+  getAssetBySymbol,
+  getNativeAsset,
+  getSupportedAssets,
+} from '../assets.js';
+import {
+  calculateTradeFees,
+  formatFeeBreakdown,
+  formatFeeRate,
+} from '../fees.js';
+import { LISTING_STATUS, encodeSearchFilters } from '../listings.js';
+import { formatUsd } from '../money.js';
+import {
+  getDefaultNetwork,
+  getExplorerTxUrl,
+  getNetwork,
+  getNetworks,
+} from '../networks.js';
+import {
+  formatDuration,
+  formatRating,
+  formatReputation,
+} from '../reputation.js';
+import { INVITATION_STATUS } from '../tradeInvitations.js';
+import { TRADE_STATUS } from '../tradeStateMachine.js';
 import { truncateWalletAddress } from '../walletServer.js';
 
 import {
   buildConnectWalletButton,
-  buildCreateThreadButtonsRow,
   buildConfirmWalletButton,
+  buildCancelTradeButton,
+  buildDeliveryReviewButtonsRow,
+  buildEditTermsButton,
+  buildFundEscrowButton,
+  buildInvitationResponseRow,
+  buildListingBuyButton,
+  buildMarketPageRow,
+  buildMarkDeliveredButton,
+  buildRefreshQuoteButton,
+  buildSendInvitationButtonsRow,
   buildTradeButton,
+  buildTradeListPageRow,
   buildVerifyButton,
 } from './buttons.js';
+import { buildTradeAssetSelect, buildTradeNetworkSelect } from './selects.js';
 
 /**
  * Builds the verification container shown to new users.
@@ -189,26 +228,32 @@ export function buildTradeContainer() {
  * @param {string} buyerId - Discord ID of the buyer.
  * @param {string} sellerId - Discord ID of the seller.
  * @param {string} [item] - Item name.
- * @param {string} [price] - Formatted price.
+ * @param {bigint} [priceCents] - Price in cents.
  * @param {string} [details] - Additional terms.
  * @param {string} [feesText] - Text describing fees.
  * @param {string|null} [tradeDraftId=null] - Draft ID if available.
+ * @param {import('../assets.js').TradeAsset} [asset=NATIVE_ASSET] - Asset the trade settles in.
+ * @param {import('../networks.js').EscrowNetwork} [network] - Network the trade runs on (defaults to the default network).
  * @returns {import('discord.js').ContainerBuilder} Confirmation container.
  */
 export function buildConfirmTradeDetailsContainer(
   buyerId,
   sellerId,
   item,
-  price,
+  priceCents,
   details,
   feesText,
   tradeDraftId = null,
+  asset = NATIVE_ASSET,
+  network = getDefaultNetwork(),
 ) {
   const tradeDetailsComponents = [
     new TextDisplayBuilder().setContent(`Buyer: <@${buyerId}>`),
     new TextDisplayBuilder().setContent(`Seller: <@${sellerId}>`),
     new TextDisplayBuilder().setContent(`Item: ${item}`),
-    new TextDisplayBuilder().setContent(`Price: $${price}`),
+    new TextDisplayBuilder().setContent(
+      `Price: $${formatUsd(priceCents ?? 0n)} (settles in ${asset.symbol} on ${network.name})`,
+    ),
   ];
 
   if (details) {
@@ -237,11 +282,29 @@ export function buildConfirmTradeDetailsContainer(
       new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
     );
 
+  // Let the creator pick the network when the escrow runs on several chains.
+  if (tradeDraftId && getNetworks().length > 1) {
+    container.addActionRowComponents(
+      new ActionRowBuilder().addComponents(
+        buildTradeNetworkSelect(tradeDraftId, network.chainId),
+      ),
+    );
+  }
+
+  // Let the creator pick the settlement asset when stablecoins are enabled.
+  if (tradeDraftId && getSupportedAssets(network).length > 1) {
+    container.addActionRowComponents(
+      new ActionRowBuilder().addComponents(
+        buildTradeAssetSelect(tradeDraftId, asset.symbol, network),
+      ),
+    );
+  }
+
   // Add action row: if both parties present, show confirm/cancel buttons.
   // If missing, show a disabled placeholder to avoid crashes and make intent clear.
   if (buyerId && sellerId) {
     container.addActionRowComponents(
-      buildCreateThreadButtonsRow(buyerId, sellerId, tradeDraftId),
+      buildSendInvitationButtonsRow(buyerId, sellerId, tradeDraftId),
     );
   } else {
     container.addActionRowComponents(
@@ -258,6 +321,544 @@ export function buildConfirmTradeDetailsContainer(
   return container;
 }
 
+/**
+ * Builds the invitation posted for the counterparty to accept, decline or
+ * answer with a counter-offer.
+ *
+ * @param {object} invitation - Invitation row from `trade_invitations`.
+ * @param {object} [extra={}] - Extra render options.
+ * @param {string|null} [extra.threadId=null] - Trade thread opened on accept.
+ * @param {object[]} [extra.rounds=[]] - Offer rounds shown as the negotiation history.
+ * @returns {import('discord.js').ContainerBuilder} Invitation container.
+ */
+export function buildTradeInvitationContainer(invitation, extra = {}) {
+  const { threadId = null, rounds = [] } = extra;
+  const network = getNetwork(invitation.chain_id) || getDefaultNetwork();
+  const asset =
+    getAssetBySymbol(invitation.asset_symbol, network) ||
+    getNativeAsset(network);
+  const priceCents = BigInt(invitation.price_cents);
+  const role =
+    invitation.counterparty_id === invitation.buyer_id ? 'buyer' : 'seller';
+  const toTs = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+  const terms = [
+    `Buyer: <@${invitation.buyer_id}>`,
+    `Seller: <@${invitation.seller_id}>`,
+    `Item: ${invitation.item}`,
+  ];
+  if (invitation.additional_details) {
+    terms.push(`Additional Details: ${invitation.additional_details}`);
+  }
+
+  // Whoever did not make the latest offer answers it.
+  const responderId = invitation.awaiting_id || invitation.counterparty_id;
+  const round = invitation.round || 1;
+
+  let accentColor = COLORS.BLURPLE;
+  let statusText = `Only <@${responderId}> can respond. This offer expires <t:${toTs(invitation.expires_at)}:R>.`;
+
+  if (invitation.status === INVITATION_STATUS.ACCEPTED) {
+    accentColor = COLORS.VERIFIED_GREEN;
+    statusText = `✅ Accepted by <@${responderId}> <t:${toTs(invitation.responded_at)}:f>.${threadId ? ` Trade thread: <#${threadId}>` : ''}`;
+  } else if (invitation.status === INVITATION_STATUS.DECLINED) {
+    accentColor = COLORS.ALERT_RED;
+    statusText = `❌ Declined by <@${responderId}> <t:${toTs(invitation.responded_at)}:f>.`;
+  } else if (invitation.status === INVITATION_STATUS.EXPIRED) {
+    accentColor = COLORS.NEUTRAL_GREY;
+    statusText = `⌛ Expired <t:${toTs(invitation.expires_at)}:f> without an answer.`;
+  }
+
+  const container = new ContainerBuilder()
+    .setAccentColor(accentColor)
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        `**📨 Trade Invitation**${round > 1 ? ` · Round ${round}` : ''}`,
+      ),
+      new TextDisplayBuilder().setContent(
+        `<@${invitation.initiator_id}> invited <@${invitation.counterparty_id}> to a trade as the **${role}**.`,
+      ),
+    )
+    .addSeparatorComponents(
+      new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
+    )
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(`-# TERMS\n${terms.join('\n')}`),
+      new TextDisplayBuilder().setContent(
+        formatPriceSection(priceCents, asset, network),
+      ),
+      new TextDisplayBuilder().setContent(
+        formatFeesSection(priceCents, invitation.fee_bps ?? env.FEE_BPS),
+      ),
+    )
+    .addSeparatorComponents(
+      new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
+    );
+
+  if (rounds.length > 1) {
+    const history = rounds.map(
+      (offer) =>
+        `Round ${offer.round} · <@${offer.proposed_by}> offered $${formatUsd(BigInt(offer.price_cents))} for ${offer.item} · ${offer.outcome}`,
+    );
+    container
+      .addTextDisplayComponents(
+        new TextDisplayBuilder().setContent(
+          `-# NEGOTIATION\n${history.join('\n')}`,
+        ),
+      )
+      .addSeparatorComponents(
+        new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
+      );
+  }
+
+  container.addTextDisplayComponents(
+    new TextDisplayBuilder().setContent(statusText),
+  );
+
+  if (invitation.status === INVITATION_STATUS.PENDING) {
+    container.addActionRowComponents(
+      buildInvitationResponseRow(invitation.invitation_id),
+    );
+  }
+
+  return container;
+}
+
+/**
+ * Builds the marketplace container of a listing.
+ *
+ * @param {object} listing - Listing row from `listings`.
+ * @param {import('../reputation.js').Reputation} reputation - Seller reputation.
+ * @returns {import('discord.js').ContainerBuilder} Listing container.
+ */
+export function buildListingContainer(listing, reputation) {
+  const statusText = {
+    [LISTING_STATUS.ACTIVE]: 'Click **Buy** to start a trade with the seller.',
+    [LISTING_STATUS.PAUSED]: '⏸️ The seller paused this listing.',
+    [LISTING_STATUS.SOLD_OUT]: '📦 This listing is sold out.',
+  };
+
+  const container = new ContainerBuilder()
+    .setAccentColor(
+      listing.status === LISTING_STATUS.ACTIVE
+        ? COLORS.VERIFIED_GREEN
+        : COLORS.NEUTRAL_GREY,
+    )
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(`**🏷️ ${listing.item}**`),
+      new TextDisplayBuilder().setContent(
+        `-# PRICE\n**$${formatUsd(BigInt(listing.price_cents))}**`,
+      ),
+    );
+
+  if (listing.description) {
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        `-# DESCRIPTION\n${listing.description}`,
+      ),
+    );
+  }
+
+  return container
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        `-# SELLER\n<@${listing.seller_id}> · ${formatReputation(reputation)}`,
+      ),
+    )
+    .addSeparatorComponents(
+      new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
+    )
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        `${statusText[listing.status] || ''}\n-# LISTING ID: \`${listing.listing_id}\``,
+      ),
+    )
+    .addActionRowComponents(
+      buildListingBuyButton(listing.listing_id, listing.status),
+    );
+}
+
+/**
+ * Builds one page of marketplace search results, each with a button that
+ * starts a trade on the listing.
+ *
+ * @param {object[]} listings - Listings on this page.
+ * @param {import('../listings.js').ListingSearchFilters} filters - Search filters.
+ * @param {object} pagination - Page position.
+ * @param {number} pagination.page - Zero-based page shown.
+ * @param {number} pagination.pageCount - Number of result pages.
+ * @param {number} pagination.total - Number of matching listings.
+ * @returns {import('discord.js').ContainerBuilder} Search results container.
+ */
+export function buildMarketSearchContainer(listings, filters, pagination) {
+  const { page, pageCount, total } = pagination;
+
+  const filterText = [
+    filters.keyword && `"${filters.keyword}"`,
+    filters.minCents !== null && `from $${formatUsd(filters.minCents)}`,
+    filters.maxCents !== null && `up to $${formatUsd(filters.maxCents)}`,
+    filters.sellerId && `by <@${filters.sellerId}>`,
+  ].filter(Boolean);
+
+  const container = new ContainerBuilder()
+    .setAccentColor(COLORS.BLURPLE)
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        `**🔎 Marketplace** · ${total} result${total === 1 ? '' : 's'}`,
+      ),
+      new TextDisplayBuilder().setContent(
+        `-# FILTERS\n${filterText.length ? filterText.join(' · ') : 'All active listings'}`,
+      ),
+    )
+    .addSeparatorComponents(
+      new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
+    );
+
+  if (!listings.length) {
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        'No active listings match these filters.',
+      ),
+    );
+  }
+
+  for (const listing of listings) {
+    const description = listing.description
+      ? `\n-# ${listing.description.replace(/\s+/g, ' ').slice(0, 120)}`
+      : '';
+    container.addSectionComponents(
+      new SectionBuilder()
+        .addTextDisplayComponents(
+          new TextDisplayBuilder().setContent(
+            `**${listing.item}** · $${formatUsd(BigInt(listing.price_cents))}\n<@${listing.seller_id}>${description}`,
+          ),
+        )
+        .setButtonAccessory(
+          new ButtonBuilder()
+            .setCustomId(`buy_listing:${listing.listing_id}`)
+            .setLabel('Start trade')
+            .setStyle(ButtonStyle.Success),
+        ),
+    );
+  }
+
+  return container
+    .addSeparatorComponents(
+      new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
+    )
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        `-# Page ${page + 1} of ${pageCount}`,
+      ),
+    )
+    .addActionRowComponents(
+      buildMarketPageRow(encodeSearchFilters(filters), page, pageCount),
+    );
+}
+
+/**
+ * Builds one page of a user's trades, each with a link to its thread.
+ *
+ * @param {object[]} trades - Trades on this page.
+ * @param {string} userId - User whose trades are listed.
+ * @param {string|null} status - Status filter, `open` or null for all.
+ * @param {object} pagination - Page position.
+ * @param {number} pagination.page - Zero-based page shown.
+ * @param {number} pagination.pageCount - Number of result pages.
+ * @param {number} pagination.total - Number of matching trades.
+ * @returns {import('discord.js').ContainerBuilder} Trade list container.
+ */
+export function buildTradeListContainer(trades, userId, status, pagination) {
+  const { page, pageCount, total } = pagination;
+
+  const container = new ContainerBuilder()
+    .setAccentColor(COLORS.BLURPLE)
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        `**📒 Trades of <@${userId}>** · ${total} trade${total === 1 ? '' : 's'}`,
+      ),
+      new TextDisplayBuilder().setContent(
+        `-# STATUS\n${status ? formatStatusLabel(status) : 'All trades'}`,
+      ),
+    )
+    .addSeparatorComponents(
+      new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
+    );
+
+  if (!trades.length) {
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder().setContent('No trades match this filter.'),
+    );
+  }
+
+  for (const trade of trades) {
+    const isBuyer = trade.buyer_id === userId;
+    const text = new TextDisplayBuilder().setContent(
+      `**${trade.item || 'Not provided'}** · $${formatUsd(BigInt(trade.price_cents ?? 0))}\n` +
+        `${isBuyer ? '💸 Buyer' : '📦 Seller'} · with <@${isBuyer ? trade.seller_id : trade.buyer_id}>\n` +
+        `-# \`${formatStatusLabel(trade.status)}\` · ID: \`${trade.trade_id}\``,
+    );
+
+    if (!trade.channel_id) {
+      container.addTextDisplayComponents(text);
+      continue;
+    }
+
+    container.addSectionComponents(
+      new SectionBuilder()
+        .addTextDisplayComponents(text)
+        .setButtonAccessory(
+          new ButtonBuilder()
+            .setURL(
+              `https://discord.com/channels/${trade.guild_id}/${trade.channel_id}`,
+            )
+            .setLabel('Open thread')
+            .setStyle(ButtonStyle.Link),
+        ),
+    );
+  }
+
+  return container
+    .addSeparatorComponents(
+      new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
+    )
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        `-# Page ${page + 1} of ${pageCount}`,
+      ),
+    )
+    .addActionRowComponents(
+      buildTradeListPageRow(userId, status, page, pageCount),
+    );
+}
+
+/**
+ * Builds the full details of a trade for `/trade info`: terms and fees,
+ * participants with their wallets and confirmations, the on-chain escrow and
+ * a timeline of what happened so far.
+ *
+ * @param {object} trade - Trade row.
+ * @param {object} walletStatus - Connected buyer and seller wallets.
+ * @param {string|null} [walletStatus.buyerWallet] - Connected buyer wallet address.
+ * @param {string|null} [walletStatus.sellerWallet] - Connected seller wallet address.
+ * @param {object} tradeDetails - Item, price, and detail metadata.
+ * @returns {import('discord.js').ContainerBuilder} Trade details container.
+ */
+export function buildTradeInfoContainer(trade, walletStatus, tradeDetails) {
+  const { network, asset } = tradeDetails;
+  const accentColor =
+    trade.status === TRADE_STATUS.COMPLETED
+      ? COLORS.VERIFIED_GREEN
+      : [
+            TRADE_STATUS.CANCELLED,
+            TRADE_STATUS.EXPIRED,
+            TRADE_STATUS.DISPUTED,
+          ].includes(trade.status)
+        ? COLORS.ALERT_RED
+        : COLORS.BLURPLE;
+
+  const container = buildEscrowTradeContainer(
+    formatStatusLabel(trade.status),
+    accentColor,
+    trade.buyer_id,
+    trade.seller_id,
+    walletStatus,
+    tradeDetails,
+  );
+
+  const confirmed = (flag) => (flag ? '✅ Confirmed' : '⏳ Not confirmed');
+  container.addTextDisplayComponents(
+    new TextDisplayBuilder().setContent(
+      `-# CONFIRMATIONS\nBuyer: ${confirmed(trade.buyer_confirmed)} · Seller: ${confirmed(trade.seller_confirmed)}`,
+    ),
+  );
+
+  const escrowLines = [
+    `Escrow ID: \`${trade.escrow_trade_id ?? 'N/A'}\` on ${network.name}`,
+  ];
+  if (trade.funding_amount_wei) {
+    escrowLines.push(
+      `Funded: **${formatAssetAmount(trade.funding_amount_wei, asset)}**`,
+    );
+  }
+  if (trade.payout_amount_wei) {
+    escrowLines.push(
+      `Paid to seller: **${formatAssetAmount(trade.payout_amount_wei, asset)}**`,
+    );
+  }
+  if (trade.refund_amount_wei) {
+    escrowLines.push(
+      `Refunded to buyer: **${formatAssetAmount(trade.refund_amount_wei, asset)}**`,
+    );
+  }
+  container.addTextDisplayComponents(
+    new TextDisplayBuilder().setContent(
+      `-# ON-CHAIN\n${escrowLines.join('\n')}`,
+    ),
+  );
+
+  const threadText = trade.channel_id
+    ? ` · Thread: <#${trade.channel_id}>`
+    : '';
+  const transcriptText = trade.transcript_message_id
+    ? ` · [Transcript](https://discord.com/channels/${trade.guild_id}/${trade.transcript_channel_id}/${trade.transcript_message_id})`
+    : '';
+  return container
+    .addSeparatorComponents(
+      new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
+    )
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        `-# TIMELINE\n${formatTradeTimeline(trade, network)}`,
+      ),
+    )
+    .addSeparatorComponents(
+      new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
+    )
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        `-# TRADE ID: \`${trade.trade_id}\`${threadText}${transcriptText}`,
+      ),
+    );
+}
+
+/**
+ * Builds the list of staff actions taken on a trade.
+ *
+ * @param {object[]} entries - Audit log rows, oldest first.
+ * @returns {import('discord.js').ContainerBuilder} Audit log container.
+ */
+export function buildTradeAuditLogContainer(entries) {
+  // The latest entries keep the text within Discord's length limit.
+  const shown = entries.slice(-10);
+  const lines = shown.map((entry) => {
+    const ts = Math.floor(new Date(entry.created_at).getTime() / 1000);
+    return `<t:${ts}:f> \`${formatStatusLabel(entry.action)}\` by <@${entry.actor_id}>\n-# ${entry.reason}`;
+  });
+
+  const countText =
+    entries.length > shown.length
+      ? ` (latest ${shown.length} of ${entries.length})`
+      : '';
+
+  return new ContainerBuilder()
+    .setAccentColor(COLORS.NEUTRAL_GREY)
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        `-# 🛡️ STAFF AUDIT LOG${countText}\n${lines.length ? lines.join('\n') : 'No staff actions yet.'}`,
+      ),
+    );
+}
+
+/**
+ * Builds the trading profile of a user in a guild.
+ *
+ * @param {import('discord.js').User} user - Profiled user.
+ * @param {import('../reputation.js').Reputation} reputation - The user's reputation in the guild.
+ * @returns {import('discord.js').ContainerBuilder} Profile container.
+ */
+export function buildProfileContainer(user, reputation) {
+  const {
+    completedTrades,
+    completedSales,
+    completedPurchases,
+    volumeCents,
+    disputesOpened,
+    disputesLost,
+    cancellations,
+    averageCompletionMs,
+    reviewCount,
+    averageRating,
+  } = reputation;
+
+  return new ContainerBuilder()
+    .setAccentColor(COLORS.BLURPLE)
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        `**👤 ${user.displayName}**\n<@${user.id}> · ${formatReputation(reputation)}`,
+      ),
+    )
+    .addSeparatorComponents(
+      new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
+    )
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        `-# COMPLETED TRADES\n**${completedTrades}** (${completedSales} sold · ${completedPurchases} bought)`,
+      ),
+      new TextDisplayBuilder().setContent(
+        `-# TOTAL VOLUME\n**$${formatUsd(volumeCents)}**`,
+      ),
+      new TextDisplayBuilder().setContent(
+        `-# AVERAGE COMPLETION TIME\n**${averageCompletionMs === null ? 'N/A' : formatDuration(averageCompletionMs)}**`,
+      ),
+      new TextDisplayBuilder().setContent(
+        `-# DISPUTES\n**${disputesOpened}** opened · **${disputesLost}** lost`,
+      ),
+      new TextDisplayBuilder().setContent(
+        `-# CANCELLATIONS\n**${cancellations}**`,
+      ),
+      new TextDisplayBuilder().setContent(
+        `-# REVIEWS\n${
+          reviewCount
+            ? `**${formatRating(averageRating)}** from ${reviewCount} review${reviewCount === 1 ? '' : 's'}`
+            : '**No reviews yet**'
+        }`,
+      ),
+    );
+}
+
+/**
+ * Builds the vouch posted to the vouches channel for a review.
+ *
+ * Vouches can only come from a participant of a completed trade, so the
+ * trade they belong to is shown as proof.
+ *
+ * @param {object} trade - Completed trade row.
+ * @param {object} review - Trade review row.
+ * @returns {import('discord.js').ContainerBuilder} Vouch container.
+ */
+export function buildVouchContainer(trade, review) {
+  const role = review.reviewee_id === trade.seller_id ? 'seller' : 'buyer';
+  const completedTs = Math.floor(new Date(trade.completed_at).getTime() / 1000);
+
+  const container = new ContainerBuilder()
+    .setAccentColor(
+      review.rating >= 4
+        ? COLORS.VERIFIED_GREEN
+        : review.rating <= 2
+          ? COLORS.ALERT_RED
+          : COLORS.BLURPLE,
+    )
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        `**${'⭐'.repeat(review.rating)}** ${review.rating}/5\n` +
+          `<@${review.reviewer_id}> reviewed the ${role} <@${review.reviewee_id}>`,
+      ),
+    );
+
+  if (review.comment) {
+    container.addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        review.comment
+          .split('\n')
+          .map((line) => `> ${line}`)
+          .join('\n'),
+      ),
+    );
+  }
+
+  return container
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        `-# ITEM\n**${trade.item || 'Not provided'}** · $${formatUsd(BigInt(trade.price_cents ?? 0))}`,
+      ),
+      new TextDisplayBuilder().setContent(
+        `-# ✅ Verified trade \`${trade.trade_id}\` · completed <t:${completedTs}:R>`,
+      ),
+    );
+}
+
 /**
  * Builds the wallet-connection container shown inside private trade threads.
  *
@@ -274,8 +875,12 @@ export function buildConfirmTradeDetailsContainer(
  * @param {boolean} [confirmationStatus.sellerConfirmed] - Whether the seller confirmed.
  * @param {object} [tradeDetails={}] - Item, price, and detail metadata.
  * @param {string} [tradeDetails.item] - Item name.
- * @param {string} [tradeDetails.price] - Price string.
+ * @param {bigint|null} [tradeDetails.priceCents] - Price in cents.
  * @param {string} [tradeDetails.details] - Additional details string.
+ * @param {import('../assets.js').TradeAsset} [tradeDetails.asset] - Asset the trade settles in.
+ * @param {import('../networks.js').EscrowNetwork} [tradeDetails.network] - Network the trade runs on.
+ * @param {number} [tradeDetails.feeBps] - Fee rate locked on the trade.
+ * @param {{buyer: import('../reputation.js').Reputation, seller: import('../reputation.js').Reputation}} [tradeDetails.reputations] - Participant reputations shown as badges.
  * @returns {Promise<import('discord.js').ContainerBuilder>} Promise resolving to the container builder.
  */
 export async function buildConnectWalletContainer(
@@ -294,7 +899,8 @@ export async function buildConnectWalletContainer(
   const buyerConfirmed = !!confirmationStatus.buyerConfirmed;
   const sellerConfirmed = !!confirmationStatus.sellerConfirmed;
 
-  const { item, price, details } = tradeDetails;
+  const { item, priceCents, details, asset, network, feeBps, reputations } =
+    tradeDetails;
 
   const allConfirmed = buyerConfirmed && sellerConfirmed;
 
@@ -318,14 +924,22 @@ export async function buildConnectWalletContainer(
       : '`UNCONFIRMED`'
     : '`CONNECT WALLET`';
 
+  // Lets each side judge their counterparty before confirming.
+  const buyerBadge = reputations
+    ? `\n-# ${formatReputation(reputations.buyer)}`
+    : '';
+  const sellerBadge = reputations
+    ? `\n-# ${formatReputation(reputations.seller)}`
+    : '';
+
   const buyerSection =
     `-# 👤 BUYER **${buyerStatusText}**\n\n` +
-    `<@${buyerId}>\n\n` +
+    `<@${buyerId}>${buyerBadge}\n\n` +
     `${buyerWalletDisplay}`;
 
   const sellerSection =
     `-# 👤 SELLER **${sellerStatusText}**\n\n` +
-    `<@${sellerId}>\n\n` +
+    `<@${sellerId}>${sellerBadge}\n\n` +
     `${sellerWalletDisplay}`;
 
   const footerText = `-# TRADE ID: \`${tradeId}\``;
@@ -342,7 +956,12 @@ export async function buildConnectWalletContainer(
       new TextDisplayBuilder().setContent(
         `-# ITEM\n**${item || 'Not provided'}**`,
       ),
-      new TextDisplayBuilder().setContent(`-# PRICE\n**$${price || '0'}**`),
+      new TextDisplayBuilder().setContent(
+        formatPriceSection(priceCents, asset, network),
+      ),
+      new TextDisplayBuilder().setContent(
+        formatFeesSection(priceCents, feeBps),
+      ),
       new TextDisplayBuilder().setContent(
         `-# ADDITIONAL DETAILS\n\`\`\`${details || 'null'}\`\`\``,
       ),
@@ -380,6 +999,10 @@ export async function buildConnectWalletContainer(
   if (!allConfirmed) {
     actionRow.addComponents(confirmWalletButton);
   }
+  actionRow.addComponents(
+    buildEditTermsButton(tradeId, buyerId, sellerId).components[0],
+    buildCancelTradeButton(tradeId, buyerId, sellerId).components[0],
+  );
 
   container.addActionRowComponents(actionRow);
 
@@ -387,39 +1010,504 @@ export async function buildConnectWalletContainer(
 }
 
 /**
- * Builds a placeholder container once both confirmations succeed.
+ * Builds the status, terms, and participant sections shared by the escrow containers.
+ *
+ * @param {string} statusLabel - Status headline (e.g. "AWAITING FUNDING").
+ * @param {number} accentColor - Container accent color.
+ * @param {string} buyerId - Discord ID for the buyer.
+ * @param {string} sellerId - Discord ID for the seller.
+ * @param {object} walletStatus - Connected buyer and seller wallets.
+ * @param {object} tradeDetails - Item, price, and detail metadata.
+ * @returns {import('discord.js').ContainerBuilder} Container with the shared sections.
+ */
+function buildEscrowTradeContainer(
+  statusLabel,
+  accentColor,
+  buyerId,
+  sellerId,
+  walletStatus,
+  tradeDetails,
+) {
+  const { item, priceCents, details, asset, network, feeBps } = tradeDetails;
+  const walletText = (wallet) =>
+    wallet ? `\`${truncateWalletAddress(wallet)}\`` : '`WALLET NOT CONNECTED`';
+
+  return new ContainerBuilder()
+    .setAccentColor(accentColor)
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(`**STATUS: ${statusLabel}**`),
+    )
+    .addSeparatorComponents(
+      new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
+    )
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        `-# ITEM\n**${item || 'Not provided'}**`,
+      ),
+      new TextDisplayBuilder().setContent(
+        formatPriceSection(priceCents, asset, network),
+      ),
+      new TextDisplayBuilder().setContent(
+        formatFeesSection(priceCents, feeBps),
+      ),
+      new TextDisplayBuilder().setContent(
+        `-# ADDITIONAL DETAILS\n\`\`\`${details || 'null'}\`\`\``,
+      ),
+    )
+    .addSeparatorComponents(
+      new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
+    )
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        `-# 👤 BUYER\n\n<@${buyerId}>\n\n${walletText(walletStatus.buyerWallet)}`,
+      ),
+    )
+    .addSeparatorComponents(new SeparatorBuilder())
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        `-# 👤 SELLER\n\n<@${sellerId}>\n\n${walletText(walletStatus.sellerWallet)}`,
+      ),
+    )
+    .addSeparatorComponents(
+      new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
+    );
+}
+
+/**
+ * Formats the PRICE section with the asset and network the trade settles on.
+ *
+ * @param {bigint|null|undefined} priceCents - Price in cents.
+ * @param {import('../assets.js').TradeAsset} [asset=NATIVE_ASSET] - Settlement asset.
+ * @param {import('../networks.js').EscrowNetwork} [network] - Network the trade runs on.
+ * @returns {string}
+ */
+function formatPriceSection(
+  priceCents,
+  asset = NATIVE_ASSET,
+  network = getDefaultNetwork(),
+) {
+  return `-# PRICE\n**$${formatUsd(priceCents ?? 0n)}** · settles in **${asset.symbol}** on ${network.name}`;
+}
+
+/**
+ * Formats the FEES section with the buyer and seller totals.
+ *
+ * @param {bigint|null|undefined} priceCents - Price in cents.
+ * @param {number} [feeBps=env.FEE_BPS] - Fee rate locked on the trade.
+ * @returns {string}
+ */
+function formatFeesSection(priceCents, feeBps = env.FEE_BPS) {
+  const fees = calculateTradeFees(priceCents ?? 0n, feeBps);
+  return `-# FEES\n${fees ? formatFeeBreakdown(fees) : '`N/A`'}`;
+}
+
+/**
+ * Formats a trade status or status filter for display (e.g. "AWAITING WALLETS").
+ *
+ * @param {string} status - Trade status.
+ * @returns {string}
+ */
+function formatStatusLabel(status) {
+  return status.replace(/_/g, ' ').toUpperCase();
+}
+
+/**
+ * Formats the recorded events of a trade as a chronological list, with
+ * transaction links for the on-chain steps.
+ *
+ * @param {object} trade - Trade row.
+ * @param {import('../networks.js').EscrowNetwork} network - Network the trade runs on.
+ * @returns {string}
+ */
+function formatTradeTimeline(trade, network) {
+  const txText = (txHash) =>
+    txHash ? ` · ${formatTxLink(txHash, network)}` : '';
+
+  const resolvedText =
+    trade.dispute_resolved_by &&
+    ` · resolved by <@${trade.dispute_resolved_by}> (${trade.dispute_buyer_share_bps / 100}% buyer / ${trade.dispute_seller_share_bps / 100}% seller)`;
+
+  const events = [
+    [trade.created_at, '🆕 Trade opened'],
+    [trade.funded_at, `💰 Escrow funded${txText(trade.funding_tx_hash)}`],
+    [
+      trade.delivered_at,
+      `📦 Marked delivered${txText(trade.delivery_tx_hash)}`,
+    ],
+    [
+      trade.disputed_at,
+      `⚖️ Dispute opened${trade.dispute_raised_by ? ` by <@${trade.dispute_raised_by}>` : ''}${txText(trade.dispute_tx_hash)}`,
+    ],
+    [trade.approved_at, '👍 Buyer approved the release'],
+    [
+      trade.completed_at,
+      `✅ Completed${resolvedText || ''}${txText(trade.release_tx_hash)}`,
+    ],
+    [
+      trade.cancelled_at,
+      `🚫 Cancelled${trade.cancelled_by ? ` by <@${trade.cancelled_by}>` : ''}`,
+    ],
+    [
+      trade.status === TRADE_STATUS.EXPIRED && trade.updated_at,
+      '⌛ Expired before funding',
+    ],
+    [trade.thread_closed_at, '🔒 Thread closed'],
+  ]
+    .filter(([at]) => at)
+    .map(([at, text]) => [new Date(at).getTime(), text])
+    .sort(([a], [b]) => a - b);
+
+  return events
+    .map(([at, text]) => `<t:${Math.floor(at / 1000)}:f> ${text}`)
+    .join('\n');
+}
+
+/**
+ * Formats a transaction hash as a markdown explorer link when possible.
+ *
+ * @param {string|null} txHash - Transaction hash.
+ * @param {import('../networks.js').EscrowNetwork} [network] - Network the transaction was sent on.
+ * @returns {string} Markdown link, code-formatted hash, or "N/A".
+ */
+function formatTxLink(txHash, network = getDefaultNetwork()) {
+  if (!txHash) {
+    return '`N/A`';
+  }
+
+  const url = getExplorerTxUrl(txHash, network);
+  const label = truncateWalletAddress(txHash);
+  return url ? `[\`${label}\`](${url})` : `\`${label}\``;
+}
+
+/**
+ * Builds the funding container shown once both parties have confirmed.
  *
  * @param {string} tradeId - Trade identifier.
- * @param {string} buyerId - Discord ID of the buyer.
- * @param {string} sellerId - Discord ID of the seller.
- * @param {string|null} [buyerDisplay=null] - Buyer display name fallback.
- * @param {string|null} [sellerDisplay=null] - Seller display name fallback.
- * @returns {import('discord.js').ContainerBuilder} Informational container.
+ * @param {string} buyerId - Discord ID for the buyer.
+ * @param {string} sellerId - Discord ID for the seller.
+ * @param {object} [walletStatus={}] - Connected buyer and seller wallets.
+ * @param {object} [tradeDetails={}] - Item, price, and detail metadata.
+ * @param {{tradeAmountWei: bigint, buyerFeeWei: bigint, totalWei: bigint}|null} [fundingAmounts=null] - Amounts the buyer must deposit.
+ * @param {object|null} [quote=null] - Locked price quote.
+ * @param {string} [quote.usdPrice] - USD price of one token of the settlement asset.
+ * @param {string} [quote.source] - Price source the quote came from.
+ * @param {Date|string|null} [quote.expiresAt] - When the locked rate expires (null if it never does).
+ * @returns {import('discord.js').ContainerBuilder} Funding container.
  */
-export function buildDevelopmentInProgressContainer(
+export function buildFundEscrowContainer(
   tradeId,
   buyerId,
   sellerId,
-  buyerDisplay = null,
-  sellerDisplay = null,
+  walletStatus = {},
+  tradeDetails = {},
+  fundingAmounts = null,
+  quote = null,
 ) {
-  const buyerLabel = buyerDisplay || `User ${buyerId.slice(-4)}`;
-  const sellerLabel = sellerDisplay || `User ${sellerId.slice(-4)}`;
+  const asset = tradeDetails.asset || NATIVE_ASSET;
+  const expiresAt = quote?.expiresAt ? new Date(quote.expiresAt) : null;
+  const quoteExpired =
+    !quote || (!!expiresAt && expiresAt.getTime() <= Date.now());
+  const expiresTs = expiresAt ? Math.floor(expiresAt.getTime() / 1000) : null;
 
-  return new ContainerBuilder()
-    .setAccentColor(COLORS.BLURPLE)
+  let fundingText = 'No price quote is locked for this trade yet.';
+  if (fundingAmounts && quote) {
+    const rateText = `Rate: 1 ${asset.symbol} = $${quote.usdPrice} (${quote.source})`;
+    let rateLine = rateText;
+    if (quoteExpired) {
+      rateLine = `${rateText} · ⚠️ expired <t:${expiresTs}:R>`;
+    } else if (expiresTs) {
+      rateLine = `${rateText} · locked until <t:${expiresTs}:t> (<t:${expiresTs}:R>)`;
+    }
+    fundingText = [
+      `The buyer deposits **${formatAssetAmount(fundingAmounts.totalWei, asset)}** ` +
+        `(${formatAssetAmount(fundingAmounts.tradeAmountWei, asset)} + ${formatFeeRate(fundingAmounts.feeBps)} fee) into the escrow contract.`,
+      rateLine,
+    ].join('\n');
+  }
+
+  if (quoteExpired) {
+    fundingText += '\nRefresh the quote to lock a new rate before funding.';
+  }
+
+  return buildEscrowTradeContainer(
+    'AWAITING FUNDING',
+    COLORS.PENDING_DARK_GREY,
+    buyerId,
+    sellerId,
+    walletStatus,
+    tradeDetails,
+  )
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(
+        `-# ESCROW FUNDING\n${fundingText}\nThe seller is notified here once the funds are locked.`,
+      ),
+    )
+    .addSeparatorComponents(
+      new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
+    )
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(`-# TRADE ID: \`${tradeId}\``),
+    )
+    .addActionRowComponents(
+      buildFundEscrowButton(
+        tradeId,
+        buyerId,
+        sellerId,
+        !fundingAmounts || quoteExpired,
+      ).addComponents(
+        ...(quoteExpired
+          ? buildRefreshQuoteButton(tradeId, buyerId, sellerId).components
+          : []),
+        buildEditTermsButton(tradeId, buyerId, sellerId).components[0],
+        buildCancelTradeButton(tradeId, buyerId, sellerId).components[0],
+      ),
+    );
+}
+
+/**
+ * Builds the container shown once a trade was cancelled or expired before funding.
+ *
+ * @param {string} tradeId - Trade identifier.
+ * @param {string} buyerId - Discord ID for the buyer.
+ * @param {string} sellerId - Discord ID for the seller.
+ * @param {object} [walletStatus={}] - Connected buyer and seller wallets.
+ * @param {object} [tradeDetails={}] - Item, price, and detail metadata.
+ * @param {object} [closure={}] - How the trade ended.
+ * @param {string} [closure.status] - Trade status (cancelled or expired).
+ * @param {string|null} [closure.cancelledBy] - Discord ID of the participant who cancelled.
+ * @param {Date|string|null} [closure.cancelledAt] - When the trade was cancelled.
+ * @returns {import('discord.js').ContainerBuilder} Cancelled container.
+ */
+export function buildTradeCancelledContainer(
+  tradeId,
+  buyerId,
+  sellerId,
+  walletStatus = {},
+  tradeDetails = {},
+  closure = {},
+) {
+  const { status = TRADE_STATUS.CANCELLED, cancelledBy, cancelledAt } = closure;
+
+  let closureText = 'This trade expired before it was funded.';
+  if (status === TRADE_STATUS.CANCELLED) {
+    const cancelledTs = cancelledAt
+      ? ` <t:${Math.floor(new Date(cancelledAt).getTime() / 1000)}:f>`
+      : '';
+    closureText = cancelledBy
+      ? `Cancelled by <@${cancelledBy}>${cancelledTs}.`
+      : `This trade was cancelled${cancelledTs}.`;
+  }
+
+  return buildEscrowTradeContainer(
+    status.toUpperCase(),
+    COLORS.ALERT_RED,
+    buyerId,
+    sellerId,
+    walletStatus,
+    tradeDetails,
+  )
     .addTextDisplayComponents(
-      new TextDisplayBuilder().setContent('**🚧 Development in progress**'),
       new TextDisplayBuilder().setContent(
-        'Both parties have connected wallets and confirmed the Proceed step. The next phase of this escrow flow is under active development — we will notify you as soon as it is ready.',
+        `-# CLOSED\n${closureText}\nNo funds were deposited and wallets are locked. This thread will be archived shortly.`,
       ),
     )
     .addSeparatorComponents(
       new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
     )
+    .addTextDisplayComponents(
+      new TextDisplayBuilder().setContent(`-# TRADE ID: \`${tradeId}\``),
+    );
+}
+
+/**
+ * Builds the container shown once the escrow has been funded on-chain.
+ *
+ * @param {string} tradeId - Trade identifier.
+ * @param {string} buyerId - Discord ID for the buyer.
+ * @param {string} sellerId - Discord ID for the seller.
+ * @param {object} [walletStatus={}] - Connected buyer and seller wallets.
+ * @param {object} [tradeDetails={}] - Item, price, and detail metadata.
+ * @param {object} [escrowStatus={}] - On-chain escrow data.
+ * @param {string|null} [escrowStatus.escrowTradeId] - On-chain trade ID.
+ * @param {string|null} [escrowStatus.fundingTxHash] - Funding transaction hash.
+ * @param {string|null} [escrowStatus.fundingAmountWei] - Escrowed amount excluding fees.
+ * @param {string} [escrowStatus.status] - Trade status (funded, delivered, disputed or completed).
+ * @param {Date|string|null} [escrowStatus.deliveredAt] - When the seller marked delivery.
+ * @param {string|null} [escrowStatus.deliveryTxHash] - Delivery transaction hash.
+ * @param {Date|string|null} [escrowStatus.disputedAt] - When a dispute was opened.
+ * @param {string|null} [escrowStatus.disputeTxHash] - Dispute transaction hash.
+ * @param {string|null} [escrowStatus.disputeRaisedBy] - Discord ID of the participant who opened the dispute.
+ * @param {number|null} [escrowStatus.disputeBuyerShareBps] - Buyer share awarded by the moderator.
+ * @param {number|null} [escrowStatus.disputeSellerShareBps] - Seller share awarded by the moderator.
+ * @param {string|null} [escrowStatus.refundAmountWei] - Amount refunded to the buyer by a dispute resolution.
+ * @param {Date|string|null} [escrowStatus.approvedAt] - When the buyer approved the release.
+ * @param {Date|string|null} [escrowStatus.completedAt] - When funds were released.
+ * @param {string|null} [escrowStatus.releaseTxHash] - Release transaction hash.
+ * @param {string|null} [escrowStatus.payoutAmountWei] - Amount paid out to the seller.
+ * @param {string|null} [escrowStatus.sellerFeeWei] - Seller fee deducted on release.
+ * @param {string|null} [escrowStatus.sellerFeeBotWei] - Bot share of the seller fee.
+ * @param {string|null} [escrowStatus.sellerFeeReceiverWei] - Fee receiver share of the seller fee.
+ * @returns {import('discord.js').ContainerBuilder} Funded container.
+ */
+export function buildEscrowFundedContainer(
+  tradeId,
+  buyerId,
+  sellerId,
+  walletStatus = {},
+  tradeDetails = {},
+  escrowStatus = {},
+) {
+  const {
+    escrowTradeId,
+    fundingTxHash,
+    fundingAmountWei,
+    status = TRADE_STATUS.FUNDED,
+    deliveredAt,
+    deliveryTxHash,
+    disputedAt,
+    disputeTxHash,
+    disputeRaisedBy,
+    disputeBuyerShareBps,
+    disputeSellerShareBps,
+    refundAmountWei,
+    approvedAt,
+    completedAt,
+    releaseTxHash,
+    payoutAmountWei,
+    sellerFeeWei,
+    sellerFeeBotWei,
+    sellerFeeReceiverWei,
+  } = escrowStatus;
+  const asset = tradeDetails.asset || NATIVE_ASSET;
+  const isCompleted = status === TRADE_STATUS.COMPLETED;
+  const isDisputed = status === TRADE_STATUS.DISPUTED;
+  const amountText = fundingAmountWei
+    ? `**${formatAssetAmount(fundingAmountWei, asset)}**`
+    : 'The trade amount';
+
+  const container = buildEscrowTradeContainer(
+    status.toUpperCase(),
+    isCompleted
+      ? COLORS.VERIFIED_GREEN
+      : isDisputed
+        ? COLORS.ALERT_RED
+        : COLORS.BLURPLE,
+    buyerId,
+    sellerId,
+    walletStatus,
+    tradeDetails,
+  )
     .addTextDisplayComponents(
       new TextDisplayBuilder().setContent(
-        `Trade ID: \`${tradeId}\`\n• Buyer: <@${buyerId}> (${buyerLabel})\n• Seller: <@${sellerId}> (${sellerLabel})`,
+        `-# ESCROW\n${amountText} is locked in escrow \`#${escrowTradeId}\`.\n` +
+          `Funding transaction: ${formatTxLink(fundingTxHash, tradeDetails.network)}`,
       ),
+    )
+    .addSeparatorComponents(
+      new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
+    );
+
+  if (deliveredAt) {
+    const deliveredTs = Math.floor(new Date(deliveredAt).getTime() / 1000);
+    container
+      .addTextDisplayComponents(
+        new TextDisplayBuilder().setContent(
+          `-# DELIVERY\nMarked delivered by the seller <t:${deliveredTs}:f> (<t:${deliveredTs}:R>).\n` +
+            `Delivery transaction: ${formatTxLink(deliveryTxHash, tradeDetails.network)}`,
+        ),
+      )
+      .addSeparatorComponents(
+        new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
+      );
+  }
+
+  if (disputedAt) {
+    const disputedTs = Math.floor(new Date(disputedAt).getTime() / 1000);
+    const raiserText = disputeRaisedBy ? ` by <@${disputeRaisedBy}>` : '';
+    const disputeNote = isDisputed
+      ? '\nFunds stay locked until a moderator resolves the dispute.'
+      : '';
+    container
+      .addTextDisplayComponents(
+        new TextDisplayBuilder().setContent(
+          `-# DISPUTE\nDispute opened${raiserText} <t:${disputedTs}:f>.${disputeNote}\n` +
+            `Dispute transaction: ${formatTxLink(disputeTxHash, tradeDetails.network)}`,
+        ),
+      )
+      .addSeparatorComponents(
+        new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
+      );
+  }
+
+  if (isCompleted) {
+    const completedTs = Math.floor(new Date(completedAt).getTime() / 1000);
+    let releaseReason = 'Released by the escrow';
+    if (disputedAt) {
+      releaseReason = 'Dispute resolved by a moderator';
+    } else if (approvedAt) {
+      releaseReason = 'Approved by the buyer';
+    }
+    const releaseLines = [
+      '-# RELEASE',
+      `${releaseReason} <t:${completedTs}:f>.`,
+    ];
+
+    if (
+      disputedAt &&
+      disputeBuyerShareBps !== null &&
+      disputeBuyerShareBps !== undefined
+    ) {
+      releaseLines.push(
+        `Split: ${Number(disputeBuyerShareBps) / 100}% buyer · ${Number(disputeSellerShareBps) / 100}% seller`,
+      );
+    }
+
+    if (refundAmountWei) {
+      releaseLines.push(
+        `Buyer refund: **${formatAssetAmount(refundAmountWei, asset)}**`,
+      );
+    }
+
+    if (payoutAmountWei) {
+      releaseLines.push(
+        `Seller payout: **${formatAssetAmount(payoutAmountWei, asset)}**`,
+      );
+    }
+
+    if (sellerFeeWei) {
+      releaseLines.push(
+        `Seller fee: ${formatAssetAmount(sellerFeeWei, asset)} ` +
+          `(bot ${formatAssetAmount(sellerFeeBotWei || 0n, asset)} · ` +
+          `platform ${formatAssetAmount(sellerFeeReceiverWei || 0n, asset)})`,
+      );
+    }
+
+    releaseLines.push(
+      `Release transaction: ${formatTxLink(releaseTxHash, tradeDetails.network)}`,
+    );
+
+    container
+      .addTextDisplayComponents(
+        new TextDisplayBuilder().setContent(releaseLines.join('\n')),
+      )
+      .addSeparatorComponents(
+        new SeparatorBuilder({ spacing: SeparatorSpacingSize.Large }),
+      );
+  }
+
+  container.addTextDisplayComponents(
+    new TextDisplayBuilder().setContent(`-# TRADE ID: \`${tradeId}\``),
+  );
+
+  if (status === TRADE_STATUS.FUNDED) {
+    container.addActionRowComponents(
+      buildMarkDeliveredButton(tradeId, buyerId, sellerId),
+    );
+  } else if (status === TRADE_STATUS.DELIVERED) {
+    container.addActionRowComponents(
+      buildDeliveryReviewButtonsRow(tradeId, buyerId, sellerId),
     );
+  }
+
+  return container;
 }
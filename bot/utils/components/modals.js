@@ -6,34 +6,146 @@ import {
 } from 'discord.js';
 
 import { logger } from '../logger.js';
+import { formatUsd } from '../money.js';
+import { REVIEW_COMMENT_MAX_LENGTH } from '../reviews.js';
 
 import {
   buildCounterpartySelect,
+  buildReviewRatingSelect,
   buildRoleSelectionSelect,
 } from './selects.js';
 
 /**
  * Builds the trade details modal containing inputs for item, price, counterparty, role, and notes.
  *
+ * When an existing trade is passed, the modal edits its terms instead: the
+ * inputs are prefilled and the participant selects are left out, since the
+ * buyer and seller of an open trade cannot change.
+ *
+ * @param {object|null} [trade=null] - Trade row whose terms are being edited.
  * @returns {import('discord.js').ModalBuilder} The configured modal builder.
  */
-export function buildTradeDetailsModal() {
-  logger.debug('Building trade details modal');
+export function buildTradeDetailsModal(trade = null) {
+  logger.debug('Building trade details modal', {
+    tradeId: trade?.trade_id ?? null,
+  });
 
-  return new ModalBuilder()
-    .setCustomId(`trade_details_mdl`)
-    .setTitle('Trade Details')
+  const itemInput = new TextInputBuilder()
+    .setCustomId('item_input')
+    .setStyle(TextInputStyle.Short)
+    .setPlaceholder(`e.g., "Web Development Services"`)
+    .setRequired(true)
+    .setMaxLength(500);
+  const priceInput = new TextInputBuilder()
+    .setCustomId('price_input')
+    .setStyle(TextInputStyle.Short)
+    .setPlaceholder('e.g., 10, 15.5, 50.0')
+    .setRequired(true)
+    .setMaxLength(20);
+  const detailsInput = new TextInputBuilder()
+    .setCustomId('description_input')
+    .setStyle(TextInputStyle.Paragraph)
+    .setPlaceholder('Any specific terms, delivery method, or conditions...')
+    .setRequired(false)
+    .setMaxLength(1000);
+
+  if (trade) {
+    if (trade.item) itemInput.setValue(trade.item);
+    if (trade.price_cents) {
+      priceInput.setValue(formatUsd(BigInt(trade.price_cents)));
+    }
+    if (trade.additional_details) {
+      detailsInput.setValue(trade.additional_details);
+    }
+  }
+
+  const modal = new ModalBuilder()
+    .setCustomId(
+      trade ? `edit_terms_mdl:${trade.trade_id}` : 'trade_details_mdl',
+    )
+    .setTitle(trade ? 'Edit Trade Terms' : 'Trade Details')
     .addLabelComponents(
       new LabelBuilder()
         .setLabel('Trade Item')
         .setDescription(
           'The exact name of the product, service, or asset being exchanged.',
         )
+        .setTextInputComponent(itemInput),
+    )
+    .addLabelComponents(
+      new LabelBuilder()
+        .setLabel('Price ($)')
+        .setDescription(
+          'Enter the numeric amount (Minimum 5) in $ (e.g., 50 or 50.00).',
+        )
+        .setTextInputComponent(priceInput),
+    );
+
+  if (!trade) {
+    modal
+      .addLabelComponents(
+        new LabelBuilder()
+          .setLabel('Counterparty')
+          .setDescription(
+            'The Discord user you are entering this agreement with.',
+          )
+          .setUserSelectMenuComponent(buildCounterpartySelect()),
+      )
+      .addLabelComponents(
+        new LabelBuilder()
+          .setLabel('Your Role')
+          .setDescription(
+            'Your position in this transaction relative to the counterparty.',
+          )
+          .setStringSelectMenuComponent(buildRoleSelectionSelect()),
+      );
+  }
+
+  return modal.addLabelComponents(
+    new LabelBuilder()
+      .setLabel('Additional Details (optional)')
+      .setDescription(
+        'Any specific terms, conditions, or delivery details for this deal.',
+      )
+      .setTextInputComponent(detailsInput),
+  );
+}
+
+/**
+ * Builds the counter-offer modal, prefilled with the offer being answered.
+ *
+ * @param {object} invitation - Invitation row holding the current offer.
+ * @returns {import('discord.js').ModalBuilder} The configured modal builder.
+ */
+export function buildCounterOfferModal(invitation) {
+  logger.debug('Building counter-offer modal', {
+    invitationId: invitation.invitation_id,
+    round: invitation.round,
+  });
+
+  const detailsInput = new TextInputBuilder()
+    .setCustomId('description_input')
+    .setStyle(TextInputStyle.Paragraph)
+    .setRequired(false)
+    .setMaxLength(1000);
+  if (invitation.additional_details) {
+    detailsInput.setValue(invitation.additional_details);
+  }
+
+  return new ModalBuilder()
+    .setCustomId(
+      `counter_offer_mdl:${invitation.invitation_id}:${invitation.round}`,
+    )
+    .setTitle('Counter-offer')
+    .addLabelComponents(
+      new LabelBuilder()
+        .setLabel('Trade Item')
+        .setDescription('What you are willing to trade.')
         .setTextInputComponent(
           new TextInputBuilder()
             .setCustomId('item_input')
             .setStyle(TextInputStyle.Short)
-            .setPlaceholder(`e.g., "Web Development Services"`)
+            .setValue(invitation.item)
             .setRequired(true)
             .setMaxLength(500),
         ),
@@ -48,43 +160,111 @@ export function buildTradeDetailsModal() {
           new TextInputBuilder()
             .setCustomId('price_input')
             .setStyle(TextInputStyle.Short)
-            .setPlaceholder('e.g., 10, 15.5, 50.0')
+            .setValue(formatUsd(BigInt(invitation.price_cents)))
             .setRequired(true)
             .setMaxLength(20),
         ),
     )
     .addLabelComponents(
       new LabelBuilder()
-        .setLabel('Counterparty')
+        .setLabel('Additional Details (optional)')
         .setDescription(
-          'The Discord user you are entering this agreement with.',
+          'Any specific terms, conditions, or delivery details for this deal.',
         )
-        .setUserSelectMenuComponent(buildCounterpartySelect()),
+        .setTextInputComponent(detailsInput),
+    );
+}
+
+/**
+ * Builds the listing modal, prefilled when an existing listing is edited.
+ *
+ * @param {object|null} [listing=null] - Listing row being edited.
+ * @returns {import('discord.js').ModalBuilder} The configured modal builder.
+ */
+export function buildListingModal(listing = null) {
+  logger.debug('Building listing modal', {
+    listingId: listing?.listing_id ?? null,
+  });
+
+  const itemInput = new TextInputBuilder()
+    .setCustomId('item_input')
+    .setStyle(TextInputStyle.Short)
+    .setPlaceholder(`e.g., "Logo Design"`)
+    .setRequired(true)
+    .setMaxLength(500);
+  const priceInput = new TextInputBuilder()
+    .setCustomId('price_input')
+    .setStyle(TextInputStyle.Short)
+    .setPlaceholder('e.g., 10, 15.5, 50.0')
+    .setRequired(true)
+    .setMaxLength(20);
+  const descriptionInput = new TextInputBuilder()
+    .setCustomId('description_input')
+    .setStyle(TextInputStyle.Paragraph)
+    .setPlaceholder('What buyers get, delivery time, conditions...')
+    .setRequired(false)
+    .setMaxLength(1000);
+
+  if (listing) {
+    itemInput.setValue(listing.item);
+    priceInput.setValue(formatUsd(BigInt(listing.price_cents)));
+    if (listing.description) descriptionInput.setValue(listing.description);
+  }
+
+  return new ModalBuilder()
+    .setCustomId(listing ? `listing_mdl:${listing.listing_id}` : 'listing_mdl')
+    .setTitle(listing ? 'Edit Listing' : 'New Listing')
+    .addLabelComponents(
+      new LabelBuilder()
+        .setLabel('Item')
+        .setDescription('The product or service you are offering.')
+        .setTextInputComponent(itemInput),
     )
     .addLabelComponents(
       new LabelBuilder()
-        .setLabel('Your Role')
+        .setLabel('Price ($)')
         .setDescription(
-          'Your position in this transaction relative to the counterparty.',
+          'Enter the numeric amount (Minimum 5) in $ (e.g., 50 or 50.00).',
         )
-        .setStringSelectMenuComponent(buildRoleSelectionSelect()),
+        .setTextInputComponent(priceInput),
     )
+    .addLabelComponents(
+      new LabelBuilder()
+        .setLabel('Description (optional)')
+        .setDescription('Shown to buyers in the marketplace channel.')
+        .setTextInputComponent(descriptionInput),
+    );
+}
+
+/**
+ * Builds the review modal a participant rates their counterparty with.
+ *
+ * @param {string} tradeId - Completed trade being reviewed.
+ * @returns {import('discord.js').ModalBuilder} The configured modal builder.
+ */
+export function buildReviewModal(tradeId) {
+  logger.debug('Building review modal', { tradeId });
 
+  return new ModalBuilder()
+    .setCustomId(`review_mdl:${tradeId}`)
+    .setTitle('Review Your Trade Partner')
     .addLabelComponents(
       new LabelBuilder()
-        .setLabel('Additional Details (optional)')
-        .setDescription(
-          'Any specific terms, conditions, or delivery details for this deal.',
-        )
+        .setLabel('Rating')
+        .setDescription('How did the trade go overall?')
+        .setStringSelectMenuComponent(buildReviewRatingSelect()),
+    )
+    .addLabelComponents(
+      new LabelBuilder()
+        .setLabel('Comment (optional)')
+        .setDescription('Shown publicly in the vouches channel.')
         .setTextInputComponent(
           new TextInputBuilder()
-            .setCustomId('description_input')
+            .setCustomId('comment_input')
             .setStyle(TextInputStyle.Paragraph)
-            .setPlaceholder(
-              'Any specific terms, delivery method, or conditions...',
-            )
+            .setPlaceholder('Fast delivery, great communication...')
             .setRequired(false)
-            .setMaxLength(1000),
+            .setMaxLength(REVIEW_COMMENT_MAX_LENGTH),
         ),
     );
 }
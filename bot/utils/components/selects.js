@@ -4,7 +4,9 @@ import {
   StringSelectMenuOptionBuilder,
 } from 'discord.js';
 
+import { getSupportedAssets } from '../assets.js';
 import { logger } from '../logger.js';
+import { getNetworks } from '../networks.js';
 
 /**
  * Builds a single-select menu for choosing the counterparty.
@@ -39,3 +41,69 @@ export function buildRoleSelectionSelect() {
         .setValue('seller'),
     );
 }
+
+/**
+ * Builds the 1–5 star rating select of the review modal.
+ *
+ * @returns {import('discord.js').StringSelectMenuBuilder} Configured rating select menu.
+ */
+export function buildReviewRatingSelect() {
+  return new StringSelectMenuBuilder()
+    .setCustomId('rating_opt')
+    .setPlaceholder('Select a rating...')
+    .addOptions(
+      [5, 4, 3, 2, 1].map((rating) =>
+        new StringSelectMenuOptionBuilder()
+          .setLabel(`${'⭐'.repeat(rating)} (${rating}/5)`)
+          .setValue(String(rating)),
+      ),
+    );
+}
+
+/**
+ * Builds the select menu for choosing the asset a trade settles in.
+ *
+ * @param {string} tradeDraftId - Draft the selection is stored on.
+ * @param {string} selectedSymbol - Currently selected asset symbol.
+ * @param {import('../networks.js').EscrowNetwork} network - Network whose assets are offered.
+ * @returns {import('discord.js').StringSelectMenuBuilder} Configured asset select menu.
+ */
+export function buildTradeAssetSelect(tradeDraftId, selectedSymbol, network) {
+  logger.debug('Building trade asset select menu');
+  return new StringSelectMenuBuilder()
+    .setCustomId(`trade_asset_select:${tradeDraftId}`)
+    .setPlaceholder('Select the asset this trade settles in...')
+    .addOptions(
+      getSupportedAssets(network).map((asset) =>
+        new StringSelectMenuOptionBuilder()
+          .setLabel(
+            asset.address ? `${asset.symbol} (stablecoin)` : asset.symbol,
+          )
+          .setValue(asset.symbol)
+          .setDefault(asset.symbol === selectedSymbol),
+      ),
+    );
+}
+
+/**
+ * Builds the select menu for choosing the network a trade runs on.
+ *
+ * @param {string} tradeDraftId - Draft the selection is stored on.
+ * @param {number} selectedChainId - Currently selected chain ID.
+ * @returns {import('discord.js').StringSelectMenuBuilder} Configured network select menu.
+ */
+export function buildTradeNetworkSelect(tradeDraftId, selectedChainId) {
+  logger.debug('Building trade network select menu');
+  return new StringSelectMenuBuilder()
+    .setCustomId(`trade_network_select:${tradeDraftId}`)
+    .setPlaceholder('Select the network this trade runs on...')
+    .addOptions(
+      getNetworks().map((network) =>
+        new StringSelectMenuOptionBuilder()
+          .setLabel(network.name)
+          .setDescription(`Chain ID ${network.chainId}`)
+          .setValue(String(network.chainId))
+          .setDefault(network.chainId === selectedChainId),
+      ),
+    );
+}
@@ -17,6 +17,21 @@ import { env, shouldUseLocalPg } from '../config/env.js';
 
 import { logger } from './logger.js';
 
+// Operators accepted in `or()` filter strings, as PostgREST names them.
+const FILTER_OPERATORS = Object.freeze({
+  eq: '=',
+  neq: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  ilike: 'ILIKE',
+});
+
+// Values accepted by the `is` filter of or().
+const IS_VALUES = Object.freeze({ null: null, true: true, false: false });
+
 let supabaseClient = null;
 let pgPool = null;
 let cachedDatabase = null;
@@ -77,19 +92,25 @@ class PostgresQueryBuilder {
     this.updateData = null;
     this.upsertData = null;
     this.upsertConflict = null;
-    this.orderByClause = null;
+    this.insertData = null;
+    this.orderClauses = [];
     this.limitValue = null;
+    this.offsetValue = null;
     this.shouldReturnSingle = false;
+    this.countRows = false;
+    this.headOnly = false;
   }
 
-  select(columns = '*') {
-    if (this.operation === 'update') {
+  select(columns = '*', options = {}) {
+    if (['update', 'insert', 'upsert', 'delete'].includes(this.operation)) {
       this.returningColumns = columns;
       return this;
     }
 
     this.operation = 'select';
     this.selectColumns = columns;
+    this.countRows = options.count === 'exact';
+    this.headOnly = !!options.head;
     return this;
   }
 
@@ -103,6 +124,89 @@ class PostgresQueryBuilder {
     return this;
   }
 
+  gt(field, value) {
+    this.whereConditions.push({ field, operator: '>', value });
+    return this;
+  }
+
+  gte(field, value) {
+    this.whereConditions.push({ field, operator: '>=', value });
+    return this;
+  }
+
+  lt(field, value) {
+    this.whereConditions.push({ field, operator: '<', value });
+    return this;
+  }
+
+  lte(field, value) {
+    this.whereConditions.push({ field, operator: '<=', value });
+    return this;
+  }
+
+  in(field, values) {
+    this.whereConditions.push({ field, operator: 'IN', value: values });
+    return this;
+  }
+
+  is(field, value) {
+    this.whereConditions.push({ field, operator: 'IS', value });
+    return this;
+  }
+
+  ilike(field, pattern) {
+    this.whereConditions.push({ field, operator: 'ILIKE', value: pattern });
+    return this;
+  }
+
+  /**
+   * Matches rows passing any of the filters of a PostgREST filter string,
+   * e.g. `item.ilike."%sword%",description.ilike."%sword%"`. Values with
+   * commas, dots or parentheses are double-quoted, escaping `"` and `\`
+   * with a backslash. `is` takes `null`, `true` or `false`.
+   */
+  or(filters) {
+    const conditions = [];
+    const pattern = /([\w.]+?)\.(\w+)\.("(?:[^"\\]|\\.)*"|[^,]*)(?:,|$)/gy;
+    let parsedLength = 0;
+
+    for (const [match, field, operator, raw] of filters.matchAll(pattern)) {
+      parsedLength += match.length;
+      if (operator === 'is') {
+        if (!Object.hasOwn(IS_VALUES, raw)) {
+          throw new Error(`Unsupported or() is value: ${raw}`);
+        }
+        conditions.push({ field, operator: 'IS', value: IS_VALUES[raw] });
+        continue;
+      }
+      if (!FILTER_OPERATORS[operator]) {
+        throw new Error(`Unsupported or() operator: ${operator}`);
+      }
+      const value = raw.startsWith('"')
+        ? raw.slice(1, -1).replace(/\\(.)/g, '$1')
+        : raw;
+      conditions.push({ field, operator: FILTER_OPERATORS[operator], value });
+    }
+
+    if (!conditions.length || parsedLength !== filters.length) {
+      throw new Error(`Invalid or() filter: ${filters}`);
+    }
+
+    this.whereConditions.push({ operator: 'OR', value: conditions });
+    return this;
+  }
+
+  insert(data) {
+    this.operation = 'insert';
+    this.insertData = Array.isArray(data) ? data : [data];
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
   update(data) {
     this.operation = 'update';
     this.updateData = data;
@@ -117,29 +221,44 @@ class PostgresQueryBuilder {
   }
 
   orderBy(field, direction = 'ASC') {
-    this.orderByClause = `ORDER BY ${field} ${direction.toUpperCase()}`;
+    this.orderClauses.push(`${field} ${direction.toUpperCase()}`);
     return this;
   }
 
+  order(field, options = {}) {
+    return this.orderBy(field, options.ascending === false ? 'DESC' : 'ASC');
+  }
+
   limit(count) {
     this.limitValue = count;
     return this;
   }
 
+  range(from, to) {
+    this.offsetValue = from;
+    this.limitValue = to - from + 1;
+    return this;
+  }
+
   single() {
     this.shouldReturnSingle = true;
     return this;
   }
 
   async execute() {
+    // Awaited so failed queries resolve as `{ error }` like Supabase does.
     try {
       switch (this.operation) {
         case 'update':
-          return this._executeUpdate();
+          return await this._executeUpdate();
         case 'upsert':
-          return this._executeUpsert();
+          return await this._executeUpsert();
+        case 'insert':
+          return await this._executeInsert();
+        case 'delete':
+          return await this._executeDelete();
         default:
-          return this._executeSelect();
+          return await this._executeSelect();
       }
     } catch (error) {
       logger.error('PostgreSQL query error', {
@@ -159,13 +278,27 @@ class PostgresQueryBuilder {
       return { clause: '', values: [] };
     }
 
-    const clauses = this.whereConditions.map((condition, idx) => {
-      const placeholder = `${String.fromCharCode(36)}${startIndex + idx}`;
-      return `${condition.field} ${condition.operator} ${placeholder}`;
-    });
+    const values = [];
+    const toSql = (condition) => {
+      if (condition.operator === 'OR') {
+        return `(${condition.value.map(toSql).join(' OR ')})`;
+      }
+
+      if (condition.operator === 'IS') {
+        return `${condition.field} IS ${condition.value === null ? 'NULL' : condition.value ? 'TRUE' : 'FALSE'}`;
+      }
+
+      values.push(condition.value);
+      const placeholder = `${String.fromCharCode(36)}${startIndex + values.length - 1}`;
 
-    const values = this.whereConditions.map((condition) => condition.value);
+      if (condition.operator === 'IN') {
+        return `${condition.field} = ANY(${placeholder})`;
+      }
 
+      return `${condition.field} ${condition.operator} ${placeholder}`;
+    };
+
+    const clauses = this.whereConditions.map(toSql);
     return { clause: `WHERE ${clauses.join(' AND ')}`, values };
   }
 
@@ -183,24 +316,46 @@ class PostgresQueryBuilder {
   async _executeSelect() {
     let query = `SELECT ${this.selectColumns} FROM ${this.tableName}`;
     let values = [];
+    let whereClause = '';
 
     if (this.whereConditions.length) {
       const { clause, values: whereValues } = this._buildWhereClause();
-      query += ` ${clause}`;
+      whereClause = ` ${clause}`;
+      query += whereClause;
       values = whereValues;
     }
 
-    if (this.orderByClause) {
-      query += ` ${this.orderByClause}`;
+    // Like Supabase, `count: 'exact'` counts every matching row regardless
+    // of the requested range.
+    let count = null;
+    if (this.countRows) {
+      const countQuery = `SELECT COUNT(*) AS count FROM ${this.tableName}${whereClause}`;
+      logger.debug('Executing PostgreSQL COUNT', { query: countQuery, values });
+      const countResult = await this.pool.query(countQuery, values);
+      count = Number(countResult.rows[0].count);
+
+      if (this.headOnly) {
+        return { data: null, count, error: null };
+      }
+    }
+
+    if (this.orderClauses.length) {
+      query += ` ORDER BY ${this.orderClauses.join(', ')}`;
     }
 
     if (this.limitValue) {
-      query += ` LIMIT ${this.limitValue}`;
+      query += ` LIMIT ${Number(this.limitValue)}`;
+    }
+
+    if (this.offsetValue) {
+      query += ` OFFSET ${Number(this.offsetValue)}`;
     }
 
     logger.debug('Executing PostgreSQL SELECT', { query, values });
     const result = await this.pool.query(query, values);
-    return this._formatResult(result);
+    return this.countRows
+      ? { ...this._formatResult(result), count }
+      : this._formatResult(result);
   }
 
   async _executeUpdate() {
@@ -241,7 +396,9 @@ class PostgresQueryBuilder {
     let query = `INSERT INTO ${this.tableName} (${columns}) VALUES (${placeholders})`;
 
     if (this.upsertConflict) {
-      const conflictColumns = this.upsertConflict.split(',').map((col) => col.trim());
+      const conflictColumns = this.upsertConflict
+        .split(',')
+        .map((col) => col.trim());
       const updateAssignments = keys
         .filter((key) => !conflictColumns.includes(key))
         .map((key) => `${key} = EXCLUDED.${key}`)
@@ -254,13 +411,54 @@ class PostgresQueryBuilder {
       }
     }
 
+    query += ` RETURNING ${this.returningColumns}`;
+
     logger.debug('Executing PostgreSQL UPSERT', { query, values });
     const result = await this.pool.query(query, values);
-    return { data: result.rows, error: null };
+    return this._formatResult(result);
+  }
+
+  async _executeInsert() {
+    if (!this.insertData?.length) {
+      throw new Error('No insert payload provided');
+    }
+
+    const keys = Object.keys(this.insertData[0]);
+    const values = [];
+    const rows = this.insertData.map((row) => {
+      const placeholders = keys.map((key) => {
+        values.push(row[key]);
+        return `$${values.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+
+    const query = `INSERT INTO ${this.tableName} (${keys.join(', ')}) VALUES ${rows.join(', ')} RETURNING ${this.returningColumns}`;
+
+    logger.debug('Executing PostgreSQL INSERT', { query, values });
+    const result = await this.pool.query(query, values);
+    return this._formatResult(result);
+  }
+
+  async _executeDelete() {
+    let query = `DELETE FROM ${this.tableName}`;
+    let values = [];
+
+    if (this.whereConditions.length) {
+      const { clause, values: whereValues } = this._buildWhereClause();
+      query += ` ${clause}`;
+      values = whereValues;
+    }
+
+    query += ` RETURNING ${this.returningColumns}`;
+
+    logger.debug('Executing PostgreSQL DELETE', { query, values });
+    const result = await this.pool.query(query, values);
+    return this._formatResult(result);
   }
 }
 
-class PostgresAdapter {
+export class PostgresAdapter {
   constructor(pool) {
     this.pool = pool;
   }
@@ -0,0 +1,559 @@
+/**
+ * Escrow contract helpers
+ *
+ * Wraps the deployed AmisEscrowManager contract so the rest of the bot can
+ * read escrow state, compute funding amounts, and verify funding transactions
+ * without dealing with ethers.js directly.
+ *
+ * Amounts are handled as BigInt wei values and mirror the contract's integer
+ * basis-point math so Discord and the chain always agree.
+ *
+ * Every chain call takes the {@link import('./networks.js').EscrowNetwork}
+ * the trade runs on; providers and bot signers are cached per chain.
+ *
+ * @module utils/escrow
+ */
+
+import fs from 'fs';
+
+import {
+  AbiCoder,
+  Contract,
+  JsonRpcProvider,
+  NonceManager,
+  Wallet,
+  ZeroAddress,
+  getAddress,
+  getBytes,
+  keccak256,
+  parseUnits,
+} from 'ethers';
+
+import { env } from '../config/env.js';
+
+import { logger } from './logger.js';
+import { BPS_DENOMINATOR, USD_DECIMALS, applyBps } from './money.js';
+
+const ESCROW_ABI = JSON.parse(
+  fs.readFileSync(
+    new URL('../abi/AmisEscrow.sol/AmisEscrow.json', import.meta.url),
+    'utf8',
+  ),
+);
+
+const FUNDING_RECEIPT_TIMEOUT_MS = 120_000;
+// A just-sent transaction may take a moment to reach the bot's RPC node.
+const FUNDING_LOOKUP_ATTEMPTS = 5;
+const FUNDING_LOOKUP_INTERVAL_MS = 3_000;
+
+/** On-chain `TradeStatus` enum values. */
+export const ESCROW_TRADE_STATUS = Object.freeze({
+  CREATED: 0,
+  FUNDED: 1,
+  DELIVERED: 2,
+  COMPLETED: 3,
+  CANCELLED: 4,
+  DISPUTED: 5,
+});
+
+const providers = new Map();
+const botSigners = new Map();
+const releaseTimeouts = new Map();
+
+/**
+ * Returns the shared JSON-RPC provider for a network.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Escrow network.
+ * @returns {import('ethers').JsonRpcProvider}
+ */
+export function getEscrowProvider(network) {
+  if (!providers.has(network.chainId)) {
+    providers.set(
+      network.chainId,
+      new JsonRpcProvider(network.rpcUrl, network.chainId, {
+        staticNetwork: true,
+      }),
+    );
+  }
+  return providers.get(network.chainId);
+}
+
+/**
+ * Returns a read-only AmisEscrowManager contract instance.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Escrow network.
+ * @returns {import('ethers').Contract}
+ */
+export function getEscrowContract(network) {
+  return new Contract(
+    network.escrowAddress,
+    ESCROW_ABI,
+    getEscrowProvider(network),
+  );
+}
+
+/**
+ * Returns the bot wallet that signs `onlyBot` escrow calls on a network.
+ *
+ * Transactions are routed through a nonce manager so concurrent Discord
+ * actions never reuse a nonce.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Escrow network.
+ * @returns {import('ethers').NonceManager}
+ * @throws {Error} If NETWORK_PRIVATE_KEY does not belong to BOT_ADDRESS.
+ */
+export function getBotSigner(network) {
+  if (!botSigners.has(network.chainId)) {
+    const wallet = new Wallet(
+      env.NETWORK_PRIVATE_KEY,
+      getEscrowProvider(network),
+    );
+    if (getAddress(wallet.address) !== getAddress(env.BOT_ADDRESS)) {
+      throw new Error('NETWORK_PRIVATE_KEY does not match BOT_ADDRESS');
+    }
+    botSigners.set(network.chainId, new NonceManager(wallet));
+  }
+  return botSigners.get(network.chainId);
+}
+
+/**
+ * Sends an `onlyBot` escrow transaction and waits for it to be mined.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Escrow network.
+ * @param {string} method - Contract method name (e.g. "markDelivered").
+ * @param {Array<unknown>} args - Method arguments.
+ * @returns {Promise<{txHash: string, blockNumber: number, timestamp: Date, events: Array<import('ethers').LogDescription>}>}
+ * @throws {Error} If the transaction reverts or cannot be sent.
+ */
+export async function sendBotEscrowTransaction(network, method, args) {
+  const contract = new Contract(
+    network.escrowAddress,
+    ESCROW_ABI,
+    getBotSigner(network),
+  );
+
+  logger.info(`Sending escrow transaction ${method}`, {
+    chainId: network.chainId,
+    args: args.map(String),
+  });
+
+  const tx = await contract[method](...args);
+  const receipt = await tx.wait();
+
+  if (!receipt || receipt.status !== 1) {
+    throw new Error(`Escrow transaction ${method} reverted`);
+  }
+
+  const escrowAddress = getAddress(network.escrowAddress);
+  const events = receipt.logs
+    .filter((log) => getAddress(log.address) === escrowAddress)
+    .map((log) => contract.interface.parseLog(log))
+    .filter(Boolean);
+
+  const block = await receipt.getBlock();
+
+  logger.info(`Escrow transaction ${method} confirmed`, {
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+  });
+
+  return {
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    timestamp: new Date(block.timestamp * 1000),
+    events,
+  };
+}
+
+/**
+ * Marks an escrow trade as delivered using the bot wallet.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Escrow network.
+ * @param {string|bigint} escrowTradeId - On-chain trade ID.
+ * @returns {Promise<{txHash: string, deliveredAt: Date}>}
+ */
+export async function markEscrowDelivered(network, escrowTradeId) {
+  const result = await sendBotEscrowTransaction(network, 'markDelivered', [
+    BigInt(escrowTradeId),
+  ]);
+  return { txHash: result.txHash, deliveredAt: result.timestamp };
+}
+
+/**
+ * Extracts payout and seller fee split from a release transaction.
+ *
+ * @param {{txHash: string, timestamp: Date, events: Array<import('ethers').LogDescription>}} result - Mined release transaction.
+ * @returns {{txHash: string, completedAt: Date, payoutWei: bigint, sellerFeeWei: bigint, botFeeWei: bigint, feeReceiverFeeWei: bigint}}
+ * @throws {Error} If the transaction did not emit a release.
+ */
+function parseReleaseResult(result) {
+  const released = result.events.find((event) => event.name === 'Released');
+  const feeSplit = result.events.find(
+    (event) => event.name === 'SellerFeeSplit',
+  );
+
+  if (!released || !feeSplit) {
+    throw new Error('Release transaction did not emit release events');
+  }
+
+  return {
+    txHash: result.txHash,
+    completedAt: result.timestamp,
+    payoutWei: released.args.amount,
+    sellerFeeWei: feeSplit.args.sellerFee,
+    botFeeWei: feeSplit.args.botFee,
+    feeReceiverFeeWei: feeSplit.args.feeReceiverFee,
+  };
+}
+
+/**
+ * Releases a delivered escrow trade to the seller after buyer approval.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Escrow network.
+ * @param {string|bigint} escrowTradeId - On-chain trade ID.
+ * @returns {Promise<{txHash: string, completedAt: Date, payoutWei: bigint, sellerFeeWei: bigint, botFeeWei: bigint, feeReceiverFeeWei: bigint}>}
+ */
+export async function approveEscrowDelivery(network, escrowTradeId) {
+  const result = await sendBotEscrowTransaction(network, 'approveDelivery', [
+    BigInt(escrowTradeId),
+  ]);
+  return parseReleaseResult(result);
+}
+
+/**
+ * Releases a delivered escrow trade whose review window has expired.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Escrow network.
+ * @param {string|bigint} escrowTradeId - On-chain trade ID.
+ * @returns {Promise<{txHash: string, completedAt: Date, payoutWei: bigint, sellerFeeWei: bigint, botFeeWei: bigint, feeReceiverFeeWei: bigint}>}
+ */
+export async function releaseEscrowAfterTimeout(network, escrowTradeId) {
+  const result = await sendBotEscrowTransaction(
+    network,
+    'releaseAfterTimeout',
+    [BigInt(escrowTradeId)],
+  );
+  return parseReleaseResult(result);
+}
+
+/**
+ * Opens a dispute on a delivered escrow trade using the bot wallet.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Escrow network.
+ * @param {string|bigint} escrowTradeId - On-chain trade ID.
+ * @param {string} raiserWallet - Wallet of the buyer or seller raising the dispute.
+ * @returns {Promise<{txHash: string, disputedAt: Date}>}
+ */
+export async function openEscrowDispute(network, escrowTradeId, raiserWallet) {
+  const result = await sendBotEscrowTransaction(network, 'openDispute', [
+    BigInt(escrowTradeId),
+    getAddress(raiserWallet),
+  ]);
+  return { txHash: result.txHash, disputedAt: result.timestamp };
+}
+
+/**
+ * Settles a disputed escrow trade with the given buyer/seller split.
+ *
+ * The contract deducts the trade's seller-side fee before splitting what
+ * remains; the buyer fee was already collected at funding.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Escrow network.
+ * @param {string|bigint} escrowTradeId - On-chain trade ID.
+ * @param {number} buyerShareBps - Buyer share in basis points.
+ * @param {number} sellerShareBps - Seller share in basis points.
+ * @returns {Promise<{txHash: string, completedAt: Date, buyerPayoutWei: bigint, sellerPayoutWei: bigint}>}
+ * @throws {Error} If the shares do not add up to 100% or no payout events were emitted.
+ */
+export async function resolveEscrowDispute(
+  network,
+  escrowTradeId,
+  buyerShareBps,
+  sellerShareBps,
+) {
+  if (BigInt(buyerShareBps) + BigInt(sellerShareBps) !== BPS_DENOMINATOR) {
+    throw new Error('Dispute shares must add up to 10000 bps');
+  }
+
+  const result = await sendBotEscrowTransaction(network, 'resolveDispute', [
+    BigInt(escrowTradeId),
+    BigInt(buyerShareBps),
+    BigInt(sellerShareBps),
+  ]);
+
+  const refunded = result.events.find((event) => event.name === 'Refunded');
+  const released = result.events.find((event) => event.name === 'Released');
+
+  if (!refunded || !released) {
+    throw new Error('Dispute resolution did not emit payout events');
+  }
+
+  return {
+    txHash: result.txHash,
+    completedAt: result.timestamp,
+    buyerPayoutWei: refunded.args.amount,
+    sellerPayoutWei: released.args.amount,
+  };
+}
+
+/**
+ * Returns the contract's review window after delivery, in milliseconds.
+ *
+ * The value is immutable on-chain, so it is read once per network and cached.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Escrow network.
+ * @returns {Promise<number>}
+ */
+export async function getReleaseTimeoutMs(network) {
+  if (!releaseTimeouts.has(network.chainId)) {
+    const seconds = await getEscrowContract(network).releaseTimeout();
+    releaseTimeouts.set(network.chainId, Number(seconds) * 1000);
+  }
+  return releaseTimeouts.get(network.chainId);
+}
+
+/**
+ * Reads the current on-chain status of an escrow trade.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Escrow network.
+ * @param {string|bigint} escrowTradeId - On-chain trade ID.
+ * @returns {Promise<number>} One of {@link ESCROW_TRADE_STATUS}.
+ */
+export async function getEscrowTradeStatus(network, escrowTradeId) {
+  const trade = await getEscrowContract(network).trades(BigInt(escrowTradeId));
+  return Number(trade.status);
+}
+
+/**
+ * Converts a USD amount into the smallest unit of an asset at the given price.
+ *
+ * @param {bigint} usdCents - USD amount in cents.
+ * @param {string} usdPrice - USD price of one whole token (up to 8 decimals).
+ * @param {number} [decimals=18] - Decimals of the asset (18 for wei).
+ * @returns {bigint} Amount in the asset's smallest unit (rounded down).
+ * @throws {Error} If the token price is missing or not positive.
+ */
+export function usdToAssetUnits(usdCents, usdPrice, decimals = 18) {
+  if (!usdPrice) {
+    throw new Error('Token price is not available');
+  }
+
+  const priceScaled = parseUnits(String(usdPrice), 8);
+  if (priceScaled <= 0n) {
+    throw new Error('Token price must be greater than 0');
+  }
+
+  return (
+    (usdCents * 10n ** BigInt(decimals) * 10n ** 8n) /
+    (10n ** BigInt(USD_DECIMALS) * priceScaled)
+  );
+}
+
+/**
+ * Computes the buyer's funding amounts for a trade amount in wei (or token
+ * units for ERC-20 trades).
+ *
+ * Matches `createAndFundTrade` / `createAndFundTokenTrade`: the deposit must
+ * equal the trade amount plus the buyer fee, with the fee rounded down.
+ *
+ * @param {bigint} tradeAmountWei - Trade amount excluding fees.
+ * @param {number} feeBps - Fee rate locked on the trade.
+ * @returns {{tradeAmountWei: bigint, feeBps: number, buyerFeeWei: bigint, totalWei: bigint}}
+ */
+export function calculateFundingAmounts(tradeAmountWei, feeBps) {
+  const buyerFeeWei = applyBps(tradeAmountWei, feeBps);
+  return {
+    tradeAmountWei,
+    feeBps,
+    buyerFeeWei,
+    totalWei: tradeAmountWei + buyerFeeWei,
+  };
+}
+
+/**
+ * Signs the fee rate of a trade so the buyer can fund it.
+ *
+ * Mirrors `_checkFeeAuthorization`: the signature covers the chain, the
+ * escrow contract, both wallets, the asset, the amount, the rate and a
+ * deadline, so it cannot be reused for a different trade.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Network the trade is funded on.
+ * @param {object} terms - Trade terms the rate applies to.
+ * @param {string} terms.buyerWallet - Buyer's connected wallet.
+ * @param {string} terms.sellerWallet - Seller's connected wallet.
+ * @param {string|null} terms.tokenAddress - ERC-20 the trade settles in (null for native).
+ * @param {bigint} terms.tradeAmountWei - Trade amount excluding fees.
+ * @param {number} terms.feeBps - Fee rate locked on the trade.
+ * @param {Date} terms.deadline - Last moment the authorization can be used.
+ * @returns {Promise<{feeBps: number, deadline: number, signature: string}>}
+ */
+export async function signFeeAuthorization(network, terms) {
+  const deadline = Math.floor(terms.deadline.getTime() / 1000);
+  const digest = keccak256(
+    AbiCoder.defaultAbiCoder().encode(
+      [
+        'uint256',
+        'address',
+        'address',
+        'address',
+        'address',
+        'uint256',
+        'uint256',
+        'uint256',
+      ],
+      [
+        network.chainId,
+        getAddress(network.escrowAddress),
+        getAddress(terms.buyerWallet),
+        getAddress(terms.sellerWallet),
+        getAddress(terms.tokenAddress || ZeroAddress),
+        terms.tradeAmountWei,
+        terms.feeBps,
+        deadline,
+      ],
+    ),
+  );
+
+  const signature = await getBotSigner(network).signMessage(getBytes(digest));
+  return { feeBps: terms.feeBps, deadline, signature };
+}
+
+/**
+ * Waits for a funding transaction and validates its `Created` event.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Network the trade was funded on.
+ * @param {string} txHash - Hash of the `createAndFundTrade` or `createAndFundTokenTrade` transaction.
+ * @param {object} expected - Values the on-chain trade must match.
+ * @param {string} expected.buyerWallet - Buyer's connected wallet.
+ * @param {string} expected.sellerWallet - Seller's connected wallet.
+ * @param {bigint} expected.tradeAmountWei - Trade amount excluding fees.
+ * @param {string|null} [expected.tokenAddress=null] - ERC-20 the trade settles in (null for native).
+ * @param {number} expected.feeBps - Fee rate locked on the trade.
+ * @returns {Promise<{escrowTradeId: string, blockNumber: number, fundedAt: Date}>}
+ * @throws {Error} If the transaction failed or does not match the trade, or an
+ *   ethers `TIMEOUT` error if it is not mined in time.
+ */
+export async function verifyFundingTransaction(network, txHash, expected) {
+  const receipt = await getEscrowProvider(network).waitForTransaction(
+    txHash,
+    1,
+    FUNDING_RECEIPT_TIMEOUT_MS,
+  );
+
+  if (!receipt) {
+    throw new Error('Funding transaction was not found');
+  }
+
+  if (receipt.status !== 1) {
+    throw new Error('Funding transaction reverted');
+  }
+
+  const contract = getEscrowContract(network);
+  const escrowAddress = getAddress(network.escrowAddress);
+
+  const created = receipt.logs
+    .filter((log) => getAddress(log.address) === escrowAddress)
+    .map((log) => contract.interface.parseLog(log))
+    .find((parsed) => parsed?.name === 'Created');
+
+  if (!created) {
+    throw new Error('Funding transaction did not create an escrow trade');
+  }
+
+  const { tradeId, buyer, seller, token, amount, feeBps } = created.args;
+
+  if (
+    getAddress(buyer) !== getAddress(expected.buyerWallet) ||
+    getAddress(seller) !== getAddress(expected.sellerWallet)
+  ) {
+    throw new Error('Escrow wallets do not match the trade participants');
+  }
+
+  if (getAddress(token) !== getAddress(expected.tokenAddress || ZeroAddress)) {
+    throw new Error('Escrow asset does not match the trade asset');
+  }
+
+  if (amount !== expected.tradeAmountWei) {
+    throw new Error('Escrow amount does not match the trade price');
+  }
+
+  if (Number(feeBps) !== expected.feeBps) {
+    throw new Error('Escrow fee does not match the trade fee');
+  }
+
+  const block = await receipt.getBlock();
+
+  logger.info('Verified escrow funding transaction', {
+    chainId: network.chainId,
+    txHash,
+    escrowTradeId: tradeId.toString(),
+    blockNumber: receipt.blockNumber,
+  });
+
+  return {
+    escrowTradeId: tradeId.toString(),
+    blockNumber: receipt.blockNumber,
+    fundedAt: new Date(block.timestamp * 1000),
+  };
+}
+
+/**
+ * Checks that a submitted funding transaction exists and was sent by the
+ * buyer to the escrow contract, without waiting for it to be mined.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Network the trade runs on.
+ * @param {string} txHash - Hash of the funding transaction.
+ * @param {string} buyerWallet - Buyer's connected wallet.
+ * @returns {Promise<void>}
+ * @throws {Error} If the transaction cannot be found or is not a funding
+ *   transaction of the buyer.
+ */
+export async function checkFundingTransaction(network, txHash, buyerWallet) {
+  const provider = getEscrowProvider(network);
+
+  let tx = null;
+  for (let attempt = 1; attempt <= FUNDING_LOOKUP_ATTEMPTS; attempt++) {
+    tx = await provider.getTransaction(txHash);
+    if (tx || attempt === FUNDING_LOOKUP_ATTEMPTS) break;
+    await new Promise((resolve) =>
+      setTimeout(resolve, FUNDING_LOOKUP_INTERVAL_MS),
+    );
+  }
+
+  if (!tx) {
+    throw new Error('Funding transaction was not found');
+  }
+
+  if (
+    getAddress(tx.from) !== getAddress(buyerWallet) ||
+    !tx.to ||
+    getAddress(tx.to) !== getAddress(network.escrowAddress)
+  ) {
+    throw new Error(
+      'Funding transaction was not sent from the buyer wallet to the escrow',
+    );
+  }
+}
+
+/**
+ * Whether a funding transaction was mined and created an escrow trade.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Network the trade runs on.
+ * @param {string} txHash - Hash of the funding transaction.
+ * @returns {Promise<boolean>} False while it is unmined, or if it reverted or
+ *   created nothing.
+ */
+export async function hasFundingCreatedEscrow(network, txHash) {
+  const receipt =
+    await getEscrowProvider(network).getTransactionReceipt(txHash);
+  if (receipt?.status !== 1) {
+    return false;
+  }
+
+  const contract = getEscrowContract(network);
+  const escrowAddress = getAddress(network.escrowAddress);
+
+  return receipt.logs
+    .filter((log) => getAddress(log.address) === escrowAddress)
+    .some((log) => contract.interface.parseLog(log)?.name === 'Created');
+}
@@ -0,0 +1,783 @@
+/**
+ * Escrow event indexer
+ *
+ * Follows AmisEscrowManager events on every configured network, stores them
+ * in the `escrow_events` table and keeps the matching `trades` rows in sync
+ * with what actually happened on-chain.
+ *
+ * Only blocks at least `REORG_DEPTH` below the chain head are indexed, so a
+ * trade does not move on an event that may still be reorganized away.
+ * Progress is persisted in `indexer_state` per network so the indexer resumes from the
+ * last processed block after a restart. Before each poll the hash of the last
+ * processed block is compared with the chain; on mismatch the last
+ * `REORG_DEPTH` blocks are dropped and re-indexed, and trades synced from the
+ * dropped events move back to what the chain still shows.
+ *
+ * @module utils/escrowIndexer
+ */
+
+import { ZeroAddress, getAddress } from 'ethers';
+
+import { getDatabase } from './database.js';
+import {
+  getEscrowContract,
+  getEscrowProvider,
+  hasFundingCreatedEscrow,
+} from './escrow.js';
+import { getTradeFeeBps } from './feePolicy.js';
+import { logger } from './logger.js';
+import { getDefaultNetwork, getNetworks } from './networks.js';
+import { promptTradeReviews } from './reviews.js';
+import {
+  TRADE_STATUS,
+  getRolledBackStatus,
+  getStatusForChainState,
+  transitionTrade,
+} from './tradeStateMachine.js';
+import { getStaffLogChannelId } from './transcripts.js';
+import {
+  clearPendingFunding,
+  getTradeWalletConnections,
+  refreshTradeMessage,
+} from './walletServer.js';
+
+const POLL_INTERVAL_MS = 15_000;
+const REORG_DEPTH = 12;
+const MAX_BLOCK_RANGE = 2_000;
+// Pending funding transactions that created no escrow trade by then are dropped.
+const PENDING_FUNDING_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Trade columns derived from escrow events; reset before folding events.
+const CHAIN_STATE_DEFAULTS = Object.freeze({
+  chain_status: null,
+  funded_at: null,
+  buyer_fee_wei: null,
+  delivered_at: null,
+  delivery_tx_hash: null,
+  disputed_at: null,
+  dispute_tx_hash: null,
+  approved_at: null,
+  completed_at: null,
+  release_tx_hash: null,
+  payout_amount_wei: null,
+  seller_fee_wei: null,
+  seller_fee_bot_wei: null,
+  seller_fee_receiver_wei: null,
+  refund_amount_wei: null,
+});
+
+let pollTimer = null;
+let running = false;
+let discordClient = null;
+
+function getIndexerKey(network) {
+  return `escrow:${network.chainId}:${network.escrowAddress.toLowerCase()}`;
+}
+
+// Trades created before networks were stored on the row run on the default network.
+function isTradeOnNetwork(trade, network) {
+  const chainId = trade.chain_id ?? getDefaultNetwork().chainId;
+  return Number(chainId) === network.chainId;
+}
+
+function serializeArg(value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+function valuesEqual(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a ?? null) === (b ?? null);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  return String(a) === String(b);
+}
+
+async function loadIndexerState(network) {
+  const { data, error } = await getDatabase()
+    .from('indexer_state')
+    .select('*')
+    .eq('indexer_key', getIndexerKey(network));
+
+  if (error) {
+    throw new Error(`Failed to load indexer state: ${error.message}`);
+  }
+
+  return data?.[0] || null;
+}
+
+async function saveIndexerState(network, lastBlock, lastBlockHash) {
+  const { error } = await getDatabase()
+    .from('indexer_state')
+    .upsert(
+      {
+        indexer_key: getIndexerKey(network),
+        last_block: lastBlock,
+        last_block_hash: lastBlockHash,
+      },
+      { onConflict: 'indexer_key' },
+    );
+
+  if (error) {
+    throw new Error(`Failed to save indexer state: ${error.message}`);
+  }
+}
+
+/**
+ * Deletes stored events at or above a block and returns the affected escrow trade IDs.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Indexed network.
+ * @param {number} fromBlock - First orphaned block.
+ * @returns {Promise<Set<string>>}
+ */
+async function removeEventsFrom(network, fromBlock) {
+  const { data, error } = await getDatabase()
+    .from('escrow_events')
+    .delete()
+    .eq('chain_id', network.chainId)
+    .eq('contract_address', network.escrowAddress.toLowerCase())
+    .gte('block_number', fromBlock)
+    .select('escrow_trade_id');
+
+  if (error) {
+    throw new Error(`Failed to remove orphaned events: ${error.message}`);
+  }
+
+  return new Set((data || []).map((row) => String(row.escrow_trade_id)));
+}
+
+/**
+ * Fetches and parses the escrow events of a block range.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Indexed network.
+ * @param {number} fromBlock - First block (inclusive).
+ * @param {number} toBlock - Last block (inclusive).
+ * @returns {Promise<Array<object>>} Event rows to store.
+ */
+async function fetchRangeEvents(network, fromBlock, toBlock) {
+  const contract = getEscrowContract(network);
+  const provider = getEscrowProvider(network);
+  const logs = await contract.queryFilter('*', fromBlock, toBlock);
+
+  const blockTimestamps = new Map();
+  const rows = [];
+
+  for (const log of logs) {
+    const parsed = contract.interface.parseLog(log);
+    if (!parsed || parsed.args.tradeId === undefined) {
+      continue;
+    }
+
+    if (!blockTimestamps.has(log.blockNumber)) {
+      const block = await provider.getBlock(log.blockNumber);
+      blockTimestamps.set(
+        log.blockNumber,
+        block ? new Date(block.timestamp * 1000).toISOString() : null,
+      );
+    }
+
+    const args = Object.fromEntries(
+      parsed.fragment.inputs.map((input, idx) => [
+        input.name,
+        serializeArg(parsed.args[idx]),
+      ]),
+    );
+
+    rows.push({
+      chain_id: network.chainId,
+      contract_address: network.escrowAddress.toLowerCase(),
+      escrow_trade_id: parsed.args.tradeId.toString(),
+      event_name: parsed.name,
+      block_number: log.blockNumber,
+      block_hash: log.blockHash,
+      block_timestamp: blockTimestamps.get(log.blockNumber),
+      tx_hash: log.transactionHash,
+      log_index: log.index,
+      args,
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Stores the escrow events of a block range.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Indexed network.
+ * @param {Array<object>} rows - Event rows of the range.
+ * @param {number} fromBlock - First block (inclusive).
+ * @param {number} toBlock - Last block (inclusive).
+ * @returns {Promise<void>}
+ */
+async function storeRangeEvents(network, rows, fromBlock, toBlock) {
+  for (const row of rows) {
+    const { error } = await getDatabase()
+      .from('escrow_events')
+      .upsert(row, { onConflict: 'tx_hash,log_index' });
+
+    if (error) {
+      throw new Error(`Failed to store escrow event: ${error.message}`);
+    }
+  }
+
+  if (rows.length) {
+    logger.info(
+      `Indexed ${rows.length} escrow event(s) in blocks ${fromBlock}-${toBlock}`,
+      { chainId: network.chainId },
+    );
+  }
+}
+
+/**
+ * Finds the latest trade on a network the wallet was connected to as buyer.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Network of the escrow trade.
+ * @param {string} buyerWallet - Buyer wallet of the escrow trade.
+ * @returns {Promise<object|null>} Trade row, or null if the wallet never bought.
+ */
+async function findLatestBuyerTrade(network, buyerWallet) {
+  const db = getDatabase();
+  const { data: connections, error } = await db
+    .from('wallet_connections')
+    .select('trade_id, discord_user_id')
+    .ilike('wallet_address', buyerWallet);
+
+  if (error) {
+    throw new Error(`Failed to load wallet connections: ${error.message}`);
+  }
+  if (!connections?.length) {
+    return null;
+  }
+
+  const { data: trades, error: tradesError } = await db
+    .from('trades')
+    .select('*')
+    .in(
+      'trade_id',
+      connections.map((c) => c.trade_id),
+    )
+    .order('created_at', { ascending: false });
+
+  if (tradesError) {
+    throw new Error(`Failed to load trades: ${tradesError.message}`);
+  }
+
+  return (
+    trades?.find(
+      (trade) =>
+        isTradeOnNetwork(trade, network) &&
+        connections.some(
+          (c) =>
+            c.trade_id === trade.trade_id &&
+            c.discord_user_id === trade.buyer_id,
+        ),
+    ) || null
+  );
+}
+
+/**
+ * Tells staff about an escrow trade funded on-chain that cannot be linked to
+ * a trade, as its funds have to be sorted out by hand.
+ *
+ * The alert goes to the staff log channel of the guild of the trade the
+ * funding transaction was recorded on, or else of the latest trade the buyer
+ * wallet was used in.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Network the event was emitted on.
+ * @param {object} event - Stored `Created` event row.
+ * @param {object|null} trade - Trade the funding transaction was recorded on, if any.
+ * @returns {Promise<void>}
+ */
+async function alertUnlinkedEscrow(network, event, trade) {
+  logger.error('Escrow trade could not be linked to a trade', {
+    chainId: network.chainId,
+    escrowTradeId: event.escrow_trade_id,
+    txHash: event.tx_hash,
+    tradeId: trade?.trade_id ?? null,
+  });
+
+  try {
+    const guildTrade =
+      trade || (await findLatestBuyerTrade(network, event.args.buyer));
+    const channelId =
+      discordClient && guildTrade
+        ? await getStaffLogChannelId(guildTrade.guild_id)
+        : null;
+    const channel = channelId
+      ? await discordClient.channels.fetch(channelId).catch(() => null)
+      : null;
+    if (!channel?.isTextBased()) {
+      return;
+    }
+
+    const target = trade
+      ? `trade \`${trade.trade_id}\``
+      : `any trade (the buyer wallet was last used in trade \`${guildTrade.trade_id}\`)`;
+    await channel.send({
+      content: `⚠️ Escrow #${event.escrow_trade_id} on ${network.name} was funded on-chain (transaction \`${event.tx_hash}\`) but could not be linked to ${target}. Its funds have to be resolved on-chain by hand.`,
+      allowedMentions: { parse: [] },
+    });
+  } catch (error) {
+    logger.warn('Failed to alert staff about an unlinked escrow trade:', {
+      escrowTradeId: event.escrow_trade_id,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Links a `Created` event to the trade whose funding transaction emitted it.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Network the event was emitted on.
+ * @param {object} event - Stored `Created` event row.
+ * @returns {Promise<void>}
+ */
+async function linkCreatedEvent(network, event) {
+  const { data: trades } = await getDatabase()
+    .from('trades')
+    .select('*')
+    .eq('funding_tx_hash', event.tx_hash);
+
+  const trade = trades?.[0];
+  if (trade?.escrow_trade_id) {
+    return;
+  }
+
+  // Funded without the funding page reporting it, or for terms that were
+  // dropped since.
+  if (!trade) {
+    await alertUnlinkedEscrow(network, event, null);
+    return;
+  }
+
+  const connections = await getTradeWalletConnections(trade.trade_id);
+  const walletOf = (userId) =>
+    connections.find((c) => c.discord_user_id === userId)?.wallet_address;
+  const buyerWallet = walletOf(trade.buyer_id);
+  const sellerWallet = walletOf(trade.seller_id);
+
+  const matches =
+    isTradeOnNetwork(trade, network) &&
+    buyerWallet &&
+    sellerWallet &&
+    getAddress(buyerWallet) === getAddress(event.args.buyer) &&
+    getAddress(sellerWallet) === getAddress(event.args.seller) &&
+    getAddress(event.args.token || ZeroAddress) ===
+      getAddress(trade.asset_address || ZeroAddress) &&
+    (!trade.funding_amount_wei ||
+      valuesEqual(trade.funding_amount_wei, event.args.amount)) &&
+    valuesEqual(getTradeFeeBps(trade), event.args.feeBps);
+
+  if (!matches) {
+    logger.warn('Escrow Created event does not match its trade', {
+      tradeId: trade.trade_id,
+      escrowTradeId: event.escrow_trade_id,
+      txHash: event.tx_hash,
+    });
+    await alertUnlinkedEscrow(network, event, trade);
+    return;
+  }
+
+  const { error } = await getDatabase()
+    .from('trades')
+    .update({
+      escrow_trade_id: event.escrow_trade_id,
+      funding_amount_wei: event.args.amount,
+    })
+    .eq('trade_id', trade.trade_id);
+
+  // The escrow trade is unique per chain, so this fails if it already funds
+  // another trade.
+  if (error) {
+    logger.warn('Failed to link escrow trade to Discord trade', {
+      tradeId: trade.trade_id,
+      escrowTradeId: event.escrow_trade_id,
+      error: error.message,
+    });
+    await alertUnlinkedEscrow(network, event, trade);
+    return;
+  }
+
+  logger.info('Linked escrow trade to Discord trade', {
+    tradeId: trade.trade_id,
+    escrowTradeId: event.escrow_trade_id,
+  });
+}
+
+/**
+ * Folds the stored events of an escrow trade into trade row columns.
+ *
+ * @param {Array<object>} events - Event rows ordered by block and log index.
+ * @returns {object} Column values for the `trades` row.
+ */
+export function deriveChainState(events) {
+  const state = { ...CHAIN_STATE_DEFAULTS };
+
+  for (const event of events) {
+    const { args } = event;
+    switch (event.event_name) {
+      case 'Created':
+        state.chain_status = 'created';
+        break;
+      case 'Funded':
+        state.chain_status = 'funded';
+        state.funded_at = event.block_timestamp;
+        break;
+      case 'BuyerFeeSplit':
+        state.buyer_fee_wei = args.buyerFee;
+        break;
+      case 'Delivered':
+        state.chain_status = 'delivered';
+        state.delivered_at = event.block_timestamp;
+        state.delivery_tx_hash = event.tx_hash;
+        break;
+      case 'Disputed':
+        state.chain_status = 'disputed';
+        state.disputed_at = event.block_timestamp;
+        state.dispute_tx_hash = event.tx_hash;
+        break;
+      case 'Approved':
+        state.approved_at = event.block_timestamp;
+        break;
+      case 'SellerFeeSplit':
+        state.seller_fee_wei = args.sellerFee;
+        state.seller_fee_bot_wei = args.botFee;
+        state.seller_fee_receiver_wei = args.feeReceiverFee;
+        break;
+      case 'Refunded':
+        state.refund_amount_wei = args.amount;
+        break;
+      case 'Released':
+        state.chain_status = 'completed';
+        state.completed_at = event.block_timestamp;
+        state.release_tx_hash = event.tx_hash;
+        state.payout_amount_wei = args.amount;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Recomputes the chain-derived columns of the trade linked to an escrow trade.
+ *
+ * Participants of a trade that catches up to completion are asked for
+ * reviews, as the release or resolution that completed it was not recorded
+ * by the bot.
+ *
+ * A trade ahead of its events is left alone, as the bot records its own
+ * transactions before they are deep enough to be indexed; it only moves back
+ * when a chain reorganization removed events it was synced from.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Network the escrow trade lives on.
+ * @param {string} escrowTradeId - On-chain trade ID.
+ * @param {object} [options={}] - Sync options.
+ * @param {boolean} [options.reorged=false] - Whether events of the escrow
+ *   trade were removed by a chain reorganization.
+ * @returns {Promise<void>}
+ */
+async function syncTradeFromEvents(
+  network,
+  escrowTradeId,
+  { reorged = false } = {},
+) {
+  const db = getDatabase();
+
+  // Escrow trade IDs are only unique per deployment.
+  const { data: trades } = await db
+    .from('trades')
+    .select('*')
+    .eq('escrow_trade_id', escrowTradeId);
+
+  const trade = trades?.find((row) => isTradeOnNetwork(row, network));
+  if (!trade) {
+    logger.debug('No trade linked to escrow trade yet', {
+      chainId: network.chainId,
+      escrowTradeId,
+    });
+    return;
+  }
+
+  const { data: events, error } = await db
+    .from('escrow_events')
+    .select('*')
+    .eq('chain_id', network.chainId)
+    .eq('contract_address', network.escrowAddress.toLowerCase())
+    .eq('escrow_trade_id', escrowTradeId)
+    .order('block_number')
+    .order('log_index');
+
+  if (error) {
+    throw new Error(`Failed to load escrow events: ${error.message}`);
+  }
+
+  // Every event of this escrow trade was reorged out: unlink it so the
+  // funding transaction can be matched again once it is re-included.
+  const chainState = events?.length
+    ? deriveChainState(events)
+    : { ...CHAIN_STATE_DEFAULTS, escrow_trade_id: null };
+
+  const changes = Object.fromEntries(
+    Object.entries(chainState).filter(
+      ([key, value]) => !valuesEqual(trade[key], value),
+    ),
+  );
+
+  if (!Object.keys(changes).length) {
+    return;
+  }
+
+  // Advance the trade status when the chain is ahead of it, e.g. a funding
+  // that timed out in the client or a bot restart mid-transaction.
+  const nextStatus = getStatusForChainState(
+    trade.status,
+    chainState.chain_status,
+  );
+  const rolledBackStatus = getRolledBackStatus(
+    trade.status,
+    chainState.chain_status,
+  );
+
+  if (rolledBackStatus && !reorged) {
+    logger.debug('Trade is ahead of its indexed events, waiting for them', {
+      tradeId: trade.trade_id,
+      escrowTradeId,
+      status: trade.status,
+    });
+    return;
+  }
+
+  let updated;
+  if (nextStatus) {
+    updated = await transitionTrade(trade.trade_id, nextStatus, changes, {
+      catchUp: true,
+    });
+  } else if (rolledBackStatus) {
+    updated = await transitionTrade(trade.trade_id, rolledBackStatus, changes, {
+      rollback: true,
+    });
+    logger.warn('Moved trade back after a chain reorganization', {
+      tradeId: trade.trade_id,
+      escrowTradeId,
+      from: trade.status,
+      to: rolledBackStatus,
+    });
+  } else {
+    const { data, error: updateError } = await db
+      .from('trades')
+      .update(changes)
+      .eq('trade_id', trade.trade_id)
+      .select('*')
+      .single();
+
+    if (updateError) {
+      throw new Error(`Failed to sync trade: ${updateError.message}`);
+    }
+    updated = data;
+  }
+
+  logger.info('Synced trade with on-chain state', {
+    tradeId: trade.trade_id,
+    escrowTradeId,
+    chainStatus: updated.chain_status,
+    status: updated.status,
+  });
+
+  await refreshTradeMessage(trade.trade_id, updated).catch((err) =>
+    logger.warn('Failed to refresh trade message after sync:', err.message),
+  );
+
+  if (nextStatus === TRADE_STATUS.COMPLETED && discordClient) {
+    await promptTradeReviews(discordClient, updated);
+  }
+}
+
+/**
+ * Drops pending funding transactions that never created an escrow trade, so
+ * their trades can be funded, edited or cancelled again.
+ *
+ * A transaction is dropped once it has been pending for
+ * `PENDING_FUNDING_TIMEOUT_MS` and is still unmined, reverted, or created no
+ * escrow trade. One that created an escrow trade is left to be linked.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Network to check.
+ * @returns {Promise<void>}
+ */
+async function clearStalePendingFunding(network) {
+  const cutoff = new Date(Date.now() - PENDING_FUNDING_TIMEOUT_MS);
+
+  const { data: trades, error } = await getDatabase()
+    .from('trades')
+    .select('*')
+    .eq('status', TRADE_STATUS.CONFIRMED)
+    .is('escrow_trade_id', null)
+    .lt('funding_submitted_at', cutoff.toISOString());
+
+  if (error) {
+    throw new Error(`Failed to load pending funding: ${error.message}`);
+  }
+
+  for (const trade of trades || []) {
+    const txHash = trade.funding_tx_hash;
+    if (
+      !txHash ||
+      !isTradeOnNetwork(trade, network) ||
+      (await hasFundingCreatedEscrow(network, txHash))
+    ) {
+      continue;
+    }
+
+    const updated = await clearPendingFunding(trade.trade_id, txHash);
+    if (!updated) {
+      continue;
+    }
+
+    logger.warn('Dropped a funding transaction that created no escrow trade', {
+      tradeId: trade.trade_id,
+      txHash,
+    });
+
+    await refreshTradeMessage(trade.trade_id, updated).catch((err) =>
+      logger.warn('Failed to refresh trade message after sync:', err.message),
+    );
+  }
+}
+
+/**
+ * Processes all blocks between the last indexed block and the last block
+ * `REORG_DEPTH` below the chain head.
+ *
+ * @param {import('./networks.js').EscrowNetwork} network - Network to index.
+ * @returns {Promise<void>}
+ */
+export async function syncEscrowEvents(network) {
+  const provider = getEscrowProvider(network);
+  const safeHead = (await provider.getBlockNumber()) - REORG_DEPTH;
+  const state = await loadIndexerState(network);
+
+  const startBlock = network.startBlock || safeHead;
+  let fromBlock = state ? Number(state.last_block) + 1 : startBlock;
+  const affected = new Set();
+  const reorged = new Set();
+
+  if (state?.last_block_hash) {
+    const lastBlock = await provider.getBlock(Number(state.last_block));
+    if (!lastBlock || lastBlock.hash !== state.last_block_hash) {
+      fromBlock = Math.max(
+        Number(state.last_block) - REORG_DEPTH + 1,
+        startBlock,
+      );
+      logger.warn('Chain reorganization detected, re-indexing', {
+        chainId: network.chainId,
+        fromBlock,
+        lastBlock: Number(state.last_block),
+      });
+      for (const id of await removeEventsFrom(network, fromBlock)) {
+        affected.add(id);
+        reorged.add(id);
+      }
+    }
+  }
+
+  while (fromBlock <= safeHead) {
+    const toBlock = Math.min(safeHead, fromBlock + MAX_BLOCK_RANGE - 1);
+    const toBlockData = await provider.getBlock(toBlock);
+    // The RPC node has not caught up with its own head; retry on the next poll.
+    if (!toBlockData) {
+      break;
+    }
+
+    const rows = await fetchRangeEvents(network, fromBlock, toBlock);
+    const tipAfter = await provider.getBlock(toBlock);
+
+    // The range tip changed while we were reading it; retry on the next poll
+    // without storing anything.
+    if (
+      tipAfter?.hash !== toBlockData.hash ||
+      rows.some(
+        (row) =>
+          row.block_number === toBlock && row.block_hash !== toBlockData.hash,
+      )
+    ) {
+      break;
+    }
+
+    await storeRangeEvents(network, rows, fromBlock, toBlock);
+
+    for (const row of rows) {
+      if (row.event_name === 'Created') {
+        await linkCreatedEvent(network, row);
+      }
+      affected.add(row.escrow_trade_id);
+    }
+
+    await saveIndexerState(network, toBlock, toBlockData.hash);
+    fromBlock = toBlock + 1;
+  }
+
+  for (const escrowTradeId of affected) {
+    await syncTradeFromEvents(network, escrowTradeId, {
+      reorged: reorged.has(escrowTradeId),
+    });
+  }
+
+  await clearStalePendingFunding(network);
+}
+
+async function poll() {
+  if (running) return;
+  running = true;
+
+  try {
+    // One unreachable RPC must not stall the other networks.
+    for (const network of getNetworks()) {
+      try {
+        await syncEscrowEvents(network);
+      } catch (error) {
+        logger.error('Escrow indexer poll failed:', {
+          chainId: network.chainId,
+          error: error.message || error,
+        });
+      }
+    }
+  } finally {
+    running = false;
+    if (pollTimer) {
+      pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+    }
+  }
+}
+
+/**
+ * Starts polling the escrow contracts of all networks for new events.
+ *
+ * @param {import('discord.js').Client} client - Client used to alert staff.
+ * @returns {void}
+ */
+export function startEscrowIndexer(client) {
+  if (pollTimer) return;
+
+  discordClient = client;
+
+  logger.info('Starting escrow event indexer', {
+    networks: getNetworks().map(
+      (network) => `${network.chainId}:${network.escrowAddress}`,
+    ),
+  });
+
+  pollTimer = setTimeout(poll, 0);
+}
+
+/**
+ * Stops the escrow indexer after the current poll completes.
+ *
+ * @returns {void}
+ */
+export function stopEscrowIndexer() {
+  clearTimeout(pollTimer);
+  pollTimer = null;
+}
@@ -0,0 +1,195 @@
+/**
+ * Fee policy
+ *
+ * Decides the fee rate charged on each side of a trade. The standard rate is
+ * `FEE_BPS` and must equal the escrow contract's `FEE_BPS`; guilds can
+ * override it with `/fees`. On top of the rate:
+ *
+ * - a minimum fee per side (`FEE_MIN_USD` or the guild's minimum) raises the
+ *   rate of small trades, up to the contract's `MAX_FEE_BPS`;
+ * - a zero-fee promotion (the `FEE_PROMO_START`/`FEE_PROMO_END` window or a
+ *   guild promotion) waives the fee entirely.
+ *
+ * The rate is locked on the trade when its thread is created and the bot
+ * signs it for the funding transaction, so the contract only accepts rates
+ * chosen by this policy.
+ *
+ * @module utils/feePolicy
+ */
+
+import { env } from '../config/env.js';
+
+import { getDatabase } from './database.js';
+import { getEscrowContract } from './escrow.js';
+import { getGuildSettings } from './guildSettings.js';
+import { BPS_DENOMINATOR, parseUsd, toBigInt } from './money.js';
+import { getNetworks } from './networks.js';
+
+/** Highest rate the contract accepts (mirrors `MAX_FEE_BPS`). */
+export const MAX_FEE_BPS = 1000;
+
+/**
+ * @typedef {object} FeePolicy
+ * @property {number} feeBps - Rate charged on each side outside promotions.
+ * @property {bigint} minFeeCents - Minimum fee per side in cents (0n for none).
+ * @property {Date|null} promoUntil - End of the running zero-fee promotion, null if none.
+ * @property {boolean} overridden - Whether the guild overrides any default.
+ */
+
+/**
+ * Parses an optional timestamp.
+ *
+ * @param {string|Date|null|undefined} value - ISO timestamp or date.
+ * @returns {Date|null} The date or null if missing/invalid.
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Returns the end of the server-wide promotion if it is running.
+ *
+ * @param {Date} now - Reference time.
+ * @returns {Date|null}
+ */
+function getGlobalPromoUntil(now) {
+  const start = parseDate(env.FEE_PROMO_START);
+  const end = parseDate(env.FEE_PROMO_END);
+  if (!end || end <= now || (start && start > now)) {
+    return null;
+  }
+  return end;
+}
+
+/**
+ * Resolves the fee policy that applies to new trades in a guild.
+ *
+ * @param {string|null} guildId - Guild ID.
+ * @param {Date} [now=new Date()] - Reference time for promotions.
+ * @returns {Promise<FeePolicy>}
+ */
+export async function getGuildFeePolicy(guildId, now = new Date()) {
+  const settings = guildId ? await getGuildSettings(guildId) : null;
+
+  const guildPromoUntil = parseDate(settings?.fee_promo_until);
+  const promoUntil =
+    [getGlobalPromoUntil(now), guildPromoUntil > now ? guildPromoUntil : null]
+      .filter(Boolean)
+      .sort((a, b) => b - a)[0] || null;
+
+  return {
+    feeBps: settings?.fee_bps ?? env.FEE_BPS,
+    minFeeCents:
+      toBigInt(settings?.fee_min_cents) ?? parseUsd(env.FEE_MIN_USD) ?? 0n,
+    promoUntil,
+    overridden:
+      settings?.fee_bps != null ||
+      settings?.fee_min_cents != null ||
+      !!guildPromoUntil,
+  };
+}
+
+/**
+ * Computes the rate a trade of the given price is charged under a policy.
+ *
+ * A minimum fee raises the rate to the smallest one whose fee reaches the
+ * minimum, capped at {@link MAX_FEE_BPS}.
+ *
+ * @param {FeePolicy} policy - Policy of the guild the trade is created in.
+ * @param {bigint} priceCents - Trade price in cents.
+ * @returns {number} Fee per side in basis points.
+ */
+export function resolveFeeBps(policy, priceCents) {
+  if (policy.promoUntil) {
+    return 0;
+  }
+
+  let { feeBps } = policy;
+  if (policy.minFeeCents > 0n && priceCents > 0n) {
+    const minBps =
+      (policy.minFeeCents * BPS_DENOMINATOR + priceCents - 1n) / priceCents;
+    if (minBps > BigInt(feeBps)) {
+      feeBps = minBps > BigInt(MAX_FEE_BPS) ? MAX_FEE_BPS : Number(minBps);
+    }
+  }
+
+  return Math.min(feeBps, MAX_FEE_BPS);
+}
+
+/**
+ * Returns the rate locked on a stored trade.
+ *
+ * @param {object} tradeData - Trade row.
+ * @returns {number} Fee per side in basis points.
+ */
+export function getTradeFeeBps(tradeData) {
+  return tradeData?.fee_bps ?? env.FEE_BPS;
+}
+
+/**
+ * Checks that the configured policy matches every escrow deployment.
+ *
+ * Called at startup: a bot quoting fees the contract does not charge would
+ * show wrong amounts in Discord and produce funding transactions that revert.
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If the policy is invalid or disagrees with a contract.
+ */
+export async function verifyFeePolicy() {
+  if (
+    !Number.isInteger(env.FEE_BPS) ||
+    env.FEE_BPS < 0 ||
+    env.FEE_BPS > MAX_FEE_BPS
+  ) {
+    throw new Error(`FEE_BPS must be an integer between 0 and ${MAX_FEE_BPS}`);
+  }
+
+  if (parseUsd(env.FEE_MIN_USD) === null) {
+    throw new Error('FEE_MIN_USD must be a non-negative USD amount');
+  }
+
+  for (const key of ['FEE_PROMO_START', 'FEE_PROMO_END']) {
+    if (env[key] && !parseDate(env[key])) {
+      throw new Error(`${key} must be an ISO timestamp`);
+    }
+  }
+
+  for (const network of getNetworks()) {
+    const contract = getEscrowContract(network);
+    const [feeBps, maxFeeBps] = await Promise.all([
+      contract.FEE_BPS(),
+      contract.MAX_FEE_BPS(),
+    ]);
+
+    if (Number(feeBps) !== env.FEE_BPS) {
+      throw new Error(
+        `FEE_BPS is ${env.FEE_BPS} but the escrow on ${network.name} charges ${feeBps}`,
+      );
+    }
+
+    if (Number(maxFeeBps) !== MAX_FEE_BPS) {
+      throw new Error(
+        `The escrow on ${network.name} caps fees at ${maxFeeBps} bps, expected ${MAX_FEE_BPS}`,
+      );
+    }
+  }
+
+  const { data: overrides, error } = await getDatabase()
+    .from('guild_settings')
+    .select('guild_id, fee_bps')
+    .gt('fee_bps', MAX_FEE_BPS);
+
+  if (error) {
+    throw new Error(`Failed to load guild fee overrides: ${error.message}`);
+  }
+
+  if (overrides?.length) {
+    throw new Error(
+      `Guild fee overrides exceed the contract maximum: ${overrides
+        .map((row) => row.guild_id)
+        .join(', ')}`,
+    );
+  }
+}
@@ -1,30 +1,88 @@
+import {
+  FEE_USD_DECIMALS,
+  USD_DECIMALS,
+  applyBps,
+  formatUsd,
+  rescale,
+} from './money.js';
+
+/**
+ * @typedef {object} TradeFees
+ * @property {bigint} priceCents - Trade price in cents.
+ * @property {number} feeBps - Fee charged on each side, in basis points.
+ * @property {bigint} fee - Fee per side, at {@link FEE_USD_DECIMALS}.
+ * @property {bigint} buyerTotal - Price plus the buyer fee, at {@link FEE_USD_DECIMALS}.
+ * @property {bigint} sellerTotal - Price minus the seller fee, at {@link FEE_USD_DECIMALS}.
+ */
+
 /**
  * Calculates trade fees and totals for buyer and seller.
  *
- * Policy: 2.5% fee added to the buyer, 2.5% fee deducted from the seller.
+ * The same rate is added to the buyer and deducted from the seller using the
+ * contract's basis-point math. Amounts are kept at six decimals so that
+ * stablecoin trades show exactly what the contract charges.
  *
- * @param {string|number} priceInput - Base price of the trade item.
- * @returns {{price: string, buyerTotal: string, sellerTotal: string}|null} Normalized fee breakdown or null if invalid.
+ * @param {bigint} priceCents - Base price of the trade item in cents.
+ * @param {number} feeBps - Fee charged on each side, in basis points.
+ * @returns {TradeFees|null} Fee breakdown or null if invalid.
  */
-export function calculateTradeFees(priceInput) {
-  const priceNum = parseFloat(priceInput);
-
-  if (isNaN(priceNum)) {
+export function calculateTradeFees(priceCents, feeBps) {
+  if (
+    typeof priceCents !== 'bigint' ||
+    priceCents < 0n ||
+    !Number.isInteger(feeBps) ||
+    feeBps < 0
+  ) {
     return null;
   }
 
-  const FEE_RATE = 0.025;
-  const feeAmountNum = priceNum * FEE_RATE;
-  const buyerTotalNum = priceNum + feeAmountNum;
-  const sellerTotalNum = priceNum - feeAmountNum;
-
-  const price = priceNum.toFixed(2);
-  const buyerTotal = buyerTotalNum.toFixed(2);
-  const sellerTotal = sellerTotalNum.toFixed(2);
+  const price = rescale(priceCents, USD_DECIMALS, FEE_USD_DECIMALS);
+  const fee = applyBps(price, feeBps);
 
   return {
-    price,
-    buyerTotal,
-    sellerTotal,
+    priceCents,
+    feeBps,
+    fee,
+    buyerTotal: price + fee,
+    sellerTotal: price - fee,
   };
 }
+
+/**
+ * Formats a basis-point rate as a percentage (e.g. 250 -> "2.5%").
+ *
+ * @param {number} feeBps - Rate in basis points.
+ * @returns {string}
+ */
+export function formatFeeRate(feeBps) {
+  const whole = Math.trunc(feeBps / 100);
+  const fraction = String(feeBps % 100)
+    .padStart(2, '0')
+    .replace(/0+$/, '');
+  return `${whole}${fraction ? `.${fraction}` : ''}%`;
+}
+
+/**
+ * Renders the buyer/seller fee breakdown shown in trade containers.
+ *
+ * @param {TradeFees} fees - Result of {@link calculateTradeFees}.
+ * @returns {string} Markdown bullet list.
+ */
+export function formatFeeBreakdown(fees) {
+  const buyerTotal = formatUsd(fees.buyerTotal, FEE_USD_DECIMALS);
+  const sellerTotal = formatUsd(fees.sellerTotal, FEE_USD_DECIMALS);
+
+  if (fees.feeBps === 0) {
+    return [
+      `• **Buyer pays:** $${buyerTotal} (no fee)`,
+      `• **Seller receives:** $${sellerTotal} (no fee)`,
+    ].join('\n');
+  }
+
+  const price = formatUsd(fees.priceCents);
+  const rate = formatFeeRate(fees.feeBps);
+  return [
+    `• **Buyer pays:** $${buyerTotal} ($${price} + ${rate})`,
+    `• **Seller receives:** $${sellerTotal} ($${price} - ${rate})`,
+  ].join('\n');
+}
@@ -0,0 +1,48 @@
+/**
+ * Guild settings
+ *
+ * Per-guild configuration chosen by server admins, stored in
+ * `guild_settings`. Guilds without a row use the bot defaults.
+ *
+ * @module utils/guildSettings
+ */
+
+import { getDatabase } from './database.js';
+
+/**
+ * Loads the stored settings of a guild.
+ *
+ * @param {string} guildId - Guild ID.
+ * @returns {Promise<object|null>} The settings row or null if none is stored.
+ * @throws {Error} If the settings cannot be loaded.
+ */
+export async function getGuildSettings(guildId) {
+  const { data, error } = await getDatabase()
+    .from('guild_settings')
+    .select('*')
+    .eq('guild_id', guildId);
+
+  if (error) {
+    throw new Error(`Failed to load guild settings: ${error.message}`);
+  }
+
+  return data?.[0] || null;
+}
+
+/**
+ * Creates or updates the settings of a guild.
+ *
+ * @param {string} guildId - Guild ID.
+ * @param {object} changes - Columns to set.
+ * @returns {Promise<void>}
+ * @throws {Error} If the settings cannot be saved.
+ */
+export async function updateGuildSettings(guildId, changes) {
+  const { error } = await getDatabase()
+    .from('guild_settings')
+    .upsert({ guild_id: guildId, ...changes }, { onConflict: 'guild_id' });
+
+  if (error) {
+    throw new Error(`Failed to save guild settings: ${error.message}`);
+  }
+}
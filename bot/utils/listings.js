@@ -0,0 +1,415 @@
+/**
+ * Marketplace listings
+ *
+ * Sellers post standing offers to the guild's marketplace channel. Each
+ * listing is stored in `listings` and rendered as a container with a Buy
+ * button that starts a trade with the seller on the listed terms.
+ *
+ *   active ⇄ paused / sold_out → deleted
+ *
+ * Only active listings can be bought. Deleting a listing removes its
+ * message and keeps the row for the seller's history.
+ *
+ * @module utils/listings
+ */
+
+import { randomUUID } from 'node:crypto';
+
+import { MessageFlags } from 'discord.js';
+
+import {
+  buildListingContainer,
+  buildMarketSearchContainer,
+} from './components/containers.js';
+import { getDatabase } from './database.js';
+import { getGuildSettings } from './guildSettings.js';
+import { logger } from './logger.js';
+import { getReputation } from './reputation.js';
+
+/** Results shown per page of a marketplace search. */
+export const SEARCH_PAGE_SIZE = 5;
+
+/** Listing states, as stored in `listings.status`. */
+export const LISTING_STATUS = Object.freeze({
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  SOLD_OUT: 'sold_out',
+  DELETED: 'deleted',
+});
+
+/**
+ * Returns the marketplace channel configured for a guild.
+ *
+ * @param {string} guildId - Guild ID.
+ * @returns {Promise<string|null>} Channel ID or null if none is set.
+ */
+export async function getMarketplaceChannelId(guildId) {
+  const settings = await getGuildSettings(guildId);
+  return settings?.marketplace_channel_id || null;
+}
+
+/**
+ * Stores a new active listing.
+ *
+ * @param {object} listing - Listing details.
+ * @param {string} listing.guildId - Guild the listing is posted in.
+ * @param {string} listing.sellerId - Seller Discord ID.
+ * @param {string} listing.item - Item name.
+ * @param {bigint} listing.priceCents - Price in cents.
+ * @param {string|null} [listing.description] - Optional description.
+ * @returns {Promise<object>} The stored listing row.
+ * @throws {Error} If the listing cannot be saved.
+ */
+export async function createListing(listing) {
+  const { data, error } = await getDatabase()
+    .from('listings')
+    .insert({
+      listing_id: randomUUID(),
+      guild_id: listing.guildId,
+      seller_id: listing.sellerId,
+      item: listing.item,
+      price_cents: listing.priceCents.toString(),
+      description: listing.description || null,
+      status: LISTING_STATUS.ACTIVE,
+    })
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save listing: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Loads a listing.
+ *
+ * @param {string} listingId - Listing ID.
+ * @returns {Promise<object|null>} The listing row or null if unknown.
+ * @throws {Error} If the listing cannot be loaded.
+ */
+export async function getListing(listingId) {
+  const { data, error } = await getDatabase()
+    .from('listings')
+    .select('*')
+    .eq('listing_id', listingId);
+
+  if (error) {
+    throw new Error(`Failed to load listing: ${error.message}`);
+  }
+
+  return data?.[0] || null;
+}
+
+/**
+ * Loads the listings a seller has not deleted in a guild, newest first.
+ *
+ * @param {string} guildId - Guild ID.
+ * @param {string} sellerId - Seller Discord ID.
+ * @returns {Promise<object[]>}
+ * @throws {Error} If the listings cannot be loaded.
+ */
+export async function getSellerListings(guildId, sellerId) {
+  const { data, error } = await getDatabase()
+    .from('listings')
+    .select('*')
+    .eq('guild_id', guildId)
+    .eq('seller_id', sellerId)
+    .in('status', [
+      LISTING_STATUS.ACTIVE,
+      LISTING_STATUS.PAUSED,
+      LISTING_STATUS.SOLD_OUT,
+    ])
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to load listings: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Updates a listing owned by the seller, unless it was deleted.
+ *
+ * @param {string} listingId - Listing ID.
+ * @param {string} sellerId - Seller Discord ID.
+ * @param {object} changes - Columns to set.
+ * @returns {Promise<object|null>} The updated listing, or null if it is not
+ *   the seller's or was deleted.
+ * @throws {Error} If the listing cannot be updated.
+ */
+export async function updateListing(listingId, sellerId, changes) {
+  const { data, error } = await getDatabase()
+    .from('listings')
+    .update(changes)
+    .eq('listing_id', listingId)
+    .eq('seller_id', sellerId)
+    .in('status', [
+      LISTING_STATUS.ACTIVE,
+      LISTING_STATUS.PAUSED,
+      LISTING_STATUS.SOLD_OUT,
+    ])
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to update listing: ${error.message}`);
+  }
+
+  return data?.[0] || null;
+}
+
+/**
+ * @typedef {object} ListingSearchFilters
+ * @property {string|null} keyword - Text the item or description must contain.
+ * @property {bigint|null} minCents - Lowest price in cents.
+ * @property {bigint|null} maxCents - Highest price in cents.
+ * @property {string|null} sellerId - Seller Discord ID.
+ */
+
+/**
+ * Builds the `or()` filter matching a keyword in the item or description,
+ * ignoring case. LIKE wildcards in the keyword match literally.
+ *
+ * @param {string} keyword - Search keyword.
+ * @returns {string} PostgREST filter string.
+ */
+function buildKeywordFilter(keyword) {
+  const pattern = `%${keyword.replace(/[\\%_]/g, '\\$&')}%`;
+  const quoted = `"${pattern.replace(/["\\]/g, '\\$&')}"`;
+  return `item.ilike.${quoted},description.ilike.${quoted}`;
+}
+
+/**
+ * Narrows a listings query to the active listings of a guild matching the
+ * filters.
+ *
+ * @param {object} query - Listings select query.
+ * @param {string} guildId - Guild to search in.
+ * @param {ListingSearchFilters} filters - Search filters.
+ * @returns {object} The filtered query.
+ */
+function applySearchFilters(query, guildId, filters) {
+  let filtered = query
+    .eq('guild_id', guildId)
+    .eq('status', LISTING_STATUS.ACTIVE);
+
+  if (filters.minCents !== null) {
+    filtered = filtered.gte('price_cents', filters.minCents.toString());
+  }
+  if (filters.maxCents !== null) {
+    filtered = filtered.lte('price_cents', filters.maxCents.toString());
+  }
+  if (filters.sellerId) {
+    filtered = filtered.eq('seller_id', filters.sellerId);
+  }
+  if (filters.keyword) {
+    filtered = filtered.or(buildKeywordFilter(filters.keyword));
+  }
+
+  return filtered;
+}
+
+/**
+ * Counts the active listings of a guild matching the filters.
+ *
+ * @param {string} guildId - Guild to search in.
+ * @param {ListingSearchFilters} filters - Search filters.
+ * @returns {Promise<number>}
+ * @throws {Error} If the listings cannot be counted.
+ */
+export async function countListings(guildId, filters) {
+  const { count, error } = await applySearchFilters(
+    getDatabase()
+      .from('listings')
+      .select('listing_id', { count: 'exact', head: true }),
+    guildId,
+    filters,
+  );
+
+  if (error) {
+    throw new Error(`Failed to count listings: ${error.message}`);
+  }
+
+  return count ?? 0;
+}
+
+/**
+ * Loads a range of the active listings of a guild matching the filters,
+ * newest first.
+ *
+ * @param {string} guildId - Guild to search in.
+ * @param {ListingSearchFilters} filters - Search filters.
+ * @param {object} [range={}] - Listings to load.
+ * @param {number} [range.offset=0] - Matching listings to skip.
+ * @param {number} [range.limit=SEARCH_PAGE_SIZE] - Most listings to load.
+ * @returns {Promise<object[]>}
+ * @throws {Error} If the listings cannot be loaded.
+ */
+export async function searchListings(
+  guildId,
+  filters,
+  { offset = 0, limit = SEARCH_PAGE_SIZE } = {},
+) {
+  const { data, error } = await applySearchFilters(
+    getDatabase().from('listings').select('*'),
+    guildId,
+    filters,
+  )
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw new Error(`Failed to search listings: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Encodes search filters for the pagination button custom IDs.
+ *
+ * The keyword goes last since it may itself contain colons.
+ *
+ * @param {ListingSearchFilters} filters - Search filters.
+ * @returns {string}
+ */
+export function encodeSearchFilters(filters) {
+  return [
+    filters.minCents ?? '',
+    filters.maxCents ?? '',
+    filters.sellerId ?? '',
+    filters.keyword ?? '',
+  ].join(':');
+}
+
+/**
+ * Decodes search filters from the parts of a pagination custom ID.
+ *
+ * @param {string[]} parts - Custom ID parts produced by {@link encodeSearchFilters}.
+ * @returns {ListingSearchFilters}
+ */
+export function decodeSearchFilters(parts) {
+  const [minCents, maxCents, sellerId, ...keyword] = parts;
+  return {
+    minCents: minCents ? BigInt(minCents) : null,
+    maxCents: maxCents ? BigInt(maxCents) : null,
+    sellerId: sellerId || null,
+    keyword: keyword.join(':') || null,
+  };
+}
+
+/**
+ * Builds one page of marketplace search results.
+ *
+ * @param {string} guildId - Guild to search in.
+ * @param {ListingSearchFilters} filters - Search filters.
+ * @param {number} [page=0] - Zero-based page, clamped to the last page.
+ * @returns {Promise<{components: object[]}>}
+ */
+export async function buildMarketSearchMessage(guildId, filters, page = 0) {
+  // Counted first, as a range past the last listing is an error.
+  const total = await countListings(guildId, filters);
+  const pageCount = Math.max(1, Math.ceil(total / SEARCH_PAGE_SIZE));
+  const current = Math.min(Math.max(page, 0), pageCount - 1);
+  const listings = await searchListings(guildId, filters, {
+    offset: current * SEARCH_PAGE_SIZE,
+  });
+
+  return {
+    components: [
+      buildMarketSearchContainer(listings, filters, {
+        page: current,
+        pageCount,
+        total,
+      }).toJSON(),
+    ],
+  };
+}
+
+/**
+ * Builds the marketplace message of a listing with the seller's reputation.
+ *
+ * @param {object} listing - Listing row.
+ * @returns {Promise<{components: object[]}>}
+ */
+export async function buildListingMessage(listing) {
+  const reputation = await getReputation(listing.seller_id, listing.guild_id);
+  return {
+    components: [buildListingContainer(listing, reputation).toJSON()],
+  };
+}
+
+/**
+ * Posts a listing to a marketplace channel and stores where it was posted.
+ *
+ * @param {import('discord.js').Client} client - Discord client.
+ * @param {object} listing - Listing row.
+ * @param {string} channelId - Marketplace channel ID.
+ * @returns {Promise<object>} The listing with its channel and message IDs.
+ * @throws {Error} If the channel is unavailable or the listing cannot be updated.
+ */
+export async function postListingMessage(client, listing, channelId) {
+  const channel = await client.channels.fetch(channelId).catch(() => null);
+  if (!channel?.isTextBased()) {
+    throw new Error('Marketplace channel is not available');
+  }
+
+  const message = await channel.send({
+    ...(await buildListingMessage(listing)),
+    flags: MessageFlags.IsComponentsV2,
+    allowedMentions: { parse: [] },
+  });
+
+  return (
+    (await updateListing(listing.listing_id, listing.seller_id, {
+      channel_id: channel.id,
+      message_id: message.id,
+    })) || listing
+  );
+}
+
+/**
+ * Fetches the marketplace message of a listing.
+ *
+ * @param {import('discord.js').Client} client - Discord client.
+ * @param {object} listing - Listing row.
+ * @returns {Promise<import('discord.js').Message|null>}
+ */
+async function fetchListingMessage(client, listing) {
+  if (!listing.channel_id || !listing.message_id) return null;
+
+  const channel = await client.channels
+    .fetch(listing.channel_id)
+    .catch(() => null);
+  return (
+    (await channel?.messages?.fetch(listing.message_id).catch(() => null)) ||
+    null
+  );
+}
+
+/**
+ * Re-renders the marketplace message of a listing in its current state, or
+ * removes it once the listing was deleted.
+ *
+ * @param {import('discord.js').Client} client - Discord client.
+ * @param {object} listing - Listing row.
+ * @returns {Promise<void>}
+ */
+export async function refreshListingMessage(client, listing) {
+  const message = await fetchListingMessage(client, listing);
+  if (!message) {
+    logger.warn('Listing message not found', {
+      listingId: listing.listing_id,
+    });
+    return;
+  }
+
+  if (listing.status === LISTING_STATUS.DELETED) {
+    await message.delete();
+    return;
+  }
+
+  await message.edit(await buildListingMessage(listing));
+}
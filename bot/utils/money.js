@@ -0,0 +1,107 @@
+/**
+ * Money
+ *
+ * Every amount the bot handles is a BigInt in a fixed smallest unit: USD
+ * prices in cents, on-chain amounts in wei (or token units). Numbers and
+ * floats are never used for money, so the amounts shown in Discord are the
+ * amounts the contract settles.
+ *
+ * Rounding follows the contract: a basis-point share of an amount is
+ * `amount * bps / 10000`, rounded down. USD fees are computed at
+ * {@link FEE_USD_DECIMALS} decimals, the precision of USDC/USDT, where a
+ * basis-point share of a cent amount is always exact.
+ *
+ * @module utils/money
+ */
+
+import { formatUnits, parseUnits } from 'ethers';
+
+/** Decimals of a USD amount in cents. */
+export const USD_DECIMALS = 2;
+
+/** Decimals USD fee amounts are computed and shown at. */
+export const FEE_USD_DECIMALS = 6;
+
+/** Basis points in 100%. */
+export const BPS_DENOMINATOR = 10_000n;
+
+const USD_INPUT_RE = /^\d+(\.\d*)?$/;
+
+/**
+ * Parses a USD amount into cents.
+ *
+ * Accepts "10", "10.5", "$1,234.56" and surrounding spaces. Amounts with
+ * more than two decimals are rejected instead of rounded.
+ *
+ * @param {string|number|null|undefined} input - Raw USD amount.
+ * @returns {bigint|null} Amount in cents, or null if the input is not a valid amount.
+ *
+ * @example
+ * parseUsd('$1,234.5') // 123450n
+ * parseUsd('10.005')   // null
+ */
+export function parseUsd(input) {
+  if (input === undefined || input === null) return null;
+
+  const raw = String(input).replace(/[\s,]/g, '').replace(/^\$/, '');
+  if (!USD_INPUT_RE.test(raw)) return null;
+
+  const [, decimals = ''] = raw.split('.');
+  if (decimals.length > USD_DECIMALS) return null;
+
+  return parseUnits(raw.endsWith('.') ? raw.slice(0, -1) : raw, USD_DECIMALS);
+}
+
+/**
+ * Reads a stored integer amount (cents, wei) as a BigInt.
+ *
+ * Database drivers return BIGINT/NUMERIC columns as strings or numbers.
+ *
+ * @param {bigint|string|number|null|undefined} value - Stored amount.
+ * @returns {bigint|null} The amount, or null if missing.
+ * @throws {RangeError|SyntaxError} If the value is not an integer.
+ */
+export function toBigInt(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return BigInt(value);
+}
+
+/**
+ * Formats a USD amount with two decimals, or more when the amount has
+ * sub-cent precision (e.g. 123450n -> "1234.50", 252500n at 6 -> "0.2525").
+ *
+ * @param {bigint} amount - Amount in units of `10^-decimals` USD.
+ * @param {number} [decimals=USD_DECIMALS] - Decimals of `amount`.
+ * @returns {string}
+ */
+export function formatUsd(amount, decimals = USD_DECIMALS) {
+  const [whole, fraction = ''] = formatUnits(amount, decimals).split('.');
+  const trimmed = fraction.replace(/0+$/, '').padEnd(USD_DECIMALS, '0');
+  return `${whole}.${trimmed}`;
+}
+
+/**
+ * Converts an amount between decimal scales. Scaling down rounds toward zero.
+ *
+ * @param {bigint} amount - Amount at `fromDecimals`.
+ * @param {number} fromDecimals - Current decimals.
+ * @param {number} toDecimals - Target decimals.
+ * @returns {bigint}
+ */
+export function rescale(amount, fromDecimals, toDecimals) {
+  if (toDecimals >= fromDecimals) {
+    return amount * 10n ** BigInt(toDecimals - fromDecimals);
+  }
+  return amount / 10n ** BigInt(fromDecimals - toDecimals);
+}
+
+/**
+ * Takes a basis-point share of an amount, rounded down like the contract.
+ *
+ * @param {bigint} amount - Amount in its smallest unit.
+ * @param {number|bigint} bps - Share in basis points.
+ * @returns {bigint}
+ */
+export function applyBps(amount, bps) {
+  return (amount * BigInt(bps)) / BPS_DENOMINATOR;
+}
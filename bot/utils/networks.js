@@ -0,0 +1,241 @@
+/**
+ * Network registry
+ *
+ * Describes every chain the escrow is deployed on: RPC endpoint, escrow
+ * contract, block explorer, native token and allow-listed stablecoins.
+ *
+ * The default network comes from `NETWORK_CHAIN_ID`, `NETWORK_RPC_URL`,
+ * `AMIS_ESCROW_ADDRESS`, `ESCROW_START_BLOCK` and `ESCROW_TOKENS`. Further
+ * deployments are listed in `ESCROW_NETWORKS` as a JSON array, e.g.
+ *
+ *   [{ "chainId": 8453, "rpcUrl": "https://…", "escrowAddress": "0x…",
+ *      "startBlock": 123, "tokens": "USDC:0x…:6" }]
+ *
+ * Name, explorer and native symbol default to the built-in metadata of
+ * well-known chains and can be overridden per entry. Only those chains are
+ * accepted, since they are the ones the funding page can switch wallets to
+ * (`client/src/AppKitProvider.jsx`).
+ *
+ * Guilds pick their default network with `/network set`; each trade stores
+ * the `chain_id` it was created on.
+ *
+ * @module utils/networks
+ */
+
+import { getAddress } from 'ethers';
+
+import { env } from '../config/env.js';
+
+import { getGuildSettings } from './guildSettings.js';
+import { logger } from './logger.js';
+
+/**
+ * @typedef {object} EscrowNetwork
+ * @property {number} chainId - EVM chain ID.
+ * @property {string} name - Human readable chain name.
+ * @property {string} rpcUrl - JSON-RPC endpoint.
+ * @property {string} escrowAddress - AmisEscrowManager deployment.
+ * @property {number} startBlock - Block the indexer starts from on first run (0 = chain head).
+ * @property {string|null} explorerUrl - Block explorer base URL.
+ * @property {string} nativeSymbol - Symbol of the native token.
+ * @property {Array<import('./assets.js').TradeAsset>} tokens - Allow-listed ERC-20 stablecoins.
+ */
+
+// Keep in sync with the AppKit networks of the client.
+const KNOWN_CHAINS = Object.freeze({
+  1: { name: 'Ethereum', explorerUrl: 'https://etherscan.io' },
+  11155111: { name: 'Sepolia', explorerUrl: 'https://sepolia.etherscan.io' },
+  8453: { name: 'Base', explorerUrl: 'https://basescan.org' },
+  84532: { name: 'Base Sepolia', explorerUrl: 'https://sepolia.basescan.org' },
+});
+
+let networks = null;
+
+/**
+ * Parses a `SYMBOL:address:decimals` token list, skipping malformed entries.
+ *
+ * @param {string} value - Comma-separated token entries.
+ * @returns {Array<import('./assets.js').TradeAsset>}
+ */
+function parseTokenList(value = '') {
+  const tokens = [];
+
+  for (const entry of value.split(',')) {
+    if (!entry.trim()) continue;
+
+    const [symbol, address, decimals] = entry.split(':').map((v) => v.trim());
+    try {
+      const parsedDecimals = Number(decimals);
+      if (!symbol || !Number.isInteger(parsedDecimals) || parsedDecimals < 0) {
+        throw new Error('expected SYMBOL:address:decimals');
+      }
+
+      tokens.push(
+        Object.freeze({
+          symbol: symbol.toUpperCase(),
+          address: getAddress(address),
+          decimals: parsedDecimals,
+        }),
+      );
+    } catch (error) {
+      logger.warn('Ignoring invalid escrow token entry', {
+        entry,
+        error: error.message,
+      });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Completes a network entry with the built-in chain metadata.
+ *
+ * @param {object} entry - Raw network configuration.
+ * @returns {EscrowNetwork}
+ * @throws {Error} If the entry is invalid or its chain is not supported.
+ */
+function buildNetwork(entry) {
+  const chainId = Number(entry.chainId);
+  if (!Number.isInteger(chainId) || chainId <= 0) {
+    throw new Error(`invalid chainId ${entry.chainId}`);
+  }
+  if (!entry.rpcUrl) {
+    throw new Error('rpcUrl is required');
+  }
+
+  const known = KNOWN_CHAINS[chainId];
+  if (!known) {
+    throw new Error(`chain ${chainId} is not supported by the funding page`);
+  }
+
+  return Object.freeze({
+    chainId,
+    name: entry.name || known.name,
+    rpcUrl: entry.rpcUrl,
+    escrowAddress: getAddress(entry.escrowAddress),
+    startBlock: Number(entry.startBlock) || 0,
+    explorerUrl: entry.explorerUrl || known.explorerUrl,
+    nativeSymbol: entry.nativeSymbol || 'ETH',
+    tokens: Object.freeze(
+      Array.isArray(entry.tokens) ? entry.tokens : parseTokenList(entry.tokens),
+    ),
+  });
+}
+
+/**
+ * Builds the registry from the environment once.
+ *
+ * @returns {Map<number, EscrowNetwork>}
+ */
+function loadNetworks() {
+  if (networks) return networks;
+
+  networks = new Map();
+  const defaultNetwork = buildNetwork({
+    chainId: env.NETWORK_CHAIN_ID,
+    rpcUrl: env.NETWORK_RPC_URL,
+    escrowAddress: env.AMIS_ESCROW_ADDRESS,
+    startBlock: env.ESCROW_START_BLOCK,
+    tokens: env.ESCROW_TOKENS,
+  });
+  networks.set(defaultNetwork.chainId, defaultNetwork);
+
+  let extra = [];
+  if (env.ESCROW_NETWORKS) {
+    try {
+      extra = JSON.parse(env.ESCROW_NETWORKS);
+    } catch (error) {
+      logger.error('ESCROW_NETWORKS is not valid JSON:', error.message);
+    }
+  }
+
+  for (const entry of Array.isArray(extra) ? extra : []) {
+    try {
+      const network = buildNetwork(entry);
+      if (networks.has(network.chainId)) {
+        throw new Error('chain is already configured');
+      }
+      networks.set(network.chainId, network);
+    } catch (error) {
+      logger.warn('Ignoring invalid ESCROW_NETWORKS entry', {
+        chainId: entry?.chainId,
+        error: error.message,
+      });
+    }
+  }
+
+  return networks;
+}
+
+/**
+ * Lists every configured network, default network first.
+ *
+ * @returns {Array<EscrowNetwork>}
+ */
+export function getNetworks() {
+  return [...loadNetworks().values()];
+}
+
+/**
+ * Returns the network configured through the `NETWORK_*` variables.
+ *
+ * @returns {EscrowNetwork}
+ */
+export function getDefaultNetwork() {
+  return getNetworks()[0];
+}
+
+/**
+ * Looks up a configured network by chain ID.
+ *
+ * @param {number|string|null|undefined} chainId - Chain ID.
+ * @returns {EscrowNetwork|null} The network or null if it is not configured.
+ */
+export function getNetwork(chainId) {
+  return loadNetworks().get(Number(chainId)) || null;
+}
+
+/**
+ * Returns the network a stored trade runs on.
+ *
+ * @param {object|null} tradeData - Trade row.
+ * @returns {EscrowNetwork}
+ * @throws {Error} If the trade's chain is no longer configured.
+ */
+export function getTradeNetwork(tradeData) {
+  if (!tradeData?.chain_id) {
+    return getDefaultNetwork();
+  }
+
+  const network = getNetwork(tradeData.chain_id);
+  if (!network) {
+    throw new Error(`Network ${tradeData.chain_id} is not configured`);
+  }
+  return network;
+}
+
+/**
+ * Returns the network new trades in a guild default to.
+ *
+ * @param {string|null} guildId - Guild ID.
+ * @returns {Promise<EscrowNetwork>}
+ */
+export async function getGuildNetwork(guildId) {
+  const settings = guildId ? await getGuildSettings(guildId) : null;
+  return getNetwork(settings?.chain_id) || getDefaultNetwork();
+}
+
+/**
+ * Builds a block explorer link for a transaction hash.
+ *
+ * @param {string} txHash - Transaction hash.
+ * @param {EscrowNetwork} network - Network the transaction was sent on.
+ * @returns {string|null} Explorer URL or null if the chain has no known explorer.
+ */
+export function getExplorerTxUrl(txHash, network) {
+  if (!network?.explorerUrl || !txHash) {
+    return null;
+  }
+  return `${network.explorerUrl}/tx/${txHash}`;
+}
@@ -0,0 +1,290 @@
+/**
+ * USD to settlement asset price quoting
+ *
+ * Trades are agreed in USD while the escrow contract is funded in wei. This
+ * module asks a price source for the USD price of the trade network's native
+ * token (by its `nativeSymbol`), converts the
+ * trade price into wei and locks that quote on the trade for
+ * `PRICE_QUOTE_TTL_MINUTES`. The buyer must fund within the window; once it
+ * expires the quote has to be refreshed before funding is possible again.
+ *
+ * Stablecoin trades are quoted at $1 per token and their quote never expires.
+ *
+ * Price sources are pluggable: register one with {@link registerPriceSource}
+ * and select it with `PRICE_SOURCE`. The built-in `static` source reads
+ * `NATIVE_USD_PRICE` and is meant for local testing; the `coingecko` source
+ * looks tokens up by `COINGECKO_ASSET_ID`. Both take either a single value,
+ * used for ETH, or `SYMBOL:value` entries such as `ETH:ethereum,POL:matic-network`.
+ *
+ * @module utils/pricing
+ */
+
+import { env } from '../config/env.js';
+
+import { NATIVE_ASSET, getNativeAsset, getTradeAsset } from './assets.js';
+import { getDatabase } from './database.js';
+import { usdToAssetUnits } from './escrow.js';
+import { logger } from './logger.js';
+import { toBigInt } from './money.js';
+import { getNetworks } from './networks.js';
+import { TRADE_STATUS } from './tradeStateMachine.js';
+
+const PRICE_FETCH_TIMEOUT_MS = 10_000;
+
+/**
+ * @typedef {object} PriceSource
+ * @property {string} name - Identifier stored with each quote.
+ * @property {(symbol: string) => boolean} hasNativeUsdPrice - Whether the
+ *   source can price the native token with this symbol.
+ * @property {(symbol: string) => Promise<string>} getNativeUsdPrice - Resolves
+ *   to the USD price of one native token as a decimal string (max 8 decimals).
+ */
+
+/**
+ * @typedef {object} PriceQuote
+ * @property {string} usdPrice - USD price of one token of the settlement asset.
+ * @property {bigint} tradeAmountWei - Trade price in the asset's smallest unit.
+ * @property {string} source - Name of the price source.
+ * @property {Date} quotedAt - When the quote was taken.
+ * @property {Date|null} expiresAt - When the locked rate stops being valid
+ *   (null for stablecoins).
+ */
+
+/**
+ * Formats a price as a decimal string with at most 8 decimals.
+ *
+ * @param {number|string} value - Raw price.
+ * @returns {string}
+ */
+function formatPrice(value) {
+  const price = Number(value);
+  if (!Number.isFinite(price) || price <= 0) {
+    throw new Error(`Invalid native token price: ${value}`);
+  }
+  return price.toFixed(8).replace(/\.?0+$/, '');
+}
+
+/**
+ * Parses a per-token setting into a map keyed by token symbol. A value
+ * without a symbol applies to ETH.
+ *
+ * @param {string} value - Comma-separated `SYMBOL:value` entries.
+ * @returns {Map<string, string>}
+ */
+function parseSymbolSetting(value = '') {
+  const settings = new Map();
+
+  for (const entry of value.split(',')) {
+    if (!entry.trim()) continue;
+
+    const separator = entry.indexOf(':');
+    const symbol =
+      separator === -1 ? NATIVE_ASSET.symbol : entry.slice(0, separator);
+    settings.set(
+      symbol.trim().toUpperCase(),
+      entry.slice(separator + 1).trim(),
+    );
+  }
+
+  return settings;
+}
+
+const staticSource = {
+  name: 'static',
+  hasNativeUsdPrice(symbol) {
+    return !!parseSymbolSetting(env.NATIVE_USD_PRICE).get(symbol);
+  },
+  async getNativeUsdPrice(symbol) {
+    const price = parseSymbolSetting(env.NATIVE_USD_PRICE).get(symbol);
+    if (!price) {
+      throw new Error(`NATIVE_USD_PRICE has no price for ${symbol}`);
+    }
+    return formatPrice(price);
+  },
+};
+
+const coingeckoSource = {
+  name: 'coingecko',
+  hasNativeUsdPrice(symbol) {
+    return !!parseSymbolSetting(env.COINGECKO_ASSET_ID).get(symbol);
+  },
+  async getNativeUsdPrice(symbol) {
+    const assetId = parseSymbolSetting(env.COINGECKO_ASSET_ID).get(symbol);
+    if (!assetId) {
+      throw new Error(`COINGECKO_ASSET_ID has no CoinGecko id for ${symbol}`);
+    }
+
+    const url = `https://api.coingecko.com/api/v3/simple/price?ids=${encodeURIComponent(assetId)}&vs_currencies=usd`;
+    const response = await fetch(url, {
+      signal: AbortSignal.timeout(PRICE_FETCH_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      throw new Error(`CoinGecko request failed with ${response.status}`);
+    }
+
+    const body = await response.json();
+    return formatPrice(body?.[assetId]?.usd);
+  },
+};
+
+const priceSources = new Map([
+  [staticSource.name, staticSource],
+  [coingeckoSource.name, coingeckoSource],
+]);
+
+/**
+ * Registers (or replaces) a price source.
+ *
+ * @param {PriceSource} source - Source implementation.
+ * @returns {void}
+ */
+export function registerPriceSource(source) {
+  if (
+    !source?.name ||
+    typeof source.hasNativeUsdPrice !== 'function' ||
+    typeof source.getNativeUsdPrice !== 'function'
+  ) {
+    throw new Error(
+      'Price sources need a name, hasNativeUsdPrice() and getNativeUsdPrice()',
+    );
+  }
+  priceSources.set(source.name, source);
+}
+
+/**
+ * Returns the price source selected by `PRICE_SOURCE`.
+ *
+ * @returns {PriceSource}
+ * @throws {Error} If the configured source is not registered.
+ */
+export function getPriceSource() {
+  const source = priceSources.get(env.PRICE_SOURCE);
+  if (!source) {
+    throw new Error(`Unknown price source: ${env.PRICE_SOURCE}`);
+  }
+  return source;
+}
+
+/**
+ * Checks that the active price source can price the native token of every
+ * network.
+ *
+ * Called at startup, so a network whose native token has no price is caught
+ * before a trade on it is quoted with the price of another token.
+ *
+ * @returns {void}
+ * @throws {Error} If the source is unknown or misses a native token.
+ */
+export function verifyPriceSources() {
+  const source = getPriceSource();
+
+  for (const network of getNetworks()) {
+    const { symbol } = getNativeAsset(network);
+    if (!source.hasNativeUsdPrice(symbol)) {
+      throw new Error(
+        `The ${source.name} price source has no price for ${symbol}, the native token of ${network.name}`,
+      );
+    }
+  }
+}
+
+/**
+ * Quotes a USD amount in the settlement asset. Native amounts use the active
+ * price source for the asset's symbol; stablecoins are pegged at $1.
+ *
+ * @param {bigint} usdCents - USD amount in cents.
+ * @param {import('./assets.js').TradeAsset} [asset=NATIVE_ASSET] - Settlement asset.
+ * @returns {Promise<PriceQuote>}
+ */
+export async function createQuote(usdCents, asset = NATIVE_ASSET) {
+  const quotedAt = new Date();
+
+  if (asset.address) {
+    return {
+      usdPrice: '1',
+      tradeAmountWei: usdToAssetUnits(usdCents, '1', asset.decimals),
+      source: 'peg',
+      quotedAt,
+      expiresAt: null,
+    };
+  }
+
+  const source = getPriceSource();
+  const usdPrice = await source.getNativeUsdPrice(asset.symbol);
+
+  return {
+    usdPrice,
+    tradeAmountWei: usdToAssetUnits(usdCents, usdPrice, asset.decimals),
+    source: source.name,
+    quotedAt,
+    expiresAt: new Date(
+      quotedAt.getTime() + env.PRICE_QUOTE_TTL_MINUTES * 60_000,
+    ),
+  };
+}
+
+/**
+ * Whether the trade has a locked quote that is still valid.
+ *
+ * @param {object} tradeData - Trade row.
+ * @returns {boolean}
+ */
+export function hasActiveQuote(tradeData) {
+  return (
+    !!tradeData?.quote_amount_wei &&
+    (!tradeData.quote_expires_at ||
+      new Date(tradeData.quote_expires_at).getTime() > Date.now())
+  );
+}
+
+/**
+ * Maps a quote to the `trades` columns that store it.
+ *
+ * @param {PriceQuote} quote - Quote to store.
+ * @returns {object}
+ */
+export function getQuoteColumns(quote) {
+  return {
+    quote_usd_price: quote.usdPrice,
+    quote_amount_wei: quote.tradeAmountWei.toString(),
+    quote_source: quote.source,
+    quoted_at: quote.quotedAt.toISOString(),
+    quote_expires_at: quote.expiresAt?.toISOString() ?? null,
+  };
+}
+
+/**
+ * Takes a fresh quote for the trade price and locks it on the trade. Only
+ * confirmed (not yet funded) trades can be re-quoted.
+ *
+ * @param {object} tradeData - Trade row (needs `trade_id` and `price_cents`).
+ * @returns {Promise<object>} Updated trade row.
+ */
+export async function lockTradeQuote(tradeData) {
+  const quote = await createQuote(
+    toBigInt(tradeData.price_cents),
+    getTradeAsset(tradeData),
+  );
+
+  const { data, error } = await getDatabase()
+    .from('trades')
+    .update(getQuoteColumns(quote))
+    .eq('trade_id', tradeData.trade_id)
+    .eq('status', TRADE_STATUS.CONFIRMED)
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to store price quote: ${error.message}`);
+  }
+
+  logger.info('Locked price quote for trade', {
+    tradeId: tradeData.trade_id,
+    usdPrice: quote.usdPrice,
+    source: quote.source,
+    expiresAt: quote.expiresAt?.toISOString() ?? null,
+  });
+
+  return data;
+}
@@ -0,0 +1,268 @@
+/**
+ * Automatic escrow release scheduler
+ *
+ * Tracks trades that were marked delivered but never approved by the buyer.
+ * The buyer is warned in the trade thread as the contract's review window
+ * runs out, and once `deliveryTimestamp + releaseTimeout` has passed the bot
+ * calls `releaseAfterTimeout` so the seller gets paid.
+ *
+ * Nothing is kept in memory between ticks: deadlines are recomputed from
+ * `delivered_at` and sent warnings from `release_warning_hours`, so the
+ * schedule picks up where it left off after a restart. Only trades in the
+ * `delivered` status are considered, so disputed trades are skipped; the
+ * on-chain status is checked again right before releasing.
+ *
+ * @module utils/releaseScheduler
+ */
+
+import { env } from '../config/env.js';
+
+import { formatAssetAmount, getTradeAsset } from './assets.js';
+import { getDatabase } from './database.js';
+import {
+  ESCROW_TRADE_STATUS,
+  getEscrowTradeStatus,
+  getReleaseTimeoutMs,
+  releaseEscrowAfterTimeout,
+} from './escrow.js';
+import { logger } from './logger.js';
+import { getExplorerTxUrl, getTradeNetwork } from './networks.js';
+import { promptTradeReviews } from './reviews.js';
+import { TRADE_STATUS } from './tradeStateMachine.js';
+import { recordEscrowRelease, refreshTradeMessage } from './walletServer.js';
+
+const TICK_INTERVAL_MS = 60_000;
+const HOUR_MS = 3_600_000;
+// Block timestamps can trail the bot clock; wait a little past the deadline.
+const RELEASE_GRACE_MS = 60_000;
+
+let tickTimer = null;
+let running = false;
+let discordClient = null;
+
+/**
+ * Parses AUTO_RELEASE_WARNING_HOURS into positive hour values, largest first.
+ *
+ * @returns {Array<number>}
+ */
+function getWarningHours() {
+  return env.AUTO_RELEASE_WARNING_HOURS.split(',')
+    .map((value) => Number(value.trim()))
+    .filter((hours) => Number.isFinite(hours) && hours > 0)
+    .sort((a, b) => b - a);
+}
+
+/**
+ * Formats a remaining duration for buyer warnings (e.g. "11h 58m").
+ *
+ * @param {number} ms - Remaining time in milliseconds.
+ * @returns {string}
+ */
+function formatRemaining(ms) {
+  const totalMinutes = Math.max(1, Math.ceil(ms / 60_000));
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+async function sendThreadMessage(trade, payload) {
+  if (!discordClient || !trade.channel_id) return;
+
+  const channel = await discordClient.channels
+    .fetch(trade.channel_id)
+    .catch(() => null);
+  if (!channel?.isTextBased()) return;
+
+  await channel.send(payload).catch((error) =>
+    logger.warn('Failed to post release update to trade thread:', {
+      tradeId: trade.trade_id,
+      error: error.message,
+    }),
+  );
+}
+
+/**
+ * Warns the buyer if the trade crossed a warning threshold not yet announced.
+ *
+ * Only the smallest crossed threshold is sent, so a bot that was offline for
+ * several thresholds posts a single, current warning.
+ *
+ * @param {object} trade - Delivered trade row.
+ * @param {number} deadline - Auto-release deadline (ms since epoch).
+ * @param {Array<number>} warningHours - Warning thresholds, largest first.
+ * @returns {Promise<void>}
+ */
+async function maybeWarnBuyer(trade, deadline, warningHours) {
+  const remaining = deadline - Date.now();
+  const lastWarned =
+    trade.release_warning_hours === null ||
+    trade.release_warning_hours === undefined
+      ? Infinity
+      : Number(trade.release_warning_hours);
+
+  const threshold = warningHours
+    .filter((hours) => hours < lastWarned && remaining <= hours * HOUR_MS)
+    .pop();
+
+  if (threshold === undefined) return;
+
+  const deadlineTs = Math.floor(deadline / 1000);
+  await sendThreadMessage(trade, {
+    content:
+      `⏰ <@${trade.buyer_id}>, the funds for this trade will be released to the seller automatically ` +
+      `<t:${deadlineTs}:R> (in about ${formatRemaining(remaining)}). ` +
+      'Approve the release or open a dispute before then if something is wrong.',
+    allowedMentions: { users: [trade.buyer_id] },
+  });
+
+  const { error } = await getDatabase()
+    .from('trades')
+    .update({ release_warning_hours: threshold })
+    .eq('trade_id', trade.trade_id);
+
+  if (error) {
+    throw new Error(`Failed to store release warning: ${error.message}`);
+  }
+
+  logger.info('Sent auto-release warning', {
+    tradeId: trade.trade_id,
+    hoursBefore: threshold,
+  });
+}
+
+/**
+ * Calls `releaseAfterTimeout` for a trade whose review window has expired.
+ *
+ * @param {object} trade - Delivered trade row.
+ * @returns {Promise<void>}
+ */
+async function releaseTrade(trade) {
+  const network = getTradeNetwork(trade);
+  const status = await getEscrowTradeStatus(network, trade.escrow_trade_id);
+  if (status !== ESCROW_TRADE_STATUS.DELIVERED) {
+    logger.info('Skipping auto-release, escrow is no longer delivered', {
+      tradeId: trade.trade_id,
+      escrowTradeId: trade.escrow_trade_id,
+      status,
+    });
+    return;
+  }
+
+  const release = await releaseEscrowAfterTimeout(
+    network,
+    trade.escrow_trade_id,
+  );
+  const updated = await recordEscrowRelease(trade.trade_id, release);
+
+  logger.info('Auto-released escrow after timeout', {
+    tradeId: trade.trade_id,
+    escrowTradeId: trade.escrow_trade_id,
+    txHash: release.txHash,
+  });
+
+  await refreshTradeMessage(trade.trade_id, updated).catch((error) =>
+    logger.warn('Failed to refresh trade message after auto-release:', {
+      tradeId: trade.trade_id,
+      error: error.message,
+    }),
+  );
+
+  const explorerUrl = getExplorerTxUrl(release.txHash, network);
+  const txText = explorerUrl ? ` [View transaction](${explorerUrl})` : '';
+  await sendThreadMessage(trade, {
+    content:
+      `💸 The review window ended without a dispute, so **${formatAssetAmount(release.payoutWei, getTradeAsset(trade))}** ` +
+      `was released to <@${trade.seller_id}> automatically.${txText}`,
+    allowedMentions: { users: [trade.buyer_id, trade.seller_id] },
+  });
+
+  if (discordClient) {
+    await promptTradeReviews(discordClient, updated);
+  }
+}
+
+/**
+ * Processes every trade in the delivered status once.
+ *
+ * @returns {Promise<void>}
+ */
+export async function processPendingReleases() {
+  const { data: trades, error } = await getDatabase()
+    .from('trades')
+    .select('*')
+    .eq('status', TRADE_STATUS.DELIVERED);
+
+  if (error) {
+    throw new Error(`Failed to load delivered trades: ${error.message}`);
+  }
+
+  if (!trades?.length) return;
+
+  const warningHours = getWarningHours();
+
+  for (const trade of trades) {
+    if (!trade.delivered_at || !trade.escrow_trade_id) {
+      continue;
+    }
+
+    try {
+      // Each deployment has its own review window.
+      const timeoutMs = await getReleaseTimeoutMs(getTradeNetwork(trade));
+      const deadline = new Date(trade.delivered_at).getTime() + timeoutMs;
+
+      if (Date.now() >= deadline + RELEASE_GRACE_MS) {
+        await releaseTrade(trade);
+      } else {
+        await maybeWarnBuyer(trade, deadline, warningHours);
+      }
+    } catch (tradeError) {
+      logger.error('Auto-release processing failed for trade:', {
+        tradeId: trade.trade_id,
+        error: tradeError.message || tradeError,
+      });
+    }
+  }
+}
+
+async function tick() {
+  if (running) return;
+  running = true;
+
+  try {
+    await processPendingReleases();
+  } catch (error) {
+    logger.error('Release scheduler tick failed:', error.message || error);
+  } finally {
+    running = false;
+    if (tickTimer) {
+      tickTimer = setTimeout(tick, TICK_INTERVAL_MS);
+    }
+  }
+}
+
+/**
+ * Starts the automatic release scheduler.
+ *
+ * @param {import('discord.js').Client} client - Client used to post thread warnings.
+ * @returns {void}
+ */
+export function startReleaseScheduler(client) {
+  if (tickTimer) return;
+
+  discordClient = client;
+  logger.info('Starting automatic release scheduler', {
+    warningHours: getWarningHours(),
+  });
+
+  tickTimer = setTimeout(tick, 0);
+}
+
+/**
+ * Stops the release scheduler after the current tick completes.
+ *
+ * @returns {void}
+ */
+export function stopReleaseScheduler() {
+  clearTimeout(tickTimer);
+  tickTimer = null;
+}
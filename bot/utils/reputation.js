@@ -0,0 +1,241 @@
+/**
+ * Trader reputation
+ *
+ * Summarises how a user has traded in a guild, derived on demand from
+ * their rows in `trades`: completed trades and volume, disputes opened and
+ * lost, cancellations and how long their trades took to complete, plus the
+ * ratings their counterparties left in `trade_reviews`. Shown in
+ * `/profile`, on listings and as a badge in trade threads.
+ *
+ * @module utils/reputation
+ */
+
+import { getDatabase } from './database.js';
+import { formatUsd } from './money.js';
+import { TRADE_STATUS } from './tradeStateMachine.js';
+
+const REPUTATION_COLUMNS = [
+  'trade_id',
+  'buyer_id',
+  'seller_id',
+  'status',
+  'price_cents',
+  'cancelled_by',
+  'dispute_raised_by',
+  'dispute_resolved_by',
+  'dispute_buyer_share_bps',
+  'dispute_seller_share_bps',
+  'created_at',
+  'completed_at',
+].join(', ');
+
+const HOUR_MS = 3_600_000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * @typedef {object} Reputation
+ * @property {number} completedTrades - Completed trades on either side.
+ * @property {number} completedSales - Completed trades as the seller.
+ * @property {number} completedPurchases - Completed trades as the buyer.
+ * @property {bigint} volumeCents - Summed price of the completed trades, in cents.
+ * @property {number} disputesOpened - Disputes the user raised.
+ * @property {number} disputesLost - Resolved disputes the user got less than half of the funds in.
+ * @property {number} cancellations - Trades the user cancelled.
+ * @property {number|null} averageCompletionMs - Mean time from trade creation to completion.
+ * @property {number} reviewCount - Reviews received from counterparties.
+ * @property {number|null} averageRating - Mean star rating of those reviews.
+ */
+
+/**
+ * Loads the trades of a user on one side of the trade in a guild.
+ *
+ * @param {string} guildId - Guild ID.
+ * @param {'buyer_id'|'seller_id'} column - Participant column to match.
+ * @param {string} userId - Discord user ID.
+ * @returns {Promise<object[]>}
+ * @throws {Error} If the trades cannot be loaded.
+ */
+async function getUserTrades(guildId, column, userId) {
+  const { data, error } = await getDatabase()
+    .from('trades')
+    .select(REPUTATION_COLUMNS)
+    .eq('guild_id', guildId)
+    .eq(column, userId);
+
+  if (error) {
+    throw new Error(`Failed to load trade history: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Loads the ratings a user received in a guild.
+ *
+ * @param {string} guildId - Guild ID.
+ * @param {string} userId - Discord user ID.
+ * @returns {Promise<number[]>}
+ * @throws {Error} If the reviews cannot be loaded.
+ */
+async function getReceivedRatings(guildId, userId) {
+  const { data, error } = await getDatabase()
+    .from('trade_reviews')
+    .select('rating')
+    .eq('guild_id', guildId)
+    .eq('reviewee_id', userId);
+
+  if (error) {
+    throw new Error(`Failed to load reviews: ${error.message}`);
+  }
+
+  return (data || []).map((review) => Number(review.rating));
+}
+
+/**
+ * Whether a resolved dispute left the user with less than half of the funds.
+ *
+ * @param {object} trade - Trade row.
+ * @param {string} userId - Discord user ID.
+ * @returns {boolean}
+ */
+function isDisputeLost(trade, userId) {
+  if (!trade.dispute_resolved_by) return false;
+
+  const shareBps =
+    trade.buyer_id === userId
+      ? trade.dispute_buyer_share_bps
+      : trade.dispute_seller_share_bps;
+  return Number(shareBps) < 5_000;
+}
+
+/**
+ * Derives the reputation of a user in a guild from their trade history.
+ *
+ * @param {string} userId - Discord user ID.
+ * @param {string} guildId - Guild ID.
+ * @returns {Promise<Reputation>}
+ * @throws {Error} If the trades cannot be loaded.
+ */
+export async function getReputation(userId, guildId) {
+  const [purchases, sales, ratings] = await Promise.all([
+    getUserTrades(guildId, 'buyer_id', userId),
+    getUserTrades(guildId, 'seller_id', userId),
+    getReceivedRatings(guildId, userId),
+  ]);
+
+  const reputation = {
+    completedTrades: 0,
+    completedSales: 0,
+    completedPurchases: 0,
+    volumeCents: 0n,
+    disputesOpened: 0,
+    disputesLost: 0,
+    cancellations: 0,
+    averageCompletionMs: null,
+    reviewCount: ratings.length,
+    averageRating: ratings.length
+      ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length
+      : null,
+  };
+
+  let completionMs = 0;
+  let timedTrades = 0;
+
+  for (const trade of [...purchases, ...sales]) {
+    if (trade.dispute_raised_by === userId) reputation.disputesOpened += 1;
+    if (isDisputeLost(trade, userId)) reputation.disputesLost += 1;
+    if (
+      trade.status === TRADE_STATUS.CANCELLED &&
+      trade.cancelled_by === userId
+    ) {
+      reputation.cancellations += 1;
+    }
+
+    if (trade.status !== TRADE_STATUS.COMPLETED) continue;
+
+    reputation.completedTrades += 1;
+    if (trade.seller_id === userId) reputation.completedSales += 1;
+    else reputation.completedPurchases += 1;
+    reputation.volumeCents += BigInt(trade.price_cents ?? 0);
+
+    if (trade.created_at && trade.completed_at) {
+      completionMs +=
+        new Date(trade.completed_at).getTime() -
+        new Date(trade.created_at).getTime();
+      timedTrades += 1;
+    }
+  }
+
+  if (timedTrades) {
+    reputation.averageCompletionMs = Math.round(completionMs / timedTrades);
+  }
+
+  return reputation;
+}
+
+/**
+ * Loads the reputations of both participants of a trade.
+ *
+ * @param {string} guildId - Guild ID.
+ * @param {string} buyerId - Buyer Discord ID.
+ * @param {string} sellerId - Seller Discord ID.
+ * @returns {Promise<{buyer: Reputation, seller: Reputation}>}
+ * @throws {Error} If the trades cannot be loaded.
+ */
+export async function getParticipantReputations(guildId, buyerId, sellerId) {
+  const [buyer, seller] = await Promise.all([
+    getReputation(buyerId, guildId),
+    getReputation(sellerId, guildId),
+  ]);
+  return { buyer, seller };
+}
+
+/**
+ * Formats a duration as whole days, hours or minutes (e.g. "2d 4h").
+ *
+ * @param {number} ms - Duration in milliseconds.
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  if (ms >= DAY_MS) {
+    const hours = Math.floor((ms % DAY_MS) / HOUR_MS);
+    return `${Math.floor(ms / DAY_MS)}d${hours ? ` ${hours}h` : ''}`;
+  }
+  if (ms >= HOUR_MS) {
+    const minutes = Math.floor((ms % HOUR_MS) / 60_000);
+    return `${Math.floor(ms / HOUR_MS)}h${minutes ? ` ${minutes}m` : ''}`;
+  }
+  return `${Math.max(1, Math.round(ms / 60_000))}m`;
+}
+
+/**
+ * Formats an average star rating (e.g. "⭐ 4.7").
+ *
+ * @param {number} rating - Average rating between 1 and 5.
+ * @returns {string}
+ */
+export function formatRating(rating) {
+  return `⭐ ${rating.toFixed(1)}`;
+}
+
+/**
+ * Formats a reputation as a compact one-line badge.
+ *
+ * @param {Reputation} reputation - Result of {@link getReputation}.
+ * @returns {string}
+ */
+export function formatReputation(reputation) {
+  const { completedTrades, disputesLost, reviewCount, averageRating } =
+    reputation;
+  if (!completedTrades) {
+    return '🆕 New trader';
+  }
+
+  let badge = `✅ ${completedTrades} trade${completedTrades === 1 ? '' : 's'} · $${formatUsd(reputation.volumeCents)}`;
+  if (reviewCount) {
+    badge += ` · ${formatRating(averageRating)}`;
+  }
+  return disputesLost
+    ? `${badge} · ⚠️ ${disputesLost} dispute${disputesLost === 1 ? '' : 's'} lost`
+    : badge;
+}
@@ -0,0 +1,193 @@
+/**
+ * Trade reviews
+ *
+ * Once a trade completes, both participants are asked to rate each other
+ * from 1 to 5 stars with an optional comment. Reviews are stored in
+ * `trade_reviews`, one per participant per trade, feed into the reviewee's
+ * reputation and are posted as vouches to the guild's vouches channel.
+ * Because only participants of a completed trade can leave one, every
+ * vouch is backed by a real trade.
+ *
+ * @module utils/reviews
+ */
+
+import { MessageFlags } from 'discord.js';
+
+import { buildLeaveReviewButton } from './components/buttons.js';
+import { buildVouchContainer } from './components/containers.js';
+import { getDatabase } from './database.js';
+import { getGuildSettings } from './guildSettings.js';
+import { logger } from './logger.js';
+import { TRADE_STATUS } from './tradeStateMachine.js';
+
+/** Longest comment a review may carry. */
+export const REVIEW_COMMENT_MAX_LENGTH = 300;
+
+// Postgres error code for unique constraint violations.
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Returns the vouches channel configured for a guild.
+ *
+ * @param {string} guildId - Guild ID.
+ * @returns {Promise<string|null>} Channel ID or null if none is set.
+ */
+export async function getVouchesChannelId(guildId) {
+  const settings = await getGuildSettings(guildId);
+  return settings?.vouches_channel_id || null;
+}
+
+/**
+ * Loads the reviews left on a trade.
+ *
+ * @param {string} tradeId - Trade identifier.
+ * @returns {Promise<object[]>}
+ * @throws {Error} If the reviews cannot be loaded.
+ */
+export async function getTradeReviews(tradeId) {
+  const { data, error } = await getDatabase()
+    .from('trade_reviews')
+    .select('*')
+    .eq('trade_id', tradeId);
+
+  if (error) {
+    throw new Error(`Failed to load trade reviews: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Returns why a user cannot review a trade, or null if they can.
+ *
+ * @param {object|null} trade - Trade row.
+ * @param {string} userId - Discord user ID of the reviewer.
+ * @param {object[]} reviews - Reviews already left on the trade.
+ * @returns {string|null}
+ */
+export function getReviewBlocker(trade, userId, reviews) {
+  if (!trade) {
+    return '❌ This trade could not be found.';
+  }
+  if (userId !== trade.buyer_id && userId !== trade.seller_id) {
+    return '❌ Only the buyer or seller can review this trade.';
+  }
+  if (trade.status !== TRADE_STATUS.COMPLETED) {
+    return '❌ Reviews can only be left once the trade has completed.';
+  }
+  if (reviews.some((review) => review.reviewer_id === userId)) {
+    return '✅ You already reviewed this trade.';
+  }
+  return null;
+}
+
+/**
+ * Stores a participant's review of their counterparty.
+ *
+ * @param {object} trade - Completed trade row.
+ * @param {string} reviewerId - Discord user ID of the reviewer.
+ * @param {object} review - Review contents.
+ * @param {number} review.rating - Star rating from 1 to 5.
+ * @param {string|null} review.comment - Optional comment.
+ * @returns {Promise<object|null>} The stored review, or null if the reviewer
+ *   already reviewed the trade.
+ * @throws {Error} If the review cannot be saved.
+ */
+export async function createTradeReview(trade, reviewerId, review) {
+  const { data, error } = await getDatabase()
+    .from('trade_reviews')
+    .insert({
+      trade_id: trade.trade_id,
+      guild_id: trade.guild_id,
+      reviewer_id: reviewerId,
+      reviewee_id:
+        reviewerId === trade.buyer_id ? trade.seller_id : trade.buyer_id,
+      rating: review.rating,
+      comment: review.comment || null,
+    })
+    .select('*')
+    .single();
+
+  if (error) {
+    // The unique (trade_id, reviewer_id) key makes a second review fail.
+    if (error.code === UNIQUE_VIOLATION) return null;
+    throw new Error(`Failed to save review: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Posts a review to the guild's vouches channel.
+ *
+ * @param {import('discord.js').Client} client - Discord client.
+ * @param {object} trade - Reviewed trade row.
+ * @param {object} review - Trade review row.
+ * @returns {Promise<string|null>} ID of the channel posted in, or null if no
+ *   vouches channel is set up or it is unavailable.
+ */
+export async function postVouch(client, trade, review) {
+  const channelId = await getVouchesChannelId(trade.guild_id);
+  if (!channelId) return null;
+
+  const channel = await client.channels.fetch(channelId).catch(() => null);
+  if (!channel?.isTextBased()) {
+    logger.warn('Vouches channel is not available', {
+      guildId: trade.guild_id,
+      channelId,
+    });
+    return null;
+  }
+
+  await channel.send({
+    components: [buildVouchContainer(trade, review).toJSON()],
+    flags: MessageFlags.IsComponentsV2,
+    allowedMentions: { parse: [] },
+  });
+  return channel.id;
+}
+
+/**
+ * Asks both participants of a completed trade to review each other, in the
+ * trade thread and by DM. Failures are logged, since the trade itself is
+ * already settled.
+ *
+ * @param {import('discord.js').Client} client - Discord client.
+ * @param {object} trade - Completed trade row.
+ * @returns {Promise<void>}
+ */
+export async function promptTradeReviews(client, trade) {
+  const components = [buildLeaveReviewButton(trade.trade_id)];
+
+  const thread = trade.channel_id
+    ? await client.channels.fetch(trade.channel_id).catch(() => null)
+    : null;
+  await thread
+    ?.send({
+      content:
+        `⭐ <@${trade.buyer_id}> <@${trade.seller_id}>, the trade is complete! ` +
+        'Rate each other to build your reputation in this server.',
+      components,
+      allowedMentions: { users: [trade.buyer_id, trade.seller_id] },
+    })
+    .catch((error) =>
+      logger.warn('Failed to post review prompt to trade thread:', {
+        tradeId: trade.trade_id,
+        error: error.message,
+      }),
+    );
+
+  for (const [userId, counterpartyId] of [
+    [trade.buyer_id, trade.seller_id],
+    [trade.seller_id, trade.buyer_id],
+  ]) {
+    const user = await client.users.fetch(userId).catch(() => null);
+    await user
+      ?.send({
+        content: `⭐ Your trade **${trade.item || trade.trade_id}** with <@${counterpartyId}> is complete. How did it go?`,
+        components,
+      })
+      // Users with DMs closed still get the prompt in the thread.
+      .catch(() => null);
+  }
+}
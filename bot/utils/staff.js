@@ -0,0 +1,93 @@
+/**
+ * Trade staff
+ *
+ * Staff are the members holding the `ADMIN_ROLE_ID` role. They can look up
+ * every trade of the server and use the `/trade admin` tools, whose actions
+ * are recorded in `trade_audit_log` with the reason given.
+ *
+ * @module utils/staff
+ */
+
+import { env } from '../config/env.js';
+
+import { getDatabase } from './database.js';
+
+/** Staff actions, as stored in `trade_audit_log.action`. */
+export const AUDIT_ACTION = Object.freeze({
+  VIEW: 'view',
+  FORCE_CANCEL: 'force_cancel',
+  ADD_STAFF: 'add_staff',
+  UNLOCK_WALLET: 'unlock_wallet',
+  CLEAR_FUNDING: 'clear_funding',
+  RESYNC: 'resync',
+});
+
+/**
+ * Checks whether a member holds the staff role.
+ *
+ * @param {import('discord.js').GuildMember|null} member - Guild member.
+ * @returns {boolean}
+ */
+export function isStaffMember(member) {
+  return !!env.ADMIN_ROLE_ID && !!member?.roles?.cache?.has(env.ADMIN_ROLE_ID);
+}
+
+/**
+ * Records a staff action taken on a trade.
+ *
+ * @param {object} entry - Audit entry.
+ * @param {object} entry.trade - Trade row acted on.
+ * @param {string} entry.actorId - Discord ID of the staff member.
+ * @param {string} entry.action - One of {@link AUDIT_ACTION}.
+ * @param {string} entry.reason - Reason the staff member gave.
+ * @param {object} [entry.details={}] - Action specific context.
+ * @returns {Promise<object>} The stored audit row.
+ * @throws {Error} If the entry cannot be saved.
+ */
+export async function recordAuditEntry({
+  trade,
+  actorId,
+  action,
+  reason,
+  details = {},
+}) {
+  const { data, error } = await getDatabase()
+    .from('trade_audit_log')
+    .insert({
+      trade_id: trade.trade_id,
+      guild_id: trade.guild_id,
+      actor_id: actorId,
+      action,
+      reason,
+      details,
+    })
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to record audit entry: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Loads the staff actions taken on a trade, oldest first.
+ *
+ * @param {string} tradeId - Trade identifier.
+ * @returns {Promise<object[]>}
+ * @throws {Error} If the audit log cannot be loaded.
+ */
+export async function getTradeAuditLog(tradeId) {
+  const { data, error } = await getDatabase()
+    .from('trade_audit_log')
+    .select('*')
+    .eq('trade_id', tradeId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load audit log: ${error.message}`);
+  }
+
+  return data || [];
+}
@@ -0,0 +1,345 @@
+/**
+ * Trade thread sweeper
+ *
+ * Expires trades that went `UNFUNDED_TRADE_TTL_HOURS` without changes or a
+ * funding transaction, so abandoned trades do not stay open forever.
+ *
+ * Archives and locks the private threads of trades that ended before
+ * funding. Participants get `CANCELLED_THREAD_GRACE_MINUTES` to read the
+ * outcome, after which the thread is closed and `thread_closed_at` is set.
+ *
+ * Every trade that reached a terminal state also gets its thread transcript
+ * posted to the staff log channel once the same grace period is over, so the
+ * final messages are included (see {@link module:utils/transcripts}).
+ * Failed exports are retried with an exponential backoff and given up after
+ * `MAX_TRANSCRIPT_ATTEMPTS` attempts.
+ *
+ * Deadlines are derived from `cancelled_at`, so threads whose grace period
+ * ran out while the bot was offline are closed on the next sweep.
+ *
+ * @module utils/threadSweeper
+ */
+
+import { env } from '../config/env.js';
+
+import { getDatabase } from './database.js';
+import { logger } from './logger.js';
+import {
+  TRADE_STATUS,
+  TradeTransitionError,
+  transitionTrade,
+} from './tradeStateMachine.js';
+import { archiveTradeTranscript } from './transcripts.js';
+import { refreshTradeMessage } from './walletServer.js';
+
+const SWEEP_INTERVAL_MS = 60_000;
+const MAX_TRANSCRIPT_ATTEMPTS = 8;
+// Doubled after every failed attempt: 1, 2, 4 … 64 minutes.
+const TRANSCRIPT_RETRY_BASE_MS = 60_000;
+
+let sweepTimer = null;
+let running = false;
+let discordClient = null;
+
+/**
+ * Expires every unfunded trade that has not changed for
+ * `UNFUNDED_TRADE_TTL_HOURS` and tells its participants.
+ *
+ * Trades with a pending funding transaction or a fee authorization the buyer
+ * can still fund with are left open.
+ *
+ * @returns {Promise<void>}
+ */
+export async function expireStaleTrades() {
+  const cutoff = new Date(
+    Date.now() - env.UNFUNDED_TRADE_TTL_HOURS * 3_600_000,
+  ).toISOString();
+
+  const { data: trades, error } = await getDatabase()
+    .from('trades')
+    .select('trade_id, channel_id, buyer_id, seller_id, status')
+    .in('status', [
+      TRADE_STATUS.DRAFT,
+      TRADE_STATUS.AWAITING_WALLETS,
+      TRADE_STATUS.CONFIRMED,
+    ])
+    .is('funding_tx_hash', null)
+    .lt('updated_at', cutoff);
+
+  if (error) {
+    throw new Error(`Failed to load stale trades: ${error.message}`);
+  }
+
+  for (const trade of trades || []) {
+    try {
+      const updated = await transitionTrade(
+        trade.trade_id,
+        TRADE_STATUS.EXPIRED,
+        {},
+        { unfunded: true, noFeeAuthorization: true },
+      );
+
+      await refreshTradeMessage(trade.trade_id, updated).catch((err) =>
+        logger.warn(
+          'Failed to refresh trade message after expiry:',
+          err.message,
+        ),
+      );
+
+      const thread = trade.channel_id
+        ? await discordClient.channels.fetch(trade.channel_id).catch(() => null)
+        : null;
+      await thread
+        ?.send({
+          content:
+            `⌛ <@${trade.buyer_id}> <@${trade.seller_id}>, this trade expired after ${env.UNFUNDED_TRADE_TTL_HOURS} hours without funding. ` +
+            `This thread will be archived and locked in ${env.CANCELLED_THREAD_GRACE_MINUTES} minutes.`,
+          allowedMentions: { users: [trade.buyer_id, trade.seller_id] },
+        })
+        .catch((err) =>
+          logger.warn('Failed to announce trade expiry:', err.message),
+        );
+    } catch (tradeError) {
+      // Funded, authorized or moved on since it was loaded.
+      if (tradeError instanceof TradeTransitionError) {
+        continue;
+      }
+      logger.error('Failed to expire trade:', {
+        tradeId: trade.trade_id,
+        error: tradeError.message || tradeError,
+      });
+    }
+  }
+}
+
+/**
+ * Archives and locks a single trade thread, then marks it closed.
+ *
+ * @param {object} trade - Cancelled or expired trade row.
+ * @returns {Promise<void>}
+ */
+async function closeTradeThread(trade) {
+  const thread = await discordClient.channels
+    .fetch(trade.channel_id)
+    .catch(() => null);
+
+  if (thread?.isThread()) {
+    await thread.setLocked(true, `Trade ${trade.status}`);
+    await thread.setArchived(true, `Trade ${trade.status}`);
+  } else {
+    logger.warn('Trade thread not found while closing, marking closed', {
+      tradeId: trade.trade_id,
+      channelId: trade.channel_id,
+    });
+  }
+
+  const { error } = await getDatabase()
+    .from('trades')
+    .update({ thread_closed_at: new Date().toISOString() })
+    .eq('trade_id', trade.trade_id);
+
+  if (error) {
+    throw new Error(`Failed to mark thread closed: ${error.message}`);
+  }
+
+  logger.info('Closed trade thread', {
+    tradeId: trade.trade_id,
+    status: trade.status,
+  });
+}
+
+/**
+ * Closes every cancelled or expired trade thread whose grace period ended.
+ *
+ * @returns {Promise<void>}
+ */
+export async function sweepClosedTradeThreads() {
+  const cutoff = Date.now() - env.CANCELLED_THREAD_GRACE_MINUTES * 60_000;
+
+  const { data: trades, error } = await getDatabase()
+    .from('trades')
+    .select('trade_id, channel_id, status, cancelled_at, updated_at')
+    .in('status', [TRADE_STATUS.CANCELLED, TRADE_STATUS.EXPIRED])
+    .is('thread_closed_at', null);
+
+  if (error) {
+    throw new Error(`Failed to load closed trades: ${error.message}`);
+  }
+
+  for (const trade of trades || []) {
+    const closedAt = trade.cancelled_at || trade.updated_at;
+    if (!trade.channel_id || new Date(closedAt).getTime() > cutoff) {
+      continue;
+    }
+
+    try {
+      await closeTradeThread(trade);
+    } catch (tradeError) {
+      logger.error('Failed to close trade thread:', {
+        tradeId: trade.trade_id,
+        error: tradeError.message || tradeError,
+      });
+    }
+  }
+}
+
+/**
+ * Records a failed transcript export so the next attempt is delayed.
+ *
+ * @param {object} trade - Trade row whose transcript failed.
+ * @param {Error} exportError - Export failure.
+ * @returns {Promise<void>}
+ */
+async function recordTranscriptFailure(trade, exportError) {
+  const attempts = (trade.transcript_attempts || 0) + 1;
+
+  const { error } = await getDatabase()
+    .from('trades')
+    .update({
+      transcript_attempts: attempts,
+      transcript_failed_at: new Date().toISOString(),
+    })
+    .eq('trade_id', trade.trade_id);
+
+  if (error) {
+    throw new Error(`Failed to record transcript failure: ${error.message}`);
+  }
+
+  if (attempts >= MAX_TRANSCRIPT_ATTEMPTS) {
+    logger.error('Giving up on trade transcript', {
+      tradeId: trade.trade_id,
+      attempts,
+      error: exportError.message || exportError,
+    });
+    return;
+  }
+
+  logger.warn('Failed to archive trade transcript, retrying later', {
+    tradeId: trade.trade_id,
+    attempts,
+    error: exportError.message || exportError,
+  });
+}
+
+/**
+ * Archives the transcript of every ended trade whose grace period ended, in
+ * guilds that have a staff log channel.
+ *
+ * @returns {Promise<void>}
+ */
+export async function sweepTradeTranscripts() {
+  const cutoff = Date.now() - env.CANCELLED_THREAD_GRACE_MINUTES * 60_000;
+
+  const { data: settings, error: settingsError } = await getDatabase()
+    .from('guild_settings')
+    .select('guild_id, staff_log_channel_id');
+
+  if (settingsError) {
+    throw new Error(`Failed to load guild settings: ${settingsError.message}`);
+  }
+
+  const guildIds = (settings || [])
+    .filter((row) => row.staff_log_channel_id)
+    .map((row) => row.guild_id);
+  if (guildIds.length === 0) return;
+
+  const { data: trades, error } = await getDatabase()
+    .from('trades')
+    .select('*')
+    .in('guild_id', guildIds)
+    .in('status', [
+      TRADE_STATUS.COMPLETED,
+      TRADE_STATUS.CANCELLED,
+      TRADE_STATUS.EXPIRED,
+    ])
+    .is('transcript_created_at', null)
+    .lt('transcript_attempts', MAX_TRANSCRIPT_ATTEMPTS);
+
+  if (error) {
+    throw new Error(`Failed to load ended trades: ${error.message}`);
+  }
+
+  for (const trade of trades || []) {
+    const endedAt =
+      trade.completed_at || trade.cancelled_at || trade.updated_at;
+    if (!trade.channel_id || new Date(endedAt).getTime() > cutoff) {
+      continue;
+    }
+
+    const retryAt =
+      trade.transcript_failed_at &&
+      new Date(trade.transcript_failed_at).getTime() +
+        TRANSCRIPT_RETRY_BASE_MS * 2 ** (trade.transcript_attempts - 1);
+    if (retryAt && retryAt > Date.now()) {
+      continue;
+    }
+
+    try {
+      await archiveTradeTranscript(discordClient, trade);
+    } catch (tradeError) {
+      await recordTranscriptFailure(trade, tradeError).catch((recordError) =>
+        logger.error('Failed to archive trade transcript:', {
+          tradeId: trade.trade_id,
+          error: tradeError.message || tradeError,
+          recordError: recordError.message,
+        }),
+      );
+    }
+  }
+}
+
+async function sweep() {
+  if (running) return;
+  running = true;
+
+  try {
+    await expireStaleTrades();
+  } catch (error) {
+    logger.error('Trade expiry sweep failed:', error.message || error);
+  }
+
+  try {
+    await sweepTradeTranscripts();
+  } catch (error) {
+    logger.error('Transcript sweep failed:', error.message || error);
+  }
+
+  try {
+    await sweepClosedTradeThreads();
+  } catch (error) {
+    logger.error('Thread sweep failed:', error.message || error);
+  } finally {
+    running = false;
+    if (sweepTimer) {
+      sweepTimer = setTimeout(sweep, SWEEP_INTERVAL_MS);
+    }
+  }
+}
+
+/**
+ * Starts the periodic trade thread sweep.
+ *
+ * @param {import('discord.js').Client} client - Client used to manage threads.
+ * @returns {void}
+ */
+export function startThreadSweeper(client) {
+  if (sweepTimer) return;
+
+  discordClient = client;
+  logger.info('Starting trade thread sweeper', {
+    unfundedTtlHours: env.UNFUNDED_TRADE_TTL_HOURS,
+    graceMinutes: env.CANCELLED_THREAD_GRACE_MINUTES,
+  });
+
+  sweepTimer = setTimeout(sweep, 0);
+}
+
+/**
+ * Stops the thread sweeper after the current sweep completes.
+ *
+ * @returns {void}
+ */
+export function stopThreadSweeper() {
+  clearTimeout(sweepTimer);
+  sweepTimer = null;
+}
@@ -1,46 +1,253 @@
+/**
+ * Trade drafts
+ *
+ * Terms entered in the trade details modal are kept as a draft until the
+ * user sends the invitation from the confirmation. Drafts live in
+ * `trade_drafts` so they survive restarts, belong to the user who filled in
+ * the modal and are consumed with a single conditional delete, so a draft
+ * can only ever produce one invitation.
+ *
+ * @module utils/tradeDrafts
+ */
+
 import { randomUUID } from 'node:crypto';
 
+import { getNativeAsset } from './assets.js';
+import { buildConfirmTradeDetailsContainer } from './components/containers.js';
+import { getDatabase } from './database.js';
+import { getGuildFeePolicy, resolveFeeBps } from './feePolicy.js';
+import { calculateTradeFees, formatFeeBreakdown } from './fees.js';
+import { toBigInt } from './money.js';
+import { getGuildNetwork } from './networks.js';
+
 const TRADE_DRAFT_TTL_MS = 15 * 60 * 1000; // 15 minutes
-const tradeDrafts = new Map();
-
-function cleanupExpiredDrafts() {
-  const now = Date.now();
-  for (const [id, draft] of tradeDrafts.entries()) {
-    if (draft.expiresAt <= now) {
-      tradeDrafts.delete(id);
-    }
-  }
+
+/**
+ * @typedef {object} TradeDraft
+ * @property {string} ownerId - User who created the draft.
+ * @property {string} buyerId - Buyer Discord ID.
+ * @property {string} sellerId - Seller Discord ID.
+ * @property {string} item - Item name.
+ * @property {bigint} priceCents - Price in cents.
+ * @property {string|null} additionalDetails - Optional description.
+ * @property {string} feesText - Fee breakdown shown on the confirmation.
+ * @property {number} chainId - Selected network.
+ * @property {string} asset - Selected settlement asset symbol.
+ * @property {number} feeBps - Fee rate locked for the trade.
+ */
+
+/**
+ * Maps a `trade_drafts` row to the draft shape used by the handlers.
+ *
+ * @param {object} row - Database row.
+ * @returns {TradeDraft}
+ */
+function toTradeDraft(row) {
+  return {
+    ownerId: row.owner_id,
+    buyerId: row.buyer_id,
+    sellerId: row.seller_id,
+    item: row.item,
+    priceCents: toBigInt(row.price_cents),
+    additionalDetails: row.additional_details,
+    feesText: row.fees_text,
+    chainId: row.chain_id,
+    asset: row.asset_symbol,
+    feeBps: row.fee_bps,
+  };
 }
 
-setInterval(cleanupExpiredDrafts, TRADE_DRAFT_TTL_MS).unref?.();
+/**
+ * Deletes drafts past their expiry.
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If the drafts cannot be deleted.
+ */
+async function purgeExpiredTradeDrafts() {
+  const { error } = await getDatabase()
+    .from('trade_drafts')
+    .delete()
+    .lte('expires_at', new Date().toISOString());
+
+  if (error) {
+    throw new Error(`Failed to purge trade drafts: ${error.message}`);
+  }
+}
 
 /**
- * Creates a temporary trade draft and returns its identifier.
+ * Stores a trade draft and returns its identifier.
  *
- * @param {object} details - Trade details captured from the modal.
- * @returns {string} UUID referencing the draft payload.
+ * Expired drafts are purged at the same time.
+ *
+ * @param {string} ownerId - User creating the draft.
+ * @param {Omit<TradeDraft, 'ownerId'>} details - Trade details captured from the modal.
+ * @returns {Promise<string>} UUID referencing the draft.
+ * @throws {Error} If the draft cannot be saved.
  */
-export function createTradeDraft(details) {
+export async function createTradeDraft(ownerId, details) {
+  await purgeExpiredTradeDrafts();
+
   const id = randomUUID();
-  tradeDrafts.set(id, {
-    ...details,
-    expiresAt: Date.now() + TRADE_DRAFT_TTL_MS,
-  });
+  const { error } = await getDatabase()
+    .from('trade_drafts')
+    .insert({
+      draft_id: id,
+      owner_id: ownerId,
+      buyer_id: details.buyerId,
+      seller_id: details.sellerId,
+      item: details.item,
+      price_cents: details.priceCents.toString(),
+      additional_details: details.additionalDetails || null,
+      fees_text: details.feesText,
+      chain_id: details.chainId,
+      asset_symbol: details.asset,
+      fee_bps: details.feeBps,
+      expires_at: new Date(Date.now() + TRADE_DRAFT_TTL_MS).toISOString(),
+    });
+
+  if (error) {
+    throw new Error(`Failed to save trade draft: ${error.message}`);
+  }
+
   return id;
 }
 
 /**
- * Reads and deletes a stored draft entry.
+ * Deletes a draft and returns it, if it belongs to the user and has not
+ * expired. Concurrent calls for the same draft return it at most once.
+ *
+ * @param {string} id - Draft identifier returned by createTradeDraft.
+ * @param {string} ownerId - User consuming the draft.
+ * @returns {Promise<TradeDraft|null>} The draft or null if missing, expired or not owned.
+ * @throws {Error} If the draft cannot be deleted.
+ */
+export async function consumeTradeDraft(id, ownerId) {
+  if (!id) return null;
+
+  const { data, error } = await getDatabase()
+    .from('trade_drafts')
+    .delete()
+    .eq('draft_id', id)
+    .eq('owner_id', ownerId)
+    .gt('expires_at', new Date().toISOString())
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to consume trade draft: ${error.message}`);
+  }
+
+  return data?.[0] ? toTradeDraft(data[0]) : null;
+}
+
+/**
+ * Reads a draft without consuming it.
+ *
+ * @param {string} id - Draft identifier returned by createTradeDraft.
+ * @param {string} ownerId - User reading the draft.
+ * @returns {Promise<TradeDraft|null>} The draft or null if missing, expired or not owned.
+ * @throws {Error} If the draft cannot be loaded.
+ */
+export async function getTradeDraft(id, ownerId) {
+  if (!id) return null;
+
+  const { data, error } = await getDatabase()
+    .from('trade_drafts')
+    .select('*')
+    .eq('draft_id', id)
+    .eq('owner_id', ownerId)
+    .gt('expires_at', new Date().toISOString());
+
+  if (error) {
+    throw new Error(`Failed to load trade draft: ${error.message}`);
+  }
+
+  return data?.[0] ? toTradeDraft(data[0]) : null;
+}
+
+/**
+ * Changes the network and settlement asset of a draft, keeping its expiry.
  *
  * @param {string} id - Draft identifier returned by createTradeDraft.
- * @returns {object|null} The draft payload or null if missing/expired.
+ * @param {string} ownerId - User editing the draft.
+ * @param {object} changes - Selections to store.
+ * @param {number} [changes.chainId] - Selected network.
+ * @param {string} [changes.asset] - Selected settlement asset symbol.
+ * @returns {Promise<TradeDraft|null>} The updated draft or null if missing, expired or not owned.
+ * @throws {Error} If the draft cannot be updated.
  */
-export function consumeTradeDraft(id) {
+export async function updateTradeDraft(id, ownerId, changes) {
   if (!id) return null;
-  const draft = tradeDrafts.get(id);
-  if (draft) {
-    tradeDrafts.delete(id);
-    return draft;
+
+  const columns = {};
+  if (changes.chainId !== undefined) columns.chain_id = changes.chainId;
+  if (changes.asset !== undefined) columns.asset_symbol = changes.asset;
+
+  const { data, error } = await getDatabase()
+    .from('trade_drafts')
+    .update(columns)
+    .eq('draft_id', id)
+    .eq('owner_id', ownerId)
+    .gt('expires_at', new Date().toISOString())
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to update trade draft: ${error.message}`);
+  }
+
+  return data?.[0] ? toTradeDraft(data[0]) : null;
+}
+
+/**
+ * Stores a draft for new trade terms and builds the confirmation the user
+ * sends the invitation from.
+ *
+ * The fee rate is resolved from the guild policy and locked on the draft,
+ * and new trades start on the guild's network in its native token.
+ *
+ * @param {string} guildId - Guild the trade is created in.
+ * @param {string} ownerId - User creating the trade.
+ * @param {object} terms - Trade terms.
+ * @param {string} terms.item - Item name.
+ * @param {bigint} terms.priceCents - Price in cents.
+ * @param {string|null} terms.additionalDetails - Optional description.
+ * @param {string} terms.buyerId - Buyer Discord ID.
+ * @param {string} terms.sellerId - Seller Discord ID.
+ * @returns {Promise<object>} Confirmation container JSON.
+ * @throws {Error} If the draft cannot be saved.
+ */
+export async function createTradeConfirmation(guildId, ownerId, terms) {
+  const feePolicy = await getGuildFeePolicy(guildId);
+  const feeBps = resolveFeeBps(feePolicy, terms.priceCents);
+  const feesData = calculateTradeFees(terms.priceCents, feeBps);
+
+  let feesText = `\n${formatFeeBreakdown(feesData)}`;
+  if (feePolicy.promoUntil) {
+    const promoTs = Math.floor(feePolicy.promoUntil.getTime() / 1000);
+    feesText += `\n🎉 Zero-fee promotion until <t:${promoTs}:f>`;
   }
-  return null;
+
+  const network = await getGuildNetwork(guildId);
+  const asset = getNativeAsset(network);
+
+  // Participants and fees are kept on the draft so the confirmation can be
+  // re-rendered when the network or settlement asset changes.
+  const tradeDraftId = await createTradeDraft(ownerId, {
+    ...terms,
+    feesText,
+    chainId: network.chainId,
+    asset: asset.symbol,
+    feeBps,
+  });
+
+  return buildConfirmTradeDetailsContainer(
+    terms.buyerId,
+    terms.sellerId,
+    terms.item,
+    terms.priceCents,
+    terms.additionalDetails,
+    feesText,
+    tradeDraftId,
+    asset,
+    network,
+  ).toJSON();
 }
@@ -0,0 +1,205 @@
+/**
+ * Trade history
+ *
+ * Looks up the trades a user took part in as buyer or seller, for `/trades`
+ * and `/trade info`. Results are scoped to one guild, newest first, and can
+ * be narrowed to a single status or to every trade that is still open.
+ *
+ * @module utils/tradeHistory
+ */
+
+import { getTradeAsset } from './assets.js';
+import {
+  buildTradeInfoContainer,
+  buildTradeListContainer,
+} from './components/containers.js';
+import { getDatabase } from './database.js';
+import { getTradeFeeBps } from './feePolicy.js';
+import { toBigInt } from './money.js';
+import { getTradeNetwork } from './networks.js';
+import { TRADE_STATUS, isTerminalStatus } from './tradeStateMachine.js';
+import { getTradeWalletConnections } from './walletServer.js';
+
+/** Trades shown per page of `/trades`. */
+export const TRADES_PAGE_SIZE = 5;
+
+/** Status filter matching every trade that has not reached a final state. */
+export const OPEN_STATUS_FILTER = 'open';
+
+const OPEN_STATUSES = Object.values(TRADE_STATUS).filter(
+  (status) => !isTerminalStatus(status),
+);
+
+/**
+ * Narrows a trades query to the trades a user is the buyer or seller of in a
+ * guild.
+ *
+ * @param {object} query - Trades select query.
+ * @param {string} guildId - Guild ID.
+ * @param {string} userId - Discord user ID.
+ * @param {string|null} status - Trade status, {@link OPEN_STATUS_FILTER} or null for all.
+ * @returns {object} The filtered query.
+ */
+function applyUserTradeFilters(query, guildId, userId, status) {
+  let filtered = query
+    .eq('guild_id', guildId)
+    .or(`buyer_id.eq.${userId},seller_id.eq.${userId}`);
+
+  if (status === OPEN_STATUS_FILTER) {
+    filtered = filtered.in('status', OPEN_STATUSES);
+  } else if (status) {
+    filtered = filtered.eq('status', status);
+  }
+
+  return filtered;
+}
+
+/**
+ * Counts the trades a user is the buyer or seller of in a guild.
+ *
+ * @param {string} guildId - Guild ID.
+ * @param {string} userId - Discord user ID.
+ * @param {string|null} [status=null] - Trade status, {@link OPEN_STATUS_FILTER} or null for all.
+ * @returns {Promise<number>}
+ * @throws {Error} If the trades cannot be counted.
+ */
+export async function countUserTrades(guildId, userId, status = null) {
+  const { count, error } = await applyUserTradeFilters(
+    getDatabase()
+      .from('trades')
+      .select('trade_id', { count: 'exact', head: true }),
+    guildId,
+    userId,
+    status,
+  );
+
+  if (error) {
+    throw new Error(`Failed to count trades: ${error.message}`);
+  }
+
+  return count ?? 0;
+}
+
+/**
+ * Loads the trades a user is the buyer or seller of in a guild, newest first.
+ *
+ * @param {string} guildId - Guild ID.
+ * @param {string} userId - Discord user ID.
+ * @param {string|null} [status=null] - Trade status, {@link OPEN_STATUS_FILTER} or null for all.
+ * @param {object} [range={}] - Trades to load.
+ * @param {number} [range.offset=0] - Matching trades to skip.
+ * @param {number|null} [range.limit=null] - Most trades to load, or null for all.
+ * @returns {Promise<object[]>}
+ * @throws {Error} If the trades cannot be loaded.
+ */
+export async function getUserTrades(
+  guildId,
+  userId,
+  status = null,
+  { offset = 0, limit = null } = {},
+) {
+  let query = applyUserTradeFilters(
+    getDatabase().from('trades').select('*'),
+    guildId,
+    userId,
+    status,
+  ).order('created_at', { ascending: false });
+
+  if (limit !== null) {
+    query = query.range(offset, offset + limit - 1);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to load trades: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Loads the most recent trades of a guild, newest first.
+ *
+ * @param {string} guildId - Guild ID.
+ * @param {number} limit - Maximum number of trades to load.
+ * @returns {Promise<object[]>}
+ * @throws {Error} If the trades cannot be loaded.
+ */
+export async function getRecentGuildTrades(guildId, limit) {
+  const { data, error } = await getDatabase()
+    .from('trades')
+    .select('*')
+    .eq('guild_id', guildId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to load trades: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Builds one page of a user's trades.
+ *
+ * @param {string} guildId - Guild ID.
+ * @param {string} userId - Discord user ID.
+ * @param {string|null} status - Trade status, {@link OPEN_STATUS_FILTER} or null for all.
+ * @param {number} [page=0] - Zero-based page, clamped to the last page.
+ * @returns {Promise<{components: object[]}>}
+ */
+export async function buildTradeListMessage(guildId, userId, status, page = 0) {
+  // Counted first, as a range past the last trade is an error.
+  const total = await countUserTrades(guildId, userId, status);
+  const pageCount = Math.max(1, Math.ceil(total / TRADES_PAGE_SIZE));
+  const current = Math.min(Math.max(page, 0), pageCount - 1);
+  const trades = await getUserTrades(guildId, userId, status, {
+    offset: current * TRADES_PAGE_SIZE,
+    limit: TRADES_PAGE_SIZE,
+  });
+
+  return {
+    components: [
+      buildTradeListContainer(trades, userId, status, {
+        page: current,
+        pageCount,
+        total,
+      }).toJSON(),
+    ],
+  };
+}
+
+/**
+ * Builds the `/trade info` details of a trade with its connected wallets.
+ *
+ * @param {object} trade - Trade row.
+ * @returns {Promise<{components: object[]}>}
+ */
+export async function buildTradeInfoMessage(trade) {
+  const connections = await getTradeWalletConnections(trade.trade_id);
+  const walletOf = (userId) =>
+    connections.find((c) => c.discord_user_id === userId)?.wallet_address ||
+    null;
+
+  return {
+    components: [
+      buildTradeInfoContainer(
+        trade,
+        {
+          buyerWallet: walletOf(trade.buyer_id),
+          sellerWallet: walletOf(trade.seller_id),
+        },
+        {
+          item: trade.item,
+          priceCents: toBigInt(trade.price_cents),
+          details: trade.additional_details,
+          asset: getTradeAsset(trade),
+          network: getTradeNetwork(trade),
+          feeBps: getTradeFeeBps(trade),
+        },
+      ).toJSON(),
+    ],
+  };
+}
@@ -0,0 +1,529 @@
+/**
+ * Trade invitations
+ *
+ * A trade thread is only opened once both sides agree on the terms.
+ * Confirming the trade details posts an invitation in the channel that
+ * mentions the counterparty; they accept or decline it with its buttons,
+ * or answer with a counter-offer. Each offer is a round: the side that did
+ * not make the latest offer (`awaiting_id`) responds, and a counter-offer
+ * hands the turn back. Invitations live in `trade_invitations`, every round
+ * is kept in `trade_offer_rounds`, and an unanswered round expires after
+ * `TRADE_INVITATION_TTL_MINUTES`.
+ *
+ *   pending → accepted / declined / expired
+ *
+ * Responses are applied with an optimistic `status`/`round` check, so a
+ * click racing the expiry sweep, a double click or an answer to terms that
+ * were just countered resolves nothing.
+ *
+ * @module utils/tradeInvitations
+ */
+
+import { randomUUID } from 'node:crypto';
+
+import { env } from '../config/env.js';
+
+import { buildTradeInvitationContainer } from './components/containers.js';
+import { getDatabase } from './database.js';
+import { logger } from './logger.js';
+
+/** Invitation lifecycle states, as stored in `trade_invitations.status`. */
+export const INVITATION_STATUS = Object.freeze({
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  EXPIRED: 'expired',
+});
+
+/** Outcome of an offer round, as stored in `trade_offer_rounds.outcome`. */
+export const OFFER_OUTCOME = Object.freeze({
+  PENDING: 'pending',
+  COUNTERED: 'countered',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  EXPIRED: 'expired',
+});
+
+const SWEEP_INTERVAL_MS = 60_000;
+
+let sweepTimer = null;
+let running = false;
+let discordClient = null;
+
+/**
+ * Returns the deadline for answering a round started now.
+ *
+ * @returns {string} ISO timestamp.
+ */
+function getRoundExpiry() {
+  return new Date(
+    Date.now() + env.TRADE_INVITATION_TTL_MINUTES * 60_000,
+  ).toISOString();
+}
+
+/**
+ * Returns the participant on the other side of the trade.
+ *
+ * @param {object} invitation - Invitation row.
+ * @param {string} userId - One participant.
+ * @returns {string} The other participant.
+ */
+export function getOtherParty(invitation, userId) {
+  return userId === invitation.buyer_id
+    ? invitation.seller_id
+    : invitation.buyer_id;
+}
+
+/**
+ * Records an offer round with the invitation's current terms.
+ *
+ * @param {object} invitation - Invitation row holding the offered terms.
+ * @param {string} proposedBy - Participant who made the offer.
+ * @returns {Promise<void>}
+ * @throws {Error} If the round cannot be saved.
+ */
+async function recordOfferRound(invitation, proposedBy) {
+  const { error } = await getDatabase().from('trade_offer_rounds').insert({
+    invitation_id: invitation.invitation_id,
+    round: invitation.round,
+    proposed_by: proposedBy,
+    item: invitation.item,
+    price_cents: invitation.price_cents,
+    additional_details: invitation.additional_details,
+    fee_bps: invitation.fee_bps,
+    outcome: OFFER_OUTCOME.PENDING,
+  });
+
+  if (error) {
+    throw new Error(`Failed to save offer round: ${error.message}`);
+  }
+}
+
+/**
+ * Stores the outcome of an offer round.
+ *
+ * @param {string} invitationId - Invitation ID.
+ * @param {number} round - Round number.
+ * @param {string} outcome - One of {@link OFFER_OUTCOME}.
+ * @returns {Promise<void>}
+ * @throws {Error} If the round cannot be updated.
+ */
+async function settleOfferRound(invitationId, round, outcome) {
+  const { error } = await getDatabase()
+    .from('trade_offer_rounds')
+    .update({ outcome, responded_at: new Date().toISOString() })
+    .eq('invitation_id', invitationId)
+    .eq('round', round);
+
+  if (error) {
+    throw new Error(`Failed to update offer round: ${error.message}`);
+  }
+}
+
+/**
+ * Loads every offer round of an invitation, oldest first.
+ *
+ * @param {string} invitationId - Invitation ID.
+ * @returns {Promise<object[]>}
+ * @throws {Error} If the rounds cannot be loaded.
+ */
+export async function getOfferRounds(invitationId) {
+  const { data, error } = await getDatabase()
+    .from('trade_offer_rounds')
+    .select('*')
+    .eq('invitation_id', invitationId)
+    .order('round', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load offer rounds: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Stores a new pending invitation and its opening offer.
+ *
+ * @param {object} terms - Trade terms and participants.
+ * @param {string} terms.guildId - Guild the trade is created in.
+ * @param {string} terms.channelId - Channel the invitation is posted in.
+ * @param {string} terms.initiatorId - User who filled in the trade details.
+ * @param {string} terms.counterpartyId - User who has to accept.
+ * @param {string} terms.buyerId - Buyer Discord ID.
+ * @param {string} terms.sellerId - Seller Discord ID.
+ * @param {string} terms.item - Item name.
+ * @param {bigint} terms.priceCents - Price in cents.
+ * @param {string} [terms.additionalDetails] - Optional description.
+ * @param {number} terms.chainId - Network the trade runs on.
+ * @param {string} terms.assetSymbol - Settlement asset symbol.
+ * @param {number} terms.feeBps - Fee rate locked for the trade.
+ * @returns {Promise<object>} The stored invitation row.
+ * @throws {Error} If the invitation cannot be saved.
+ */
+export async function createTradeInvitation(terms) {
+  const { data, error } = await getDatabase()
+    .from('trade_invitations')
+    .insert({
+      invitation_id: randomUUID(),
+      guild_id: terms.guildId,
+      channel_id: terms.channelId,
+      initiator_id: terms.initiatorId,
+      counterparty_id: terms.counterpartyId,
+      buyer_id: terms.buyerId,
+      seller_id: terms.sellerId,
+      item: terms.item,
+      price_cents: terms.priceCents.toString(),
+      additional_details: terms.additionalDetails || null,
+      chain_id: terms.chainId,
+      asset_symbol: terms.assetSymbol,
+      fee_bps: terms.feeBps,
+      round: 1,
+      awaiting_id: terms.counterpartyId,
+      status: INVITATION_STATUS.PENDING,
+      expires_at: getRoundExpiry(),
+    })
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save trade invitation: ${error.message}`);
+  }
+
+  await recordOfferRound(data, terms.initiatorId);
+
+  return data;
+}
+
+/**
+ * Updates columns of an invitation without checking its status.
+ *
+ * @param {string} invitationId - Invitation ID.
+ * @param {object} changes - Columns to set.
+ * @returns {Promise<void>}
+ * @throws {Error} If the invitation cannot be updated.
+ */
+export async function updateTradeInvitation(invitationId, changes) {
+  const { error } = await getDatabase()
+    .from('trade_invitations')
+    .update(changes)
+    .eq('invitation_id', invitationId);
+
+  if (error) {
+    throw new Error(`Failed to update trade invitation: ${error.message}`);
+  }
+}
+
+/**
+ * Loads an invitation.
+ *
+ * @param {string} invitationId - Invitation ID.
+ * @returns {Promise<object|null>} The invitation row or null if unknown.
+ * @throws {Error} If the invitation cannot be loaded.
+ */
+export async function getTradeInvitation(invitationId) {
+  const { data, error } = await getDatabase()
+    .from('trade_invitations')
+    .select('*')
+    .eq('invitation_id', invitationId);
+
+  if (error) {
+    throw new Error(`Failed to load trade invitation: ${error.message}`);
+  }
+
+  return data?.[0] || null;
+}
+
+/**
+ * Replaces the terms of a pending invitation with a counter-offer and hands
+ * the turn to the other side.
+ *
+ * @param {object} invitation - Invitation row the counter-offer answers.
+ * @param {string} proposerId - Participant making the counter-offer.
+ * @param {object} terms - Proposed terms.
+ * @param {string} terms.item - Item name.
+ * @param {bigint} terms.priceCents - Price in cents.
+ * @param {string|null} terms.additionalDetails - Optional description.
+ * @param {number} terms.feeBps - Fee rate for the proposed price.
+ * @returns {Promise<object|null>} The updated invitation, or null if it was
+ *   no longer waiting on the proposer in that round.
+ * @throws {Error} If the invitation cannot be updated.
+ */
+export async function counterTradeInvitation(invitation, proposerId, terms) {
+  const { data, error } = await getDatabase()
+    .from('trade_invitations')
+    .update({
+      item: terms.item,
+      price_cents: terms.priceCents.toString(),
+      additional_details: terms.additionalDetails || null,
+      fee_bps: terms.feeBps,
+      round: invitation.round + 1,
+      awaiting_id: getOtherParty(invitation, proposerId),
+      expires_at: getRoundExpiry(),
+    })
+    .eq('invitation_id', invitation.invitation_id)
+    .eq('status', INVITATION_STATUS.PENDING)
+    .eq('round', invitation.round)
+    .eq('awaiting_id', proposerId)
+    .gt('expires_at', new Date().toISOString())
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to save counter-offer: ${error.message}`);
+  }
+
+  const updated = data?.[0];
+  if (!updated) return null;
+
+  await settleOfferRound(
+    invitation.invitation_id,
+    invitation.round,
+    OFFER_OUTCOME.COUNTERED,
+  );
+  await recordOfferRound(updated, proposerId);
+
+  logger.info('Trade counter-offer made', {
+    invitationId: invitation.invitation_id,
+    round: updated.round,
+    proposerId,
+  });
+
+  return updated;
+}
+
+/**
+ * Moves a pending invitation to its final state.
+ *
+ * Accepting or declining only succeeds before the round expires and while
+ * the terms are still those of `round`.
+ *
+ * @param {string} invitationId - Invitation ID.
+ * @param {string} status - `accepted`, `declined` or `expired`.
+ * @param {number} [round] - Round being answered (required to accept or decline).
+ * @returns {Promise<object|null>} The updated row, or null if the invitation
+ *   was no longer pending in that round (or already past its expiry).
+ * @throws {Error} If the invitation cannot be updated.
+ */
+export async function resolveTradeInvitation(invitationId, status, round) {
+  const now = new Date().toISOString();
+
+  let query = getDatabase()
+    .from('trade_invitations')
+    .update({ status, responded_at: now })
+    .eq('invitation_id', invitationId)
+    .eq('status', INVITATION_STATUS.PENDING);
+
+  query =
+    status === INVITATION_STATUS.EXPIRED
+      ? query.lte('expires_at', now)
+      : query.eq('round', round).gt('expires_at', now);
+
+  const { data, error } = await query.select('*');
+
+  if (error) {
+    throw new Error(`Failed to update trade invitation: ${error.message}`);
+  }
+
+  const invitation = data?.[0];
+  if (!invitation) return null;
+
+  await settleOfferRound(invitationId, invitation.round, status);
+  logger.info('Trade invitation resolved', {
+    invitationId,
+    status,
+    round: invitation.round,
+  });
+
+  return invitation;
+}
+
+/**
+ * Puts an accepted invitation back to pending, e.g. when the trade thread
+ * could not be opened, so the responder can try again.
+ *
+ * @param {object} invitation - Invitation row returned when it was accepted.
+ * @returns {Promise<void>}
+ * @throws {Error} If the invitation cannot be updated.
+ */
+export async function reopenTradeInvitation(invitation) {
+  await updateTradeInvitation(invitation.invitation_id, {
+    status: INVITATION_STATUS.PENDING,
+    responded_at: null,
+  });
+
+  const { error } = await getDatabase()
+    .from('trade_offer_rounds')
+    .update({ outcome: OFFER_OUTCOME.PENDING, responded_at: null })
+    .eq('invitation_id', invitation.invitation_id)
+    .eq('round', invitation.round);
+
+  if (error) {
+    throw new Error(`Failed to reopen offer round: ${error.message}`);
+  }
+}
+
+/**
+ * Builds the message payload of an invitation with its negotiation history.
+ *
+ * @param {object} invitation - Invitation row.
+ * @param {object} [extra={}] - Extra render options (e.g. the trade thread).
+ * @returns {Promise<{components: object[]}>}
+ */
+export async function buildInvitationMessage(invitation, extra = {}) {
+  const rounds =
+    invitation.round > 1 ? await getOfferRounds(invitation.invitation_id) : [];
+
+  return {
+    components: [
+      buildTradeInvitationContainer(invitation, { ...extra, rounds }).toJSON(),
+    ],
+  };
+}
+
+/**
+ * Re-renders the channel message of an invitation in its current state.
+ *
+ * @param {import('discord.js').Client} client - Discord client.
+ * @param {object} invitation - Invitation row.
+ * @param {object} [extra={}] - Extra render options (e.g. the trade thread).
+ * @returns {Promise<void>}
+ */
+export async function refreshInvitationMessage(client, invitation, extra = {}) {
+  if (!invitation.message_id) return;
+
+  const channel = await client.channels
+    .fetch(invitation.channel_id)
+    .catch(() => null);
+  const message = await channel?.messages
+    ?.fetch(invitation.message_id)
+    .catch(() => null);
+
+  if (!message) {
+    logger.warn('Invitation message not found', {
+      invitationId: invitation.invitation_id,
+    });
+    return;
+  }
+
+  await message.edit(await buildInvitationMessage(invitation, extra));
+}
+
+/**
+ * Tells a participant how the negotiation moved on: by DM, or with a
+ * mention in the invitation channel when their DMs are closed.
+ *
+ * @param {import('discord.js').Client} client - Discord client.
+ * @param {object} invitation - Invitation row.
+ * @param {string} userId - Participant to notify.
+ * @param {string} text - Message to send.
+ * @returns {Promise<void>}
+ */
+export async function notifyInvitationParticipant(
+  client,
+  invitation,
+  userId,
+  text,
+) {
+  const user = await client.users.fetch(userId).catch(() => null);
+  const dm = await user?.send(text).catch(() => null);
+  if (dm) return;
+
+  const channel = await client.channels
+    .fetch(invitation.channel_id)
+    .catch(() => null);
+  await channel
+    ?.send({
+      content: `<@${userId}> ${text}`,
+      allowedMentions: { users: [userId] },
+    })
+    .catch((error) => {
+      logger.warn('Could not notify invitation participant', {
+        invitationId: invitation.invitation_id,
+        userId,
+        error: error.message,
+      });
+    });
+}
+
+/**
+ * Expires every pending invitation past its deadline and tells the side
+ * that made the last offer nobody answered.
+ *
+ * @returns {Promise<void>}
+ */
+export async function expireTradeInvitations() {
+  const { data: invitations, error } = await getDatabase()
+    .from('trade_invitations')
+    .select('*')
+    .eq('status', INVITATION_STATUS.PENDING)
+    .lte('expires_at', new Date().toISOString());
+
+  if (error) {
+    throw new Error(`Failed to load expired invitations: ${error.message}`);
+  }
+
+  for (const pending of invitations || []) {
+    try {
+      const invitation = await resolveTradeInvitation(
+        pending.invitation_id,
+        INVITATION_STATUS.EXPIRED,
+      );
+      if (!invitation) continue;
+
+      await refreshInvitationMessage(discordClient, invitation);
+      await notifyInvitationParticipant(
+        discordClient,
+        invitation,
+        getOtherParty(invitation, invitation.awaiting_id),
+        `⌛ Your trade offer to <@${invitation.awaiting_id}> for **${invitation.item}** expired before they answered.`,
+      );
+    } catch (invitationError) {
+      logger.error('Failed to expire trade invitation:', {
+        invitationId: pending.invitation_id,
+        error: invitationError.message || invitationError,
+      });
+    }
+  }
+}
+
+async function sweep() {
+  if (running) return;
+  running = true;
+
+  try {
+    await expireTradeInvitations();
+  } catch (error) {
+    logger.error('Invitation sweep failed:', error.message || error);
+  } finally {
+    running = false;
+    if (sweepTimer) {
+      sweepTimer = setTimeout(sweep, SWEEP_INTERVAL_MS);
+    }
+  }
+}
+
+/**
+ * Starts the periodic invitation expiry sweep.
+ *
+ * @param {import('discord.js').Client} client - Client used to update invitation messages.
+ * @returns {void}
+ */
+export function startInvitationSweeper(client) {
+  if (sweepTimer) return;
+
+  discordClient = client;
+  logger.info('Starting trade invitation sweeper', {
+    ttlMinutes: env.TRADE_INVITATION_TTL_MINUTES,
+  });
+
+  sweepTimer = setTimeout(sweep, 0);
+}
+
+/**
+ * Stops the invitation sweeper after the current sweep completes.
+ *
+ * @returns {void}
+ */
+export function stopInvitationSweeper() {
+  clearTimeout(sweepTimer);
+  sweepTimer = null;
+}
@@ -0,0 +1,275 @@
+/**
+ * Trade state machine
+ *
+ * Single source of truth for where a trade is in its lifecycle. The current
+ * state lives in the `trades.status` column and may only change through
+ * {@link transitionTrade}, which validates the move against the transition
+ * table below and applies it with an optimistic `status` check so two
+ * concurrent actions cannot both succeed.
+ *
+ *   draft → awaiting_wallets → confirmed → funded → delivered → completed
+ *                                                          ↘ disputed → completed
+ *   draft / awaiting_wallets / confirmed → cancelled / expired
+ *
+ * The escrow states only move back when a chain reorganization removes the
+ * events a trade was synced from.
+ *
+ * Handlers and renderers read `trade.status` (via the helpers exported here)
+ * instead of re-deriving state from confirmation flags or timestamps.
+ *
+ * @module utils/tradeStateMachine
+ */
+
+import { getDatabase } from './database.js';
+import { logger } from './logger.js';
+
+/** All trade lifecycle states, as stored in `trades.status`. */
+export const TRADE_STATUS = Object.freeze({
+  DRAFT: 'draft',
+  AWAITING_WALLETS: 'awaiting_wallets',
+  CONFIRMED: 'confirmed',
+  FUNDED: 'funded',
+  DELIVERED: 'delivered',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  DISPUTED: 'disputed',
+  EXPIRED: 'expired',
+});
+
+const {
+  DRAFT,
+  AWAITING_WALLETS,
+  CONFIRMED,
+  FUNDED,
+  DELIVERED,
+  COMPLETED,
+  CANCELLED,
+  DISPUTED,
+  EXPIRED,
+} = TRADE_STATUS;
+
+// Allowed next states for each state. Confirmed can fall back to awaiting
+// wallets when the agreed terms change before funding.
+const TRANSITIONS = Object.freeze({
+  [DRAFT]: [AWAITING_WALLETS, CANCELLED, EXPIRED],
+  [AWAITING_WALLETS]: [CONFIRMED, CANCELLED, EXPIRED],
+  [CONFIRMED]: [AWAITING_WALLETS, FUNDED, CANCELLED, EXPIRED],
+  [FUNDED]: [DELIVERED],
+  [DELIVERED]: [COMPLETED, DISPUTED],
+  [DISPUTED]: [COMPLETED],
+  [COMPLETED]: [],
+  [CANCELLED]: [],
+  [EXPIRED]: [],
+});
+
+// Order of the on-chain part of the lifecycle, used to catch up with the chain.
+const ESCROW_PROGRESS = Object.freeze([
+  CONFIRMED,
+  FUNDED,
+  DELIVERED,
+  DISPUTED,
+  COMPLETED,
+]);
+
+/**
+ * Raised when a trade is asked to move to a state it cannot reach.
+ */
+export class TradeTransitionError extends Error {
+  /**
+   * @param {string} message - Human readable reason.
+   * @param {{tradeId?: string, from?: string|null, to?: string}} [details={}] - Transition context.
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'TradeTransitionError';
+    this.tradeId = details.tradeId;
+    this.from = details.from ?? null;
+    this.to = details.to;
+  }
+}
+
+/**
+ * Checks whether a trade may move directly from one state to another.
+ *
+ * @param {string} from - Current status.
+ * @param {string} to - Requested status.
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return TRANSITIONS[from]?.includes(to) ?? false;
+}
+
+/**
+ * Whether the status is final (no further transitions possible).
+ *
+ * @param {string} status - Trade status.
+ * @returns {boolean}
+ */
+export function isTerminalStatus(status) {
+  return TRANSITIONS[status]?.length === 0;
+}
+
+/**
+ * Whether funds have been deposited into the escrow for this status.
+ *
+ * @param {string} status - Trade status.
+ * @returns {boolean}
+ */
+export function isEscrowStatus(status) {
+  return [FUNDED, DELIVERED, DISPUTED, COMPLETED].includes(status);
+}
+
+/**
+ * Whether the trade terms and wallets can still change (nothing is funded
+ * and the trade is still open).
+ *
+ * @param {string} status - Trade status.
+ * @returns {boolean}
+ */
+export function isPreFundingStatus(status) {
+  return [DRAFT, AWAITING_WALLETS, CONFIRMED].includes(status);
+}
+
+/**
+ * Returns the status a trade should move to so it matches the on-chain
+ * escrow state, or null when the trade is already there (or ahead).
+ *
+ * @param {string} status - Current trade status.
+ * @param {string|null} chainStatus - Escrow status derived from contract events.
+ * @returns {string|null}
+ */
+export function getStatusForChainState(status, chainStatus) {
+  const current = ESCROW_PROGRESS.indexOf(status);
+  const target = ESCROW_PROGRESS.indexOf(chainStatus);
+  if (current === -1 || target <= current) {
+    return null;
+  }
+  return chainStatus;
+}
+
+/**
+ * Returns the status a trade should fall back to when a chain
+ * reorganization removed escrow events it was synced from, or null when the
+ * trade is not ahead of the chain.
+ *
+ * @param {string} status - Current trade status.
+ * @param {string|null} chainStatus - Escrow status derived from the remaining
+ *   events; null when no event of the escrow trade is left.
+ * @returns {string|null}
+ */
+export function getRolledBackStatus(status, chainStatus) {
+  const current = ESCROW_PROGRESS.indexOf(status);
+  // An escrow trade without a `Funded` event holds no funds yet.
+  const target = Math.max(ESCROW_PROGRESS.indexOf(chainStatus), 0);
+  if (current === -1 || target >= current) {
+    return null;
+  }
+  return ESCROW_PROGRESS[target];
+}
+
+/**
+ * Moves a trade to a new status, optionally updating other columns in the
+ * same write.
+ *
+ * The update only applies if the trade is still in the status it was read
+ * in; a concurrent change causes a {@link TradeTransitionError}.
+ *
+ * @param {string} tradeId - Trade identifier.
+ * @param {string} to - Target status (one of {@link TRADE_STATUS}).
+ * @param {object} [changes={}] - Additional column values to store.
+ * @param {object} [options={}] - Transition options.
+ * @param {boolean} [options.catchUp=false] - Allow skipping intermediate escrow
+ *   states, used when syncing a trade that fell behind the chain.
+ * @param {boolean} [options.rollback=false] - Allow moving back along the
+ *   escrow states, used when a chain reorganization removed the events the
+ *   trade was synced from.
+ * @param {boolean} [options.unfunded=false] - Only apply while no funding
+ *   transaction is recorded, so an unfunded trade is not rolled back while
+ *   its funding may still land on-chain.
+ * @param {boolean} [options.noFeeAuthorization=false] - Only apply while no
+ *   fee authorization the buyer could still fund with is live.
+ * @returns {Promise<object>} Updated trade row.
+ * @throws {TradeTransitionError} If the trade is missing, the move is not
+ *   allowed, or the trade changed state concurrently.
+ */
+export async function transitionTrade(
+  tradeId,
+  to,
+  changes = {},
+  {
+    catchUp = false,
+    rollback = false,
+    unfunded = false,
+    noFeeAuthorization = false,
+  } = {},
+) {
+  const db = getDatabase();
+
+  const { data: rows, error } = await db
+    .from('trades')
+    .select('trade_id, status')
+    .eq('trade_id', tradeId);
+
+  if (error) {
+    throw new Error(`Failed to load trade status: ${error.message}`);
+  }
+
+  const trade = rows?.[0];
+  if (!trade) {
+    throw new TradeTransitionError(`Trade ${tradeId} not found`, {
+      tradeId,
+      to,
+    });
+  }
+
+  const from = trade.status;
+  let allowed = canTransition(from, to);
+  if (catchUp) {
+    allowed = getStatusForChainState(from, to) === to;
+  } else if (rollback) {
+    allowed = getRolledBackStatus(from, to) === to;
+  }
+
+  if (!allowed) {
+    throw new TradeTransitionError(
+      `Trade ${tradeId} cannot move from ${from} to ${to}`,
+      { tradeId, from, to },
+    );
+  }
+
+  let query = db
+    .from('trades')
+    .update({ ...changes, status: to })
+    .eq('trade_id', tradeId)
+    .eq('status', from);
+
+  if (unfunded) {
+    query = query.is('funding_tx_hash', null);
+  }
+
+  if (noFeeAuthorization) {
+    const now = new Date().toISOString();
+    query = query.or(
+      `fee_authorized_until.is.null,fee_authorized_until.lt."${now}"`,
+    );
+  }
+
+  const { data: updated, error: updateError } = await query.select('*');
+
+  if (updateError) {
+    throw new Error(`Failed to update trade status: ${updateError.message}`, {
+      cause: updateError,
+    });
+  }
+
+  if (!updated?.length) {
+    throw new TradeTransitionError(
+      `Trade ${tradeId} changed state while moving to ${to}`,
+      { tradeId, from, to },
+    );
+  }
+
+  logger.info('Trade status changed', { tradeId, from, to });
+
+  return updated[0];
+}
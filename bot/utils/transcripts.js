@@ -0,0 +1,548 @@
+/**
+ * Trade transcripts
+ *
+ * Once a trade reaches a terminal state its private thread is exported as a
+ * self-contained HTML transcript (messages, attachments, authors, timestamps
+ * and the bot's status messages) plus a markdown summary. Both are posted to
+ * the guild's staff log channel and the message is referenced on the trade
+ * (`transcript_channel_id`, `transcript_message_id`), so the evidence
+ * outlives the thread if it is archived or deleted.
+ *
+ * Discord attachment URLs are signed and expire, so attachments are
+ * downloaded and embedded in the HTML as data URIs, up to a size budget that
+ * keeps the transcript within Discord's upload limit.
+ *
+ * @module utils/transcripts
+ */
+
+import { AttachmentBuilder } from 'discord.js';
+
+import { getTradeAsset } from './assets.js';
+import { getDatabase } from './database.js';
+import { getGuildSettings } from './guildSettings.js';
+import { logger } from './logger.js';
+import { formatUsd, toBigInt } from './money.js';
+import { getExplorerTxUrl, getTradeNetwork } from './networks.js';
+import { TRADE_STATUS } from './tradeStateMachine.js';
+
+/** Most messages exported from a single thread. */
+const MAX_TRANSCRIPT_MESSAGES = 5000;
+
+/** Discord's limit on the content of a message. */
+const MESSAGE_CONTENT_LIMIT = 2000;
+
+/**
+ * Attachment bytes embedded per transcript. Base64 grows them by a third,
+ * which keeps the HTML file under Discord's 10 MiB upload limit.
+ */
+const MAX_EMBEDDED_ATTACHMENT_BYTES = 6 * 1024 * 1024;
+
+const ATTACHMENT_FETCH_TIMEOUT_MS = 30_000;
+
+/**
+ * Loads the staff log channel configured for a guild.
+ *
+ * @param {string} guildId - Guild ID.
+ * @returns {Promise<string|null>} Channel ID, or null if none is set.
+ */
+export async function getStaffLogChannelId(guildId) {
+  const settings = await getGuildSettings(guildId);
+  return settings?.staff_log_channel_id || null;
+}
+
+/**
+ * Fetches the messages of a thread, oldest first.
+ *
+ * @param {import('discord.js').ThreadChannel} thread - Trade thread.
+ * @returns {Promise<import('discord.js').Message[]>}
+ */
+async function fetchThreadMessages(thread) {
+  const messages = [];
+  let before;
+
+  while (messages.length < MAX_TRANSCRIPT_MESSAGES) {
+    const batch = await thread.messages.fetch({ limit: 100, before });
+    if (batch.size === 0) break;
+
+    messages.push(...batch.values());
+    before = batch.last().id;
+    if (batch.size < 100) break;
+  }
+
+  return messages.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+}
+
+/**
+ * Collects the text shown by Components V2 displays, in display order.
+ *
+ * @param {object[]} components - Raw message components.
+ * @returns {string[]}
+ */
+function collectComponentText(components = []) {
+  return components.flatMap((component) => [
+    ...(typeof component.content === 'string' ? [component.content] : []),
+    ...collectComponentText(component.components),
+  ]);
+}
+
+/**
+ * Converts a thread message into the plain data rendered in transcripts.
+ *
+ * @param {import('discord.js').Message} message - Thread message.
+ * @param {object} trade - Trade row.
+ * @returns {object}
+ */
+function toTranscriptEntry(message, trade) {
+  const { author } = message;
+  let role = null;
+  if (author.id === trade.buyer_id) role = 'buyer';
+  else if (author.id === trade.seller_id) role = 'seller';
+  else if (author.bot) role = 'bot';
+
+  const componentText = collectComponentText(
+    message.components.map((component) => component.toJSON()),
+  );
+  const embedText = message.embeds.flatMap((embed) =>
+    [embed.title, embed.description].filter(Boolean),
+  );
+
+  return {
+    id: message.id,
+    authorId: author.id,
+    authorName: message.member?.displayName ?? author.displayName,
+    role,
+    system: message.system,
+    createdAt: new Date(message.createdTimestamp),
+    editedAt: message.editedTimestamp
+      ? new Date(message.editedTimestamp)
+      : null,
+    content: message.content,
+    // Bot status updates are Components V2 containers without content.
+    statusText: [...componentText, ...embedText].join('\n'),
+    attachments: [...message.attachments.values()].map((attachment) => ({
+      name: attachment.name,
+      url: attachment.url,
+      size: attachment.size,
+      contentType: attachment.contentType,
+    })),
+    mentions: [...message.mentions.users.values()].map((user) => [
+      user.id,
+      user.displayName,
+    ]),
+  };
+}
+
+/**
+ * Downloads the attachments of a transcript and stores them on the entries
+ * as data URIs (`attachment.dataUri`), oldest first, while they fit in
+ * {@link MAX_EMBEDDED_ATTACHMENT_BYTES}. Attachments that do not fit or fail
+ * to download get a `skipReason` instead.
+ *
+ * @param {object[]} entries - Transcript entries, oldest first.
+ * @returns {Promise<void>}
+ */
+async function embedAttachments(entries) {
+  let remaining = MAX_EMBEDDED_ATTACHMENT_BYTES;
+
+  for (const attachment of entries.flatMap((entry) => entry.attachments)) {
+    if (attachment.size > remaining) {
+      attachment.skipReason = 'too large to embed';
+      continue;
+    }
+
+    try {
+      const response = await fetch(attachment.url, {
+        signal: AbortSignal.timeout(ATTACHMENT_FETCH_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const bytes = Buffer.from(await response.arrayBuffer());
+      if (bytes.length > remaining) {
+        attachment.skipReason = 'too large to embed';
+        continue;
+      }
+
+      // Only images keep their type, so nothing else renders inline.
+      const mediaType = attachment.contentType?.split(';')[0] ?? '';
+      const type = /^image\/[\w.+-]+$/.test(mediaType)
+        ? mediaType
+        : 'application/octet-stream';
+      attachment.dataUri = `data:${type};base64,${bytes.toString('base64')}`;
+      remaining -= bytes.length;
+    } catch (error) {
+      logger.warn('Failed to download transcript attachment', {
+        name: attachment.name,
+        error: error.message,
+      });
+      attachment.skipReason = 'download failed';
+    }
+  }
+}
+
+/**
+ * Builds the display names used to resolve user mentions.
+ *
+ * @param {object} trade - Trade row.
+ * @param {object[]} entries - Transcript entries.
+ * @returns {Map<string, string>} Discord user ID to display name.
+ */
+function buildNameMap(trade, entries) {
+  const names = new Map();
+  for (const entry of entries) {
+    for (const [id, name] of entry.mentions) names.set(id, name);
+  }
+  for (const entry of entries) names.set(entry.authorId, entry.authorName);
+  if (trade.buyer_display) names.set(trade.buyer_id, trade.buyer_display);
+  if (trade.seller_display) names.set(trade.seller_id, trade.seller_display);
+  return names;
+}
+
+/**
+ * Replaces Discord user, channel and timestamp markup with readable text.
+ *
+ * @param {string} text - Discord message text.
+ * @param {Map<string, string>} names - Discord user ID to display name.
+ * @returns {string}
+ */
+function resolveMarkup(text, names) {
+  return text
+    .replace(/<@!?(\d+)>/g, (_, id) => `@${names.get(id) ?? id}`)
+    .replace(/<#(\d+)>/g, '#$1')
+    .replace(/<t:(\d+)(?::[a-zA-Z])?>/g, (_, ts) =>
+      formatTimestamp(new Date(Number(ts) * 1000)),
+    );
+}
+
+/**
+ * Formats a date as a UTC timestamp.
+ *
+ * @param {Date|string} date - Date to format.
+ * @returns {string} e.g. "2026-01-31 14:05:09 UTC".
+ */
+function formatTimestamp(date) {
+  return `${new Date(date).toISOString().slice(0, 19).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Formats a byte count for display.
+ *
+ * @param {number} bytes - Size in bytes.
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+/**
+ * Escapes text for HTML.
+ *
+ * @param {string} text - Raw text.
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Lists the recorded status changes of a trade, oldest first.
+ *
+ * @param {object} trade - Trade row.
+ * @param {Map<string, string>} names - Discord user ID to display name.
+ * @returns {{at: Date, text: string, txUrl: string|null}[]}
+ */
+function getStatusEvents(trade, names) {
+  const network = getTradeNetwork(trade);
+  const nameOf = (id) => names.get(id) ?? id;
+
+  return [
+    [trade.created_at, 'Trade opened'],
+    [trade.funded_at, 'Escrow funded', trade.funding_tx_hash],
+    [trade.delivered_at, 'Marked delivered', trade.delivery_tx_hash],
+    [
+      trade.disputed_at,
+      `Dispute opened${trade.dispute_raised_by ? ` by ${nameOf(trade.dispute_raised_by)}` : ''}`,
+      trade.dispute_tx_hash,
+    ],
+    [trade.approved_at, 'Buyer approved the release'],
+    [
+      trade.completed_at,
+      trade.dispute_resolved_by
+        ? `Completed, dispute resolved by ${nameOf(trade.dispute_resolved_by)} (${trade.dispute_buyer_share_bps / 100}% buyer / ${trade.dispute_seller_share_bps / 100}% seller)`
+        : 'Completed',
+      trade.release_tx_hash,
+    ],
+    [
+      trade.cancelled_at,
+      `Cancelled${trade.cancelled_by ? ` by ${nameOf(trade.cancelled_by)}` : ''}`,
+    ],
+    [
+      trade.status === TRADE_STATUS.EXPIRED && trade.updated_at,
+      'Expired before funding',
+    ],
+  ]
+    .filter(([at]) => at)
+    .map(([at, text, txHash]) => ({
+      at: new Date(at),
+      text,
+      txUrl: txHash ? getExplorerTxUrl(txHash, network) || txHash : null,
+    }))
+    .sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Lists the terms shown at the top of a transcript.
+ *
+ * @param {object} trade - Trade row.
+ * @param {Map<string, string>} names - Discord user ID to display name.
+ * @returns {[string, string][]} Label and value pairs.
+ */
+function getTradeFacts(trade, names) {
+  const asset = getTradeAsset(trade);
+  const network = getTradeNetwork(trade);
+  const party = (id) => `${names.get(id) ?? 'Unknown'} (${id})`;
+
+  return [
+    ['Trade ID', trade.trade_id],
+    ['Status', trade.status],
+    ['Item', trade.item || 'N/A'],
+    [
+      'Price',
+      `$${formatUsd(toBigInt(trade.price_cents) ?? 0n)} (${asset.symbol} on ${network.name})`,
+    ],
+    ['Buyer', party(trade.buyer_id)],
+    ['Seller', party(trade.seller_id)],
+    ['Escrow ID', String(trade.escrow_trade_id ?? 'N/A')],
+    ...(trade.additional_details
+      ? [['Details', trade.additional_details]]
+      : []),
+  ];
+}
+
+/**
+ * Renders a transcript as a self-contained HTML document.
+ *
+ * @param {object} trade - Trade row.
+ * @param {object[]} entries - Transcript entries, oldest first.
+ * @param {Map<string, string>} names - Discord user ID to display name.
+ * @returns {string}
+ */
+function renderTranscriptHtml(trade, entries, names) {
+  const text = (value) => escapeHtml(resolveMarkup(value, names));
+
+  const facts = getTradeFacts(trade, names)
+    .map(([label, value]) => `<dt>${label}</dt><dd>${text(value)}</dd>`)
+    .join('');
+
+  const events = getStatusEvents(trade, names)
+    .map(
+      (event) =>
+        `<li><time>${formatTimestamp(event.at)}</time> ${escapeHtml(event.text)}${event.txUrl ? ` · <a href="${escapeHtml(event.txUrl)}">transaction</a>` : ''}</li>`,
+    )
+    .join('');
+
+  const messages = entries
+    .map((entry) => {
+      const attachments = entry.attachments
+        .map((attachment) => {
+          const name = escapeHtml(attachment.name);
+          const size = formatSize(attachment.size);
+          if (!attachment.dataUri) {
+            return `<li>${name} (${size}) · <span class="missing">not archived, ${attachment.skipReason}</span> · <a href="${escapeHtml(attachment.url)}">original link</a> (expires)</li>`;
+          }
+
+          const link = `<a href="${attachment.dataUri}" download="${name}">${name}</a> (${size})`;
+          return attachment.dataUri.startsWith('data:image/')
+            ? `<li>${link}<br><img src="${attachment.dataUri}" alt="${name}"></li>`
+            : `<li>${link}</li>`;
+        })
+        .join('');
+
+      return `<article class="${entry.role ?? 'other'}${entry.system ? ' system' : ''}">
+<header><strong>${escapeHtml(entry.authorName)}</strong>${entry.role ? ` <span class="role">${entry.role}</span>` : ''} <span class="id">${entry.authorId}</span> <time>${formatTimestamp(entry.createdAt)}</time>${entry.editedAt ? ` <span class="edited">(edited ${formatTimestamp(entry.editedAt)})</span>` : ''}</header>
+${entry.content ? `<p>${text(entry.content)}</p>` : ''}${entry.statusText ? `<pre>${text(entry.statusText)}</pre>` : ''}${attachments ? `<ul class="attachments">${attachments}</ul>` : ''}
+</article>`;
+    })
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Trade ${escapeHtml(trade.trade_id)} transcript</title>
+<style>
+body { font-family: system-ui, sans-serif; background: #f5f5f7; color: #1e1f22; margin: 0 auto; max-width: 960px; padding: 24px; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; }
+dt { font-weight: 600; }
+dd { margin: 0; white-space: pre-wrap; }
+article { background: #fff; border-left: 4px solid #b5bac1; border-radius: 4px; margin: 8px 0; padding: 8px 12px; }
+article.buyer { border-color: #5865f2; }
+article.seller { border-color: #23a55a; }
+article.bot, article.system { border-color: #f0b232; background: #fffaf0; }
+header { font-size: 14px; }
+.role { background: #e3e5e8; border-radius: 3px; font-size: 12px; padding: 0 4px; text-transform: uppercase; }
+.id, time, .edited { color: #6d6f78; font-size: 12px; }
+.missing { color: #da373c; }
+p, pre { margin: 6px 0 0; white-space: pre-wrap; word-break: break-word; }
+pre { font-family: inherit; }
+img { max-width: 100%; max-height: 320px; margin-top: 4px; }
+</style>
+</head>
+<body>
+<h1>Trade ${escapeHtml(trade.trade_id)}</h1>
+<p>Transcript generated ${formatTimestamp(new Date())} · ${entries.length} messages</p>
+<dl>${facts}</dl>
+<h2>Status changes</h2>
+<ul>${events}</ul>
+<h2>Messages</h2>
+${messages || '<p>No messages.</p>'}
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders the markdown summary posted alongside a transcript.
+ *
+ * @param {object} trade - Trade row.
+ * @param {object[]} entries - Transcript entries, oldest first.
+ * @param {Map<string, string>} names - Discord user ID to display name.
+ * @returns {string}
+ */
+function renderTranscriptSummary(trade, entries, names) {
+  const count = (role) => entries.filter((entry) => entry.role === role).length;
+  const attachments = entries.flatMap((entry) =>
+    entry.attachments.map((attachment) => ({ ...attachment, entry })),
+  );
+
+  const lines = [
+    `# Trade \`${trade.trade_id}\` transcript`,
+    ...getTradeFacts(trade, names)
+      .slice(1)
+      .map(([label, value]) => `**${label}:** ${value}`),
+    `**Messages:** ${entries.length} (buyer ${count('buyer')}, seller ${count('seller')}, bot ${count('bot')}, others ${count(null)})`,
+    '',
+    '## Status changes',
+    ...getStatusEvents(trade, names).map(
+      (event) =>
+        `- ${formatTimestamp(event.at)} ${event.text}${event.txUrl ? ` (${event.txUrl})` : ''}`,
+    ),
+  ];
+
+  if (attachments.length) {
+    lines.push(
+      '',
+      '## Attachments',
+      ...attachments.map(
+        ({ name, url, size, dataUri, skipReason, entry }) =>
+          `- ${name} (${formatSize(size)}) by ${entry.authorName} at ${formatTimestamp(entry.createdAt)}: ${dataUri ? 'embedded in the HTML transcript' : `not archived, ${skipReason} ([original link](${url}), expires)`}`,
+      ),
+    );
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Stores the transcript reference on a trade.
+ *
+ * @param {string} tradeId - Trade identifier.
+ * @param {import('discord.js').Message|null} message - Posted transcript, or null if the thread is gone.
+ * @returns {Promise<void>}
+ * @throws {Error} If the trade cannot be updated.
+ */
+async function saveTranscriptReference(tradeId, message) {
+  const { error } = await getDatabase()
+    .from('trades')
+    .update({
+      transcript_channel_id: message?.channelId ?? null,
+      transcript_message_id: message?.id ?? null,
+      transcript_created_at: new Date().toISOString(),
+    })
+    .eq('trade_id', tradeId);
+
+  if (error) {
+    throw new Error(`Failed to save transcript reference: ${error.message}`);
+  }
+}
+
+/**
+ * Exports a trade thread and posts it to the guild's staff log channel.
+ *
+ * Trades whose thread no longer exists are marked done without a
+ * transcript. Nothing is stored while no staff log channel is configured,
+ * so the transcript is posted once one is set.
+ *
+ * @param {import('discord.js').Client} client - Discord client.
+ * @param {object} trade - Trade row in a terminal state.
+ * @returns {Promise<import('discord.js').Message|null>} The posted transcript, or null if none was posted.
+ * @throws {Error} If the transcript cannot be posted or saved.
+ */
+export async function archiveTradeTranscript(client, trade) {
+  const channelId = await getStaffLogChannelId(trade.guild_id);
+  if (!channelId) return null;
+
+  const logChannel = await client.channels.fetch(channelId).catch(() => null);
+  if (!logChannel?.isTextBased()) {
+    logger.warn('Staff log channel is not available', {
+      guildId: trade.guild_id,
+      channelId,
+    });
+    return null;
+  }
+
+  const thread = await client.channels
+    .fetch(trade.channel_id)
+    .catch(() => null);
+
+  if (!thread?.isThread()) {
+    logger.warn('Trade thread not found while archiving transcript', {
+      tradeId: trade.trade_id,
+      channelId: trade.channel_id,
+    });
+    await saveTranscriptReference(trade.trade_id, null);
+    return null;
+  }
+
+  const entries = (await fetchThreadMessages(thread)).map((message) =>
+    toTranscriptEntry(message, trade),
+  );
+  await embedAttachments(entries);
+  const names = buildNameMap(trade, entries);
+  const summary = renderTranscriptSummary(trade, entries, names);
+
+  const message = await logChannel.send({
+    content:
+      summary.length > MESSAGE_CONTENT_LIMIT
+        ? `${summary.slice(0, MESSAGE_CONTENT_LIMIT - 40)}\n…\n-# Full summary attached.`
+        : summary,
+    files: [
+      new AttachmentBuilder(
+        Buffer.from(renderTranscriptHtml(trade, entries, names)),
+        { name: `trade-${trade.trade_id}-transcript.html` },
+      ),
+      new AttachmentBuilder(Buffer.from(summary), {
+        name: `trade-${trade.trade_id}-summary.md`,
+      }),
+    ],
+    allowedMentions: { parse: [] },
+  });
+
+  await saveTranscriptReference(trade.trade_id, message);
+
+  logger.info('Archived trade transcript', {
+    tradeId: trade.trade_id,
+    messages: entries.length,
+    channelId,
+  });
+
+  return message;
+}
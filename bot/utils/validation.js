@@ -1,4 +1,11 @@
 import { logger } from './logger.js';
+import { formatUsd, parseUsd } from './money.js';
+
+/** Smallest trade price, in cents. */
+const MIN_TRADE_CENTS = 500n;
+
+/** Largest trade price, in cents; keeps prices exact in JSON numbers. */
+export const MAX_TRADE_CENTS = 100_000_000_000n;
 
 /**
  * Normalizes a USD amount input with comprehensive validation.
@@ -11,16 +18,16 @@ import { logger } from './logger.js';
  *
  * Validation rules:
  * - Must be a valid positive number
- * - Minimum amount: $5.00
- * - Maximum precision: 2 decimal places
+ * - Minimum amount: $5.00, maximum amount: $1,000,000,000.00
+ * - Maximum precision: 2 decimal places (more is rejected, never rounded)
  *
  * @param {string|number} input - Raw user input for USD amount.
- * @returns {{ok: true, value: string, number: number}|{ok: false, error: string}}
- *   Success object with normalized string and numeric values, or failure object with error message.
+ * @returns {{ok: true, value: string, cents: bigint}|{ok: false, error: string}}
+ *   Success object with the normalized string and the amount in cents, or failure object with error message.
  *
  * @example
- * normalizeUsdAmount("$10.50")  // { ok: true, value: "10.50", number: 10.5 }
- * normalizeUsdAmount("1,234")   // { ok: true, value: "1234.00", number: 1234 }
+ * normalizeUsdAmount("$10.50")  // { ok: true, value: "10.50", cents: 1050n }
+ * normalizeUsdAmount("1,234")   // { ok: true, value: "1234.00", cents: 123400n }
  * normalizeUsdAmount("3")       // { ok: false, error: "Minimum trade amount is $5.00" }
  * normalizeUsdAmount("abc")     // { ok: false, error: "Enter a valid USD amount..." }
  */
@@ -32,42 +39,38 @@ export function normalizeUsdAmount(input) {
     return { ok: false, error: 'Enter a USD amount.' };
   }
 
-  let raw = String(input).trim();
-  logger.debug('🔧 Raw input processed', { raw });
-
-  raw = raw.replace(/\s+/g, '');
-  if (raw.startsWith('$')) {
-    raw = raw.slice(1);
-  }
-  raw = raw.replace(/,/g, '');
-  logger.debug('🧹 Formatted raw input', { raw });
-
-  if (!/^\d+(\.\d*)?$/.test(raw)) {
+  const cents = parseUsd(input);
+  if (cents === null) {
     logger.debug('❌ Input validation failed: invalid format');
     return {
       ok: false,
-      error: 'Enter a valid USD amount, e.g. 10, 10.5, $10, $10.50',
+      error:
+        'Enter a valid USD amount with at most 2 decimals, e.g. 10, 10.5, $10, $10.50',
     };
   }
 
-  const num = Number(raw);
-  if (!Number.isFinite(num)) {
-    logger.debug('❌ Input validation failed: not a finite number');
-    return { ok: false, error: 'Enter a valid USD amount.' };
+  if (cents < MIN_TRADE_CENTS) {
+    logger.debug('❌ Input validation failed: below minimum', { cents });
+    return {
+      ok: false,
+      error: `Minimum trade amount is $${formatUsd(MIN_TRADE_CENTS)}`,
+    };
   }
 
-  if (num < 5) {
-    logger.debug('❌ Input validation failed: below minimum', { num });
-    return { ok: false, error: 'Minimum trade amount is $5.00' };
+  if (cents > MAX_TRADE_CENTS) {
+    logger.debug('❌ Input validation failed: above maximum', { cents });
+    return {
+      ok: false,
+      error: `Maximum trade amount is $${formatUsd(MAX_TRADE_CENTS)}`,
+    };
   }
 
-  const value = num.toFixed(2);
+  const value = formatUsd(cents);
   logger.debug('✅ USD amount validated successfully', {
     original: input,
     normalized: value,
-    numeric: num,
   });
-  return { ok: true, value, number: num };
+  return { ok: true, value, cents };
 }
 
 /**
@@ -4,8 +4,28 @@ import jwt from 'jsonwebtoken';
 
 import { env } from '../config/env.js';
 
+import { getAssetColumns, getTradeAsset } from './assets.js';
 import { getDatabase } from './database.js';
+import {
+  calculateFundingAmounts,
+  checkFundingTransaction,
+  signFeeAuthorization,
+  verifyFundingTransaction,
+} from './escrow.js';
+import { getTradeFeeBps } from './feePolicy.js';
 import { logger } from './logger.js';
+import { formatUsd, toBigInt } from './money.js';
+import { getDefaultNetwork, getNetwork, getTradeNetwork } from './networks.js';
+import { createQuote, getQuoteColumns, hasActiveQuote } from './pricing.js';
+import { getParticipantReputations } from './reputation.js';
+import {
+  TRADE_STATUS,
+  TradeTransitionError,
+  isEscrowStatus,
+  isPreFundingStatus,
+  isTerminalStatus,
+  transitionTrade,
+} from './tradeStateMachine.js';
 
 // Module-level variable to hold the bot client instance
 let botClient = null;
@@ -22,6 +42,14 @@ function getDbClient() {
 const app = express();
 const PORT = env.WALLET_SERVER_PORT || 3001;
 const CLIENT_URL = env.CLIENT_URL || 'http://localhost:5173';
+// Fee authorizations for trades whose quote never expires (stablecoins).
+const FEE_AUTHORIZATION_TTL_MS = 30 * 60 * 1000;
+// PostgreSQL error code raised by UNIQUE constraints.
+const UNIQUE_VIOLATION = '23505';
+const FUNDING_CONFLICT = {
+  status: 409,
+  message: 'This escrow already funds another trade.',
+};
 
 app.use(
   cors({
@@ -77,6 +105,13 @@ async function handleWalletConnection(token, discordUserId, walletAddress) {
   }
 
   // 5. Prevent updates after proceed confirmation
+  if (tradeData.status !== TRADE_STATUS.AWAITING_WALLETS) {
+    throw {
+      status: 409,
+      message: 'Wallets can no longer be changed for this trade.',
+    };
+  }
+
   const alreadyConfirmed =
     userType === 'buyer'
       ? !!tradeData.buyer_confirmed
@@ -173,8 +208,12 @@ async function updateDiscordTradeMessage(tradeId, tradeData) {
   }
 
   if (botMessage) {
-    const { buildConnectWalletContainer, buildDevelopmentInProgressContainer } =
-      await import('./components/containers.js');
+    const {
+      buildConnectWalletContainer,
+      buildEscrowFundedContainer,
+      buildFundEscrowContainer,
+      buildTradeCancelledContainer,
+    } = await import('./components/containers.js');
     const { data: connections } = await getDbClient()
       .from('wallet_connections')
       .select('*')
@@ -204,29 +243,95 @@ async function updateDiscordTradeMessage(tradeId, tradeData) {
 
     const tradeDetails = {
       item: tradeData.item || registered.item,
-      price: tradeData.price || registered.price,
+      priceCents: toBigInt(tradeData.price_cents ?? registered.price_cents),
       details: tradeData.additional_details || registered.additional_details,
+      asset: getTradeAsset({ ...registered, ...tradeData }),
+      network: getTradeNetwork({ ...registered, ...tradeData }),
+      feeBps: getTradeFeeBps({ ...registered, ...tradeData }),
     };
 
-    const container =
-      confirmationStatus.buyerConfirmed && confirmationStatus.sellerConfirmed
-        ? buildDevelopmentInProgressContainer(
-            tradeId,
-            tradeData.buyer_id,
-            tradeData.seller_id,
-            buyerDisplayName,
-            sellerDisplayName,
-          )
-        : await buildConnectWalletContainer(
-            tradeId,
-            tradeData.buyer_id,
-            tradeData.seller_id,
-            walletStatus,
-            buyerDisplayName,
-            sellerDisplayName,
-            confirmationStatus,
-            tradeDetails,
-          );
+    let container;
+    if (
+      tradeData.status === TRADE_STATUS.CANCELLED ||
+      tradeData.status === TRADE_STATUS.EXPIRED
+    ) {
+      container = buildTradeCancelledContainer(
+        tradeId,
+        tradeData.buyer_id,
+        tradeData.seller_id,
+        walletStatus,
+        tradeDetails,
+        {
+          status: tradeData.status,
+          cancelledBy: tradeData.cancelled_by,
+          cancelledAt: tradeData.cancelled_at,
+        },
+      );
+    } else if (isEscrowStatus(tradeData.status)) {
+      container = buildEscrowFundedContainer(
+        tradeId,
+        tradeData.buyer_id,
+        tradeData.seller_id,
+        walletStatus,
+        tradeDetails,
+        {
+          escrowTradeId: tradeData.escrow_trade_id,
+          fundingTxHash: tradeData.funding_tx_hash,
+          fundingAmountWei: tradeData.funding_amount_wei,
+          status: tradeData.status,
+          deliveredAt: tradeData.delivered_at,
+          deliveryTxHash: tradeData.delivery_tx_hash,
+          disputedAt: tradeData.disputed_at,
+          disputeTxHash: tradeData.dispute_tx_hash,
+          disputeRaisedBy: tradeData.dispute_raised_by,
+          disputeBuyerShareBps: tradeData.dispute_buyer_share_bps,
+          disputeSellerShareBps: tradeData.dispute_seller_share_bps,
+          refundAmountWei: tradeData.refund_amount_wei,
+          approvedAt: tradeData.approved_at,
+          completedAt: tradeData.completed_at,
+          releaseTxHash: tradeData.release_tx_hash,
+          payoutAmountWei: tradeData.payout_amount_wei,
+          sellerFeeWei: tradeData.seller_fee_wei,
+          sellerFeeBotWei: tradeData.seller_fee_bot_wei,
+          sellerFeeReceiverWei: tradeData.seller_fee_receiver_wei,
+        },
+      );
+    } else if (tradeData.status === TRADE_STATUS.CONFIRMED) {
+      container = buildFundEscrowContainer(
+        tradeId,
+        tradeData.buyer_id,
+        tradeData.seller_id,
+        walletStatus,
+        tradeDetails,
+        getFundingAmountsForTrade({ ...registered, ...tradeData }),
+        tradeData.quote_amount_wei
+          ? {
+              usdPrice: tradeData.quote_usd_price,
+              source: tradeData.quote_source,
+              expiresAt: tradeData.quote_expires_at,
+            }
+          : null,
+      );
+    } else {
+      const reputations = await getParticipantReputations(
+        guildId,
+        tradeData.buyer_id,
+        tradeData.seller_id,
+      ).catch((err) => {
+        logger.warn('Failed to load participant reputations:', err.message);
+        return undefined;
+      });
+      container = await buildConnectWalletContainer(
+        tradeId,
+        tradeData.buyer_id,
+        tradeData.seller_id,
+        walletStatus,
+        buyerDisplayName,
+        sellerDisplayName,
+        confirmationStatus,
+        { ...tradeDetails, reputations },
+      );
+    }
 
     await botMessage.edit({ components: [container.toJSON()] });
   }
@@ -246,8 +351,11 @@ async function updateDiscordTradeMessage(tradeId, tradeData) {
  * @param {boolean|undefined} buyerConfirmed - Current buyer proceed state.
  * @param {boolean|undefined} sellerConfirmed - Current seller proceed state.
  * @param {string|null} item - Trade item.
- * @param {string|null} price - Trade price.
+ * @param {bigint|null} priceCents - Trade price in cents.
  * @param {string|null} additionalDetails - Optional description.
+ * @param {import('./assets.js').TradeAsset|null} [asset=null] - Asset the trade settles in.
+ * @param {import('./networks.js').EscrowNetwork|null} [network=null] - Network the trade runs on.
+ * @param {number|null} [feeBps=null] - Fee rate locked on the trade.
  * @returns {Promise<boolean>} Resolves true on success.
  */
 export async function registerTradeMessage(
@@ -262,8 +370,11 @@ export async function registerTradeMessage(
   buyerConfirmed = undefined,
   sellerConfirmed = undefined,
   item = null,
-  price = null,
+  priceCents = null,
   additionalDetails = null,
+  asset = null,
+  network = null,
+  feeBps = null,
 ) {
   if (!tradeId || !guildId || !channelId || !messageId) return false;
 
@@ -277,7 +388,7 @@ export async function registerTradeMessage(
     buyer_display: buyerDisplay || null,
     seller_display: sellerDisplay || null,
     item: item || null,
-    price: price || null,
+    price_cents: priceCents?.toString() ?? null,
     additional_details: additionalDetails || null,
   };
 
@@ -289,16 +400,34 @@ export async function registerTradeMessage(
     tradeData.seller_confirmed = sellerConfirmed;
   }
 
+  if (asset) {
+    Object.assign(tradeData, getAssetColumns(asset));
+  }
+
+  if (network) {
+    tradeData.chain_id = network.chainId;
+  }
+
+  if (feeBps !== null) {
+    tradeData.fee_bps = feeBps;
+  }
+
   try {
-    const { error } = await getDbClient()
+    const { data: saved, error } = await getDbClient()
       .from('trades')
-      .upsert(tradeData, { onConflict: 'trade_id' });
+      .upsert(tradeData, { onConflict: 'trade_id' })
+      .select('status');
 
     if (error) {
       logger.error('Error saving trade data:', error);
       return false;
     }
 
+    // New rows start as drafts; the thread exists now, so wallets can connect.
+    if (saved?.[0]?.status === TRADE_STATUS.DRAFT) {
+      await transitionTrade(tradeId, TRADE_STATUS.AWAITING_WALLETS);
+    }
+
     logger.debug('💾 Stored trade data in database:', tradeData);
 
     // Log registration for debugging and audit
@@ -312,7 +441,7 @@ export async function registerTradeMessage(
       buyerDisplay: buyerDisplay || null,
       sellerDisplay: sellerDisplay || null,
       item: item || null,
-      price: price || null,
+      priceCents: priceCents?.toString() ?? null,
       additionalDetails: additionalDetails || null,
       timestamp: new Date().toISOString(),
     });
@@ -351,6 +480,7 @@ export async function confirmTradeProceedStep(tradeId, userType) {
     .from('trades')
     .update({ [column]: true })
     .eq('trade_id', tradeId)
+    .eq('status', TRADE_STATUS.AWAITING_WALLETS)
     .select('*')
     .single();
 
@@ -363,9 +493,214 @@ export async function confirmTradeProceedStep(tradeId, userType) {
     throw new Error('Failed to store proceed confirmation');
   }
 
+  if (data.buyer_confirmed && data.seller_confirmed) {
+    // Lock the exchange rate the buyer has to fund at. A failing price
+    // source leaves the trade without a quote; it can be refreshed later.
+    let quoteColumns = {};
+    try {
+      quoteColumns = getQuoteColumns(
+        await createQuote(toBigInt(data.price_cents), getTradeAsset(data)),
+      );
+    } catch (quoteError) {
+      logger.warn('Unable to quote trade price on confirmation', {
+        tradeId,
+        error: quoteError.message,
+      });
+    }
+
+    return transitionTrade(tradeId, TRADE_STATUS.CONFIRMED, quoteColumns);
+  }
+
   return data;
 }
 
+/**
+ * Returns why the given participant cannot edit the terms of a trade, if anything.
+ *
+ * @param {object|null} tradeData - Registered trade row.
+ * @param {string} userId - Discord user ID of the editing participant.
+ * @returns {string|null} User-facing message, or null when the terms can be edited.
+ */
+export function getTradeTermsBlocker(tradeData, userId) {
+  if (
+    !tradeData ||
+    (tradeData.buyer_id !== userId && tradeData.seller_id !== userId)
+  ) {
+    return '❌ Unable to find this trade. Please restart the flow or contact support.';
+  }
+
+  if (isTerminalStatus(tradeData.status)) {
+    return `❌ This trade is ${tradeData.status}, so its terms can no longer be edited.`;
+  }
+
+  if (!isPreFundingStatus(tradeData.status)) {
+    return '❌ The terms can no longer be edited because the escrow has been funded.';
+  }
+
+  // A funding transaction was submitted; it may still land on-chain.
+  if (tradeData.funding_tx_hash) {
+    return '⏳ A funding transaction is being confirmed, so the terms cannot be edited right now.';
+  }
+
+  const authorizedUntil = getFeeAuthorizationExpiry(tradeData);
+  if (authorizedUntil) {
+    return `⏳ The buyer can fund the current terms until <t:${Math.floor(authorizedUntil.getTime() / 1000)}:t>, so they cannot be edited before then.`;
+  }
+
+  return null;
+}
+
+/**
+ * Returns until when the buyer can still fund the trade with an issued fee
+ * authorization. The terms and confirmations cannot change until then, as
+ * the contract would still accept the old ones.
+ *
+ * @param {object} tradeData - Trade row.
+ * @returns {Date|null} Expiry of the live authorization, or null if there is none.
+ */
+export function getFeeAuthorizationExpiry(tradeData) {
+  if (!tradeData?.fee_authorized_until) {
+    return null;
+  }
+
+  const expiresAt = new Date(tradeData.fee_authorized_until);
+  return expiresAt.getTime() > Date.now() ? expiresAt : null;
+}
+
+// Filter for trades without a live fee authorization, checked by the update
+// itself since the buyer may open the funding page at any time.
+function noLiveFeeAuthorizationFilter() {
+  const now = new Date().toISOString();
+  return `fee_authorized_until.is.null,fee_authorized_until.lt."${now}"`;
+}
+
+/**
+ * Replaces the item, price and details of an unfunded trade.
+ *
+ * Both confirmations are reset and any locked quote is dropped, so the
+ * participants have to confirm the new terms before the buyer can fund. A
+ * confirmed trade moves back to awaiting wallets. The edit is refused once a
+ * funding transaction has been recorded, or while the buyer holds a fee
+ * authorization for the current terms.
+ *
+ * @param {object} tradeData - Trade row the edit is based on.
+ * @param {object} terms - New terms.
+ * @param {string} terms.item - Item name.
+ * @param {bigint} terms.priceCents - Price in cents.
+ * @param {string|null} terms.additionalDetails - Optional description.
+ * @param {number} terms.feeBps - Fee rate for the new price.
+ * @returns {Promise<object>} Updated trade row.
+ * @throws {TradeTransitionError} If the trade changed state, started
+ *   funding or got a fee authorization concurrently.
+ */
+export async function updateTradeTerms(tradeData, terms) {
+  const tradeId = tradeData.trade_id;
+  const changes = {
+    item: terms.item,
+    price_cents: terms.priceCents.toString(),
+    additional_details: terms.additionalDetails || null,
+    fee_bps: terms.feeBps,
+    buyer_confirmed: false,
+    seller_confirmed: false,
+    quote_usd_price: null,
+    quote_amount_wei: null,
+    quote_source: null,
+    quoted_at: null,
+    quote_expires_at: null,
+  };
+
+  // Guarded on the stored row: a funding transaction may have been
+  // submitted since `tradeData` was read.
+  if (tradeData.status === TRADE_STATUS.CONFIRMED) {
+    return transitionTrade(tradeId, TRADE_STATUS.AWAITING_WALLETS, changes, {
+      unfunded: true,
+      noFeeAuthorization: true,
+    });
+  }
+
+  const { data, error } = await getDbClient()
+    .from('trades')
+    .update(changes)
+    .eq('trade_id', tradeId)
+    .eq('status', tradeData.status)
+    .is('funding_tx_hash', null)
+    .or(noLiveFeeAuthorizationFilter())
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to update trade terms: ${error.message}`);
+  }
+
+  if (!data?.length) {
+    throw new TradeTransitionError(
+      `Trade ${tradeId} changed state while editing its terms`,
+      { tradeId, from: tradeData.status, to: tradeData.status },
+    );
+  }
+
+  logger.info('Trade terms edited', { tradeId, status: tradeData.status });
+
+  return data[0];
+}
+
+/**
+ * Withdraws the confirmation of one participant of an unfunded trade so
+ * they can connect a different wallet.
+ *
+ * Any locked quote is dropped and a confirmed trade moves back to awaiting
+ * wallets, as the funding amount has to be re-confirmed by both sides.
+ * The reset is refused once a funding transaction has been recorded, or
+ * while the buyer holds a fee authorization for the current terms.
+ *
+ * @param {object} tradeData - Trade row the reset is based on.
+ * @param {'buyer'|'seller'} userType - Participant whose confirmation is reset.
+ * @returns {Promise<object>} Updated trade row.
+ * @throws {TradeTransitionError} If the trade changed state, started
+ *   funding or got a fee authorization concurrently.
+ */
+export async function resetTradeConfirmation(tradeData, userType) {
+  const tradeId = tradeData.trade_id;
+  const changes = {
+    [userType === 'buyer' ? 'buyer_confirmed' : 'seller_confirmed']: false,
+    quote_usd_price: null,
+    quote_amount_wei: null,
+    quote_source: null,
+    quoted_at: null,
+    quote_expires_at: null,
+  };
+
+  if (tradeData.status === TRADE_STATUS.CONFIRMED) {
+    return transitionTrade(tradeId, TRADE_STATUS.AWAITING_WALLETS, changes, {
+      unfunded: true,
+      noFeeAuthorization: true,
+    });
+  }
+
+  const { data, error } = await getDbClient()
+    .from('trades')
+    .update(changes)
+    .eq('trade_id', tradeId)
+    .eq('status', tradeData.status)
+    .is('funding_tx_hash', null)
+    .or(noLiveFeeAuthorizationFilter())
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to reset trade confirmation: ${error.message}`);
+  }
+
+  if (!data?.length) {
+    throw new TradeTransitionError(
+      `Trade ${tradeId} changed state while resetting a confirmation`,
+      { tradeId, from: tradeData.status, to: tradeData.status },
+    );
+  }
+
+  logger.info('Trade confirmation reset', { tradeId, userType });
+
+  return data[0];
+}
+
 /**
  * Forces a Discord message refresh for a given trade.
  *
@@ -464,6 +799,27 @@ export async function getRegisteredTradeMessage(tradeId) {
   }
 }
 
+/**
+ * Looks up the trade that owns a Discord thread.
+ *
+ * @param {string} channelId - Trade thread channel ID.
+ * @returns {Promise<object|null>} Trade row or null if the channel is not a trade thread.
+ */
+export async function getTradeByChannelId(channelId) {
+  const { data, error } = await getDbClient()
+    .from('trades')
+    .select('*')
+    .eq('channel_id', channelId)
+    .limit(1);
+
+  if (error) {
+    logger.error('Error fetching trade by channel:', { channelId, error });
+    return null;
+  }
+
+  return data?.[0] || null;
+}
+
 /**
  * Generates a JWT-secured wallet-connect URL pointing to the frontend client.
  *
@@ -574,6 +930,623 @@ app.post('/api/wallet/update', async (req, res) => {
   }
 });
 
+/**
+ * Computes the escrow funding amounts for a trade from its locked quote and fee.
+ *
+ * @param {object} tradeData - Trade row.
+ * @returns {{tradeAmountWei: bigint, feeBps: number, buyerFeeWei: bigint, totalWei: bigint}|null} Funding amounts or null if the trade has no quote.
+ */
+export function getFundingAmountsForTrade(tradeData) {
+  if (!tradeData?.quote_amount_wei) {
+    return null;
+  }
+
+  try {
+    return calculateFundingAmounts(
+      BigInt(tradeData.quote_amount_wei),
+      getTradeFeeBps(tradeData),
+    );
+  } catch (error) {
+    logger.warn('Unable to compute escrow funding amounts', {
+      tradeId: tradeData?.trade_id,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Generates a JWT-secured funding URL for the buyer.
+ *
+ * @param {string} tradeId - Trade identifier.
+ * @returns {string} Absolute URL of the client funding page.
+ */
+export function generateFundingUrl(tradeId) {
+  const token = jwt.sign(
+    { tradeId, userType: 'buyer', purpose: 'fund' },
+    env.JWT_SECRET,
+    { expiresIn: '1h' },
+  );
+
+  const params = new URLSearchParams();
+  params.append('token', token);
+  return `${CLIENT_URL}/fund?${params.toString()}`;
+}
+
+// HELPER: Moves a trade to the next escrow status along with the on-chain data.
+// If the escrow indexer already synced the same step from the chain, the
+// bot-only details are still stored on top of it.
+async function applyEscrowTransition(tradeId, status, changes, label) {
+  try {
+    return await transitionTrade(tradeId, status, changes);
+  } catch (error) {
+    if (error instanceof TradeTransitionError && error.from === status) {
+      const { data, error: updateError } = await getDbClient()
+        .from('trades')
+        .update(changes)
+        .eq('trade_id', tradeId)
+        .select('*')
+        .single();
+
+      if (!updateError) {
+        return data;
+      }
+    }
+
+    logger.error(`Error storing ${label}:`, { tradeId, error });
+    throw error;
+  }
+}
+
+/**
+ * Stores the verified on-chain escrow trade against the trade row.
+ *
+ * @param {string} tradeId - Trade identifier.
+ * @param {object} funding - Verified funding data.
+ * @param {string} funding.escrowTradeId - On-chain trade ID from the `Created` event.
+ * @param {string} funding.txHash - Funding transaction hash.
+ * @param {bigint|string} funding.tradeAmountWei - Escrowed amount excluding fees.
+ * @param {Date} funding.fundedAt - Block timestamp of the funding transaction.
+ * @returns {Promise<object>} Updated trade row.
+ */
+export async function recordEscrowFunding(tradeId, funding) {
+  return applyEscrowTransition(
+    tradeId,
+    TRADE_STATUS.FUNDED,
+    {
+      escrow_trade_id: funding.escrowTradeId,
+      funding_tx_hash: funding.txHash,
+      funding_amount_wei: funding.tradeAmountWei.toString(),
+      funded_at: funding.fundedAt.toISOString(),
+      chain_status: 'funded',
+    },
+    'escrow funding',
+  );
+}
+
+/**
+ * Forgets a pending funding transaction that did not fund the escrow, so the
+ * trade can be funded, edited or cancelled again.
+ *
+ * Only applies while the trade is still confirmed, not linked to an escrow
+ * trade, and pending on that same transaction.
+ *
+ * @param {string} tradeId - Trade identifier.
+ * @param {string} txHash - Pending funding transaction to forget.
+ * @returns {Promise<object|null>} Updated trade row, or null if the trade moved on.
+ * @throws {Error} If the update fails.
+ */
+export async function clearPendingFunding(tradeId, txHash) {
+  const { data, error } = await getDbClient()
+    .from('trades')
+    .update({
+      funding_tx_hash: null,
+      funding_amount_wei: null,
+      funding_submitted_at: null,
+    })
+    .eq('trade_id', tradeId)
+    .eq('status', TRADE_STATUS.CONFIRMED)
+    .eq('funding_tx_hash', txHash)
+    .is('escrow_trade_id', null)
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to clear pending funding: ${error.message}`);
+  }
+
+  return data?.[0] || null;
+}
+
+/**
+ * Stores the bot-submitted delivery confirmation against the trade row.
+ *
+ * @param {string} tradeId - Trade identifier.
+ * @param {object} delivery - Mined `markDelivered` transaction data.
+ * @param {string} delivery.txHash - Delivery transaction hash.
+ * @param {Date} delivery.deliveredAt - Block timestamp of the delivery.
+ * @returns {Promise<object>} Updated trade row.
+ */
+export async function recordEscrowDelivery(tradeId, delivery) {
+  return applyEscrowTransition(
+    tradeId,
+    TRADE_STATUS.DELIVERED,
+    {
+      delivery_tx_hash: delivery.txHash,
+      delivered_at: delivery.deliveredAt.toISOString(),
+      chain_status: 'delivered',
+    },
+    'escrow delivery',
+  );
+}
+
+/**
+ * Stores a mined escrow release (payout and seller fee split) on the trade row.
+ *
+ * @param {string} tradeId - Trade identifier.
+ * @param {object} release - Parsed release transaction data.
+ * @param {string} release.txHash - Release transaction hash.
+ * @param {Date} release.completedAt - Block timestamp of the release.
+ * @param {bigint} release.payoutWei - Amount paid out to the seller.
+ * @param {bigint} release.sellerFeeWei - Seller fee deducted from the trade amount.
+ * @param {bigint} release.botFeeWei - Bot share of the seller fee.
+ * @param {bigint} release.feeReceiverFeeWei - Fee receiver share of the seller fee.
+ * @param {object} [options={}] - Release metadata.
+ * @param {boolean} [options.approved=false] - Whether the buyer approved the release.
+ * @returns {Promise<object>} Updated trade row.
+ */
+export async function recordEscrowRelease(
+  tradeId,
+  release,
+  { approved = false } = {},
+) {
+  const update = {
+    release_tx_hash: release.txHash,
+    completed_at: release.completedAt.toISOString(),
+    payout_amount_wei: release.payoutWei.toString(),
+    seller_fee_wei: release.sellerFeeWei.toString(),
+    seller_fee_bot_wei: release.botFeeWei.toString(),
+    seller_fee_receiver_wei: release.feeReceiverFeeWei.toString(),
+    chain_status: 'completed',
+  };
+
+  if (approved) {
+    update.approved_at = release.completedAt.toISOString();
+  }
+
+  return applyEscrowTransition(
+    tradeId,
+    TRADE_STATUS.COMPLETED,
+    update,
+    'escrow release',
+  );
+}
+
+/**
+ * Stores a dispute opened on-chain by the bot on behalf of a participant.
+ *
+ * @param {string} tradeId - Trade identifier.
+ * @param {object} dispute - Mined `openDispute` transaction data.
+ * @param {string} dispute.txHash - Dispute transaction hash.
+ * @param {Date} dispute.disputedAt - Block timestamp of the dispute.
+ * @param {string} raisedBy - Discord ID of the participant who raised it.
+ * @returns {Promise<object>} Updated trade row.
+ */
+export async function recordEscrowDispute(tradeId, dispute, raisedBy) {
+  return applyEscrowTransition(
+    tradeId,
+    TRADE_STATUS.DISPUTED,
+    {
+      dispute_tx_hash: dispute.txHash,
+      disputed_at: dispute.disputedAt.toISOString(),
+      dispute_raised_by: raisedBy,
+      chain_status: 'disputed',
+    },
+    'escrow dispute',
+  );
+}
+
+/**
+ * Stores a moderator's dispute resolution and the resulting payouts.
+ *
+ * @param {string} tradeId - Trade identifier.
+ * @param {object} resolution - Parsed `resolveDispute` transaction data.
+ * @param {string} resolution.txHash - Resolution transaction hash.
+ * @param {Date} resolution.completedAt - Block timestamp of the resolution.
+ * @param {bigint} resolution.buyerPayoutWei - Amount refunded to the buyer.
+ * @param {bigint} resolution.sellerPayoutWei - Amount paid to the seller.
+ * @param {object} decision - Moderator decision.
+ * @param {string} decision.resolvedBy - Discord ID of the moderator.
+ * @param {number} decision.buyerShareBps - Buyer share in basis points.
+ * @param {number} decision.sellerShareBps - Seller share in basis points.
+ * @returns {Promise<object>} Updated trade row.
+ */
+export async function recordDisputeResolution(tradeId, resolution, decision) {
+  return applyEscrowTransition(
+    tradeId,
+    TRADE_STATUS.COMPLETED,
+    {
+      release_tx_hash: resolution.txHash,
+      completed_at: resolution.completedAt.toISOString(),
+      refund_amount_wei: resolution.buyerPayoutWei.toString(),
+      payout_amount_wei: resolution.sellerPayoutWei.toString(),
+      dispute_resolved_by: decision.resolvedBy,
+      dispute_buyer_share_bps: decision.buyerShareBps,
+      dispute_seller_share_bps: decision.sellerShareBps,
+      chain_status: 'completed',
+    },
+    'dispute resolution',
+  );
+}
+
+// HELPER: Validates a funding token and loads everything needed to fund the escrow.
+// With requireActiveQuote, an expired price quote on a trade that is not funded
+// or pending funding is rejected.
+async function resolveFundingContext(
+  token,
+  { requireActiveQuote = false } = {},
+) {
+  if (!token) {
+    throw { status: 400, message: 'Missing required parameters' };
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, env.JWT_SECRET);
+  } catch (jwtError) {
+    throw { status: 401, message: jwtError.message };
+  }
+
+  if (decoded.purpose !== 'fund' || decoded.userType !== 'buyer') {
+    throw { status: 403, message: 'This link cannot be used for funding' };
+  }
+
+  const tradeData = await getRegisteredTradeMessage(decoded.tradeId);
+  if (!tradeData) {
+    throw { status: 404, message: 'Trade not found' };
+  }
+
+  if (
+    tradeData.status !== TRADE_STATUS.CONFIRMED &&
+    !isEscrowStatus(tradeData.status)
+  ) {
+    throw {
+      status: 409,
+      message: 'Both participants must confirm before the escrow is funded.',
+    };
+  }
+
+  const connections = await getTradeWalletConnections(decoded.tradeId);
+  const buyerWallet = connections.find(
+    (c) => c.discord_user_id === tradeData.buyer_id,
+  )?.wallet_address;
+  const sellerWallet = connections.find(
+    (c) => c.discord_user_id === tradeData.seller_id,
+  )?.wallet_address;
+
+  if (!buyerWallet || !sellerWallet) {
+    throw {
+      status: 409,
+      message: 'Both participants must connect a wallet before funding.',
+    };
+  }
+
+  if (
+    requireActiveQuote &&
+    tradeData.status === TRADE_STATUS.CONFIRMED &&
+    !tradeData.funding_tx_hash &&
+    !hasActiveQuote(tradeData)
+  ) {
+    throw {
+      status: 409,
+      message:
+        'The price quote for this trade has expired. Refresh it in Discord before funding.',
+    };
+  }
+
+  const network = tradeData.chain_id
+    ? getNetwork(tradeData.chain_id)
+    : getDefaultNetwork();
+  if (!network) {
+    throw {
+      status: 409,
+      message: 'The network this trade runs on is no longer supported.',
+    };
+  }
+
+  const amounts = getFundingAmountsForTrade(tradeData);
+  if (!amounts) {
+    throw { status: 500, message: 'Unable to compute the funding amount' };
+  }
+
+  return { tradeData, network, buyerWallet, sellerWallet, amounts };
+}
+
+/**
+ * Finds another trade already linked to a funding transaction or escrow trade.
+ *
+ * @param {string} tradeId - Trade being funded.
+ * @param {object} link - Exactly one of the values to look up.
+ * @param {string} [link.txHash] - Funding transaction hash.
+ * @param {{chainId: number, escrowTradeId: string}} [link.escrow] - On-chain escrow trade.
+ * @returns {Promise<string|null>} ID of the other trade, or null if there is none.
+ * @throws {Error} If the lookup fails.
+ */
+async function findFundingConflict(tradeId, { txHash, escrow }) {
+  let query = getDbClient()
+    .from('trades')
+    .select('trade_id')
+    .neq('trade_id', tradeId);
+
+  query = txHash
+    ? query.eq('funding_tx_hash', txHash)
+    : query
+        .eq('chain_id', escrow.chainId)
+        .eq('escrow_trade_id', escrow.escrowTradeId);
+
+  const { data, error } = await query.limit(1);
+  if (error) {
+    throw new Error(`Failed to check funding links: ${error.message}`);
+  }
+
+  return data?.[0]?.trade_id || null;
+}
+
+/**
+ * Records until when a fee authorization for the current terms is valid,
+ * before it is signed, so the terms cannot change while the buyer can still
+ * fund them. A live authorization is reused rather than extended.
+ *
+ * @param {object} tradeData - Confirmed trade row.
+ * @returns {Promise<Date>} Deadline to sign the authorization with.
+ * @throws {Error|{status: number, message: string}} If the trade changed in
+ *   the meantime or the deadline cannot be stored.
+ */
+async function recordFeeAuthorization(tradeData) {
+  const liveUntil = getFeeAuthorizationExpiry(tradeData);
+  if (liveUntil) {
+    return liveUntil;
+  }
+
+  const deadline = tradeData.quote_expires_at
+    ? new Date(tradeData.quote_expires_at)
+    : new Date(Date.now() + FEE_AUTHORIZATION_TTL_MS);
+
+  const { data, error } = await getDbClient()
+    .from('trades')
+    .update({ fee_authorized_until: deadline.toISOString() })
+    .eq('trade_id', tradeData.trade_id)
+    .eq('status', TRADE_STATUS.CONFIRMED)
+    .is('funding_tx_hash', null)
+    .select('trade_id');
+
+  if (error) {
+    throw new Error(`Failed to store fee authorization: ${error.message}`);
+  }
+
+  if (!data?.length) {
+    throw {
+      status: 409,
+      message:
+        'This trade changed in the meantime. Reload the page to see its current state.',
+    };
+  }
+
+  return deadline;
+}
+
+/**
+ * Checks whether an error was raised by a UNIQUE constraint.
+ *
+ * @param {Error|object|null} error - Database error, possibly wrapped as `cause`.
+ * @returns {boolean}
+ */
+function isUniqueViolation(error) {
+  return (error?.cause?.code ?? error?.code) === UNIQUE_VIOLATION;
+}
+
+// API endpoint returning the parameters for createAndFundTrade / createAndFundTokenTrade
+app.post('/api/escrow/funding', async (req, res) => {
+  try {
+    const { tradeData, network, buyerWallet, sellerWallet, amounts } =
+      await resolveFundingContext(req.body?.token, {
+        requireActiveQuote: true,
+      });
+
+    const funded = isEscrowStatus(tradeData.status);
+    // A second authorization while a funding transaction is pending would let
+    // the buyer fund another escrow that could never be linked to the trade.
+    const pending = !funded && !!tradeData.funding_tx_hash;
+
+    // The contract only accepts the trade's fee rate with the bot's signature.
+    // It stays valid as long as the locked quote.
+    const feeAuthorization =
+      funded || pending
+        ? null
+        : await signFeeAuthorization(network, {
+            buyerWallet,
+            sellerWallet,
+            tokenAddress: tradeData.asset_address,
+            tradeAmountWei: amounts.tradeAmountWei,
+            feeBps: amounts.feeBps,
+            deadline: await recordFeeAuthorization(tradeData),
+          });
+
+    res.json({
+      tradeId: tradeData.trade_id,
+      item: tradeData.item,
+      price:
+        tradeData.price_cents != null
+          ? formatUsd(toBigInt(tradeData.price_cents))
+          : null,
+      chainId: network.chainId,
+      networkName: network.name,
+      escrowAddress: network.escrowAddress,
+      buyerWallet,
+      sellerWallet,
+      tradeAmountWei: amounts.tradeAmountWei.toString(),
+      buyerFeeWei: amounts.buyerFeeWei.toString(),
+      totalWei: amounts.totalWei.toString(),
+      feeBps: amounts.feeBps,
+      feeAuthorization,
+      asset: getTradeAsset(tradeData),
+      usdPrice: tradeData.quote_usd_price,
+      quoteExpiresAt: tradeData.quote_expires_at,
+      funded,
+      pending,
+      fundingTxHash: tradeData.funding_tx_hash || null,
+      escrowTradeId: tradeData.escrow_trade_id || null,
+    });
+  } catch (err) {
+    res
+      .status(err.status || 500)
+      .json({ error: err.message || 'Internal server error' });
+  }
+});
+
+// API endpoint called by the client once the funding transaction is sent
+app.post('/api/escrow/funded', async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    if (!/^0x[a-fA-F0-9]{64}$/.test(req.body?.txHash || '')) {
+      throw { status: 400, message: 'Invalid transaction hash' };
+    }
+    // Stored lowercase, as the indexer does, so the unique index sees one hash.
+    const txHash = req.body.txHash.toLowerCase();
+
+    const { tradeData, network, buyerWallet, sellerWallet, amounts } =
+      await resolveFundingContext(token);
+
+    if (tradeData.status !== TRADE_STATUS.CONFIRMED) {
+      throw { status: 409, message: 'This trade has already been funded.' };
+    }
+
+    if (tradeData.funding_tx_hash && tradeData.funding_tx_hash !== txHash) {
+      throw {
+        status: 409,
+        message:
+          'Another funding transaction is already pending for this trade.',
+      };
+    }
+
+    if (await findFundingConflict(tradeData.trade_id, { txHash })) {
+      throw FUNDING_CONFLICT;
+    }
+
+    // Remember the pending transaction so the escrow indexer can link it
+    // even if verification below times out. Only a transaction the buyer
+    // actually sent to the escrow is kept; the indexer drops it again if it
+    // never creates an escrow trade.
+    if (!tradeData.funding_tx_hash) {
+      try {
+        await checkFundingTransaction(network, txHash, buyerWallet);
+      } catch (checkError) {
+        throw { status: 422, message: checkError.message };
+      }
+
+      const { data: pendingRows, error: pendingError } = await getDbClient()
+        .from('trades')
+        .update({
+          funding_tx_hash: txHash,
+          funding_amount_wei: amounts.tradeAmountWei.toString(),
+          funding_submitted_at: new Date().toISOString(),
+        })
+        .eq('trade_id', tradeData.trade_id)
+        .eq('status', TRADE_STATUS.CONFIRMED)
+        .is('funding_tx_hash', null)
+        .select('trade_id');
+
+      if (pendingError) {
+        if (isUniqueViolation(pendingError)) throw FUNDING_CONFLICT;
+        throw new Error(
+          `Failed to store funding transaction: ${pendingError.message}`,
+        );
+      }
+
+      if (!pendingRows?.length) {
+        throw {
+          status: 409,
+          message:
+            'This trade changed in the meantime. Reload the page to see its current state.',
+        };
+      }
+    }
+
+    const forgetPendingFunding = () =>
+      clearPendingFunding(tradeData.trade_id, txHash);
+
+    let verified;
+    try {
+      verified = await verifyFundingTransaction(network, txHash, {
+        buyerWallet,
+        sellerWallet,
+        tradeAmountWei: amounts.tradeAmountWei,
+        tokenAddress: tradeData.asset_address,
+        feeBps: amounts.feeBps,
+      });
+    } catch (verifyError) {
+      if (verifyError.code === 'TIMEOUT') {
+        logger.info('Escrow funding still pending, leaving it to the indexer', {
+          tradeId: tradeData.trade_id,
+          txHash,
+        });
+        return res.status(202).json({ success: true, pending: true });
+      }
+
+      logger.warn('Escrow funding verification failed', {
+        tradeId: tradeData.trade_id,
+        txHash,
+        error: verifyError.message,
+      });
+
+      await forgetPendingFunding();
+      throw { status: 422, message: verifyError.message };
+    }
+
+    const escrow = {
+      chainId: network.chainId,
+      escrowTradeId: verified.escrowTradeId,
+    };
+    if (await findFundingConflict(tradeData.trade_id, { escrow })) {
+      await forgetPendingFunding();
+      throw FUNDING_CONFLICT;
+    }
+
+    let updatedTrade;
+    try {
+      updatedTrade = await recordEscrowFunding(tradeData.trade_id, {
+        escrowTradeId: verified.escrowTradeId,
+        txHash,
+        tradeAmountWei: amounts.tradeAmountWei,
+        fundedAt: verified.fundedAt,
+      });
+    } catch (recordError) {
+      if (isUniqueViolation(recordError)) {
+        await forgetPendingFunding();
+        throw FUNDING_CONFLICT;
+      }
+      throw recordError;
+    }
+
+    logger.info(
+      `Escrow funded: ${tradeData.trade_id} | escrow #${verified.escrowTradeId}`,
+    );
+
+    updateDiscordTradeMessage(tradeData.trade_id, updatedTrade).catch((err) =>
+      logger.warn('Failed to update Discord UI:', err.message),
+    );
+
+    res.json({
+      success: true,
+      tradeId: tradeData.trade_id,
+      escrowTradeId: verified.escrowTradeId,
+    });
+  } catch (err) {
+    res
+      .status(err.status || 500)
+      .json({ error: err.message || 'Internal server error' });
+  }
+});
+
 /**
  * Fetches a single wallet connection for a trade/user combination.
  *
@@ -1,6 +1,11 @@
 import ConnectWallet from './pages/ConnectWallet';
+import FundEscrow from './pages/FundEscrow';
 
 function App() {
+  if (window.location.pathname.startsWith('/fund')) {
+    return <FundEscrow />;
+  }
+
   return <ConnectWallet />;
 }
 
@@ -1,6 +1,6 @@
 import { createAppKit } from '@reown/appkit/react';
 import { WagmiProvider } from 'wagmi';
-import { base, baseSepolia, mainnet } from '@reown/appkit/networks';
+import { base, baseSepolia, mainnet, sepolia } from '@reown/appkit/networks';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { WagmiAdapter } from '@reown/appkit-adapter-wagmi';
 
@@ -18,8 +18,9 @@ const metadata = {
   icons: ['https://avatars.mywebsite.com/'],
 };
 
-// 4. Set the networks
-const networks = [mainnet, base, baseSepolia];
+// 4. Set the networks (every chain the escrow may be deployed on). The bot
+// only accepts these chains; keep KNOWN_CHAINS in bot/utils/networks.js in sync.
+const networks = [mainnet, sepolia, base, baseSepolia];
 
 // 5. Create Wagmi Adapter
 const wagmiAdapter = new WagmiAdapter({
@@ -0,0 +1,3 @@
+// Base URL of the bot's wallet server
+export const SERVER_URL =
+  import.meta.env.VITE_SERVER_URL || 'http://localhost:3001';
@@ -0,0 +1,66 @@
+// Minimal AmisEscrowManager ABI used by the client
+export const ESCROW_ABI = [
+  {
+    type: 'function',
+    name: 'createAndFundTrade',
+    stateMutability: 'payable',
+    inputs: [
+      { name: '_seller', type: 'address' },
+      { name: '_tradeAmount', type: 'uint256' },
+      {
+        name: '_fee',
+        type: 'tuple',
+        components: [
+          { name: 'feeBps', type: 'uint256' },
+          { name: 'deadline', type: 'uint256' },
+          { name: 'signature', type: 'bytes' },
+        ],
+      },
+    ],
+    outputs: [{ name: '', type: 'uint256' }],
+  },
+  {
+    type: 'function',
+    name: 'createAndFundTokenTrade',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: '_seller', type: 'address' },
+      { name: '_token', type: 'address' },
+      { name: '_tradeAmount', type: 'uint256' },
+      {
+        name: '_fee',
+        type: 'tuple',
+        components: [
+          { name: 'feeBps', type: 'uint256' },
+          { name: 'deadline', type: 'uint256' },
+          { name: 'signature', type: 'bytes' },
+        ],
+      },
+    ],
+    outputs: [{ name: '', type: 'uint256' }],
+  },
+];
+
+// ERC-20 calls needed to let the escrow pull stablecoin deposits
+export const ERC20_ABI = [
+  {
+    type: 'function',
+    name: 'allowance',
+    stateMutability: 'view',
+    inputs: [
+      { name: 'owner', type: 'address' },
+      { name: 'spender', type: 'address' },
+    ],
+    outputs: [{ name: '', type: 'uint256' }],
+  },
+  {
+    type: 'function',
+    name: 'approve',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'spender', type: 'address' },
+      { name: 'amount', type: 'uint256' },
+    ],
+    outputs: [{ name: '', type: 'bool' }],
+  },
+];
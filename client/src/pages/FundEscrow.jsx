@@ -0,0 +1,344 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { formatUnits } from 'viem';
+import {
+  useConnection,
+  usePublicClient,
+  useSwitchChain,
+  useWriteContract,
+} from 'wagmi';
+import { useAppKit, useAppKitAccount } from '@reown/appkit/react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { SERVER_URL } from '@/lib/api';
+import { ERC20_ABI, ESCROW_ABI } from '@/lib/escrow';
+
+function truncateWalletAddress(address) {
+  if (!address || address.length < 10) return address;
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+function FundEscrow() {
+  const { open } = useAppKit();
+  const { address, isConnected } = useAppKitAccount();
+  const { writeContractAsync } = useWriteContract();
+  const { chainId: walletChainId } = useConnection();
+  const { switchChainAsync } = useSwitchChain();
+
+  const token = new URLSearchParams(window.location.search).get('token');
+
+  const [funding, setFunding] = useState(null);
+  // Reads and receipts must come from the chain the trade runs on.
+  const publicClient = usePublicClient({ chainId: funding?.chainId });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // idle -> (switching ->) (approving ->) signing -> confirming -> funded (or pending if still unconfirmed)
+  const [status, setStatus] = useState('idle');
+  const [txHash, setTxHash] = useState(null);
+  const [quoteExpired, setQuoteExpired] = useState(false);
+
+  const fetchFunding = useCallback(async () => {
+    if (!token) {
+      setError('No funding token provided');
+      setLoading(false);
+      return;
+    }
+
+    try {
+      const response = await fetch(`${SERVER_URL}/api/escrow/funding`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load funding details');
+      }
+      setFunding(data);
+      if (data.funded) {
+        setStatus('funded');
+      } else if (data.pending) {
+        setTxHash(data.fundingTxHash);
+        setStatus('pending');
+      }
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching funding details:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchFunding();
+  }, [fetchFunding]);
+
+  // The server only accepts funding at the locked rate until it expires.
+  useEffect(() => {
+    if (!funding?.quoteExpiresAt || funding.funded) return undefined;
+
+    const remaining = new Date(funding.quoteExpiresAt).getTime() - Date.now();
+    setQuoteExpired(remaining <= 0);
+    if (remaining <= 0) return undefined;
+
+    const timer = setTimeout(() => setQuoteExpired(true), remaining);
+    return () => clearTimeout(timer);
+  }, [funding]);
+
+  const walletMatches =
+    !!address &&
+    !!funding?.buyerWallet &&
+    address.toLowerCase() === funding.buyerWallet.toLowerCase();
+
+  const handleFund = useCallback(async () => {
+    if (!funding || !walletMatches) {
+      return;
+    }
+
+    setError(null);
+
+    try {
+      // The escrow only exists on the trade's network, so move the wallet
+      // there before sending anything.
+      if (walletChainId !== funding.chainId) {
+        setStatus('switching');
+        await switchChainAsync({ chainId: funding.chainId });
+      }
+
+      const tokenAddress = funding.asset?.address;
+      // Rate signed by the bot; the contract rejects any other fee.
+      const feeAuthorization = {
+        feeBps: BigInt(funding.feeAuthorization.feeBps),
+        deadline: BigInt(funding.feeAuthorization.deadline),
+        signature: funding.feeAuthorization.signature,
+      };
+      let hash;
+
+      if (tokenAddress) {
+        // Stablecoin trades: let the escrow pull the deposit, then fund.
+        const allowance = await publicClient.readContract({
+          address: tokenAddress,
+          abi: ERC20_ABI,
+          functionName: 'allowance',
+          args: [address, funding.escrowAddress],
+        });
+
+        if (allowance < BigInt(funding.totalWei)) {
+          setStatus('approving');
+          const approveHash = await writeContractAsync({
+            address: tokenAddress,
+            abi: ERC20_ABI,
+            functionName: 'approve',
+            args: [funding.escrowAddress, BigInt(funding.totalWei)],
+            chainId: funding.chainId,
+          });
+          await publicClient.waitForTransactionReceipt({ hash: approveHash });
+        }
+
+        setStatus('signing');
+        hash = await writeContractAsync({
+          address: funding.escrowAddress,
+          abi: ESCROW_ABI,
+          functionName: 'createAndFundTokenTrade',
+          args: [
+            funding.sellerWallet,
+            tokenAddress,
+            BigInt(funding.tradeAmountWei),
+            feeAuthorization,
+          ],
+          chainId: funding.chainId,
+        });
+      } else {
+        setStatus('signing');
+        hash = await writeContractAsync({
+          address: funding.escrowAddress,
+          abi: ESCROW_ABI,
+          functionName: 'createAndFundTrade',
+          args: [
+            funding.sellerWallet,
+            BigInt(funding.tradeAmountWei),
+            feeAuthorization,
+          ],
+          value: BigInt(funding.totalWei),
+          chainId: funding.chainId,
+        });
+      }
+
+      setTxHash(hash);
+      setStatus('confirming');
+
+      const response = await fetch(`${SERVER_URL}/api/escrow/funded`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, txHash: hash }),
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to confirm funding');
+      }
+
+      if (result.pending) {
+        setStatus('pending');
+        return;
+      }
+
+      setFunding((prev) => ({
+        ...prev,
+        funded: true,
+        escrowTradeId: result.escrowTradeId,
+      }));
+      setStatus('funded');
+    } catch (err) {
+      console.error('Error funding escrow:', err);
+      setError(err.shortMessage || err.message);
+      setStatus('idle');
+    }
+  }, [
+    funding,
+    walletMatches,
+    walletChainId,
+    switchChainAsync,
+    writeContractAsync,
+    publicClient,
+    address,
+    token,
+  ]);
+
+  const busy =
+    status === 'switching' ||
+    status === 'approving' ||
+    status === 'signing' ||
+    status === 'confirming';
+  const formatAmount = (amount) =>
+    `${formatUnits(BigInt(amount), funding.asset.decimals)} ${funding.asset.symbol}`;
+
+  return (
+    <div className="flex justify-center items-center min-h-screen bg-brand-bg">
+      <Card className="w-full max-w-md border-border">
+        <CardHeader>
+          <CardTitle className="font-bold text-brand-dark">
+            Fund Escrow
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {loading ? (
+            <p className="text-sm">Loading funding details...</p>
+          ) : !funding ? (
+            <p className="text-sm text-red-500">Error: {error}</p>
+          ) : (
+            <>
+              <div>
+                <p className="text-sm font-medium">Trade ID:</p>
+                <p className="text-sm">{funding.tradeId}</p>
+              </div>
+              <div>
+                <p className="text-sm font-medium">Item:</p>
+                <p className="text-sm">{funding.item || 'Not provided'}</p>
+              </div>
+              <div>
+                <p className="text-sm font-medium">Price:</p>
+                <p className="text-sm">${funding.price}</p>
+              </div>
+              <div>
+                <p className="text-sm font-medium">Network:</p>
+                <p className="text-sm">
+                  {funding.networkName || `Chain ${funding.chainId}`}
+                </p>
+              </div>
+              <div>
+                <p className="text-sm font-medium">Seller Wallet:</p>
+                <p className="text-sm">
+                  {truncateWalletAddress(funding.sellerWallet)}
+                </p>
+              </div>
+              <div>
+                <p className="text-sm font-medium">You Deposit:</p>
+                <p className="text-sm">
+                  {formatAmount(funding.totalWei)} (
+                  {formatAmount(funding.tradeAmountWei)} +{' '}
+                  {funding.feeBps ? `${funding.feeBps / 100}% fee` : 'no fee'})
+                </p>
+              </div>
+              {funding.usdPrice && (
+                <div>
+                  <p className="text-sm font-medium">Rate:</p>
+                  <p className="text-sm">
+                    1 {funding.asset.symbol} = ${funding.usdPrice}
+                    {funding.quoteExpiresAt &&
+                      ` (locked until ${new Date(funding.quoteExpiresAt).toLocaleTimeString()})`}
+                  </p>
+                </div>
+              )}
+
+              {status === 'funded' ? (
+                <p className="text-sm text-green-600">
+                  ✓ Escrow #{funding.escrowTradeId} funded. You can return to
+                  Discord.
+                </p>
+              ) : status === 'pending' ? (
+                <p className="text-sm text-muted-foreground">
+                  Transaction submitted. Your Discord thread will update once it
+                  is confirmed on-chain.
+                </p>
+              ) : quoteExpired && status === 'idle' ? (
+                <p className="text-sm text-red-500">
+                  The locked rate has expired. Click Refresh Quote in Discord,
+                  then reload this page.
+                </p>
+              ) : !isConnected ? (
+                <Button
+                  onClick={() => open()}
+                  className="w-full bg-primary hover:bg-primary/90 cursor-pointer"
+                >
+                  Connect Wallet
+                </Button>
+              ) : !walletMatches ? (
+                <div className="space-y-2">
+                  <p className="text-xs text-red-500">
+                    Connected wallet {truncateWalletAddress(address)} does not
+                    match the buyer wallet{' '}
+                    {truncateWalletAddress(funding.buyerWallet)} confirmed for
+                    this trade.
+                  </p>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    className="w-full"
+                    onClick={() => open({ view: 'Account' })}
+                  >
+                    Switch Wallet
+                  </Button>
+                </div>
+              ) : (
+                <Button
+                  onClick={handleFund}
+                  className="w-full bg-primary hover:bg-primary/90 cursor-pointer"
+                  disabled={busy}
+                >
+                  {status === 'switching'
+                    ? `Switch to ${funding.networkName} in your wallet...`
+                    : status === 'approving'
+                      ? `Approve ${funding.asset.symbol} in your wallet...`
+                      : status === 'signing'
+                        ? 'Confirm in your wallet...'
+                        : status === 'confirming'
+                          ? 'Waiting for confirmation...'
+                          : 'Fund Escrow'}
+                </Button>
+              )}
+
+              {txHash && (
+                <p className="text-xs text-muted-foreground break-all">
+                  Transaction: {txHash}
+                </p>
+              )}
+              {error && <p className="text-sm text-red-500">Error: {error}</p>}
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+export default FundEscrow;
@@ -2,9 +2,15 @@
 pragma solidity ^0.8.28;
 
 import '@openzeppelin/contracts/security/ReentrancyGuard.sol';
+import '@openzeppelin/contracts/token/ERC20/IERC20.sol';
+import '@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol';
+import '@openzeppelin/contracts/utils/cryptography/ECDSA.sol';
 
 contract AmisEscrowManager is ReentrancyGuard {
-  uint256 public constant FEE_BPS = 250; // 2.5%
+  using SafeERC20 for IERC20;
+
+  uint256 public constant FEE_BPS = 250; // 2.5% standard rate per side
+  uint256 public constant MAX_FEE_BPS = 1000; // 10% ceiling for any signed rate
   uint256 public constant TOTAL_FEE_BPS = 500; // 5% total (2.5% buyer + 2.5% seller)
   uint256 public constant BOT_SHARE_BPS = 100; // 1%
 
@@ -12,6 +18,9 @@ contract AmisEscrowManager is ReentrancyGuard {
   address public feeReceiver;
   uint256 public tradeCount;
 
+  // ERC-20 tokens trades may be funded with (address(0) is native ETH)
+  mapping(address => bool) public allowedTokens;
+
   uint256 public immutable releaseTimeout = 1 days;
 
   enum TradeStatus {
@@ -27,7 +36,9 @@ contract AmisEscrowManager is ReentrancyGuard {
     uint256 tradeId;
     address buyer;
     address seller;
+    address token; // address(0) for native ETH
     uint256 amount;
+    uint256 feeBps; // fee charged on each side, authorized by the bot
     TradeStatus status;
     uint256 deliveryTimestamp;
     uint256 pendingBotFee;
@@ -36,12 +47,20 @@ contract AmisEscrowManager is ReentrancyGuard {
 
   mapping(uint256 => Trade) public trades;
 
+  struct FeeAuthorization {
+    uint256 feeBps;
+    uint256 deadline;
+    bytes signature;
+  }
+
   // --- EVENTS ---
   event Created(
     uint256 indexed tradeId,
     address indexed buyer,
     address indexed seller,
-    uint256 amount
+    address token,
+    uint256 amount,
+    uint256 feeBps
   );
   event Funded(uint256 indexed tradeId, address indexed buyer, uint256 amount);
   event Delivered(uint256 indexed tradeId, address indexed seller);
@@ -53,6 +72,7 @@ contract AmisEscrowManager is ReentrancyGuard {
     address indexed buyer,
     uint256 amount
   );
+  event TokenAllowed(address indexed token, bool allowed);
   // Cancelled event removed as feature is removed
   event BuyerFeeSplit(
     uint256 indexed tradeId,
@@ -78,26 +98,115 @@ contract AmisEscrowManager is ReentrancyGuard {
     feeReceiver = _feeReceiver;
   }
 
+  // --- TOKEN ALLOW-LIST ---
+  function setTokenAllowed(address token, bool allowed) external onlyBot {
+    require(token != address(0), 'invalid token');
+    allowedTokens[token] = allowed;
+    emit TokenAllowed(token, allowed);
+  }
+
   // --- TRADE CREATION & FUNDING (Merged) ---
   /**
    * @notice Called by Buyer via frontend (Web3Modal).
    * @param _seller The wallet address of the seller.
    * @param _tradeAmount The amount of ETH (in wei) the trade is for (excluding fees).
-   * msg.value must equal _tradeAmount + 2.5% fee.
+   * @param _fee Fee rate and the bot's authorization for it.
+   * msg.value must equal _tradeAmount + the buyer fee.
    */
   function createAndFundTrade(
     address _seller,
-    uint256 _tradeAmount
+    uint256 _tradeAmount,
+    FeeAuthorization calldata _fee
   ) external payable nonReentrant returns (uint256) {
+    _checkFeeAuthorization(_seller, address(0), _tradeAmount, _fee);
+
+    uint256 requiredTotal = _tradeAmount + _feeOf(_tradeAmount, _fee.feeBps);
+    require(msg.value == requiredTotal, 'incorrect funding amount');
+
+    return _createTrade(_seller, address(0), _tradeAmount, _fee.feeBps);
+  }
+
+  /**
+   * @notice Called by Buyer via frontend after approving this contract.
+   * @param _seller The wallet address of the seller.
+   * @param _token An allow-listed ERC-20 token the trade settles in.
+   * @param _tradeAmount The amount of tokens (in token units) the trade is for (excluding fees).
+   * @param _fee Fee rate and the bot's authorization for it.
+   * _tradeAmount + the buyer fee is pulled from the buyer with transferFrom.
+   */
+  function createAndFundTokenTrade(
+    address _seller,
+    address _token,
+    uint256 _tradeAmount,
+    FeeAuthorization calldata _fee
+  ) external nonReentrant returns (uint256) {
+    require(allowedTokens[_token], 'token not allowed');
+    _checkFeeAuthorization(_seller, _token, _tradeAmount, _fee);
+
+    uint256 requiredTotal = _tradeAmount + _feeOf(_tradeAmount, _fee.feeBps);
+
+    // Measure what actually arrived so fee-on-transfer tokens are rejected
+    uint256 balanceBefore = IERC20(_token).balanceOf(address(this));
+    IERC20(_token).safeTransferFrom(msg.sender, address(this), requiredTotal);
+    require(
+      IERC20(_token).balanceOf(address(this)) - balanceBefore == requiredTotal,
+      'incorrect funding amount'
+    );
+
+    return _createTrade(_seller, _token, _tradeAmount, _fee.feeBps);
+  }
+
+  function _feeOf(
+    uint256 _tradeAmount,
+    uint256 _feeBps
+  ) internal pure returns (uint256) {
+    return (_tradeAmount * _feeBps) / 10000;
+  }
+
+  // The bot signs the fee rate of each trade so guild overrides, minimum
+  // fees and promotions are enforced on-chain. The signature is bound to
+  // this contract, the chain, both parties, the asset and the amount.
+  function _checkFeeAuthorization(
+    address _seller,
+    address _token,
+    uint256 _tradeAmount,
+    FeeAuthorization calldata _fee
+  ) internal view {
+    require(_fee.feeBps <= MAX_FEE_BPS, 'fee too high');
+    require(block.timestamp <= _fee.deadline, 'fee authorization expired');
+
+    bytes32 digest = ECDSA.toEthSignedMessageHash(
+      keccak256(
+        abi.encode(
+          block.chainid,
+          address(this),
+          msg.sender,
+          _seller,
+          _token,
+          _tradeAmount,
+          _fee.feeBps,
+          _fee.deadline
+        )
+      )
+    );
+    require(
+      ECDSA.recover(digest, _fee.signature) == bot,
+      'invalid fee authorization'
+    );
+  }
+
+  // Internal trade creation shared by the native and token funding paths
+  function _createTrade(
+    address _seller,
+    address _token,
+    uint256 _tradeAmount,
+    uint256 _feeBps
+  ) internal returns (uint256) {
     require(_seller != address(0), 'invalid address');
     require(msg.sender != _seller, 'buyer cannot be seller');
     require(_tradeAmount > 0, 'amount must be greater than 0');
 
-    // Calculate required funding: Amount + 2.5%
-    uint256 buyerFee = (_tradeAmount * FEE_BPS) / 10000;
-    uint256 requiredTotal = _tradeAmount + buyerFee;
-
-    require(msg.value == requiredTotal, 'incorrect funding amount');
+    uint256 buyerFee = _feeOf(_tradeAmount, _feeBps);
 
     tradeCount++;
     uint256 id = tradeCount;
@@ -110,7 +219,9 @@ contract AmisEscrowManager is ReentrancyGuard {
       tradeId: id,
       buyer: msg.sender,
       seller: _seller,
+      token: _token,
       amount: _tradeAmount,
+      feeBps: _feeBps,
       status: TradeStatus.Funded, // Directly set to Funded
       deliveryTimestamp: 0,
       pendingBotFee: botFee,
@@ -118,7 +229,7 @@ contract AmisEscrowManager is ReentrancyGuard {
     });
 
     // Emit events for tracking
-    emit Created(id, msg.sender, _seller, _tradeAmount);
+    emit Created(id, msg.sender, _seller, _token, _tradeAmount, _feeBps);
     emit BuyerFeeSplit(id, buyerFee, botFee, feeReceiverFee);
     emit Funded(id, msg.sender, _tradeAmount);
 
@@ -181,7 +292,7 @@ contract AmisEscrowManager is ReentrancyGuard {
     require(t.status != TradeStatus.Completed, 'already completed');
     t.status = TradeStatus.Completed;
 
-    uint256 sellerFee = (t.amount * FEE_BPS) / 10000;
+    uint256 sellerFee = _feeOf(t.amount, t.feeBps);
     uint256 payout = t.amount - sellerFee;
 
     uint256 botFee = (sellerFee * BOT_SHARE_BPS) / TOTAL_FEE_BPS;
@@ -198,18 +309,35 @@ contract AmisEscrowManager is ReentrancyGuard {
     t.pendingBotFee = 0;
     t.pendingfeeReceiverFee = 0;
 
-    (bool sentSeller, ) = t.seller.call{ value: payout }('');
-    require(sentSeller, 'seller transfer failed');
-
-    (bool sentBot, ) = bot.call{ value: botAmount }('');
-    require(sentBot, 'bot transfer failed');
-
-    (bool sentFeeReceiver, ) = feeReceiver.call{ value: receiverAmount }('');
-    require(sentFeeReceiver, 'feeReceiver transfer failed');
+    _transfer(t.token, t.seller, payout, 'seller transfer failed');
+    _transfer(t.token, bot, botAmount, 'bot transfer failed');
+    _transfer(
+      t.token,
+      feeReceiver,
+      receiverAmount,
+      'feeReceiver transfer failed'
+    );
 
     emit Released(tradeId, t.seller, payout);
   }
 
+  // Pays out native ETH or the trade's ERC-20 token
+  function _transfer(
+    address token,
+    address to,
+    uint256 amount,
+    string memory errorMessage
+  ) internal {
+    if (amount == 0) return;
+
+    if (token == address(0)) {
+      (bool sent, ) = to.call{ value: amount }('');
+      require(sent, errorMessage);
+    } else {
+      IERC20(token).safeTransfer(to, amount);
+    }
+  }
+
   // --- DISPUTE ---
   function openDispute(uint256 tradeId, address raisedBy) external onlyBot {
     require(tradeId > 0 && tradeId <= tradeCount, 'invalid trade id');
@@ -244,7 +372,7 @@ contract AmisEscrowManager is ReentrancyGuard {
 
     t.status = TradeStatus.Completed;
 
-    uint256 totalFee = (t.amount * FEE_BPS) / 10000;
+    uint256 totalFee = _feeOf(t.amount, t.feeBps);
     uint256 distributable = t.amount - totalFee;
 
     uint256 buyerPayout = (distributable * buyerShareBps) / 10000;
@@ -262,21 +390,15 @@ contract AmisEscrowManager is ReentrancyGuard {
     t.pendingBotFee = 0;
     t.pendingfeeReceiverFee = 0;
 
-    if (buyerPayout > 0) {
-      (bool sentBuyer, ) = t.buyer.call{ value: buyerPayout }('');
-      require(sentBuyer, 'buyer transfer failed');
-    }
-
-    if (sellerPayout > 0) {
-      (bool sentSeller, ) = t.seller.call{ value: sellerPayout }('');
-      require(sentSeller, 'seller transfer failed');
-    }
-
-    (bool sentBot, ) = bot.call{ value: botAmount }('');
-    require(sentBot, 'bot transfer failed');
-
-    (bool sentFeeReceiver, ) = feeReceiver.call{ value: receiverAmount }('');
-    require(sentFeeReceiver, 'feeReceiver transfer failed');
+    _transfer(t.token, t.buyer, buyerPayout, 'buyer transfer failed');
+    _transfer(t.token, t.seller, sellerPayout, 'seller transfer failed');
+    _transfer(t.token, bot, botAmount, 'bot transfer failed');
+    _transfer(
+      t.token,
+      feeReceiver,
+      receiverAmount,
+      'feeReceiver transfer failed'
+    );
 
     emit Refunded(tradeId, t.buyer, buyerPayout);
     emit Released(tradeId, t.seller, sellerPayout);
@@ -12,11 +12,55 @@ CREATE TABLE IF NOT EXISTS trades (
     seller_id VARCHAR(255),
     buyer_display VARCHAR(255),
     seller_display VARCHAR(255),
+    status VARCHAR(32) NOT NULL DEFAULT 'draft',
     buyer_confirmed BOOLEAN DEFAULT FALSE,
     seller_confirmed BOOLEAN DEFAULT FALSE,
     item TEXT,
-    price VARCHAR(255),
+    price_cents BIGINT,
     additional_details TEXT,
+    cancelled_at TIMESTAMP,
+    cancelled_by VARCHAR(255),
+    thread_closed_at TIMESTAMP,
+    transcript_channel_id VARCHAR(255),
+    transcript_message_id VARCHAR(255),
+    transcript_created_at TIMESTAMP,
+    transcript_attempts INTEGER NOT NULL DEFAULT 0,
+    transcript_failed_at TIMESTAMP,
+    chain_id INTEGER,
+    fee_bps INTEGER,
+    asset_symbol VARCHAR(16),
+    asset_address VARCHAR(42),
+    asset_decimals INTEGER,
+    quote_usd_price VARCHAR(64),
+    quote_amount_wei NUMERIC(78, 0),
+    quote_source VARCHAR(32),
+    quoted_at TIMESTAMP,
+    quote_expires_at TIMESTAMP,
+    fee_authorized_until TIMESTAMP,
+    escrow_trade_id BIGINT,
+    funding_amount_wei NUMERIC(78, 0),
+    funding_tx_hash VARCHAR(66),
+    funding_submitted_at TIMESTAMP,
+    funded_at TIMESTAMP,
+    chain_status VARCHAR(32),
+    buyer_fee_wei NUMERIC(78, 0),
+    delivered_at TIMESTAMP,
+    delivery_tx_hash VARCHAR(66),
+    release_warning_hours NUMERIC,
+    disputed_at TIMESTAMP,
+    dispute_tx_hash VARCHAR(66),
+    dispute_raised_by VARCHAR(255),
+    dispute_resolved_by VARCHAR(255),
+    dispute_buyer_share_bps INTEGER,
+    dispute_seller_share_bps INTEGER,
+    approved_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    release_tx_hash VARCHAR(66),
+    payout_amount_wei NUMERIC(78, 0),
+    seller_fee_wei NUMERIC(78, 0),
+    seller_fee_bot_wei NUMERIC(78, 0),
+    seller_fee_receiver_wei NUMERIC(78, 0),
+    refund_amount_wei NUMERIC(78, 0),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -32,12 +76,287 @@ CREATE TABLE IF NOT EXISTS wallet_connections (
     UNIQUE(trade_id, discord_user_id)
 );
 
+-- Escrow events table: raw AmisEscrowManager events synced by the indexer
+CREATE TABLE IF NOT EXISTS escrow_events (
+    id SERIAL PRIMARY KEY,
+    chain_id INTEGER NOT NULL,
+    contract_address VARCHAR(42) NOT NULL,
+    escrow_trade_id BIGINT NOT NULL,
+    event_name VARCHAR(64) NOT NULL,
+    block_number BIGINT NOT NULL,
+    block_hash VARCHAR(66) NOT NULL,
+    block_timestamp TIMESTAMP,
+    tx_hash VARCHAR(66) NOT NULL,
+    log_index INTEGER NOT NULL,
+    args JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(tx_hash, log_index)
+);
+
+-- Indexer state table: last processed block per indexed contract
+CREATE TABLE IF NOT EXISTS indexer_state (
+    indexer_key VARCHAR(255) PRIMARY KEY,
+    last_block BIGINT NOT NULL,
+    last_block_hash VARCHAR(66),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Guild settings table: per-guild configuration chosen by admins
+CREATE TABLE IF NOT EXISTS guild_settings (
+    guild_id VARCHAR(255) PRIMARY KEY,
+    chain_id INTEGER,
+    fee_bps INTEGER,
+    fee_min_cents BIGINT,
+    fee_promo_until TIMESTAMP,
+    marketplace_channel_id VARCHAR(255),
+    vouches_channel_id VARCHAR(255),
+    staff_log_channel_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Trade drafts table: terms entered in the trade modal, awaiting confirmation
+CREATE TABLE IF NOT EXISTS trade_drafts (
+    id SERIAL PRIMARY KEY,
+    draft_id VARCHAR(64) UNIQUE NOT NULL,
+    owner_id VARCHAR(255) NOT NULL,
+    buyer_id VARCHAR(255) NOT NULL,
+    seller_id VARCHAR(255) NOT NULL,
+    item TEXT NOT NULL,
+    price_cents BIGINT NOT NULL,
+    additional_details TEXT,
+    fees_text TEXT,
+    chain_id INTEGER,
+    asset_symbol VARCHAR(16),
+    fee_bps INTEGER,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Trade invitations table: terms waiting for the counterparty to accept
+CREATE TABLE IF NOT EXISTS trade_invitations (
+    id SERIAL PRIMARY KEY,
+    invitation_id VARCHAR(64) UNIQUE NOT NULL,
+    guild_id VARCHAR(255) NOT NULL,
+    channel_id VARCHAR(255) NOT NULL,
+    message_id VARCHAR(255),
+    initiator_id VARCHAR(255) NOT NULL,
+    counterparty_id VARCHAR(255) NOT NULL,
+    buyer_id VARCHAR(255) NOT NULL,
+    seller_id VARCHAR(255) NOT NULL,
+    item TEXT,
+    price_cents BIGINT NOT NULL,
+    additional_details TEXT,
+    chain_id INTEGER,
+    asset_symbol VARCHAR(16),
+    fee_bps INTEGER,
+    round INTEGER NOT NULL DEFAULT 1,
+    awaiting_id VARCHAR(255),
+    status VARCHAR(16) NOT NULL DEFAULT 'pending',
+    trade_id VARCHAR(255),
+    expires_at TIMESTAMP NOT NULL,
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Trade offer rounds table: every offer and counter-offer made on an invitation
+CREATE TABLE IF NOT EXISTS trade_offer_rounds (
+    id SERIAL PRIMARY KEY,
+    invitation_id VARCHAR(64) NOT NULL,
+    round INTEGER NOT NULL,
+    proposed_by VARCHAR(255) NOT NULL,
+    item TEXT,
+    price_cents BIGINT NOT NULL,
+    additional_details TEXT,
+    fee_bps INTEGER,
+    outcome VARCHAR(16) NOT NULL DEFAULT 'pending',
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(invitation_id, round)
+);
+
+-- Listings table: standing offers sellers post to the marketplace channel
+CREATE TABLE IF NOT EXISTS listings (
+    id SERIAL PRIMARY KEY,
+    listing_id VARCHAR(64) UNIQUE NOT NULL,
+    guild_id VARCHAR(255) NOT NULL,
+    seller_id VARCHAR(255) NOT NULL,
+    item TEXT NOT NULL,
+    price_cents BIGINT NOT NULL,
+    description TEXT,
+    status VARCHAR(16) NOT NULL DEFAULT 'active',
+    channel_id VARCHAR(255),
+    message_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Trade reviews table: ratings participants leave each other after a completed trade
+CREATE TABLE IF NOT EXISTS trade_reviews (
+    id SERIAL PRIMARY KEY,
+    trade_id VARCHAR(255) NOT NULL,
+    guild_id VARCHAR(255) NOT NULL,
+    reviewer_id VARCHAR(255) NOT NULL,
+    reviewee_id VARCHAR(255) NOT NULL,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    comment TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(trade_id, reviewer_id)
+);
+
+-- Trade audit log table: staff actions taken on trades, with the reason given
+CREATE TABLE IF NOT EXISTS trade_audit_log (
+    id SERIAL PRIMARY KEY,
+    trade_id VARCHAR(255) NOT NULL,
+    guild_id VARCHAR(255) NOT NULL,
+    actor_id VARCHAR(255) NOT NULL,
+    action VARCHAR(32) NOT NULL,
+    reason TEXT NOT NULL,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Upgrades for databases created by an earlier version of this schema.
+-- CREATE TABLE IF NOT EXISTS leaves existing tables as they are, so every
+-- column added since a table was first released is added here as well.
+DO $$
+BEGIN
+    -- Trades created before the state machine are all past the draft step.
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'trades' AND column_name = 'status'
+    ) THEN
+        ALTER TABLE trades ADD COLUMN status VARCHAR(32) NOT NULL DEFAULT 'draft';
+        UPDATE trades
+        SET status = CASE
+            WHEN buyer_confirmed AND seller_confirmed THEN 'confirmed'
+            ELSE 'awaiting_wallets'
+        END;
+    END IF;
+END $$;
+
+-- The locked rate was ETH only before ERC-20 assets; it is the same value.
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'trades' AND column_name = 'quote_native_usd_price'
+    ) THEN
+        ALTER TABLE trades RENAME COLUMN quote_native_usd_price TO quote_usd_price;
+    END IF;
+END $$;
+
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS price_cents BIGINT;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS cancelled_by VARCHAR(255);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS thread_closed_at TIMESTAMP;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS transcript_channel_id VARCHAR(255);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS transcript_message_id VARCHAR(255);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS transcript_created_at TIMESTAMP;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS transcript_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS transcript_failed_at TIMESTAMP;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS chain_id INTEGER;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS fee_bps INTEGER;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS asset_symbol VARCHAR(16);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS asset_address VARCHAR(42);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS asset_decimals INTEGER;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS quote_usd_price VARCHAR(64);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS quote_amount_wei NUMERIC(78, 0);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS quote_source VARCHAR(32);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS quoted_at TIMESTAMP;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS quote_expires_at TIMESTAMP;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS fee_authorized_until TIMESTAMP;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS escrow_trade_id BIGINT;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS funding_amount_wei NUMERIC(78, 0);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS funding_tx_hash VARCHAR(66);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS funding_submitted_at TIMESTAMP;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS funded_at TIMESTAMP;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS chain_status VARCHAR(32);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS buyer_fee_wei NUMERIC(78, 0);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS delivery_tx_hash VARCHAR(66);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS release_warning_hours NUMERIC;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS disputed_at TIMESTAMP;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS dispute_tx_hash VARCHAR(66);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS dispute_raised_by VARCHAR(255);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS dispute_resolved_by VARCHAR(255);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS dispute_buyer_share_bps INTEGER;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS dispute_seller_share_bps INTEGER;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS release_tx_hash VARCHAR(66);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS payout_amount_wei NUMERIC(78, 0);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS seller_fee_wei NUMERIC(78, 0);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS seller_fee_bot_wei NUMERIC(78, 0);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS seller_fee_receiver_wei NUMERIC(78, 0);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS refund_amount_wei NUMERIC(78, 0);
+
+ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS fee_bps INTEGER;
+ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS fee_min_cents BIGINT;
+ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS fee_promo_until TIMESTAMP;
+ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS marketplace_channel_id VARCHAR(255);
+ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS vouches_channel_id VARCHAR(255);
+ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS staff_log_channel_id VARCHAR(255);
+
+ALTER TABLE trade_invitations ADD COLUMN IF NOT EXISTS round INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE trade_invitations ADD COLUMN IF NOT EXISTS awaiting_id VARCHAR(255);
+
+-- Funding transactions pending before their submission time was recorded
+-- age from the last change of the trade.
+UPDATE trades
+SET funding_submitted_at = updated_at
+WHERE funding_tx_hash IS NOT NULL AND funding_submitted_at IS NULL;
+
+-- Money used to be stored as USD text ("$1,234.5"). Copy it to exact cents,
+-- parsing as NUMERIC and rounding half up; text that is not an amount stays
+-- NULL. The old columns are kept so nothing is lost.
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'trades' AND column_name = 'price'
+    ) THEN
+        UPDATE trades
+        SET price_cents = ROUND(regexp_replace(price, '[\s,$]', '', 'g')::NUMERIC * 100)::BIGINT
+        WHERE price_cents IS NULL
+            AND regexp_replace(price, '[\s,$]', '', 'g') ~ '^\d+(\.\d*)?$';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'guild_settings' AND column_name = 'fee_min_usd'
+    ) THEN
+        UPDATE guild_settings
+        SET fee_min_cents = ROUND(regexp_replace(fee_min_usd, '[\s,$]', '', 'g')::NUMERIC * 100)::BIGINT
+        WHERE fee_min_cents IS NULL
+            AND regexp_replace(fee_min_usd, '[\s,$]', '', 'g') ~ '^\d+(\.\d*)?$';
+    END IF;
+END $$;
+
 -- Indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_trades_trade_id ON trades(trade_id);
 CREATE INDEX IF NOT EXISTS idx_trades_guild_id ON trades(guild_id);
 CREATE INDEX IF NOT EXISTS idx_trades_channel_id ON trades(channel_id);
+CREATE INDEX IF NOT EXISTS idx_trades_escrow_trade_id ON trades(escrow_trade_id);
+-- One funding transaction and one escrow trade can only ever fund one trade.
+DROP INDEX IF EXISTS idx_trades_funding_tx_hash;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_trades_funding_tx_hash_unique ON trades(funding_tx_hash);
+DROP INDEX IF EXISTS idx_trades_chain_escrow_trade_id;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_trades_chain_escrow_trade_id_unique ON trades(chain_id, escrow_trade_id);
+CREATE INDEX IF NOT EXISTS idx_trades_status ON trades(status);
+CREATE INDEX IF NOT EXISTS idx_trades_chain_status ON trades(chain_status);
+CREATE INDEX IF NOT EXISTS idx_escrow_events_escrow_trade_id ON escrow_events(chain_id, contract_address, escrow_trade_id);
+CREATE INDEX IF NOT EXISTS idx_escrow_events_block_number ON escrow_events(block_number);
 CREATE INDEX IF NOT EXISTS idx_wallet_connections_trade_id ON wallet_connections(trade_id);
 CREATE INDEX IF NOT EXISTS idx_wallet_connections_discord_user_id ON wallet_connections(discord_user_id);
+CREATE INDEX IF NOT EXISTS idx_listings_guild_status ON listings(guild_id, status);
+CREATE INDEX IF NOT EXISTS idx_listings_seller_id ON listings(seller_id);
+CREATE INDEX IF NOT EXISTS idx_trade_drafts_expires_at ON trade_drafts(expires_at);
+CREATE INDEX IF NOT EXISTS idx_trade_invitations_status_expires_at ON trade_invitations(status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_trade_reviews_reviewee ON trade_reviews(guild_id, reviewee_id);
+CREATE INDEX IF NOT EXISTS idx_trade_audit_log_trade_id ON trade_audit_log(trade_id);
 
 -- Trigger to update updated_at timestamp automatically
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -48,8 +367,30 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
+DROP TRIGGER IF EXISTS update_trades_updated_at ON trades;
 CREATE TRIGGER update_trades_updated_at BEFORE UPDATE ON trades
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_wallet_connections_updated_at ON wallet_connections;
 CREATE TRIGGER update_wallet_connections_updated_at BEFORE UPDATE ON wallet_connections
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_indexer_state_updated_at ON indexer_state;
+CREATE TRIGGER update_indexer_state_updated_at BEFORE UPDATE ON indexer_state
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_guild_settings_updated_at ON guild_settings;
+CREATE TRIGGER update_guild_settings_updated_at BEFORE UPDATE ON guild_settings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_trade_drafts_updated_at ON trade_drafts;
+CREATE TRIGGER update_trade_drafts_updated_at BEFORE UPDATE ON trade_drafts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_trade_invitations_updated_at ON trade_invitations;
+CREATE TRIGGER update_trade_invitations_updated_at BEFORE UPDATE ON trade_invitations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_listings_updated_at ON listings;
+CREATE TRIGGER update_listings_updated_at BEFORE UPDATE ON listings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
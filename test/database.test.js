@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { PostgresAdapter } from '../bot/utils/database.js';
+
+// Records the SQL the query builder sends instead of running it.
+function createRecordingDatabase() {
+  const queries = [];
+  const pool = {
+    async query(text, values) {
+      queries.push({ text, values });
+      return { rows: [] };
+    },
+  };
+  return { db: new PostgresAdapter(pool), queries };
+}
+
+describe('PostgresQueryBuilder.or', () => {
+  it('joins the filters into one parenthesized OR condition', async () => {
+    const { db, queries } = createRecordingDatabase();
+    await db
+      .from('trades')
+      .select('*')
+      .eq('guild_id', 'g1')
+      .or('buyer_id.eq.u1,seller_id.eq.u1');
+
+    assert.equal(
+      queries[0].text,
+      'SELECT * FROM trades WHERE guild_id = $1 AND (buyer_id = $2 OR seller_id = $3)',
+    );
+    assert.deepEqual(queries[0].values, ['g1', 'u1', 'u1']);
+  });
+
+  it('unquotes quoted values with commas, dots and escapes', async () => {
+    const { db, queries } = createRecordingDatabase();
+    await db
+      .from('listings')
+      .select('*')
+      .or('item.ilike."%a,b.c%",description.ilike."%say \\"hi\\"%"');
+
+    assert.equal(
+      queries[0].text,
+      'SELECT * FROM listings WHERE (item ILIKE $1 OR description ILIKE $2)',
+    );
+    assert.deepEqual(queries[0].values, ['%a,b.c%', '%say "hi"%']);
+  });
+
+  it('supports is with null, true and false without parameters', async () => {
+    const { db, queries } = createRecordingDatabase();
+    await db
+      .from('trades')
+      .select('*')
+      .or(
+        'fee_authorized_until.is.null,fee_authorized_until.lt."2026-01-01T00:00:00.000Z"',
+      );
+    await db.from('trades').select('*').or('a.is.true,b.is.false');
+
+    assert.equal(
+      queries[0].text,
+      'SELECT * FROM trades WHERE (fee_authorized_until IS NULL OR fee_authorized_until < $1)',
+    );
+    assert.deepEqual(queries[0].values, ['2026-01-01T00:00:00.000Z']);
+    assert.equal(
+      queries[1].text,
+      'SELECT * FROM trades WHERE (a IS TRUE OR b IS FALSE)',
+    );
+  });
+
+  it('rejects unknown operators, is values and malformed filters', () => {
+    const { db } = createRecordingDatabase();
+    assert.throws(
+      () => db.from('trades').or('a.contains.x'),
+      /Unsupported or\(\) operator: contains/,
+    );
+    assert.throws(
+      () => db.from('trades').or('a.is.maybe'),
+      /Unsupported or\(\) is value: maybe/,
+    );
+    assert.throws(() => db.from('trades').or(''), /Invalid or\(\) filter/);
+    assert.throws(
+      () => db.from('trades').or('a.eq.1,garbage'),
+      /Invalid or\(\) filter/,
+    );
+  });
+});
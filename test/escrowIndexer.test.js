@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { deriveChainState } from '../bot/utils/escrowIndexer.js';
+
+const event = (eventName, blockTimestamp, args = {}, txHash = null) => ({
+  event_name: eventName,
+  block_timestamp: blockTimestamp,
+  tx_hash: txHash,
+  args,
+});
+
+describe('deriveChainState', () => {
+  it('returns empty chain columns without events', () => {
+    const state = deriveChainState([]);
+    assert.equal(state.chain_status, null);
+    assert.ok(Object.values(state).every((value) => value === null));
+  });
+
+  it('folds a released escrow into its payout and fees', () => {
+    const state = deriveChainState([
+      event('Created', 't0'),
+      event('Funded', 't1'),
+      event('BuyerFeeSplit', 't1', { buyerFee: '25' }),
+      event('Delivered', 't2', {}, '0xdeliver'),
+      event('Approved', 't3'),
+      event('SellerFeeSplit', 't3', {
+        sellerFee: '25',
+        botFee: '20',
+        feeReceiverFee: '5',
+      }),
+      event('Released', 't3', { amount: '975' }, '0xrelease'),
+    ]);
+
+    assert.deepEqual(
+      {
+        chain_status: state.chain_status,
+        funded_at: state.funded_at,
+        buyer_fee_wei: state.buyer_fee_wei,
+        delivered_at: state.delivered_at,
+        delivery_tx_hash: state.delivery_tx_hash,
+        approved_at: state.approved_at,
+        completed_at: state.completed_at,
+        release_tx_hash: state.release_tx_hash,
+        payout_amount_wei: state.payout_amount_wei,
+        seller_fee_wei: state.seller_fee_wei,
+        seller_fee_bot_wei: state.seller_fee_bot_wei,
+        seller_fee_receiver_wei: state.seller_fee_receiver_wei,
+        disputed_at: state.disputed_at,
+      },
+      {
+        chain_status: 'completed',
+        funded_at: 't1',
+        buyer_fee_wei: '25',
+        delivered_at: 't2',
+        delivery_tx_hash: '0xdeliver',
+        approved_at: 't3',
+        completed_at: 't3',
+        release_tx_hash: '0xrelease',
+        payout_amount_wei: '975',
+        seller_fee_wei: '25',
+        seller_fee_bot_wei: '20',
+        seller_fee_receiver_wei: '5',
+        disputed_at: null,
+      },
+    );
+  });
+
+  it('records a dispute and its refund', () => {
+    const state = deriveChainState([
+      event('Created', 't0'),
+      event('Funded', 't1'),
+      event('Delivered', 't2'),
+      event('Disputed', 't3', {}, '0xdispute'),
+      event('Refunded', 't4', { amount: '400' }),
+      event('Released', 't4', { amount: '575' }),
+    ]);
+
+    assert.equal(state.chain_status, 'completed');
+    assert.equal(state.disputed_at, 't3');
+    assert.equal(state.dispute_tx_hash, '0xdispute');
+    assert.equal(state.refund_amount_wei, '400');
+    assert.equal(state.payout_amount_wei, '575');
+  });
+
+  it('keeps the status of the last state change', () => {
+    assert.equal(
+      deriveChainState([event('Created', 't0')]).chain_status,
+      'created',
+    );
+    assert.equal(
+      deriveChainState([event('Created', 't0'), event('Funded', 't1')])
+        .chain_status,
+      'funded',
+    );
+  });
+
+  it('ignores unknown events', () => {
+    assert.equal(
+      deriveChainState([event('Funded', 't1'), event('Paused', 't2')])
+        .chain_status,
+      'funded',
+    );
+  });
+});
@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { MAX_FEE_BPS, resolveFeeBps } from '../bot/utils/feePolicy.js';
+
+const policy = (overrides = {}) => ({
+  feeBps: 250,
+  minFeeCents: 0n,
+  promoUntil: null,
+  overridden: false,
+  ...overrides,
+});
+
+describe('resolveFeeBps', () => {
+  it('charges the standard rate without a minimum fee', () => {
+    assert.equal(resolveFeeBps(policy(), 10_000n), 250);
+  });
+
+  it('charges nothing during a promotion', () => {
+    assert.equal(
+      resolveFeeBps(
+        policy({ promoUntil: new Date(), minFeeCents: 100n }),
+        500n,
+      ),
+      0,
+    );
+  });
+
+  it('raises the rate to the smallest one reaching the minimum fee', () => {
+    // $1 minimum on a $20 trade needs 5%, on a $30 trade 3.34% rounded up.
+    assert.equal(resolveFeeBps(policy({ minFeeCents: 100n }), 2_000n), 500);
+    assert.equal(resolveFeeBps(policy({ minFeeCents: 100n }), 3_000n), 334);
+  });
+
+  it('keeps the standard rate once it already reaches the minimum', () => {
+    assert.equal(resolveFeeBps(policy({ minFeeCents: 100n }), 100_000n), 250);
+  });
+
+  it('caps the rate at the contract maximum', () => {
+    assert.equal(
+      resolveFeeBps(policy({ minFeeCents: 100n }), 100n),
+      MAX_FEE_BPS,
+    );
+    assert.equal(resolveFeeBps(policy({ feeBps: 5_000 }), 100n), MAX_FEE_BPS);
+  });
+
+  it('ignores the minimum for free trades', () => {
+    assert.equal(resolveFeeBps(policy({ minFeeCents: 100n }), 0n), 250);
+  });
+});
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { usdToAssetUnits } from '../bot/utils/escrow.js';
+import { parseUsd } from '../bot/utils/money.js';
+
+describe('parseUsd', () => {
+  it('parses plain, formatted and padded amounts into cents', () => {
+    assert.equal(parseUsd('10'), 1000n);
+    assert.equal(parseUsd('10.5'), 1050n);
+    assert.equal(parseUsd('$1,234.56'), 123456n);
+    assert.equal(parseUsd('  7.25 '), 725n);
+    assert.equal(parseUsd('10.'), 1000n);
+    assert.equal(parseUsd(12), 1200n);
+  });
+
+  it('rejects sub-cent precision instead of rounding', () => {
+    assert.equal(parseUsd('10.005'), null);
+  });
+
+  it('rejects input that is not an amount', () => {
+    for (const input of ['', 'abc', '-5', '1e3', '.5', '$', null, undefined]) {
+      assert.equal(parseUsd(input), null, `accepted ${input}`);
+    }
+  });
+});
+
+describe('usdToAssetUnits', () => {
+  it('converts cents into wei at a native token price', () => {
+    assert.equal(usdToAssetUnits(310050n, '3100.5'), 10n ** 18n);
+    assert.equal(usdToAssetUnits(100n, '2000'), 5n * 10n ** 14n);
+  });
+
+  it('pegs stablecoins at their own decimals', () => {
+    assert.equal(usdToAssetUnits(12345n, '1', 6), 123_450_000n);
+  });
+
+  it('rounds down like the contract', () => {
+    assert.equal(usdToAssetUnits(100n, '3', 0), 0n);
+    assert.equal(usdToAssetUnits(1n, '3'), 3_333_333_333_333_333n);
+  });
+
+  it('rejects a missing or non-positive price', () => {
+    assert.throws(() => usdToAssetUnits(100n, ''), /not available/);
+    assert.throws(() => usdToAssetUnits(100n, '0'), /greater than 0/);
+  });
+});
@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  TRADE_STATUS,
+  canTransition,
+  getRolledBackStatus,
+  getStatusForChainState,
+} from '../bot/utils/tradeStateMachine.js';
+
+const {
+  DRAFT,
+  AWAITING_WALLETS,
+  CONFIRMED,
+  FUNDED,
+  DELIVERED,
+  COMPLETED,
+  CANCELLED,
+  DISPUTED,
+  EXPIRED,
+} = TRADE_STATUS;
+
+describe('canTransition', () => {
+  it('follows the trade lifecycle one step at a time', () => {
+    assert.ok(canTransition(DRAFT, AWAITING_WALLETS));
+    assert.ok(canTransition(AWAITING_WALLETS, CONFIRMED));
+    assert.ok(canTransition(CONFIRMED, FUNDED));
+    assert.ok(canTransition(FUNDED, DELIVERED));
+    assert.ok(canTransition(DELIVERED, COMPLETED));
+    assert.ok(canTransition(DELIVERED, DISPUTED));
+    assert.ok(canTransition(DISPUTED, COMPLETED));
+  });
+
+  it('lets confirmed trades fall back to awaiting wallets', () => {
+    assert.ok(canTransition(CONFIRMED, AWAITING_WALLETS));
+  });
+
+  it('only cancels or expires trades before funding', () => {
+    for (const status of [DRAFT, AWAITING_WALLETS, CONFIRMED]) {
+      assert.ok(canTransition(status, CANCELLED));
+      assert.ok(canTransition(status, EXPIRED));
+    }
+    for (const status of [FUNDED, DELIVERED, DISPUTED]) {
+      assert.ok(!canTransition(status, CANCELLED));
+      assert.ok(!canTransition(status, EXPIRED));
+    }
+  });
+
+  it('rejects skipped steps, terminal states and unknown states', () => {
+    assert.ok(!canTransition(CONFIRMED, DELIVERED));
+    assert.ok(!canTransition(FUNDED, COMPLETED));
+    assert.ok(!canTransition(COMPLETED, DISPUTED));
+    assert.ok(!canTransition(CANCELLED, CONFIRMED));
+    assert.ok(!canTransition('unknown', CONFIRMED));
+  });
+});
+
+describe('getStatusForChainState', () => {
+  it('catches a trade up with the chain, skipping steps', () => {
+    assert.equal(getStatusForChainState(CONFIRMED, FUNDED), FUNDED);
+    assert.equal(getStatusForChainState(CONFIRMED, COMPLETED), COMPLETED);
+    assert.equal(getStatusForChainState(DELIVERED, DISPUTED), DISPUTED);
+  });
+
+  it('leaves trades that are level with or ahead of the chain', () => {
+    assert.equal(getStatusForChainState(FUNDED, FUNDED), null);
+    assert.equal(getStatusForChainState(DELIVERED, FUNDED), null);
+    assert.equal(getStatusForChainState(CONFIRMED, 'created'), null);
+    assert.equal(getStatusForChainState(CONFIRMED, null), null);
+  });
+
+  it('never moves trades outside the escrow lifecycle', () => {
+    assert.equal(getStatusForChainState(CANCELLED, FUNDED), null);
+    assert.equal(getStatusForChainState(AWAITING_WALLETS, FUNDED), null);
+  });
+});
+
+describe('getRolledBackStatus', () => {
+  it('moves a trade back to what the remaining events show', () => {
+    assert.equal(getRolledBackStatus(COMPLETED, FUNDED), FUNDED);
+    assert.equal(getRolledBackStatus(DISPUTED, DELIVERED), DELIVERED);
+  });
+
+  it('treats an escrow without a funding event as unfunded', () => {
+    assert.equal(getRolledBackStatus(FUNDED, null), CONFIRMED);
+    assert.equal(getRolledBackStatus(FUNDED, 'created'), CONFIRMED);
+  });
+
+  it('leaves trades that are not ahead of the chain', () => {
+    assert.equal(getRolledBackStatus(DELIVERED, DELIVERED), null);
+    assert.equal(getRolledBackStatus(CONFIRMED, null), null);
+    assert.equal(getRolledBackStatus(CANCELLED, null), null);
+  });
+});